@@ -0,0 +1,101 @@
+// Builds the Express app: body parsing, the dashboard and every route module.
+//
+// index.js wraps it with the server lifecycle (database connection, schema check,
+// background jobs, ngrok); the test suite builds its own app against a disposable
+// database with createApp({ pool }).
+
+const express = require('express');
+const bodyParser = require('body-parser');
+const path = require('path');
+
+const jobQueue = require('./services/jobQueue');
+const intakeAgentService = require('./services/intakeAgentService');
+const intakeReminderService = require('./services/intakeReminderService');
+const relationshipService = require('./services/relationshipService');
+const callCampaignService = require('./services/callCampaignService');
+const telephonyProviders = require('./services/telephonyProviders');
+const authRoutes = require('./routes/auth');
+const contactRoutes = require('./routes/contacts');
+const messagingRoutes = require('./routes/messaging');
+const twilioRoutes = require('./routes/twilio');
+const intakeRoutes = require('./routes/intakeRoutes');
+const jobRoutes = require('./routes/jobs');
+const questionnaireRoutes = require('./routes/questionnaires');
+const consentRoutes = require('./routes/consent');
+const relationshipRoutes = require('./routes/relationships');
+const campaignRoutes = require('./routes/campaigns');
+const callRoutes = require('./routes/calls');
+const privacyRoutes = require('./routes/privacy');
+const simulatorRoutes = require('./routes/simulator');
+
+/**
+ * Creates the app with every route mounted
+ * @param {Object} [options] - { pool, middleware }: pool is made available to the routes
+ *   (index.js sets it once connected); middleware runs before the dashboard and the routes
+ * @returns {Object} - Express app
+ */
+function createApp({ pool = null, middleware = [] } = {}) {
+  const app = express();
+
+  // Keep the raw JSON body around for webhook signature checks
+  app.use(bodyParser.json({
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    }
+  }));
+  // Twilio posts webhooks as application/x-www-form-urlencoded
+  app.use(bodyParser.urlencoded({ extended: false }));
+
+  // Make app available globally for service access
+  global.app = app;
+  if (pool) {
+    app.set('pool', pool);
+  }
+
+  middleware.forEach(fn => app.use(fn));
+
+  // Serve static files from the 'public' directory
+  app.use(express.static(path.join(__dirname, 'public')));
+
+  // Register route modules
+  app.use('/', authRoutes);
+  app.use('/contacts', contactRoutes);
+  app.use('/', messagingRoutes);
+  app.use('/', twilioRoutes); // Keep the root path for twilio endpoints
+  app.use('/', intakeRoutes); // Add the new intake routes
+  app.use('/jobs', jobRoutes);
+  app.use('/questionnaires', questionnaireRoutes);
+  app.use('/consent', consentRoutes);
+  app.use('/relationships', relationshipRoutes);
+  app.use('/campaigns', campaignRoutes);
+  app.use('/calls', callRoutes);
+  app.use('/privacy', privacyRoutes);
+
+  // The simulator stands in for Twilio and ElevenLabs, so it is never exposed in production
+  if (telephonyProviders.getProviderName() === 'simulator') {
+    if (process.env.NODE_ENV === 'production') {
+      console.error('TELEPHONY_PROVIDER=simulator is not allowed in production - /simulator is disabled');
+    } else {
+      app.use('/simulator', simulatorRoutes);
+      console.log('Telephony simulator enabled: texts and calls are recorded instead of sent (see /simulator)');
+    }
+  }
+
+  return app;
+}
+
+/**
+ * Registers the background job handlers (transcript parsing, intake reminders,
+ * daily check-ins, call campaigns)
+ */
+function registerJobHandlers() {
+  jobQueue.registerHandler('parse_transcript', intakeAgentService.processTranscriptJob);
+  jobQueue.registerHandler(intakeReminderService.JOB_TYPE, intakeReminderService.processReminderJob);
+  jobQueue.registerHandler(relationshipService.JOB_TYPE, relationshipService.processCheckInJob);
+  jobQueue.registerHandler(callCampaignService.JOB_TYPE, callCampaignService.processCampaignJob);
+}
+
+module.exports = {
+  createApp,
+  registerJobHandlers
+};
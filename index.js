@@ -1,83 +1,124 @@
-const express = require('express');
+// `node index.js migrate up|down|status` manages the database schema instead of starting the server
+if (process.argv[2] === 'migrate') {
+  require('./scripts/migrate').main(process.argv.slice(3)).then(code => process.exit(code));
+  return;
+}
+
 const { Pool } = require('pg');
-const bodyParser = require('body-parser');
 const ngrok = require('ngrok');
 const http = require('http');
-const path = require('path');
-const app = express();
+const { createApp, registerJobHandlers } = require('./app');
 const PORT = process.env.PORT || 5000;
 const FALLBACK_PORTS = [5001, 8000, 8080, 3000];
 let activePort = PORT;
 
-// Import services and routes
+// Import services
 const dbService = require('./services/dbService');
-const authRoutes = require('./routes/auth');
-const contactRoutes = require('./routes/contacts');
-const messagingRoutes = require('./routes/messaging');
-const twilioRoutes = require('./routes/twilio');
-const intakeRoutes = require('./routes/intakeRoutes');
-
-// Middleware
-app.use(bodyParser.json());
+const migrationService = require('./services/migrationService');
+const jobQueue = require('./services/jobQueue');
+const tokenService = require('./services/tokenService');
+const relationshipService = require('./services/relationshipService');
+const callLogService = require('./services/callLogService');
+const telephonyProviders = require('./services/telephonyProviders');
+const { getSigningConfigError } = require('./middleware/twilioSignature');
+
+// Webhooks must never accept test signatures in production
+const signingConfigError = getSigningConfigError();
+if (signingConfigError) {
+  console.error(`❌ ${signingConfigError}`);
+  process.exit(1);
+}
 
-// Make app available globally for service access
-global.app = app;
+// Refuse to serve anything until the database schema is known to be up to date.
+// /ping stays available so uptime monitoring can report why.
+let schemaState = { status: 'checking', pending: [] };
+const requireReadySchema = (req, res, next) => {
+  if (schemaState.status === 'ready' || req.path === '/ping') return next();
+  if (schemaState.status === 'pending') {
+    return res.status(503).json({
+      error: 'Database migrations are pending. Run `node index.js migrate up` and restart the server.',
+      pending_migrations: schemaState.pending.map(migration => migration.name)
+    });
+  }
+  res.status(503).json({ error: 'Server is starting, please try again shortly' });
+};
 
-// Serve static files from the 'public' directory
-app.use(express.static(path.join(__dirname, 'public')));
+// Body parsing, the dashboard and every route module
+const app = createApp({ middleware: [requireReadySchema] });
 
 // Import connection manager and database service
 const connectionManager = require('./services/connectionManager');
 const retry = require('retry-as-promised');
 
-// Initialize database connection
-const initializeDatabase = () => {
-  try {
-    // Initialize connection manager with connection string
-    const pool = connectionManager.initialize(process.env.DATABASE_URL);
-
-    // Make pool available to route handlers
-    app.set('pool', pool);
+// Initialize database connection. Until the first connect and schema check succeed,
+// they are retried with a growing delay (5s, 10s, 20s... up to 5 minutes), and requests
+// get a 503 in the meantime.
+const INITIAL_RETRY_DELAY_MS = 5000;
+const MAX_RETRY_DELAY_MS = 5 * 60 * 1000;
+
+/**
+ * Schedules another initializeDatabase attempt
+ * @param {number} attempt - Attempt that just failed, starting at 1
+ */
+const retryInitializeDatabase = (attempt) => {
+  const delay = Math.min(INITIAL_RETRY_DELAY_MS * 2 ** (attempt - 1), MAX_RETRY_DELAY_MS);
+  console.log(`Retrying database startup in ${delay / 1000} seconds (attempt ${attempt + 1})...`);
+  setTimeout(() => initializeDatabase(attempt + 1), delay);
+};
 
-    // Try to connect and create tables
-    connectionManager.getClient()
-      .then(async (client) => {
-        try {
-          console.log('Connected to PostgreSQL');
-          // Ensure tables are created
-          await dbService.createTables(pool);
-          console.log('Database schema initialized successfully');
-
-          // Set up a scheduled keep-alive ping
-          setInterval(() => {
-            console.log('Keeping alive...');
-            connectionManager.keepAlive();
-          }, 60000); // Every minute
-        } finally {
-          client.release();
-        }
-      })
-      .catch((error) => {
-        console.error('Initial PostgreSQL connection error:', error.message);
-        console.log('Retry failed after multiple attempts.');
-        // Handle the case where all retries failed - you might want to exit or alert
-      });
+const initializeDatabase = (attempt = 1) => {
+  let pool = app.get('pool');
+  try {
+    // Initialize connection manager with connection string (once - retries reuse the pool)
+    if (!pool) {
+      pool = connectionManager.initialize(process.env.DATABASE_URL);
+      // Make pool available to route handlers
+      app.set('pool', pool);
+    }
   } catch (error) {
     console.error('Error initializing database connection:', error.message);
-    console.log('Retrying in 5 seconds...');
-    setTimeout(initializeDatabase, 5000);
+    retryInitializeDatabase(attempt);
+    return;
   }
+
+  // Try to connect and check the schema version
+  connectionManager.getClient()
+    .then(async (client) => {
+      try {
+        console.log('Connected to PostgreSQL');
+        const pending = await migrationService.getPendingMigrations(pool);
+        if (pending.length > 0) {
+          schemaState = { status: 'pending', pending };
+          console.error('❌ Database has pending migrations:', pending.map(migration => migration.name).join(', '));
+          console.error('❌ Run `node index.js migrate up` and restart the server. Requests will be refused until then.');
+          return;
+        }
+
+        // Start processing background jobs (transcript parsing, intake reminders, daily check-ins, call campaigns etc.)
+        registerJobHandlers();
+        await relationshipService.ensureCheckInJob(pool);
+        jobQueue.start(pool);
+
+        schemaState = { status: 'ready', pending: [] };
+        console.log('Database schema is up to date');
+
+        // Set up a scheduled keep-alive ping
+        setInterval(() => {
+          console.log('Keeping alive...');
+          connectionManager.keepAlive();
+        }, 60000); // Every minute
+      } finally {
+        client.release();
+      }
+    })
+    .catch((error) => {
+      console.error('Database startup failed:', error.message);
+      retryInitializeDatabase(attempt);
+    });
 };
 
 initializeDatabase();
 
-// Register route modules
-app.use('/', authRoutes);
-app.use('/contacts', contactRoutes);
-app.use('/', messagingRoutes);
-app.use('/', twilioRoutes); // Keep the root path for twilio endpoints
-app.use('/', intakeRoutes); // Add the new intake routes
-
 // Redirect to the static version of the interface
 app.get('/old-interface', (req, res) => {
   res.redirect('/');
@@ -143,9 +184,19 @@ const keepAlive = () => {
   }, 20000); // Every 20 seconds
 };
 
-// Scheduled cleanup for temp_calls table with longer retention
+// Scheduled cleanup for temp_calls table with longer retention, unmatched intakes nobody
+// owns, and expired tokens. Also closes the calls the agent took that never produced an intake.
 setInterval(async () => {
+  const pool = app.get('pool');
+  if (!pool || schemaState.status !== 'ready') return;
   await dbService.cleanupTempCalls(pool);
+  await dbService.cleanupUnownedIntakes(pool);
+  await tokenService.cleanupExpiredTokens(pool);
+  try {
+    await callLogService.markCallsWithoutIntake(pool);
+  } catch (error) {
+    console.error('Error marking calls without intake:', error.message);
+  }
 }, 60 * 60 * 1000); // Every 60 minutes
 
 // Enhanced healthcheck endpoint for uptime monitoring
@@ -163,6 +214,15 @@ app.get('/ping', async (req, res) => {
       });
     }
 
+    if (schemaState.status !== 'ready') {
+      return res.status(503).json({
+        status: 'degraded',
+        database: schemaState.status === 'pending' ? 'migrations pending' : 'checking schema',
+        server: 'running',
+        pending_migrations: schemaState.pending.map(migration => migration.name)
+      });
+    }
+
     // Try a simple query to verify db connection
     const client = await pool.connect();
     try {
@@ -202,7 +262,9 @@ app.get('/debug-config', (req, res) => {
     environment_check: {
       jwt_secret_configured: !!process.env.JWT_SECRET,
       twilio_configured: !!(process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN && process.env.TWILIO_PHONE_NUMBER),
-      elevenlabs_secret_configured: !!process.env.ELEVENLABS_SECRET
+      elevenlabs_secret_configured: !!process.env.ELEVENLABS_SECRET,
+      elevenlabs_agent_configured: !!(process.env.ELEVENLABS_AGENT_ID || process.env.ELEVENLABS_STREAM_URL),
+      openai_configured: !!process.env.OPENAI_API_KEY
     }
   });
 
@@ -284,7 +346,9 @@ function startServer(port, fallbackIndex = 0) {
   }
 
   // Check if Twilio credentials are set
-  if (!process.env.TWILIO_ACCOUNT_SID || !process.env.TWILIO_AUTH_TOKEN || !process.env.TWILIO_PHONE_NUMBER) {
+  if (telephonyProviders.getProviderName() === 'simulator') {
+    console.log('✅ Telephony simulator is active - no texts or calls go out');
+  } else if (!process.env.TWILIO_ACCOUNT_SID || !process.env.TWILIO_AUTH_TOKEN || !process.env.TWILIO_PHONE_NUMBER) {
     console.error('⚠️ WARNING: Twilio credentials are not fully configured!');
     console.error('⚠️ Contact messaging functionality will not work without TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, and TWILIO_PHONE_NUMBER.');
     console.error('⚠️ Please set them in the Secrets tool (Environment Variables).');
@@ -1,23 +1,43 @@
-
 const jwt = require('jsonwebtoken');
+const tokenService = require('../services/tokenService');
 
 // JWT verification middleware
-const verifyToken = (req, res, next) => {
+const verifyToken = async (req, res, next) => {
   const authHeader = req.headers.authorization;
   if (!authHeader) {
     console.log('No authorization header provided');
     return res.status(403).json({ error: 'No token provided' });
   }
   const token = authHeader.split(' ')[1];
+
+  let decoded;
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.userId = decoded.userId;
-    console.log('Token verified, proceeding with userId:', req.userId);
-    next();
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
   } catch (error) {
     console.error('Token verification failed:', error.message);
-    return res.status(401).json({ error: 'Unauthorized' });
+    // The dashboard uses this code to decide when to refresh its access token
+    const code = error.name === 'TokenExpiredError' ? 'token_expired' : 'invalid_token';
+    return res.status(401).json({ error: 'Unauthorized', code });
   }
+
+  // Tokens issued before refresh tokens were introduced have no jti and can't be revoked
+  if (decoded.jti) {
+    try {
+      const pool = req.app.get('pool');
+      if (await tokenService.isAccessTokenRevoked(pool, decoded.jti)) {
+        console.log('Rejected revoked token for userId:', decoded.userId);
+        return res.status(401).json({ error: 'Unauthorized', code: 'token_revoked' });
+      }
+    } catch (error) {
+      console.error('Token revocation check failed:', error.message);
+      return res.status(503).json({ error: 'Unable to verify token' });
+    }
+  }
+
+  req.userId = decoded.userId;
+  req.tokenPayload = decoded;
+  console.log('Token verified, proceeding with userId:', req.userId);
+  next();
 };
 
 module.exports = {
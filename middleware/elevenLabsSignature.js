@@ -0,0 +1,90 @@
+const crypto = require('crypto');
+
+// Verifies the ElevenLabs-Signature header on incoming ElevenLabs webhooks.
+//
+// The header looks like "t=<unix seconds>,v0=<hex HMAC-SHA256>" where the HMAC is
+// computed over "<t>.<raw request body>" with ELEVENLABS_WEBHOOK_SECRET. Requests
+// whose timestamp is further than ELEVENLABS_WEBHOOK_TOLERANCE_SECONDS from our
+// clock are rejected so captured deliveries can't be replayed later.
+
+const DEFAULT_TOLERANCE_SECONDS = 30 * 60;
+
+/**
+ * Computes the ElevenLabs-Signature header value for a payload
+ * @param {string} rawBody - Raw request body
+ * @param {number} [timestamp] - Unix timestamp in seconds, defaults to now
+ * @param {string} [secret] - Webhook secret, defaults to ELEVENLABS_WEBHOOK_SECRET
+ * @returns {string} - Header value
+ */
+function signPayload(rawBody, timestamp = Math.floor(Date.now() / 1000), secret = process.env.ELEVENLABS_WEBHOOK_SECRET) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${rawBody}`).digest('hex');
+  return `t=${timestamp},v0=${digest}`;
+}
+
+/**
+ * Parses a signature header into its timestamp and signatures
+ * @param {string} header - Header value
+ * @returns {Object} - { timestamp, signatures }
+ */
+function parseSignatureHeader(header) {
+  const parts = String(header || '').split(',').map(part => part.trim().split('='));
+  const timestamp = parseInt((parts.find(([key]) => key === 't') || [])[1], 10);
+  const signatures = parts.filter(([key]) => key === 'v0').map(([, value]) => value);
+  return { timestamp, signatures };
+}
+
+/**
+ * Checks a signature header against the raw body
+ * @param {string} header - ElevenLabs-Signature header value
+ * @param {string} rawBody - Raw request body
+ * @param {string} secret - Webhook secret
+ * @param {number} [toleranceSeconds] - Allowed clock difference
+ * @returns {Object} - { valid, reason }
+ */
+function verifySignature(header, rawBody, secret, toleranceSeconds = DEFAULT_TOLERANCE_SECONDS) {
+  const { timestamp, signatures } = parseSignatureHeader(header);
+  if (!timestamp || signatures.length === 0) {
+    return { valid: false, reason: 'Missing or malformed signature header' };
+  }
+
+  const age = Math.abs(Math.floor(Date.now() / 1000) - timestamp);
+  if (age > toleranceSeconds) {
+    return { valid: false, reason: `Signature timestamp outside tolerance (${age}s)` };
+  }
+
+  const expected = Buffer.from(
+    crypto.createHmac('sha256', secret).update(`${timestamp}.${rawBody}`).digest('hex')
+  );
+  const matches = signatures.some(signature => {
+    const supplied = Buffer.from(signature);
+    return supplied.length === expected.length && crypto.timingSafeEqual(supplied, expected);
+  });
+
+  return matches ? { valid: true } : { valid: false, reason: 'Signature mismatch' };
+}
+
+// Express middleware rejecting requests that weren't signed by ElevenLabs
+const validateElevenLabsSignature = (req, res, next) => {
+  const secret = process.env.ELEVENLABS_WEBHOOK_SECRET;
+  if (!secret) {
+    console.error('ELEVENLABS_WEBHOOK_SECRET is not configured - rejecting webhook request to', req.originalUrl);
+    return res.status(403).json({ error: 'Webhook signature cannot be verified' });
+  }
+
+  const tolerance = parseInt(process.env.ELEVENLABS_WEBHOOK_TOLERANCE_SECONDS, 10) || DEFAULT_TOLERANCE_SECONDS;
+  const rawBody = req.rawBody ? req.rawBody.toString('utf8') : '';
+  const { valid, reason } = verifySignature(req.headers['elevenlabs-signature'], rawBody, secret, tolerance);
+
+  if (!valid) {
+    console.warn('Rejected ElevenLabs webhook:', reason);
+    return res.status(401).json({ error: 'Invalid webhook signature' });
+  }
+
+  next();
+};
+
+module.exports = {
+  validateElevenLabsSignature,
+  verifySignature,
+  signPayload
+};
@@ -0,0 +1,103 @@
+const twilio = require('twilio');
+const publicUrlService = require('../services/publicUrlService');
+
+// Validates the X-Twilio-Signature header on incoming Twilio webhooks.
+//
+// TWILIO_SIGNATURE_MODE controls which key is used:
+//   enforce (default) - validate with TWILIO_AUTH_TOKEN
+//   test              - validate with TWILIO_TEST_AUTH_TOKEN (default 'test-auth-token'), so
+//                       fixture requests signed locally with signRequest() are accepted
+// With TELEPHONY_PROVIDER=simulator, webhooks only ever come from the simulator, which
+// signs them locally, so test mode is always used.
+//
+// Test signing is refused when NODE_ENV=production: the server doesn't start (see
+// getSigningConfigError), and should it run anyway every webhook is rejected rather
+// than validated with a key anyone can read here.
+
+const DEFAULT_TEST_AUTH_TOKEN = 'test-auth-token';
+
+/**
+ * Tells whether webhooks are validated with the test key
+ * @returns {boolean} - True with TWILIO_SIGNATURE_MODE=test or the telephony simulator
+ */
+function usesTestSigning() {
+  return process.env.TWILIO_SIGNATURE_MODE === 'test' || (process.env.TELEPHONY_PROVIDER || '').toLowerCase() === 'simulator';
+}
+
+/**
+ * Checks that the signing configuration may be used in this environment
+ * @returns {string|null} - Why the server must not start, or null when it's fine
+ */
+function getSigningConfigError() {
+  if (process.env.NODE_ENV === 'production' && usesTestSigning()) {
+    return 'TWILIO_SIGNATURE_MODE=test and TELEPHONY_PROVIDER=simulator are not allowed in production: Twilio webhooks would accept test signatures';
+  }
+  return null;
+}
+
+/**
+ * Returns the key Twilio signatures are validated against
+ * @returns {string|undefined} - Auth token; undefined when none is configured or test signing is refused
+ */
+function getSigningKey() {
+  if (usesTestSigning()) {
+    if (process.env.NODE_ENV === 'production') return undefined;
+    return process.env.TWILIO_TEST_AUTH_TOKEN || DEFAULT_TEST_AUTH_TOKEN;
+  }
+  return process.env.TWILIO_AUTH_TOKEN;
+}
+
+/**
+ * Computes the X-Twilio-Signature for a request, the same way Twilio does
+ * @param {string} url - Full URL the request is sent to
+ * @param {Object} params - Form parameters (use {} for JSON bodies)
+ * @param {string} [authToken] - Key to sign with, defaults to the active signing key
+ * @returns {string} - Signature header value
+ */
+function signRequest(url, params, authToken = getSigningKey()) {
+  return twilio.getExpectedTwilioSignature(authToken, url, params || {});
+}
+
+/**
+ * Checks a request's signature against every URL it may have been addressed to
+ * @param {Object} req - Express request
+ * @param {string} authToken - Key to validate with
+ * @returns {boolean} - True if the signature is valid
+ */
+function isValidTwilioRequest(req, authToken) {
+  const signature = req.headers['x-twilio-signature'];
+  if (!signature) return false;
+
+  const isJson = req.is('application/json');
+
+  return publicUrlService.getCandidateRequestUrls(req).some(url => {
+    // JSON webhooks sign the URL (which carries a bodySHA256 parameter) plus the raw body
+    if (isJson && url.includes('bodySHA256=')) {
+      return twilio.validateRequestWithBody(authToken, signature, url, req.rawBody ? req.rawBody.toString('utf8') : '');
+    }
+    return twilio.validateRequest(authToken, signature, url, isJson ? {} : req.body || {});
+  });
+}
+
+// Express middleware rejecting requests that weren't signed by Twilio
+const validateTwilioSignature = (req, res, next) => {
+  const authToken = getSigningKey();
+  if (!authToken) {
+    console.error(getSigningConfigError() || 'TWILIO_AUTH_TOKEN is not configured', '- rejecting webhook request to', req.originalUrl);
+    return res.status(403).json({ error: 'Webhook signature cannot be verified' });
+  }
+
+  if (!isValidTwilioRequest(req, authToken)) {
+    console.warn('Rejected request with invalid Twilio signature:', req.originalUrl);
+    return res.status(403).json({ error: 'Invalid Twilio signature' });
+  }
+
+  next();
+};
+
+module.exports = {
+  validateTwilioSignature,
+  getSigningConfigError,
+  isValidTwilioRequest,
+  signRequest
+};
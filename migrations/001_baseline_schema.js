@@ -0,0 +1,204 @@
+// Baseline schema: every table the app had before versioned migrations.
+//
+// Written with IF NOT EXISTS so it can be applied to databases that were
+// created by the old createTables() routine as well as to empty ones. The
+// ALTER TABLE statements bring tables created by older app versions up to the
+// same shape.
+
+exports.up = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS users (
+      id SERIAL PRIMARY KEY,
+      email VARCHAR(255) UNIQUE NOT NULL,
+      password VARCHAR(255) NOT NULL
+    )
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS relationships (
+      id SERIAL PRIMARY KEY,
+      user1_id INTEGER REFERENCES users(id),
+      user2_id INTEGER REFERENCES users(id),
+      compatibility_score FLOAT,
+      check_in_cadence VARCHAR(50)
+    )
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS contacts (
+      id SERIAL PRIMARY KEY,
+      phone_number VARCHAR(15) UNIQUE NOT NULL,
+      first_name VARCHAR(100),
+      last_name VARCHAR(100),
+      company_name VARCHAR(100),
+      linkedin_url VARCHAR(255),
+      user_id INTEGER REFERENCES users(id),
+      is_approved BOOLEAN DEFAULT false,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await client.query(`
+    ALTER TABLE contacts
+    ADD COLUMN IF NOT EXISTS first_name VARCHAR(100),
+    ADD COLUMN IF NOT EXISTS last_name VARCHAR(100),
+    ADD COLUMN IF NOT EXISTS company_name VARCHAR(100),
+    ADD COLUMN IF NOT EXISTS linkedin_url VARCHAR(255)
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS sms_messages (
+      id SERIAL PRIMARY KEY,
+      contact_id INTEGER REFERENCES contacts(id),
+      user_id INTEGER REFERENCES users(id),
+      message TEXT NOT NULL,
+      twilio_sid VARCHAR(50),
+      sent_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS sms_log (
+      id SERIAL PRIMARY KEY,
+      contact_id INTEGER REFERENCES contacts(id),
+      user_id INTEGER REFERENCES users(id),
+      message_type VARCHAR(50) NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS temp_calls (
+      id SERIAL PRIMARY KEY,
+      call_sid VARCHAR(50) UNIQUE NOT NULL,
+      phone_number VARCHAR(15) NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS call_log (
+      id SERIAL PRIMARY KEY,
+      call_sid VARCHAR(50) UNIQUE NOT NULL,
+      phone_number VARCHAR(15) NOT NULL,
+      status VARCHAR(50) DEFAULT 'pending',
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      processed_at TIMESTAMP
+    )
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS intake_responses (
+      id SERIAL PRIMARY KEY,
+      contact_id INTEGER REFERENCES contacts(id),
+      user_id INTEGER REFERENCES users(id),
+      communication_style TEXT,
+      goals TEXT,
+      values TEXT,
+      professional_goals TEXT,
+      partnership_expectations TEXT,
+      raw_transcript TEXT,
+      response_text TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await client.query(`
+    ALTER TABLE intake_responses
+    ADD COLUMN IF NOT EXISTS user_id INTEGER REFERENCES users(id),
+    ADD COLUMN IF NOT EXISTS communication_style TEXT,
+    ADD COLUMN IF NOT EXISTS values TEXT,
+    ADD COLUMN IF NOT EXISTS professional_goals TEXT,
+    ADD COLUMN IF NOT EXISTS partnership_expectations TEXT,
+    ADD COLUMN IF NOT EXISTS raw_transcript TEXT
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS jobs (
+      id SERIAL PRIMARY KEY,
+      type VARCHAR(50) NOT NULL,
+      payload JSONB NOT NULL DEFAULT '{}',
+      status VARCHAR(20) NOT NULL DEFAULT 'pending',
+      user_id INTEGER REFERENCES users(id),
+      attempts INTEGER NOT NULL DEFAULT 0,
+      max_attempts INTEGER NOT NULL DEFAULT 5,
+      run_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      locked_at TIMESTAMP,
+      last_error TEXT,
+      result JSONB,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      completed_at TIMESTAMP
+    )
+  `);
+  await client.query('CREATE INDEX IF NOT EXISTS jobs_status_run_at_idx ON jobs (status, run_at)');
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS password_reset_tokens (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      token_hash VARCHAR(64) UNIQUE NOT NULL,
+      expires_at TIMESTAMP NOT NULL,
+      used_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS refresh_tokens (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      token_hash VARCHAR(64) UNIQUE NOT NULL,
+      family_id UUID NOT NULL,
+      expires_at TIMESTAMP NOT NULL,
+      revoked_at TIMESTAMP,
+      replaced_by INTEGER REFERENCES refresh_tokens(id) ON DELETE SET NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await client.query('CREATE INDEX IF NOT EXISTS refresh_tokens_family_idx ON refresh_tokens (family_id)');
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS revoked_tokens (
+      jti UUID PRIMARY KEY,
+      user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+      expires_at TIMESTAMP NOT NULL,
+      revoked_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS unmatched_intakes (
+      id SERIAL PRIMARY KEY,
+      caller_id VARCHAR(20),
+      call_sid VARCHAR(50),
+      payload JSONB NOT NULL,
+      raw_transcript TEXT,
+      status VARCHAR(20) NOT NULL DEFAULT 'pending',
+      assigned_contact_id INTEGER REFERENCES contacts(id) ON DELETE SET NULL,
+      resolved_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      intake_id INTEGER,
+      received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      resolved_at TIMESTAMP
+    )
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS webhook_deliveries (
+      id SERIAL PRIMARY KEY,
+      source VARCHAR(30) NOT NULL,
+      idempotency_key VARCHAR(255) NOT NULL,
+      intake_id INTEGER,
+      unmatched_intake_id INTEGER REFERENCES unmatched_intakes(id) ON DELETE SET NULL,
+      received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (source, idempotency_key)
+    )
+  `);
+};
+
+exports.down = async (client) => {
+  await client.query(`
+    DROP TABLE IF EXISTS
+      webhook_deliveries, unmatched_intakes, revoked_tokens, refresh_tokens,
+      password_reset_tokens, jobs, intake_responses, call_log, temp_calls,
+      sms_log, sms_messages, contacts, relationships, users
+  `);
+};
@@ -0,0 +1,18 @@
+// intake_responses.phone_number and updated_at are written by /receive-data and
+// the transcript parser but were never part of the schema.
+
+exports.up = async (client) => {
+  await client.query(`
+    ALTER TABLE intake_responses
+    ADD COLUMN IF NOT EXISTS phone_number VARCHAR(20),
+    ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP
+  `);
+};
+
+exports.down = async (client) => {
+  await client.query(`
+    ALTER TABLE intake_responses
+    DROP COLUMN IF EXISTS phone_number,
+    DROP COLUMN IF EXISTS updated_at
+  `);
+};
@@ -0,0 +1,24 @@
+// Voicemails recorded by /voice when the ElevenLabs agent is unavailable or the
+// caller is not allowed to reach it.
+
+exports.up = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS voicemails (
+      id SERIAL PRIMARY KEY,
+      call_sid VARCHAR(50) NOT NULL,
+      phone_number VARCHAR(20),
+      contact_id INTEGER REFERENCES contacts(id) ON DELETE SET NULL,
+      user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+      recording_sid VARCHAR(50),
+      recording_url TEXT,
+      duration_seconds INTEGER,
+      reason VARCHAR(30) NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await client.query('CREATE INDEX IF NOT EXISTS voicemails_user_id_idx ON voicemails (user_id)');
+};
+
+exports.down = async (client) => {
+  await client.query('DROP TABLE IF EXISTS voicemails');
+};
@@ -0,0 +1,48 @@
+// Per-user intake questionnaire templates, assignable per contact. Intake
+// responses keep a snapshot of the fields they were collected with so a
+// re-parse uses the same schema even after the template changes, and the
+// parsed answers of every field (not only the four legacy columns).
+
+exports.up = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS questionnaire_templates (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      name VARCHAR(100) NOT NULL,
+      greeting TEXT NOT NULL,
+      closing TEXT NOT NULL,
+      follow_up_rules TEXT NOT NULL,
+      questions JSONB NOT NULL,
+      is_default BOOLEAN NOT NULL DEFAULT false,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await client.query(`
+    CREATE UNIQUE INDEX IF NOT EXISTS questionnaire_templates_one_default_idx
+    ON questionnaire_templates (user_id) WHERE is_default
+  `);
+
+  await client.query(`
+    ALTER TABLE contacts
+    ADD COLUMN IF NOT EXISTS questionnaire_template_id INTEGER REFERENCES questionnaire_templates(id) ON DELETE SET NULL
+  `);
+
+  await client.query(`
+    ALTER TABLE intake_responses
+    ADD COLUMN IF NOT EXISTS questionnaire_template_id INTEGER REFERENCES questionnaire_templates(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS questionnaire_fields JSONB,
+    ADD COLUMN IF NOT EXISTS parsed_fields JSONB
+  `);
+};
+
+exports.down = async (client) => {
+  await client.query(`
+    ALTER TABLE intake_responses
+    DROP COLUMN IF EXISTS questionnaire_template_id,
+    DROP COLUMN IF EXISTS questionnaire_fields,
+    DROP COLUMN IF EXISTS parsed_fields
+  `);
+  await client.query('ALTER TABLE contacts DROP COLUMN IF EXISTS questionnaire_template_id');
+  await client.query('DROP TABLE IF EXISTS questionnaire_templates');
+};
@@ -0,0 +1,59 @@
+// One row per answered questionnaire field, replacing intake_responses.parsed_fields.
+// The legacy answer columns on intake_responses stay and are still written.
+
+const LEGACY_FIELDS = ['communication_style', 'professional_goals', 'values', 'partnership_expectations'];
+
+exports.up = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS intake_answers (
+      id SERIAL PRIMARY KEY,
+      intake_id INTEGER NOT NULL REFERENCES intake_responses(id) ON DELETE CASCADE,
+      field_key VARCHAR(50) NOT NULL,
+      answer TEXT NOT NULL,
+      confidence REAL,
+      source_excerpt TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (intake_id, field_key)
+    )
+  `);
+
+  // Parsed answers first, they carry confidence and excerpts
+  await client.query(`
+    INSERT INTO intake_answers (intake_id, field_key, answer, confidence, source_excerpt)
+    SELECT ir.id, field.key, field.value->>'answer', (field.value->>'confidence')::REAL, field.value->>'excerpt'
+    FROM intake_responses ir, jsonb_each(ir.parsed_fields) AS field
+    WHERE ir.parsed_fields IS NOT NULL AND field.value->>'answer' IS NOT NULL
+    ON CONFLICT (intake_id, field_key) DO NOTHING
+  `);
+
+  // Then whatever is in the legacy columns of intakes that were never parsed
+  for (const field of LEGACY_FIELDS) {
+    await client.query(`
+      INSERT INTO intake_answers (intake_id, field_key, answer)
+      SELECT id, $1, ${field}
+      FROM intake_responses
+      WHERE ${field} IS NOT NULL AND ${field} <> '' AND ${field} <> 'Not provided'
+      ON CONFLICT (intake_id, field_key) DO NOTHING
+    `, [field]);
+  }
+
+  await client.query('ALTER TABLE intake_responses DROP COLUMN IF EXISTS parsed_fields');
+};
+
+exports.down = async (client) => {
+  await client.query('ALTER TABLE intake_responses ADD COLUMN IF NOT EXISTS parsed_fields JSONB');
+  await client.query(`
+    UPDATE intake_responses ir
+    SET parsed_fields = answers.fields
+    FROM (
+      SELECT intake_id, jsonb_object_agg(field_key, jsonb_build_object(
+        'answer', answer, 'confidence', COALESCE(confidence, 0), 'excerpt', source_excerpt
+      )) AS fields
+      FROM intake_answers
+      GROUP BY intake_id
+    ) answers
+    WHERE answers.intake_id = ir.id
+  `);
+  await client.query('DROP TABLE IF EXISTS intake_answers');
+};
@@ -0,0 +1,29 @@
+// Contact approval: contacts.is_approved is now enforced on calls. Every contact
+// that exists already could reach the agent before, so they start out approved.
+
+exports.up = async (client) => {
+  await client.query(`
+    ALTER TABLE contacts
+    ADD COLUMN IF NOT EXISTS approved_at TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS invite_code_hash VARCHAR(64),
+    ADD COLUMN IF NOT EXISTS invite_code_expires_at TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS invite_code_attempts INTEGER NOT NULL DEFAULT 0
+  `);
+  await client.query(`
+    UPDATE contacts
+    SET is_approved = true, approved_at = COALESCE(approved_at, created_at, NOW())
+    WHERE is_approved IS NOT TRUE
+  `);
+  await client.query('ALTER TABLE contacts ALTER COLUMN is_approved SET NOT NULL');
+};
+
+exports.down = async (client) => {
+  await client.query('ALTER TABLE contacts ALTER COLUMN is_approved DROP NOT NULL');
+  await client.query(`
+    ALTER TABLE contacts
+    DROP COLUMN IF EXISTS approved_at,
+    DROP COLUMN IF EXISTS invite_code_hash,
+    DROP COLUMN IF EXISTS invite_code_expires_at,
+    DROP COLUMN IF EXISTS invite_code_attempts
+  `);
+};
@@ -0,0 +1,43 @@
+// Contacts are unique per user instead of globally, so several users can add the
+// same person. Calls record which user's contact they were routed to.
+
+exports.up = async (client) => {
+  await client.query('ALTER TABLE contacts DROP CONSTRAINT IF EXISTS contacts_phone_number_key');
+  await client.query(`
+    ALTER TABLE contacts
+    ADD COLUMN IF NOT EXISTS last_invited_at TIMESTAMP
+  `);
+  await client.query(`
+    CREATE UNIQUE INDEX IF NOT EXISTS contacts_user_phone_number_key
+    ON contacts (user_id, phone_number)
+  `);
+  await client.query('CREATE INDEX IF NOT EXISTS contacts_phone_number_idx ON contacts (phone_number)');
+
+  // Contacts were invited by SMS when they were added
+  await client.query('UPDATE contacts SET last_invited_at = created_at WHERE last_invited_at IS NULL');
+
+  for (const table of ['temp_calls', 'call_log']) {
+    await client.query(`
+      ALTER TABLE ${table}
+      ADD COLUMN IF NOT EXISTS contact_id INTEGER REFERENCES contacts(id) ON DELETE SET NULL,
+      ADD COLUMN IF NOT EXISTS user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      ADD COLUMN IF NOT EXISTS route_reason VARCHAR(50)
+    `);
+  }
+};
+
+exports.down = async (client) => {
+  for (const table of ['temp_calls', 'call_log']) {
+    await client.query(`
+      ALTER TABLE ${table}
+      DROP COLUMN IF EXISTS contact_id,
+      DROP COLUMN IF EXISTS user_id,
+      DROP COLUMN IF EXISTS route_reason
+    `);
+  }
+  await client.query('DROP INDEX IF EXISTS contacts_phone_number_idx');
+  await client.query('DROP INDEX IF EXISTS contacts_user_phone_number_key');
+  await client.query('ALTER TABLE contacts DROP COLUMN IF EXISTS last_invited_at');
+  // Fails if several users share a phone number - those contacts have to be merged first
+  await client.query('ALTER TABLE contacts ADD CONSTRAINT contacts_phone_number_key UNIQUE (phone_number)');
+};
@@ -0,0 +1,35 @@
+// User profiles: the name contacts know the user by and the Twilio number that
+// sends their SMS and receives their contacts' calls.
+
+exports.up = async (client) => {
+  await client.query(`
+    ALTER TABLE users
+    ADD COLUMN IF NOT EXISTS display_name VARCHAR(100),
+    ADD COLUMN IF NOT EXISTS twilio_phone_number VARCHAR(15)
+  `);
+  await client.query(`
+    CREATE UNIQUE INDEX IF NOT EXISTS users_twilio_phone_number_key
+    ON users (twilio_phone_number) WHERE twilio_phone_number IS NOT NULL
+  `);
+
+  // Templates saved with the old built-in greeting introduced every user as "Chase"
+  await client.query(`
+    UPDATE questionnaire_templates
+    SET greeting = REPLACE(greeting, 'Chase asked me', '{{owner_name}} asked me')
+    WHERE greeting LIKE '%Chase asked me%'
+  `);
+};
+
+exports.down = async (client) => {
+  await client.query(`
+    UPDATE questionnaire_templates
+    SET greeting = REPLACE(greeting, '{{owner_name}}', 'Chase')
+    WHERE greeting LIKE '%{{owner_name}}%'
+  `);
+  await client.query('DROP INDEX IF EXISTS users_twilio_phone_number_key');
+  await client.query(`
+    ALTER TABLE users
+    DROP COLUMN IF EXISTS display_name,
+    DROP COLUMN IF EXISTS twilio_phone_number
+  `);
+};
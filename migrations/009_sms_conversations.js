@@ -0,0 +1,36 @@
+// Two-way SMS: inbound messages are stored in sms_messages next to the outbound
+// ones, and contacts record SMS opt-outs and callback requests.
+
+exports.up = async (client) => {
+  await client.query(`
+    ALTER TABLE sms_messages
+    ADD COLUMN IF NOT EXISTS direction VARCHAR(10) NOT NULL DEFAULT 'outbound',
+    ADD COLUMN IF NOT EXISTS from_number VARCHAR(20),
+    ADD COLUMN IF NOT EXISTS to_number VARCHAR(20),
+    ADD COLUMN IF NOT EXISTS keyword VARCHAR(20)
+  `);
+  await client.query('CREATE INDEX IF NOT EXISTS sms_messages_contact_idx ON sms_messages (contact_id, sent_at)');
+
+  await client.query(`
+    ALTER TABLE contacts
+    ADD COLUMN IF NOT EXISTS sms_opted_out_at TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS callback_requested_at TIMESTAMP
+  `);
+};
+
+exports.down = async (client) => {
+  await client.query(`
+    ALTER TABLE contacts
+    DROP COLUMN IF EXISTS sms_opted_out_at,
+    DROP COLUMN IF EXISTS callback_requested_at
+  `);
+  await client.query('DROP INDEX IF EXISTS sms_messages_contact_idx');
+  await client.query("DELETE FROM sms_messages WHERE direction = 'inbound'");
+  await client.query(`
+    ALTER TABLE sms_messages
+    DROP COLUMN IF EXISTS direction,
+    DROP COLUMN IF EXISTS from_number,
+    DROP COLUMN IF EXISTS to_number,
+    DROP COLUMN IF EXISTS keyword
+  `);
+};
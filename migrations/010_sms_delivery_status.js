@@ -0,0 +1,43 @@
+// SMS delivery tracking: Twilio status callbacks update the status of each sent message.
+
+exports.up = async (client) => {
+  await client.query(`
+    ALTER TABLE sms_messages
+    ADD COLUMN IF NOT EXISTS message_type VARCHAR(30),
+    ADD COLUMN IF NOT EXISTS status VARCHAR(20),
+    ADD COLUMN IF NOT EXISTS error_code INTEGER,
+    ADD COLUMN IF NOT EXISTS error_message TEXT,
+    ADD COLUMN IF NOT EXISTS status_updated_at TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS delivered_at TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS failed_at TIMESTAMP
+  `);
+  await client.query('CREATE INDEX IF NOT EXISTS sms_messages_twilio_sid_idx ON sms_messages (twilio_sid)');
+
+  // Earlier intake invitations were logged with this prefix
+  await client.query(`
+    UPDATE sms_messages SET message_type = 'intake_invitation'
+    WHERE message_type IS NULL AND message LIKE 'Intake invitation:%'
+  `);
+  await client.query(`
+    UPDATE sms_messages SET message_type = 'keyword_reply'
+    WHERE message_type IS NULL AND direction = 'outbound' AND keyword IS NOT NULL
+  `);
+  await client.query(`
+    UPDATE sms_messages SET message_type = 'inbound', status = 'received'
+    WHERE direction = 'inbound' AND status IS NULL
+  `);
+};
+
+exports.down = async (client) => {
+  await client.query('DROP INDEX IF EXISTS sms_messages_twilio_sid_idx');
+  await client.query(`
+    ALTER TABLE sms_messages
+    DROP COLUMN IF EXISTS message_type,
+    DROP COLUMN IF EXISTS status,
+    DROP COLUMN IF EXISTS error_code,
+    DROP COLUMN IF EXISTS error_message,
+    DROP COLUMN IF EXISTS status_updated_at,
+    DROP COLUMN IF EXISTS delivered_at,
+    DROP COLUMN IF EXISTS failed_at
+  `);
+};
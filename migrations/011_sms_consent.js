@@ -0,0 +1,60 @@
+// SMS consent registry: one consent status per phone number (shared by every contact
+// with that number) plus an audit trail of every change. Replaces contacts.sms_opted_out_at.
+// Contacts also get a timezone for quiet hours.
+
+exports.up = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS sms_consent (
+      phone_number VARCHAR(20) PRIMARY KEY,
+      status VARCHAR(20) NOT NULL,
+      source VARCHAR(30) NOT NULL,
+      updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+    )
+  `);
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS sms_consent_events (
+      id SERIAL PRIMARY KEY,
+      phone_number VARCHAR(20) NOT NULL,
+      status VARCHAR(20) NOT NULL,
+      previous_status VARCHAR(20),
+      source VARCHAR(30) NOT NULL,
+      keyword VARCHAR(20),
+      user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      contact_id INTEGER REFERENCES contacts(id) ON DELETE SET NULL,
+      twilio_sid VARCHAR(64),
+      note TEXT,
+      created_at TIMESTAMP NOT NULL DEFAULT NOW()
+    )
+  `);
+  await client.query('CREATE INDEX IF NOT EXISTS sms_consent_events_phone_idx ON sms_consent_events (phone_number, created_at)');
+
+  await client.query('ALTER TABLE contacts ADD COLUMN IF NOT EXISTS timezone VARCHAR(64)');
+
+  // Carry over the opt-outs recorded on contacts
+  await client.query(`
+    INSERT INTO sms_consent (phone_number, status, source, updated_at)
+    SELECT phone_number, 'opted_out', 'keyword', MAX(sms_opted_out_at)
+    FROM contacts
+    WHERE sms_opted_out_at IS NOT NULL
+    GROUP BY phone_number
+    ON CONFLICT (phone_number) DO NOTHING
+  `);
+  await client.query(`
+    INSERT INTO sms_consent_events (phone_number, status, source, note, created_at)
+    SELECT phone_number, status, 'migration', 'Opt-out recorded before the consent registry', updated_at
+    FROM sms_consent
+  `);
+  await client.query('ALTER TABLE contacts DROP COLUMN IF EXISTS sms_opted_out_at');
+};
+
+exports.down = async (client) => {
+  await client.query('ALTER TABLE contacts ADD COLUMN IF NOT EXISTS sms_opted_out_at TIMESTAMP');
+  await client.query(`
+    UPDATE contacts c SET sms_opted_out_at = sc.updated_at
+    FROM sms_consent sc
+    WHERE sc.phone_number = c.phone_number AND sc.status = 'opted_out'
+  `);
+  await client.query('ALTER TABLE contacts DROP COLUMN IF EXISTS timezone');
+  await client.query('DROP TABLE IF EXISTS sms_consent_events');
+  await client.query('DROP TABLE IF EXISTS sms_consent');
+};
@@ -0,0 +1,26 @@
+// Intake reminders: texts sent a few days after an invitation to contacts who
+// haven't called in yet. Each reminder is sent by a send_intake_reminder job.
+
+exports.up = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS intake_reminders (
+      id SERIAL PRIMARY KEY,
+      contact_id INTEGER NOT NULL REFERENCES contacts(id) ON DELETE CASCADE,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      step INTEGER NOT NULL,
+      scheduled_for TIMESTAMP NOT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'scheduled',
+      status_reason TEXT,
+      job_id INTEGER REFERENCES jobs(id) ON DELETE SET NULL,
+      sms_message_id INTEGER REFERENCES sms_messages(id) ON DELETE SET NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+    )
+  `);
+  await client.query('CREATE INDEX IF NOT EXISTS intake_reminders_contact_idx ON intake_reminders (contact_id, status)');
+};
+
+exports.down = async (client) => {
+  await client.query("DELETE FROM jobs WHERE type = 'send_intake_reminder'");
+  await client.query('DROP TABLE IF EXISTS intake_reminders');
+};
@@ -0,0 +1,36 @@
+// Relationship check-ins: the relationships table links a user (user1_id) to one of
+// their contacts, with how often they want to check in and when they last did.
+// user2_id and compatibility_score are left as they are.
+
+exports.up = async (client) => {
+  await client.query(`
+    ALTER TABLE relationships
+    ADD COLUMN IF NOT EXISTS contact_id INTEGER REFERENCES contacts(id) ON DELETE CASCADE,
+    ADD COLUMN IF NOT EXISTS cadence_source VARCHAR(20),
+    ADD COLUMN IF NOT EXISTS last_check_in_at TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS next_check_in_at TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS created_at TIMESTAMP DEFAULT NOW(),
+    ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT NOW()
+  `);
+  await client.query(`
+    CREATE UNIQUE INDEX IF NOT EXISTS relationships_user_contact_key
+    ON relationships (user1_id, contact_id) WHERE contact_id IS NOT NULL
+  `);
+  await client.query('CREATE INDEX IF NOT EXISTS relationships_next_check_in_idx ON relationships (user1_id, next_check_in_at)');
+};
+
+exports.down = async (client) => {
+  await client.query("DELETE FROM jobs WHERE type = 'compute_relationship_check_ins'");
+  await client.query('DELETE FROM relationships WHERE contact_id IS NOT NULL');
+  await client.query('DROP INDEX IF EXISTS relationships_next_check_in_idx');
+  await client.query('DROP INDEX IF EXISTS relationships_user_contact_key');
+  await client.query(`
+    ALTER TABLE relationships
+    DROP COLUMN IF EXISTS contact_id,
+    DROP COLUMN IF EXISTS cadence_source,
+    DROP COLUMN IF EXISTS last_check_in_at,
+    DROP COLUMN IF EXISTS next_check_in_at,
+    DROP COLUMN IF EXISTS created_at,
+    DROP COLUMN IF EXISTS updated_at
+  `);
+};
@@ -0,0 +1,67 @@
+// Outbound call campaigns: the contacts a user asked the agent to call, with the
+// campaign's concurrency and retry settings. call_log records outbound calls too,
+// with their direction, campaign attempt and outcome.
+
+exports.up = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS call_campaigns (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      name VARCHAR(100) NOT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'active',
+      max_concurrent_calls INTEGER NOT NULL DEFAULT 2,
+      max_attempts INTEGER NOT NULL DEFAULT 3,
+      retry_delay_minutes INTEGER NOT NULL DEFAULT 60,
+      created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      completed_at TIMESTAMP
+    )
+  `);
+  await client.query('CREATE INDEX IF NOT EXISTS call_campaigns_user_idx ON call_campaigns (user_id, created_at)');
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS campaign_calls (
+      id SERIAL PRIMARY KEY,
+      campaign_id INTEGER NOT NULL REFERENCES call_campaigns(id) ON DELETE CASCADE,
+      contact_id INTEGER NOT NULL REFERENCES contacts(id) ON DELETE CASCADE,
+      status VARCHAR(20) NOT NULL DEFAULT 'pending',
+      attempts INTEGER NOT NULL DEFAULT 0,
+      next_attempt_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      last_call_sid VARCHAR(50),
+      outcome VARCHAR(30),
+      error_message TEXT,
+      created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      UNIQUE (campaign_id, contact_id)
+    )
+  `);
+  await client.query('CREATE INDEX IF NOT EXISTS campaign_calls_due_idx ON campaign_calls (campaign_id, status, next_attempt_at)');
+
+  await client.query(`
+    ALTER TABLE call_log
+    ADD COLUMN IF NOT EXISTS direction VARCHAR(10) NOT NULL DEFAULT 'inbound',
+    ADD COLUMN IF NOT EXISTS campaign_call_id INTEGER REFERENCES campaign_calls(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS attempt INTEGER,
+    ADD COLUMN IF NOT EXISTS outcome VARCHAR(30),
+    ADD COLUMN IF NOT EXISTS duration_seconds INTEGER,
+    ADD COLUMN IF NOT EXISTS answered_at TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS ended_at TIMESTAMP
+  `);
+};
+
+exports.down = async (client) => {
+  await client.query("DELETE FROM jobs WHERE type = 'dial_campaign'");
+  await client.query("DELETE FROM call_log WHERE direction = 'outbound'");
+  await client.query(`
+    ALTER TABLE call_log
+    DROP COLUMN IF EXISTS direction,
+    DROP COLUMN IF EXISTS campaign_call_id,
+    DROP COLUMN IF EXISTS attempt,
+    DROP COLUMN IF EXISTS outcome,
+    DROP COLUMN IF EXISTS duration_seconds,
+    DROP COLUMN IF EXISTS answered_at,
+    DROP COLUMN IF EXISTS ended_at
+  `);
+  await client.query('DROP TABLE IF EXISTS campaign_calls');
+  await client.query('DROP TABLE IF EXISTS call_campaigns');
+};
@@ -0,0 +1,62 @@
+// Call lifecycle: call_log.status becomes a state machine (see services/callLogService.js)
+// instead of a free-form string. The old statuses are mapped to states, keeping what
+// they said in status_reason; outcome (Twilio's final call status) becomes end_reason.
+
+const CALL_STATUSES = ['ringing', 'in-progress', 'agent-connected', 'completed', 'failed', 'no-intake'];
+
+exports.up = async (client) => {
+  await client.query('ALTER TABLE call_log RENAME COLUMN outcome TO end_reason');
+  await client.query(`
+    ALTER TABLE call_log
+    ADD COLUMN IF NOT EXISTS status_reason VARCHAR(50),
+    ADD COLUMN IF NOT EXISTS status_updated_at TIMESTAMP
+  `);
+
+  await client.query(`
+    UPDATE call_log
+    SET status_reason = CASE WHEN status IN ('voicemail', 'rejected', 'awaiting_invite_code', 'unauthorized', 'intake_received')
+                             THEN status END,
+        status = CASE
+          WHEN status = 'intake_received' THEN 'completed'
+          WHEN status IN ('agent_connected', 'existing_contact', 'unauthorized') THEN 'agent-connected'
+          WHEN status IN ('voicemail', 'rejected', 'awaiting_invite_code') THEN 'in-progress'
+          WHEN end_reason IN ('busy', 'no-answer', 'failed', 'canceled') THEN 'failed'
+          ELSE 'ringing'
+        END,
+        status_updated_at = COALESCE(ended_at, created_at)
+  `);
+  // Calls from before yesterday are over, whether or not Twilio said so
+  await client.query(`
+    UPDATE call_log
+    SET status = CASE WHEN status = 'agent-connected' THEN 'no-intake' ELSE 'completed' END
+    WHERE status IN ('ringing', 'in-progress', 'agent-connected') AND created_at < NOW() - INTERVAL '1 day'
+  `);
+
+  await client.query("ALTER TABLE call_log ALTER COLUMN status SET DEFAULT 'ringing'");
+  await client.query('ALTER TABLE call_log DROP CONSTRAINT IF EXISTS call_log_status_check');
+  await client.query(`
+    ALTER TABLE call_log ADD CONSTRAINT call_log_status_check
+    CHECK (status IN (${CALL_STATUSES.map(status => `'${status}'`).join(', ')}))
+  `);
+  await client.query('CREATE INDEX IF NOT EXISTS call_log_user_created_idx ON call_log (user_id, created_at)');
+};
+
+exports.down = async (client) => {
+  await client.query('DROP INDEX IF EXISTS call_log_user_created_idx');
+  await client.query('ALTER TABLE call_log DROP CONSTRAINT IF EXISTS call_log_status_check');
+  await client.query("ALTER TABLE call_log ALTER COLUMN status SET DEFAULT 'pending'");
+  await client.query(`
+    UPDATE call_log
+    SET status = CASE
+      WHEN status_reason IS NOT NULL THEN status_reason
+      WHEN status IN ('agent-connected', 'no-intake') THEN 'agent_connected'
+      ELSE 'initiated'
+    END
+  `);
+  await client.query(`
+    ALTER TABLE call_log
+    DROP COLUMN IF EXISTS status_reason,
+    DROP COLUMN IF EXISTS status_updated_at
+  `);
+  await client.query('ALTER TABLE call_log RENAME COLUMN end_reason TO outcome');
+};
@@ -0,0 +1,27 @@
+// Contact archiving and data erasure: contacts.archived_at hides a contact without
+// deleting anything, and data_erasures records every erasure (who asked, why, how
+// many rows went from which table) without keeping the erased phone number itself.
+
+exports.up = async (client) => {
+  await client.query('ALTER TABLE contacts ADD COLUMN IF NOT EXISTS archived_at TIMESTAMP');
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS data_erasures (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      scope VARCHAR(20) NOT NULL,
+      phone_number_hash VARCHAR(64) NOT NULL,
+      contact_ids INTEGER[] NOT NULL DEFAULT '{}',
+      reason TEXT,
+      deleted_rows JSONB NOT NULL DEFAULT '{}',
+      created_at TIMESTAMP NOT NULL DEFAULT NOW()
+    )
+  `);
+  await client.query('CREATE INDEX IF NOT EXISTS data_erasures_user_idx ON data_erasures (user_id, created_at)');
+  await client.query('CREATE INDEX IF NOT EXISTS data_erasures_phone_idx ON data_erasures (phone_number_hash)');
+};
+
+exports.down = async (client) => {
+  await client.query('DROP TABLE IF EXISTS data_erasures');
+  await client.query('ALTER TABLE contacts DROP COLUMN IF EXISTS archived_at');
+};
@@ -0,0 +1,180 @@
+// Phone numbers in E.164: users get a default_country, which numbers they type without a
+// country code are read in, and every stored number is brought to E.164 so contacts,
+// calls, texts and intakes match on it. Existing numbers are read in
+// DEFAULT_PHONE_COUNTRY (US unless set), as no user has a country yet.
+//
+// Collisions are reported, not resolved:
+//   - a contact whose E.164 number another contact of the same user already has keeps
+//     its old number (merge or delete one of the two by hand), and so does a user whose
+//     E.164 Twilio number another user has
+//   - SMS consent for two spellings of one number is merged, the most recent status wins
+// Values that aren't valid numbers ('anonymous' callers, typos) are left as they are.
+//
+// Columns shorter than the longest E.164 number are widened. down only drops
+// default_country: the numbers stay in E.164 and the columns stay wide.
+
+const phoneNumberService = require('../services/phoneNumberService');
+
+// Columns without a uniqueness constraint: every row with a number is updated
+const PHONE_NUMBER_COLUMNS = [
+  ['intake_responses', 'phone_number'],
+  ['call_log', 'phone_number'],
+  ['temp_calls', 'phone_number'],
+  ['voicemails', 'phone_number'],
+  ['sms_messages', 'from_number'],
+  ['sms_messages', 'to_number'],
+  ['sms_consent_events', 'phone_number'],
+  ['unmatched_intakes', 'caller_id']
+];
+const NARROW_COLUMNS = [
+  ['contacts', 'phone_number'],
+  ['call_log', 'phone_number'],
+  ['temp_calls', 'phone_number'],
+  ['users', 'twilio_phone_number']
+];
+
+/**
+ * Brings the numbers of a column to E.164
+ * @param {Object} client - PostgreSQL client (inside the migration's transaction)
+ * @param {string} table - Table name
+ * @param {string} column - Column name
+ * @param {string} country - Country of numbers without a country code
+ * @param {Array<string>} invalid - Collects the values that aren't numbers
+ * @returns {Promise<number>} - Rows updated
+ */
+async function canonicalizeColumn(client, table, column, country, invalid) {
+  const result = await client.query(`SELECT DISTINCT ${column} AS value FROM ${table} WHERE ${column} IS NOT NULL`);
+  let updated = 0;
+  for (const { value } of result.rows) {
+    const phoneNumber = phoneNumberService.normalizePhoneNumber(value, country);
+    if (!phoneNumber) {
+      invalid.push(value);
+    } else if (phoneNumber !== value) {
+      const update = await client.query(`UPDATE ${table} SET ${column} = $1 WHERE ${column} = $2`, [phoneNumber, value]);
+      updated += update.rowCount;
+    }
+  }
+  return updated;
+}
+
+/**
+ * Brings the numbers of a column with a uniqueness constraint to E.164, row by row,
+ * leaving rows whose number is taken unchanged
+ * @param {Object} client - PostgreSQL client
+ * @param {Object} spec - { table, column, scope }: scope is the column numbers are unique within, if any
+ * @param {string} country - Country of numbers without a country code
+ * @param {Array<string>} invalid - Collects the values that aren't numbers
+ * @param {Array<string>} collisions - Collects a description of every collision
+ * @returns {Promise<number>} - Rows updated
+ */
+async function canonicalizeUniqueColumn(client, { table, column, scope }, country, invalid, collisions) {
+  const scopeColumn = scope ? `, ${scope} AS scope` : '';
+  const result = await client.query(`SELECT id, ${column} AS value${scopeColumn} FROM ${table} WHERE ${column} IS NOT NULL ORDER BY id`);
+  const owners = new Map(result.rows.map(row => [`${row.scope}:${row.value}`, row.id]));
+
+  let updated = 0;
+  for (const row of result.rows) {
+    const phoneNumber = phoneNumberService.normalizePhoneNumber(row.value, country);
+    if (!phoneNumber) {
+      invalid.push(row.value);
+      continue;
+    }
+    if (phoneNumber === row.value) continue;
+
+    const key = `${row.scope}:${phoneNumber}`;
+    if (owners.has(key)) {
+      collisions.push(`${table} ${row.id} (${row.value}) is ${phoneNumber}, like ${table} ${owners.get(key)}${scope ? ` (same ${scope})` : ''} - left unchanged`);
+      continue;
+    }
+    await client.query(`UPDATE ${table} SET ${column} = $1 WHERE id = $2`, [phoneNumber, row.id]);
+    owners.delete(`${row.scope}:${row.value}`);
+    owners.set(key, row.id);
+    updated++;
+  }
+  return updated;
+}
+
+/**
+ * Brings the SMS consent registry to E.164, merging the statuses of numbers that turn
+ * out to be the same (the most recent one wins)
+ * @param {Object} client - PostgreSQL client
+ * @param {string} country - Country of numbers without a country code
+ * @param {Array<string>} invalid - Collects the values that aren't numbers
+ * @param {Array<string>} collisions - Collects a description of every merge that changed a status
+ * @returns {Promise<number>} - Rows updated or merged away
+ */
+async function canonicalizeSmsConsent(client, country, invalid, collisions) {
+  const result = await client.query('SELECT phone_number, status FROM sms_consent ORDER BY updated_at DESC, phone_number');
+  const groups = new Map();
+  for (const row of result.rows) {
+    const phoneNumber = phoneNumberService.normalizePhoneNumber(row.phone_number, country);
+    if (!phoneNumber) {
+      invalid.push(row.phone_number);
+      continue;
+    }
+    if (!groups.has(phoneNumber)) groups.set(phoneNumber, []);
+    groups.get(phoneNumber).push(row);
+  }
+
+  let updated = 0;
+  for (const [phoneNumber, [latest, ...older]] of groups) {
+    if (older.length > 0) {
+      await client.query('DELETE FROM sms_consent WHERE phone_number = ANY($1::VARCHAR[])', [older.map(row => row.phone_number)]);
+      updated += older.length;
+      if (older.some(row => row.status !== latest.status)) {
+        collisions.push(`sms_consent for ${phoneNumber}: kept the latest status '${latest.status}' of ${latest.phone_number}, dropped ${older.map(row => `'${row.status}' of ${row.phone_number}`).join(', ')}`);
+      }
+    }
+    if (latest.phone_number !== phoneNumber) {
+      await client.query('UPDATE sms_consent SET phone_number = $1 WHERE phone_number = $2', [phoneNumber, latest.phone_number]);
+      updated++;
+    }
+  }
+  return updated;
+}
+
+exports.up = async (client) => {
+  await client.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS default_country VARCHAR(2)');
+  for (const [table, column] of NARROW_COLUMNS) {
+    await client.query(`ALTER TABLE ${table} ALTER COLUMN ${column} TYPE VARCHAR(20)`);
+  }
+
+  const country = phoneNumberService.getDefaultCountry();
+  const collisions = [];
+  const report = [];
+
+  const uniqueColumns = [
+    { table: 'contacts', column: 'phone_number', scope: 'user_id' },
+    { table: 'users', column: 'twilio_phone_number' }
+  ];
+  for (const spec of uniqueColumns) {
+    const invalid = [];
+    const updated = await canonicalizeUniqueColumn(client, spec, country, invalid, collisions);
+    report.push({ column: `${spec.table}.${spec.column}`, updated, invalid });
+  }
+  for (const [table, column] of PHONE_NUMBER_COLUMNS) {
+    const invalid = [];
+    const updated = await canonicalizeColumn(client, table, column, country, invalid);
+    report.push({ column: `${table}.${column}`, updated, invalid });
+  }
+  const invalidConsent = [];
+  const consentUpdated = await canonicalizeSmsConsent(client, country, invalidConsent, collisions);
+  report.push({ column: 'sms_consent.phone_number', updated: consentUpdated, invalid: invalidConsent });
+
+  for (const { column, updated, invalid } of report) {
+    if (updated > 0) {
+      console.log(`Phone numbers: ${updated} rows of ${column} brought to E.164 (read in ${country})`);
+    }
+    if (invalid.length > 0) {
+      const examples = invalid.slice(0, 3).map(value => `'${value}'`).join(', ');
+      console.warn(`Phone numbers: ${invalid.length} values of ${column} aren't valid numbers and were left as they are (e.g. ${examples})`);
+    }
+  }
+  for (const collision of collisions) {
+    console.warn(`Phone number collision: ${collision}`);
+  }
+};
+
+exports.down = async (client) => {
+  await client.query('ALTER TABLE users DROP COLUMN IF EXISTS default_country');
+};
@@ -0,0 +1,26 @@
+// Unmatched intakes get an owner: the user the call was routed to (a call to their own
+// Twilio number), or the only user who has the caller as an archived contact. Only the
+// owner sees, assigns and discards the intake. Intakes nobody can be worked out for
+// (a stranger calling the shared number) have no owner, so nobody can act on them: the
+// hourly cleanup deletes them after UNOWNED_INTAKE_RETENTION_DAYS (7 by default).
+// Existing intakes take the owner of their call in call_log; the others are unowned too.
+
+exports.up = async (client) => {
+  await client.query(`
+    ALTER TABLE unmatched_intakes
+    ADD COLUMN IF NOT EXISTS user_id INTEGER REFERENCES users(id) ON DELETE SET NULL
+  `);
+  await client.query('CREATE INDEX IF NOT EXISTS unmatched_intakes_user_idx ON unmatched_intakes (user_id, status, received_at)');
+
+  await client.query(`
+    UPDATE unmatched_intakes ui
+    SET user_id = cl.user_id
+    FROM call_log cl
+    WHERE cl.call_sid = ui.call_sid AND cl.user_id IS NOT NULL AND ui.user_id IS NULL
+  `);
+};
+
+exports.down = async (client) => {
+  await client.query('DROP INDEX IF EXISTS unmatched_intakes_user_idx');
+  await client.query('ALTER TABLE unmatched_intakes DROP COLUMN IF EXISTS user_id');
+};
@@ -1,12 +1,24 @@
-
 const express = require('express');
 const jwt = require('jsonwebtoken');
 const router = express.Router();
+const { verifyToken } = require('../middleware/auth');
+const passwordService = require('../services/passwordService');
+const notificationService = require('../services/notificationService');
+const dbService = require('../services/dbService');
+const tokenService = require('../services/tokenService');
+const publicUrlService = require('../services/publicUrlService');
+const userProfileService = require('../services/userProfileService');
+
+const RESET_TOKEN_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 60;
 
 // User registration
 router.post('/register', async (req, res) => {
   const { email, password } = req.body;
   if (!email || !password) return res.status(400).json({ error: 'Email and password are required' });
+
+  const passwordError = passwordService.validateNewPassword(password);
+  if (passwordError) return res.status(400).json({ error: passwordError });
+
   try {
     const pool = req.app.get('pool');
     const client = await pool.connect();
@@ -15,7 +27,8 @@ router.post('/register', async (req, res) => {
       client.release();
       return res.status(400).json({ error: 'Email already exists' });
     }
-    await client.query('INSERT INTO users (email, password) VALUES ($1, $2)', [email, password]);
+    const passwordHash = await passwordService.hashPassword(password);
+    await client.query('INSERT INTO users (email, password) VALUES ($1, $2)', [email, passwordHash]);
     client.release();
     res.status(201).json({ message: 'User registered' });
   } catch (error) {
@@ -37,14 +50,25 @@ router.post('/login', async (req, res) => {
 
   try {
     const pool = req.app.get('pool');
-    const client = await pool.connect();
-    const result = await client.query('SELECT * FROM users WHERE email = $1 AND password = $2', [email, password]);
-    client.release();
-    if (result.rows.length === 0) return res.status(401).json({ error: 'Invalid email or password' });
-    const userId = result.rows[0].id;
+    const result = await pool.query('SELECT id, password FROM users WHERE email = $1', [email]);
+    const user = result.rows[0];
+    // Unknown emails go through scrypt too, so the response time doesn't tell them apart
+    const verified = await passwordService.verifyPassword(password, user ? user.password : passwordService.DUMMY_HASH);
+    const valid = Boolean(user) && verified.valid;
+    const needsRehash = valid && verified.needsRehash;
+
+    // Upgrade plaintext (or outdated) passwords transparently on successful login
+    if (valid && needsRehash) {
+      const passwordHash = await passwordService.hashPassword(password);
+      await pool.query('UPDATE users SET password = $1 WHERE id = $2', [passwordHash, user.id]);
+      console.log(`Migrated password storage for user ${user.id}`);
+    }
+
+    if (!valid) return res.status(401).json({ error: 'Invalid email or password' });
+    const userId = user.id;
     try {
-      const token = jwt.sign({ userId }, process.env.JWT_SECRET, { expiresIn: '24h' });
-      res.json({ message: 'Login successful', userId, token });
+      const { token, refreshToken, expiresIn } = await tokenService.issueTokens(pool, userId);
+      res.json({ message: 'Login successful', userId, token, refreshToken, expiresIn });
     } catch (jwtError) {
       console.error('JWT signing error:', jwtError.message);
       res.status(500).json({ error: 'Error creating authentication token' });
@@ -55,4 +79,261 @@ router.post('/login', async (req, res) => {
   }
 });
 
+// Exchange a refresh token for a new access token (the refresh token is rotated)
+router.post('/token/refresh', async (req, res) => {
+  const { refreshToken } = req.body;
+  if (!refreshToken) return res.status(400).json({ error: 'Refresh token is required' });
+
+  try {
+    const pool = req.app.get('pool');
+    const tokens = await tokenService.rotateRefreshToken(pool, refreshToken);
+    if (!tokens) return res.status(401).json({ error: 'Refresh token is invalid or has expired' });
+
+    res.json({
+      userId: tokens.userId,
+      token: tokens.token,
+      refreshToken: tokens.refreshToken,
+      expiresIn: tokens.expiresIn
+    });
+  } catch (error) {
+    console.error('Token refresh error:', error.message);
+    res.status(500).json({ error: 'Server error during token refresh' });
+  }
+});
+
+// Log out: revokes the presented access token and the session's refresh tokens.
+// Works with an expired access token so users can always log out.
+router.post('/logout', async (req, res) => {
+  const { refreshToken, allSessions } = req.body || {};
+  const authHeader = req.headers.authorization;
+
+  try {
+    const pool = req.app.get('pool');
+    let payload = null;
+
+    if (authHeader) {
+      try {
+        payload = jwt.verify(authHeader.split(' ')[1], process.env.JWT_SECRET, { ignoreExpiration: true });
+      } catch (error) {
+        console.log('Logout with invalid access token:', error.message);
+      }
+    }
+
+    if (payload) {
+      await tokenService.revokeAccessToken(pool, payload);
+      if (allSessions) {
+        await tokenService.revokeAllRefreshTokens(pool, payload.userId);
+      }
+    }
+    if (refreshToken) {
+      await tokenService.revokeRefreshToken(pool, refreshToken);
+    }
+
+    res.json({ message: 'Logged out' });
+  } catch (error) {
+    console.error('Logout error:', error.message);
+    res.status(500).json({ error: 'Server error during logout' });
+  }
+});
+
+// Request a password reset link
+// Always responds the same way so the endpoint can't be used to discover accounts
+router.post('/password-reset/request', async (req, res) => {
+  const { email } = req.body;
+  if (!email) return res.status(400).json({ error: 'Email is required' });
+
+  try {
+    const pool = req.app.get('pool');
+    const result = await pool.query('SELECT id, email FROM users WHERE email = $1', [email]);
+    const user = result.rows[0];
+
+    if (user) {
+      // Only the most recent link stays valid
+      await pool.query(
+        'UPDATE password_reset_tokens SET used_at = NOW() WHERE user_id = $1 AND used_at IS NULL',
+        [user.id]
+      );
+
+      const { token, tokenHash } = passwordService.generateToken();
+      await pool.query(
+        `INSERT INTO password_reset_tokens (user_id, token_hash, expires_at)
+         VALUES ($1, $2, NOW() + ($3 || ' minutes')::INTERVAL)`,
+        [user.id, tokenHash, RESET_TOKEN_TTL_MINUTES]
+      );
+
+      const resetUrl = publicUrlService.publicUrl(`/reset-password.html?token=${token}`, req);
+      await notificationService.sendPasswordReset(user, resetUrl, RESET_TOKEN_TTL_MINUTES);
+      console.log(`Password reset requested for user ${user.id}`);
+    } else {
+      console.log('Password reset requested for unknown email');
+    }
+
+    res.json({ message: 'If an account exists for that email, a reset link has been sent' });
+  } catch (error) {
+    console.error('Password reset request error:', error.message);
+    res.status(500).json({ error: 'Server error during password reset request' });
+  }
+});
+
+// Complete a password reset with the emailed token
+router.post('/password-reset/confirm', async (req, res) => {
+  const { token, password } = req.body;
+  if (!token || !password) return res.status(400).json({ error: 'Token and password are required' });
+
+  const passwordError = passwordService.validateNewPassword(password);
+  if (passwordError) return res.status(400).json({ error: passwordError });
+
+  const pool = req.app.get('pool');
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    // Lock the token row so it can only be redeemed once
+    const tokenResult = await client.query(
+      `SELECT id, user_id FROM password_reset_tokens
+       WHERE token_hash = $1 AND used_at IS NULL AND expires_at > NOW()
+       FOR UPDATE`,
+      [passwordService.hashToken(token)]
+    );
+
+    if (tokenResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'Reset link is invalid or has expired' });
+    }
+
+    const { id, user_id } = tokenResult.rows[0];
+    const passwordHash = await passwordService.hashPassword(password);
+    await client.query('UPDATE users SET password = $1 WHERE id = $2', [passwordHash, user_id]);
+    await client.query('UPDATE password_reset_tokens SET used_at = NOW() WHERE id = $1', [id]);
+    // Anyone holding a session for this account is logged out
+    await tokenService.revokeAllRefreshTokens(client, user_id);
+
+    await client.query('COMMIT');
+    console.log(`Password reset completed for user ${user_id}`);
+    res.json({ message: 'Password has been reset' });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Password reset confirm error:', error.message);
+    res.status(500).json({ error: 'Server error during password reset' });
+  } finally {
+    client.release();
+  }
+});
+
+// Change password for the logged-in user
+router.post('/change-password', verifyToken, async (req, res) => {
+  const { current_password, new_password } = req.body;
+  if (!current_password || !new_password) {
+    return res.status(400).json({ error: 'Current password and new password are required' });
+  }
+
+  const passwordError = passwordService.validateNewPassword(new_password);
+  if (passwordError) return res.status(400).json({ error: passwordError });
+
+  try {
+    const pool = req.app.get('pool');
+    const result = await pool.query('SELECT password FROM users WHERE id = $1', [req.userId]);
+    if (result.rows.length === 0) return res.status(404).json({ error: 'User not found' });
+
+    const { valid } = await passwordService.verifyPassword(current_password, result.rows[0].password);
+    if (!valid) return res.status(401).json({ error: 'Current password is incorrect' });
+
+    const passwordHash = await passwordService.hashPassword(new_password);
+    await pool.query('UPDATE users SET password = $1 WHERE id = $2', [passwordHash, req.userId]);
+
+    // End every other session and hand this one a fresh pair of tokens
+    await tokenService.revokeAllRefreshTokens(pool, req.userId);
+    await tokenService.revokeAccessToken(pool, req.tokenPayload);
+    const { token, refreshToken, expiresIn } = await tokenService.issueTokens(pool, req.userId);
+
+    console.log(`Password changed for user ${req.userId}`);
+    res.json({ message: 'Password changed successfully', token, refreshToken, expiresIn });
+  } catch (error) {
+    console.error('Change password error:', error.message);
+    res.status(500).json({ error: 'Server error while changing password' });
+  }
+});
+
+// Get the logged-in user's profile
+router.get('/profile', verifyToken, async (req, res) => {
+  try {
+    const pool = req.app.get('pool');
+    const profile = await userProfileService.getProfile(pool, req.userId);
+    if (!profile) return res.status(404).json({ error: 'User not found' });
+
+    res.json({
+      profile,
+      sender_name: userProfileService.getDisplayName(profile),
+      sender_number: userProfileService.getSenderNumber(profile)
+    });
+  } catch (error) {
+    console.error('Get profile error:', error.message);
+    res.status(500).json({ error: 'Server error while loading profile' });
+  }
+});
+
+// Update display name, Twilio number and/or default country; send null or '' to clear a field
+router.put('/profile', verifyToken, async (req, res) => {
+  const { changes, error } = userProfileService.validateProfileUpdate(req.body || {});
+  if (error) return res.status(400).json({ error });
+
+  const phoneNumber = changes.twilio_phone_number;
+  if (phoneNumber && phoneNumber === process.env.TWILIO_PHONE_NUMBER) {
+    return res.status(400).json({ error: 'The shared TWILIO_PHONE_NUMBER cannot be assigned to a single user' });
+  }
+
+  try {
+    if (phoneNumber && !(await userProfileService.isAccountTwilioNumber(phoneNumber))) {
+      return res.status(400).json({ error: 'That number does not belong to the configured Twilio account' });
+    }
+
+    const pool = req.app.get('pool');
+    const profile = await userProfileService.updateProfile(pool, req.userId, changes);
+    if (!profile) return res.status(404).json({ error: 'User not found' });
+
+    console.log(`Profile updated for user ${req.userId}`);
+    res.json({
+      message: 'Profile updated',
+      profile,
+      sender_name: userProfileService.getDisplayName(profile),
+      sender_number: userProfileService.getSenderNumber(profile)
+    });
+  } catch (err) {
+    if (err.code === '23505') { // Unique violation
+      return res.status(400).json({ error: 'That Twilio number is already assigned to another user' });
+    }
+    console.error('Update profile error:', err.message);
+    res.status(500).json({ error: 'Server error while updating profile' });
+  }
+});
+
+// Delete the logged-in user's account and all of their data
+router.delete('/account', verifyToken, async (req, res) => {
+  const { password } = req.body || {};
+  if (!password) return res.status(400).json({ error: 'Password is required to delete the account' });
+
+  const pool = req.app.get('pool');
+  const client = await pool.connect();
+  try {
+    const result = await client.query('SELECT password FROM users WHERE id = $1', [req.userId]);
+    if (result.rows.length === 0) return res.status(404).json({ error: 'User not found' });
+
+    const { valid } = await passwordService.verifyPassword(password, result.rows[0].password);
+    if (!valid) return res.status(401).json({ error: 'Password is incorrect' });
+
+    await client.query('BEGIN');
+    await dbService.deleteUserAccount(client, req.userId, req.tokenPayload);
+    await client.query('COMMIT');
+
+    console.log(`Account deleted for user ${req.userId}`);
+    res.json({ message: 'Account deleted' });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Delete account error:', error.message);
+    res.status(500).json({ error: 'Server error while deleting account' });
+  } finally {
+    client.release();
+  }
+});
+
 module.exports = router;
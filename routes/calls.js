@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+const { verifyToken } = require('../middleware/auth');
+const callLogService = require('../services/callLogService');
+
+// List the user's calls, newest first. Filters: ?status= (comma-separated, e.g. no-intake),
+// ?direction=, ?contact_id=, ?from= / ?to= (dates), ?limit= / ?offset=
+router.get('/', verifyToken, async (req, res) => {
+  const { filters, error } = callLogService.validateListFilters(req.query);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const pool = req.app.get('pool');
+    const { calls, total } = await callLogService.listCalls(pool, req.userId, filters);
+    res.json({ calls, total, limit: filters.limit, offset: filters.offset });
+  } catch (error) {
+    console.error('Error fetching calls:', error.message);
+    res.status(500).json({ error: 'Failed to retrieve calls' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,53 @@
+const express = require('express');
+const router = express.Router();
+const { verifyToken } = require('../middleware/auth');
+const callCampaignService = require('../services/callCampaignService');
+
+// List the user's call campaigns with their progress
+router.get('/', verifyToken, async (req, res) => {
+  try {
+    const pool = req.app.get('pool');
+    const campaigns = await callCampaignService.listCampaigns(pool, req.userId);
+    res.json({ campaigns });
+  } catch (error) {
+    console.error('Error fetching call campaigns:', error.message);
+    res.status(500).json({ error: 'Failed to retrieve call campaigns' });
+  }
+});
+
+// Get a campaign and the state of each of its calls
+router.get('/:id', verifyToken, async (req, res) => {
+  try {
+    const pool = req.app.get('pool');
+    const campaign = await callCampaignService.getCampaign(pool, req.userId, req.params.id);
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+    res.json({ campaign });
+  } catch (error) {
+    console.error('Error fetching call campaign:', error.message);
+    res.status(500).json({ error: 'Failed to retrieve call campaign' });
+  }
+});
+
+// Stop a campaign: contacts not called yet won't be, calls in progress go on
+router.post('/:id/cancel', verifyToken, async (req, res) => {
+  try {
+    const pool = req.app.get('pool');
+    const existing = await callCampaignService.getCampaign(pool, req.userId, req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+
+    const campaign = await callCampaignService.cancelCampaign(pool, req.userId, existing.id);
+    if (!campaign) {
+      return res.status(400).json({ error: `Campaign is already ${existing.status}` });
+    }
+    res.json({ message: 'Campaign canceled', campaign });
+  } catch (error) {
+    console.error('Error canceling call campaign:', error.message);
+    res.status(500).json({ error: 'Failed to cancel call campaign' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,33 @@
+const express = require('express');
+const router = express.Router();
+const { verifyToken } = require('../middleware/auth');
+const smsConsentService = require('../services/smsConsentService');
+
+// Audit trail of SMS consent changes for the user's contacts, newest first
+router.get('/events', verifyToken, async (req, res) => {
+  try {
+    const pool = req.app.get('pool');
+    const events = await smsConsentService.listEvents(pool, req.userId, { contactId: parseInt(req.query.contact_id, 10) || null });
+    res.json({ events });
+  } catch (error) {
+    console.error('Error fetching consent events:', error.message);
+    res.status(500).json({ error: 'Failed to retrieve consent events' });
+  }
+});
+
+// Same audit trail as a CSV download
+router.get('/events.csv', verifyToken, async (req, res) => {
+  try {
+    const pool = req.app.get('pool');
+    const events = await smsConsentService.listEvents(pool, req.userId, { contactId: parseInt(req.query.contact_id, 10) || null });
+    const date = new Date().toISOString().slice(0, 10);
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="sms-consent-${date}.csv"`);
+    res.send(smsConsentService.eventsToCsv(events));
+  } catch (error) {
+    console.error('Error exporting consent events:', error.message);
+    res.status(500).json({ error: 'Failed to export consent events' });
+  }
+});
+
+module.exports = router;
@@ -2,17 +2,220 @@
 const express = require('express');
 const router = express.Router();
 const { verifyToken } = require('../middleware/auth');
+const questionnaireService = require('../services/questionnaireService');
+const intakeAgentService = require('../services/intakeAgentService');
+const contactApprovalService = require('../services/contactApprovalService');
+const userProfileService = require('../services/userProfileService');
+const smsConversationService = require('../services/smsConversationService');
+const smsService = require('../services/smsService');
+const smsConsentService = require('../services/smsConsentService');
+const intakeReminderService = require('../services/intakeReminderService');
+const callCampaignService = require('../services/callCampaignService');
+const elevenLabsService = require('../services/elevenLabsService');
+const privacyService = require('../services/privacyService');
+const contactImportService = require('../services/contactImportService');
+const phoneNumberService = require('../services/phoneNumberService');
+
+// Content types of import files posted as they are (JSON bodies are parsed by the app)
+const VCARD_CONTENT_TYPES = ['text/vcard', 'text/x-vcard', 'text/directory'];
+const IMPORT_CONTENT_TYPES = ['text/csv', 'text/plain', ...VCARD_CONTENT_TYPES];
+
+/**
+ * Checks a questionnaire template ID sent for a contact
+ * @param {Object} db - PostgreSQL pool or client
+ * @param {number} userId - User ID
+ * @param {*} templateId - Value from the request body (null/'' means the default template)
+ * @returns {Promise<Object>} - { templateId } or { error }
+ */
+async function resolveQuestionnaireTemplateId(db, userId, templateId) {
+  if (templateId === null || templateId === '') return { templateId: null };
+  const template = await questionnaireService.getTemplate(db, userId, templateId);
+  return template ? { templateId: template.id } : { error: 'Questionnaire template not found' };
+}
+
+/**
+ * Brings a contact's phone number to E.164, reading numbers without a country code in
+ * the user's country
+ * @param {Object} db - PostgreSQL pool or client
+ * @param {number} userId - User ID
+ * @param {*} phoneNumber - Value from the request body
+ * @returns {Promise<Object>} - { phoneNumber, type, warning } or { error }
+ */
+async function resolveContactPhoneNumber(db, userId, phoneNumber) {
+  const country = await userProfileService.getPhoneCountry(db, userId);
+  const normalized = phoneNumberService.normalizePhoneNumber(phoneNumber, country);
+  if (!normalized) {
+    return { error: phoneNumberService.INVALID_PHONE_NUMBER_ERROR };
+  }
+  const { type } = phoneNumberService.describePhoneNumber(normalized, country);
+  return {
+    phoneNumber: normalized,
+    type,
+    warning: phoneNumberService.canReceiveTexts(type) ? null : 'This looks like a landline - it may not receive the invitation text'
+  };
+}
+
+/**
+ * Checks a timezone sent for a contact
+ * @param {*} timezone - Value from the request body (null/'' means the default timezone)
+ * @returns {Object} - { timezone } or { error }
+ */
+function resolveContactTimezone(timezone) {
+  if (timezone === null || timezone === '') return { timezone: null };
+  if (!smsConsentService.isValidTimezone(timezone)) {
+    return { error: 'Unknown timezone. Please use a timezone name such as America/New_York' };
+  }
+  return { timezone };
+}
+
+/**
+ * Inserts a contact, approved straight away unless CONTACT_APPROVAL_MODE says otherwise,
+ * and creates its invite code in invite_code mode
+ * @param {Object} client - PostgreSQL client inside an open transaction
+ * @param {number} userId - User ID
+ * @param {Object} contact - { first_name, last_name, phone_number, company_name, linkedin_url, timezone }
+ * @param {Object} [options] - { templateId, invited: false } when no invitation is going to be sent
+ * @returns {Promise<Object>} - { contactId, isApproved, inviteCode }
+ */
+async function insertContact(client, userId, contact, { templateId = null, invited = true } = {}) {
+  const approvalMode = contactApprovalService.getApprovalMode();
+  const autoApprove = approvalMode === 'auto';
+
+  const result = await client.query(
+    `INSERT INTO contacts (first_name, last_name, company_name, linkedin_url, phone_number, user_id, questionnaire_template_id,
+       timezone, is_approved, approved_at, last_invited_at, created_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, CASE WHEN $9 THEN NOW() END, CASE WHEN $10 THEN NOW() END, NOW())
+     RETURNING id`,
+    [contact.first_name, contact.last_name, contact.company_name || null, contact.linkedin_url || null, contact.phone_number,
+      userId, templateId, contact.timezone || null, autoApprove, invited]
+  );
+  const contactId = result.rows[0].id;
+
+  const inviteCode = approvalMode === 'invite_code'
+    ? await contactApprovalService.createInviteCode(client, contactId)
+    : null;
+  console.log(`Contact added: ${contact.first_name} ${contact.last_name} (${contact.phone_number}), ID: ${contactId}`);
+  return { contactId, isApproved: autoApprove, inviteCode };
+}
+
+/**
+ * Texts a new contact their invitation from the user's own Twilio number (or the shared
+ * one) and schedules the reminders. Numbers that opted out (as any user's contact) and
+ * contacts in their quiet hours don't get it; it can be sent later with "Send Intake SMS".
+ * @param {Object} db - PostgreSQL pool or client (not in a transaction: status callbacks must find the logged message)
+ * @param {number} userId - User ID
+ * @param {Object} contact - { id, first_name, phone_number, timezone }
+ * @param {string|null} inviteCode - Invite code to put in the text
+ * @returns {Promise<Object>} - { invitation, blocked }: the logged message (null if none was sent) and why it was held back
+ */
+async function sendInvitation(db, userId, contact, inviteCode) {
+  const profile = await userProfileService.getProfile(db, userId);
+  const canSend = userProfileService.canSendSms(profile);
+  const blocked = canSend ? await smsConsentService.checkOutbound(db, contact) : null;
+  if (!canSend) {
+    console.log('Twilio credentials not configured - skipping text message');
+    return { invitation: null, blocked: null };
+  }
+  if (blocked) {
+    console.log(`Skipping text message to ${contact.phone_number}: ${blocked.reason}`);
+    return { invitation: null, blocked };
+  }
+
+  const senderNumber = userProfileService.getSenderNumber(profile);
+  const senderName = userProfileService.getDisplayName(profile);
+  const codeText = inviteCode ? ` When asked, enter your invite code ${inviteCode}.` : '';
+  const body = `Hi ${contact.first_name}! ${senderName} would like to connect. Please call this number to talk with our AI Relationship Agent: ${senderNumber}.${codeText}`;
+
+  const invitation = await smsService.sendSms(db, {
+    contactId: contact.id,
+    userId,
+    from: senderNumber,
+    to: contact.phone_number,
+    body,
+    messageType: 'invitation',
+    loggedBody: inviteCode ? body.replace(inviteCode, '******') : body
+  });
+  console.log(`Text message to ${contact.phone_number}: ${invitation.status}`);
+  if (invitation.status !== 'failed') {
+    await intakeReminderService.scheduleReminders(db, contact.id, userId);
+  }
+  return { invitation, blocked: null };
+}
+
+/**
+ * Reads a yes/no option from a query string or JSON body
+ * @param {*} value - true/false, or 'true'/'false' from a query string
+ * @param {boolean} defaultValue - Value when the option is left out
+ * @returns {boolean} - Option value
+ */
+function readBooleanOption(value, defaultValue) {
+  if (value === undefined || value === null || value === '') return defaultValue;
+  return value === true || value === 'true' || value === '1';
+}
+
+/**
+ * Creates a call campaign from a request and sends the response
+ * @param {Object} req - Express request (body holds the campaign settings)
+ * @param {Object} res - Express response
+ * @param {Array<number>} contactIds - Contacts to call
+ * @param {string} defaultName - Campaign name used when the body has none
+ * @returns {Promise<Object>} - { campaign, calls, skipped }, or null when a response was sent already
+ */
+async function startCallCampaign(req, res, contactIds, defaultName) {
+  const { options, error } = callCampaignService.validateCampaignOptions(req.body, defaultName);
+  if (error) {
+    res.status(400).json({ error });
+    return null;
+  }
+
+  const pool = req.app.get('pool');
+  const profile = await userProfileService.getProfile(pool, req.userId);
+  if (!userProfileService.canSendSms(profile)) {
+    res.status(400).json({
+      error: 'Twilio credentials not configured',
+      details: 'The administrator needs to set TWILIO_ACCOUNT_SID and TWILIO_AUTH_TOKEN, plus TWILIO_PHONE_NUMBER or a Twilio number on your profile'
+    });
+    return null;
+  }
+  if (!elevenLabsService.isAgentConfigured()) {
+    res.status(400).json({ error: 'The ElevenLabs agent is not configured (ELEVENLABS_AGENT_ID)' });
+    return null;
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await callCampaignService.createCampaign(client, req.userId, contactIds, options);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
 
 // Get contacts endpoint with intake status
 router.get('/', verifyToken, async (req, res) => {
   try {
     const userId = req.userId;
+    // Archived contacts are only listed with ?archived=true (and then only they are)
+    const archived = req.query.archived === 'true';
     const pool = req.app.get('pool');
     const client = await pool.connect();
     
     // Modified query to include intake status
     const result = await client.query(`
       SELECT c.id, c.first_name, c.last_name, c.phone_number, c.company_name, c.linkedin_url, c.created_at,
+      c.questionnaire_template_id, c.is_approved, c.approved_at, c.archived_at,
+      (c.invite_code_hash IS NOT NULL AND c.invite_code_expires_at > NOW()) AS invite_pending,
+      c.timezone, sc.status AS sms_consent_status,
+      CASE WHEN sc.status = 'opted_out' THEN sc.updated_at END AS sms_opted_out_at, c.callback_requested_at,
+      inv.status AS invitation_status, inv.error_code AS invitation_error_code,
+      inv.error_message AS invitation_error, inv.sent_at AS invitation_sent_at,
+      (SELECT MIN(scheduled_for) FROM intake_reminders WHERE contact_id = c.id AND status = 'scheduled') AS next_reminder_at,
+      rel.check_in_cadence, rel.cadence_source, rel.next_check_in_at,
       CASE WHEN ir.id IS NOT NULL THEN true ELSE false END AS has_intake
       FROM contacts c
       LEFT JOIN (
@@ -20,12 +223,28 @@ router.get('/', verifyToken, async (req, res) => {
         FROM intake_responses
         WHERE user_id = $1
       ) ir ON c.id = ir.contact_id
-      WHERE c.user_id = $1
+      LEFT JOIN sms_consent sc ON sc.phone_number = c.phone_number
+      LEFT JOIN relationships rel ON rel.contact_id = c.id
+      LEFT JOIN LATERAL (
+        -- Latest invitation text and how far it got
+        SELECT status, error_code, error_message, sent_at
+        FROM sms_messages
+        WHERE contact_id = c.id AND message_type IN ('invitation', 'intake_invitation')
+        ORDER BY sent_at DESC, id DESC
+        LIMIT 1
+      ) inv ON true
+      WHERE c.user_id = $1 AND (c.archived_at IS NOT NULL) = $2
       ORDER BY c.created_at DESC
-    `, [userId]);
+    `, [userId, archived]);
+    const country = await userProfileService.getPhoneCountry(client, userId);
     
     client.release();
-    res.json({ contacts: result.rows });
+    // Numbers are stored as E.164; phone_number_display is what the user reads
+    const contacts = result.rows.map(contact => {
+      const { display, type } = phoneNumberService.describePhoneNumber(contact.phone_number, country);
+      return { ...contact, phone_number_display: display, phone_number_type: type };
+    });
+    res.json({ contacts });
   } catch (error) {
     console.error('Error fetching contacts:', error.message);
     res.status(500).json({ error: 'Failed to retrieve contacts' });
@@ -35,52 +254,54 @@ router.get('/', verifyToken, async (req, res) => {
 // Add contact endpoint with text message notification
 router.post('/', verifyToken, async (req, res) => {
   try {
-    const { first_name, last_name, company_name, linkedin_url, phone_number } = req.body;
+    const { first_name, last_name, company_name, linkedin_url, questionnaire_template_id } = req.body;
     const userId = req.userId; // From the verifyToken middleware
 
     // Validate required fields
-    if (!first_name || !last_name || !phone_number) {
+    if (!first_name || !last_name || !req.body.phone_number) {
       return res.status(400).json({ error: 'Missing required fields (first_name, last_name, and phone_number are required)' });
     }
 
-    // Validate phone number format (optional)
-    const phoneRegex = /^\+?[1-9]\d{1,14}$/; // Basic E.164 format check
-    if (!phoneRegex.test(phone_number)) {
-      return res.status(400).json({ error: 'Invalid phone number format. Please use E.164 format (e.g., +12125551234)' });
+    const pool = req.app.get('pool');
+    const { phoneNumber: phone_number, type: phoneNumberType, warning, error: phoneNumberError } =
+      await resolveContactPhoneNumber(pool, userId, req.body.phone_number);
+    if (phoneNumberError) {
+      return res.status(400).json({ error: phoneNumberError });
+    }
+    const { templateId, error: templateError } = await resolveQuestionnaireTemplateId(pool, userId, questionnaire_template_id ?? null);
+    if (templateError) {
+      return res.status(400).json({ error: templateError });
+    }
+    const { timezone, error: timezoneError } = resolveContactTimezone(req.body.timezone ?? null);
+    if (timezoneError) {
+      return res.status(400).json({ error: timezoneError });
     }
 
-    const pool = req.app.get('pool');
     // Add contact to database
     const client = await pool.connect();
     try {
       await client.query('BEGIN');
-      const result = await client.query(
-        `INSERT INTO contacts (first_name, last_name, company_name, linkedin_url, phone_number, user_id, created_at)
-         VALUES ($1, $2, $3, $4, $5, $6, NOW()) RETURNING id`,
-        [first_name, last_name, company_name || null, linkedin_url || null, phone_number, userId]
-      );
-      const contactId = result.rows[0].id;
-
-      // Send automated text if Twilio credentials are configured
-      if (process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN && process.env.TWILIO_PHONE_NUMBER) {
-        const twilioClient = require('twilio')(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
-
-        await twilioClient.messages.create({
-          body: `Hi ${first_name}! Please call this number to connect with our AI Relationship Agent: ${process.env.TWILIO_PHONE_NUMBER}`,
-          from: process.env.TWILIO_PHONE_NUMBER,
-          to: phone_number
-        });
-        console.log(`Text message sent to ${phone_number}`);
-      } else {
-        console.log('Twilio credentials not configured - skipping text message');
-      }
-
+      const { contactId, isApproved, inviteCode } = await insertContact(client, userId, {
+        first_name, last_name, company_name, linkedin_url, phone_number, timezone
+      }, { templateId });
       await client.query('COMMIT');
-      console.log(`Contact added: ${first_name} ${last_name} (${phone_number}), ID: ${contactId}`);
+
+      // The invitation goes out after the commit so the status callbacks find the logged message,
+      // and a failed send leaves the contact in place with a failed invitation that can be retried
+      const { invitation, blocked } = await sendInvitation(client, userId, { id: contactId, first_name, phone_number, timezone }, inviteCode);
+
       res.status(201).json({ 
         message: 'Contact added successfully', 
         contact_id: contactId,
-        text_sent: !!(process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN && process.env.TWILIO_PHONE_NUMBER)
+        phone_number,
+        phone_number_type: phoneNumberType,
+        warning,
+        is_approved: isApproved,
+        invite_code: inviteCode,
+        text_sent: !!invitation && invitation.status !== 'failed',
+        invitation_status: invitation ? invitation.status : null,
+        invitation_error: invitation ? invitation.error_message : null,
+        text_skipped: blocked ? blocked.reason : null
       });
     } catch (error) {
       await client.query('ROLLBACK');
@@ -91,60 +312,475 @@ router.post('/', verifyToken, async (req, res) => {
   } catch (error) {
     console.error('Error adding contact:', error.message);
     // Handle specific PostgreSQL errors
-    if (error.code === '23505') { // Unique violation
-      return res.status(400).json({ error: 'Phone number already exists in contacts' });
+    if (error.code === '23505') { // Unique violation - phone numbers are unique per user
+      return res.status(400).json({ error: 'You already have a contact with this phone number' });
     }
     res.status(500).json({ error: 'Failed to add contact', details: error.message });
   }
 });
 
+// Import contacts from a CSV or vCard file, posted as is (text/csv, text/vcard) with the options in the
+// query string, or as JSON { content, format, mapping, dry_run, send_invitations, questionnaire_template_id }.
+// Every row gets a result; with dry_run nothing is created.
+router.post('/import', verifyToken, express.text({ type: IMPORT_CONTENT_TYPES, limit: '2mb' }), async (req, res) => {
+  try {
+    const userId = req.userId;
+    const raw = typeof req.body === 'string';
+    const options = raw ? req.query : { ...req.query, ...req.body };
+    const content = raw ? req.body : req.body.content;
+    const format = options.format || (req.is('text/csv') ? 'csv' : (req.is(VCARD_CONTENT_TYPES) ? 'vcard' : undefined));
+
+    const { rows, error } = contactImportService.readImportFile(content, { format, mapping: options.mapping });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const pool = req.app.get('pool');
+    const { templateId, error: templateError } = await resolveQuestionnaireTemplateId(pool, userId, options.questionnaire_template_id ?? null);
+    if (templateError) {
+      return res.status(400).json({ error: templateError });
+    }
+    const dryRun = readBooleanOption(options.dry_run, false);
+    const sendInvitations = readBooleanOption(options.send_invitations, true);
+
+    const country = await userProfileService.getPhoneCountry(pool, userId);
+    const results = await contactImportService.planImport(pool, userId, rows, country);
+    if (!dryRun) {
+      // One transaction per contact, like POST /contacts, so a bad row doesn't undo the others
+      for (const result of results.filter(row => row.status === 'valid')) {
+        const client = await pool.connect();
+        try {
+          await client.query('BEGIN');
+          const { contactId, inviteCode } = await insertContact(client, userId, result.contact, { templateId, invited: sendInvitations });
+          await client.query('COMMIT');
+          Object.assign(result, { status: 'created', contact_id: contactId, invite_code: inviteCode });
+        } catch (insertError) {
+          await client.query('ROLLBACK');
+          console.error(`Error importing row ${result.row}:`, insertError.message);
+          result.status = insertError.code === '23505' ? 'duplicate' : 'failed';
+          result.errors.push(insertError.code === '23505' ? 'You already have a contact with this phone number' : 'Failed to add contact');
+        } finally {
+          client.release();
+        }
+
+        if (result.status === 'created' && sendInvitations) {
+          const { invitation, blocked } = await sendInvitation(pool, userId, { id: result.contact_id, ...result.contact }, result.invite_code);
+          result.text_sent = !!invitation && invitation.status !== 'failed';
+          result.text_skipped = blocked ? blocked.reason : null;
+        }
+      }
+    }
+
+    const summary = { total: results.length, texts_sent: results.filter(row => row.text_sent).length };
+    for (const status of ['valid', 'created', 'duplicate', 'invalid', 'failed']) {
+      summary[status] = results.filter(row => row.status === status).length;
+    }
+    console.log(`Contact import by user ${userId}${dryRun ? ' (dry run)' : ''}: ${JSON.stringify(summary)}`);
+    res.json({ dry_run: dryRun, send_invitations: sendInvitations, summary, rows: results });
+  } catch (error) {
+    console.error('Error importing contacts:', error.message);
+    res.status(500).json({ error: 'Failed to import contacts', details: error.message });
+  }
+});
+
+// Download the contacts as CSV (default) or vCard with their intake status; ?archived=true for the archived ones
+router.get('/export', verifyToken, async (req, res) => {
+  try {
+    const format = req.query.format || 'csv';
+    if (!contactImportService.IMPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `format must be one of: ${contactImportService.IMPORT_FORMATS.join(', ')}` });
+    }
+
+    const pool = req.app.get('pool');
+    const contacts = await contactImportService.listContactsForExport(pool, req.userId, { archived: req.query.archived === 'true' });
+    const date = new Date().toISOString().slice(0, 10);
+    if (format === 'vcard') {
+      res.set('Content-Type', 'text/vcard; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="contacts-${date}.vcf"`);
+      return res.send(contactImportService.contactsToVcards(contacts));
+    }
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="contacts-${date}.csv"`);
+    res.send(contactImportService.contactsToCsv(contacts));
+  } catch (error) {
+    console.error('Error exporting contacts:', error.message);
+    res.status(500).json({ error: 'Failed to export contacts' });
+  }
+});
+
+// Have the agent call several contacts: { contact_ids, name, max_concurrent_calls, max_attempts, retry_delay_minutes }
+router.post('/call', verifyToken, async (req, res) => {
+  try {
+    const { contact_ids } = req.body;
+    const contactIds = Array.isArray(contact_ids) ? [...new Set(contact_ids.map(id => Number(id)))] : [];
+    if (contactIds.length === 0 || !contactIds.every(Number.isInteger)) {
+      return res.status(400).json({ error: 'contact_ids must be a non-empty list of contact IDs' });
+    }
+    if (contactIds.length > callCampaignService.MAX_CAMPAIGN_CONTACTS) {
+      return res.status(400).json({ error: `A campaign can call at most ${callCampaignService.MAX_CAMPAIGN_CONTACTS} contacts` });
+    }
+
+    const result = await startCallCampaign(req, res, contactIds, `Calls of ${new Date().toLocaleDateString('en-US')}`);
+    if (!result) return;
+    if (!result.campaign) {
+      return res.status(400).json({ error: 'None of these contacts can be called (they must be yours, approved and not archived)', skipped: result.skipped });
+    }
+
+    res.status(201).json({
+      message: `Calling ${result.calls.length} contacts`,
+      campaign: result.campaign,
+      calls: result.calls,
+      skipped: result.skipped
+    });
+  } catch (error) {
+    console.error('Error starting call campaign:', error.message);
+    res.status(500).json({ error: 'Failed to start calls', details: error.message });
+  }
+});
+
+// Have the agent call one contact (a campaign of one, so it gets the same retries)
+router.post('/:id/call', verifyToken, async (req, res) => {
+  try {
+    const pool = req.app.get('pool');
+    const contactResult = await pool.query(
+      'SELECT id, first_name, last_name, is_approved, archived_at FROM contacts WHERE id = $1 AND user_id = $2',
+      [req.params.id, req.userId]
+    );
+    if (contactResult.rows.length === 0) {
+      return res.status(403).json({ error: 'Contact not found or access denied' });
+    }
+    const contact = contactResult.rows[0];
+    if (contact.archived_at) {
+      return res.status(400).json({ error: 'Contact is archived - unarchive them to call them' });
+    }
+    if (!contact.is_approved) {
+      return res.status(400).json({ error: 'Contact is not approved - only approved contacts can be called' });
+    }
+
+    const result = await startCallCampaign(req, res, [contact.id], `Call to ${contact.first_name} ${contact.last_name}`);
+    if (!result) return;
+
+    res.status(201).json({
+      message: `Calling ${contact.first_name}`,
+      campaign: result.campaign,
+      call: result.calls[0]
+    });
+  } catch (error) {
+    console.error('Error calling contact:', error.message);
+    res.status(500).json({ error: 'Failed to call contact', details: error.message });
+  }
+});
+
 // Update contact endpoint
 router.put('/:id', verifyToken, async (req, res) => {
   try {
     const contactId = req.params.id;
     const userId = req.userId;
-    const { first_name, last_name, phone_number, company_name, linkedin_url } = req.body;
+    const { first_name, last_name, company_name, linkedin_url, questionnaire_template_id } = req.body;
     
     // Validate required fields
-    if (!first_name || !last_name || !phone_number) {
+    if (!first_name || !last_name || !req.body.phone_number) {
       return res.status(400).json({ error: 'Missing required fields' });
     }
     
     const pool = req.app.get('pool');
-    const client = await pool.connect();
-    
+    const { phoneNumber: phone_number, error: phoneNumberError } = await resolveContactPhoneNumber(pool, userId, req.body.phone_number);
+    if (phoneNumberError) {
+      return res.status(400).json({ error: phoneNumberError });
+    }
+
+    // questionnaire_template_id is optional - leaving it out keeps the current template
+    const changeTemplate = questionnaire_template_id !== undefined;
+    const { templateId, error: templateError } = changeTemplate
+      ? await resolveQuestionnaireTemplateId(pool, userId, questionnaire_template_id)
+      : { templateId: null };
+    if (templateError) {
+      return res.status(400).json({ error: templateError });
+    }
+
+    // So is timezone
+    const changeTimezone = req.body.timezone !== undefined;
+    const { timezone, error: timezoneError } = changeTimezone ? resolveContactTimezone(req.body.timezone) : { timezone: null };
+    if (timezoneError) {
+      return res.status(400).json({ error: timezoneError });
+    }
+
     // Verify contact belongs to user
-    const checkResult = await client.query(
+    const checkResult = await pool.query(
       'SELECT id FROM contacts WHERE id = $1 AND user_id = $2',
       [contactId, userId]
     );
     
     if (checkResult.rows.length === 0) {
-      client.release();
       return res.status(403).json({ error: 'Contact not found or access denied' });
     }
     
     // Update contact
-    await client.query(
+    await pool.query(
       `UPDATE contacts 
-       SET first_name = $1, last_name = $2, phone_number = $3, company_name = $4, linkedin_url = $5
+       SET first_name = $1, last_name = $2, phone_number = $3, company_name = $4, linkedin_url = $5,
+           questionnaire_template_id = CASE WHEN $8 THEN $9 ELSE questionnaire_template_id END,
+           timezone = CASE WHEN $10 THEN $11 ELSE timezone END
        WHERE id = $6 AND user_id = $7`,
-      [first_name, last_name, phone_number, company_name || null, linkedin_url || null, contactId, userId]
+      [first_name, last_name, phone_number, company_name || null, linkedin_url || null, contactId, userId,
+        changeTemplate, templateId, changeTimezone, timezone]
     );
-    
-    client.release();
-    res.json({ message: 'Contact updated successfully' });
+
+    res.json({ message: 'Contact updated successfully', phone_number });
   } catch (error) {
     console.error('Error updating contact:', error.message);
     // Handle specific PostgreSQL errors
     if (error.code === '23505') { // Unique violation
-      return res.status(400).json({ error: 'Phone number already exists in contacts' });
+      return res.status(400).json({ error: 'You already have a contact with this phone number' });
     }
     res.status(500).json({ error: 'Failed to update contact', details: error.message });
   }
 });
 
-// Get intake responses endpoint
+// Approve a contact so their calls reach the intake agent
+router.post('/:id/approve', verifyToken, async (req, res) => {
+  try {
+    const pool = req.app.get('pool');
+    const contact = await contactApprovalService.setApproval(pool, req.userId, req.params.id, true);
+    if (!contact) {
+      return res.status(403).json({ error: 'Contact not found or access denied' });
+    }
+    console.log(`Contact ${contact.id} approved by user ${req.userId}`);
+    res.json({ message: 'Contact approved', contact });
+  } catch (error) {
+    console.error('Error approving contact:', error.message);
+    res.status(500).json({ error: 'Failed to approve contact' });
+  }
+});
+
+// Revoke a contact's approval - their calls get the not-approved message again
+router.post('/:id/revoke', verifyToken, async (req, res) => {
+  try {
+    const pool = req.app.get('pool');
+    const contact = await contactApprovalService.setApproval(pool, req.userId, req.params.id, false);
+    if (!contact) {
+      return res.status(403).json({ error: 'Contact not found or access denied' });
+    }
+    console.log(`Contact ${contact.id} approval revoked by user ${req.userId}`);
+    res.json({ message: 'Contact approval revoked', contact });
+  } catch (error) {
+    console.error('Error revoking contact approval:', error.message);
+    res.status(500).json({ error: 'Failed to revoke contact approval' });
+  }
+});
+
+// Archive a contact: hidden from the contact list and treated like an unknown caller,
+// with pending reminders and campaign calls canceled. Nothing is deleted.
+router.post('/:id/archive', verifyToken, async (req, res) => {
+  try {
+    const pool = req.app.get('pool');
+    const contact = await privacyService.setArchived(pool, req.userId, req.params.id, true);
+    if (!contact) {
+      return res.status(403).json({ error: 'Contact not found or access denied' });
+    }
+    console.log(`Contact ${contact.id} archived by user ${req.userId}`);
+    res.json({ message: 'Contact archived', contact });
+  } catch (error) {
+    console.error('Error archiving contact:', error.message);
+    res.status(500).json({ error: 'Failed to archive contact' });
+  }
+});
+
+// Bring an archived contact back
+router.post('/:id/unarchive', verifyToken, async (req, res) => {
+  try {
+    const pool = req.app.get('pool');
+    const contact = await privacyService.setArchived(pool, req.userId, req.params.id, false);
+    if (!contact) {
+      return res.status(403).json({ error: 'Contact not found or access denied' });
+    }
+    console.log(`Contact ${contact.id} unarchived by user ${req.userId}`);
+    res.json({ message: 'Contact unarchived', contact });
+  } catch (error) {
+    console.error('Error unarchiving contact:', error.message);
+    res.status(500).json({ error: 'Failed to unarchive contact' });
+  }
+});
+
+// Everything stored about a contact's phone number, as a JSON download (subject access request)
+router.get('/:id/export', verifyToken, async (req, res) => {
+  try {
+    const pool = req.app.get('pool');
+    const contactResult = await pool.query('SELECT id, phone_number FROM contacts WHERE id = $1 AND user_id = $2', [req.params.id, req.userId]);
+    if (contactResult.rows.length === 0) {
+      return res.status(403).json({ error: 'Contact not found or access denied' });
+    }
+
+    const data = await privacyService.exportPhoneNumber(pool, req.userId, contactResult.rows[0].phone_number);
+    res.set('Content-Disposition', `attachment; filename="contact-${contactResult.rows[0].id}-export.json"`);
+    res.json(data);
+  } catch (error) {
+    console.error('Error exporting contact data:', error.message);
+    res.status(500).json({ error: 'Failed to export contact data' });
+  }
+});
+
+// Delete a contact for good, with everything stored about their phone number (see privacyService)
+router.delete('/:id', verifyToken, async (req, res) => {
+  try {
+    const pool = req.app.get('pool');
+    const contactResult = await pool.query('SELECT id, phone_number FROM contacts WHERE id = $1 AND user_id = $2', [req.params.id, req.userId]);
+    if (contactResult.rows.length === 0) {
+      return res.status(403).json({ error: 'Contact not found or access denied' });
+    }
+
+    const reason = req.body && req.body.reason ? String(req.body.reason).slice(0, 500) : null;
+    const erasure = await privacyService.erasePhoneNumber(pool, req.userId, contactResult.rows[0].phone_number, {
+      scope: 'contact',
+      reason
+    });
+    res.json({ message: 'Contact and their data deleted', erasure });
+  } catch (error) {
+    console.error('Error deleting contact:', error.message);
+    res.status(500).json({ error: 'Failed to delete contact' });
+  }
+});
+
+// Issue a new invite code for an unapproved contact (invite_code mode only).
+// The code is only ever returned here - the database keeps a hash.
+router.post('/:id/invite-code', verifyToken, async (req, res) => {
+  try {
+    if (contactApprovalService.getApprovalMode() !== 'invite_code') {
+      return res.status(400).json({ error: 'Invite codes are disabled (CONTACT_APPROVAL_MODE is not invite_code)' });
+    }
+
+    const pool = req.app.get('pool');
+    const result = await pool.query(
+      'SELECT id, is_approved FROM contacts WHERE id = $1 AND user_id = $2',
+      [req.params.id, req.userId]
+    );
+    if (result.rows.length === 0) {
+      return res.status(403).json({ error: 'Contact not found or access denied' });
+    }
+    if (result.rows[0].is_approved) {
+      return res.status(400).json({ error: 'Contact is already approved' });
+    }
+
+    const inviteCode = await contactApprovalService.createInviteCode(pool, result.rows[0].id);
+    res.json({ invite_code: inviteCode });
+  } catch (error) {
+    console.error('Error creating invite code:', error.message);
+    res.status(500).json({ error: 'Failed to create invite code' });
+  }
+});
+
+// Get the SMS conversation with a contact, oldest message first
+router.get('/:id/messages', verifyToken, async (req, res) => {
+  try {
+    const pool = req.app.get('pool');
+    const contactResult = await pool.query(
+      `SELECT c.id, c.first_name, c.last_name, c.phone_number, c.timezone, c.callback_requested_at,
+              sc.status AS sms_consent_status, CASE WHEN sc.status = 'opted_out' THEN sc.updated_at END AS sms_opted_out_at
+       FROM contacts c
+       LEFT JOIN sms_consent sc ON sc.phone_number = c.phone_number
+       WHERE c.id = $1 AND c.user_id = $2`,
+      [req.params.id, req.userId]
+    );
+    if (contactResult.rows.length === 0) {
+      return res.status(403).json({ error: 'Contact not found or access denied' });
+    }
+
+    const messages = await smsConversationService.getThread(pool, contactResult.rows[0].id);
+    res.json({ contact: contactResult.rows[0], messages });
+  } catch (error) {
+    console.error('Error fetching messages:', error.message);
+    res.status(500).json({ error: 'Failed to retrieve messages' });
+  }
+});
+
+// Record a contact's SMS consent given or withdrawn outside of text messages (e.g. on a call)
+router.post('/:id/consent', verifyToken, async (req, res) => {
+  try {
+    const { status, note } = req.body;
+    const pool = req.app.get('pool');
+    const contactResult = await pool.query(
+      'SELECT id, phone_number FROM contacts WHERE id = $1 AND user_id = $2',
+      [req.params.id, req.userId]
+    );
+    if (contactResult.rows.length === 0) {
+      return res.status(403).json({ error: 'Contact not found or access denied' });
+    }
+
+    const contact = contactResult.rows[0];
+    const current = await smsConsentService.getConsent(pool, contact.phone_number);
+    const error = smsConsentService.validateUserConsentChange(current, status);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const { consent, changed } = await smsConsentService.recordConsent(pool, {
+      phoneNumber: contact.phone_number,
+      status,
+      source: 'user',
+      userId: req.userId,
+      contactId: contact.id,
+      note: note ? String(note).slice(0, 500) : null
+    });
+    res.json({ message: changed ? 'Consent recorded' : 'Consent unchanged', consent });
+  } catch (error) {
+    console.error('Error recording consent:', error.message);
+    res.status(500).json({ error: 'Failed to record consent' });
+  }
+});
+
+// Get a contact's intake reminders, latest invitation first
+router.get('/:id/reminders', verifyToken, async (req, res) => {
+  try {
+    const pool = req.app.get('pool');
+    const contactResult = await pool.query('SELECT id FROM contacts WHERE id = $1 AND user_id = $2', [req.params.id, req.userId]);
+    if (contactResult.rows.length === 0) {
+      return res.status(403).json({ error: 'Contact not found or access denied' });
+    }
+
+    const reminders = await intakeReminderService.listReminders(pool, contactResult.rows[0].id);
+    res.json({ reminders, sequence_days: intakeReminderService.getReminderDays() });
+  } catch (error) {
+    console.error('Error fetching reminders:', error.message);
+    res.status(500).json({ error: 'Failed to retrieve reminders' });
+  }
+});
+
+// Stop the pending intake reminders of a contact
+router.delete('/:id/reminders', verifyToken, async (req, res) => {
+  try {
+    const pool = req.app.get('pool');
+    const contactResult = await pool.query('SELECT id FROM contacts WHERE id = $1 AND user_id = $2', [req.params.id, req.userId]);
+    if (contactResult.rows.length === 0) {
+      return res.status(403).json({ error: 'Contact not found or access denied' });
+    }
+
+    const canceled = await intakeReminderService.cancelReminders(pool, contactResult.rows[0].id, 'stopped_by_user');
+    res.json({ message: 'Reminders stopped', canceled });
+  } catch (error) {
+    console.error('Error stopping reminders:', error.message);
+    res.status(500).json({ error: 'Failed to stop reminders' });
+  }
+});
+
+// Clear a contact's "CALL ME" request once they've been called back
+router.delete('/:id/callback-request', verifyToken, async (req, res) => {
+  try {
+    const pool = req.app.get('pool');
+    const result = await pool.query(
+      'UPDATE contacts SET callback_requested_at = NULL WHERE id = $1 AND user_id = $2 RETURNING id',
+      [req.params.id, req.userId]
+    );
+    if (result.rows.length === 0) {
+      return res.status(403).json({ error: 'Contact not found or access denied' });
+    }
+    res.json({ message: 'Callback request cleared' });
+  } catch (error) {
+    console.error('Error clearing callback request:', error.message);
+    res.status(500).json({ error: 'Failed to clear callback request' });
+  }
+});
+
+// Get intake responses endpoint - returns every intake session plus the answers grouped by field
 router.get('/:contactId/intake', verifyToken, async (req, res) => {
   try {
     const contactId = req.params.contactId;
@@ -163,25 +799,13 @@ router.get('/:contactId/intake', verifyToken, async (req, res) => {
       return res.status(403).json({ error: 'Contact not found or access denied' });
     }
     
-    // Get all intake responses for this contact
-    const result = await client.query(
-      `SELECT 
-        id, 
-        communication_style, 
-        goals, 
-        values, 
-        professional_goals, 
-        partnership_expectations, 
-        raw_transcript,
-        created_at 
-      FROM intake_responses 
-      WHERE contact_id = $1 AND user_id = $2
-      ORDER BY created_at DESC`,
-      [contactId, userId]
-    );
-    
-    client.release();
-    res.json({ intake_responses: result.rows });
+    // Get all intake responses for this contact, with their answers grouped by questionnaire field
+    try {
+      const intake = await intakeAgentService.getContactIntake(client, contactId, userId);
+      res.json(intake);
+    } finally {
+      client.release();
+    }
   } catch (error) {
     console.error('Error fetching intake responses:', error.message);
     res.status(500).json({ error: 'Failed to retrieve intake responses' });
@@ -1,11 +1,52 @@
 const express = require('express');
 const router = express.Router();
 const intakeAgentService = require('../services/intakeAgentService');
+const jobQueue = require('../services/jobQueue');
+const callRoutingService = require('../services/callRoutingService');
+const callLogService = require('../services/callLogService');
 const authMiddleware = require('../middleware/auth');
+const { validateElevenLabsSignature } = require('../middleware/elevenLabsSignature');
+const crypto = require('crypto');
+
+/**
+ * Works out the key used to recognise repeated deliveries of the same webhook
+ * @param {Object} req - Express request
+ * @returns {string} - Idempotency key
+ */
+function getIdempotencyKey(req) {
+  const body = req.body || {};
+  const conversationId = body.conversation_id || (body.data && body.data.conversation_id);
+  if (req.headers['idempotency-key']) return `header:${req.headers['idempotency-key']}`;
+  if (conversationId) return `conversation:${conversationId}`;
+
+  // Fall back to a hash of the exact payload
+  const raw = req.rawBody ? req.rawBody.toString('utf8') : JSON.stringify(body);
+  return `body:${crypto.createHash('sha256').update(raw).digest('hex')}`;
+}
+
+/**
+ * Runs a step that may fail without failing the whole transaction: its statements are
+ * rolled back to a savepoint on error, so the transaction can carry on
+ * @param {Object} client - PostgreSQL client inside a transaction
+ * @param {string} name - Savepoint name
+ * @param {Function} step - async () => result
+ * @returns {Promise<*>} - The step's result (its error is rethrown after the rollback)
+ */
+async function withSavepoint(client, name, step) {
+  await client.query(`SAVEPOINT ${name}`);
+  try {
+    const result = await step();
+    await client.query(`RELEASE SAVEPOINT ${name}`);
+    return result;
+  } catch (error) {
+    await client.query(`ROLLBACK TO SAVEPOINT ${name}`);
+    throw error;
+  }
+}
 
 // IMPORTANT: Special handling for ElevenLabs webhook
-// This route must accept webhook requests without token authentication
-router.post('/receive-data', async (req, res) => {
+// This route doesn't use token authentication - requests must carry a valid ElevenLabs HMAC signature
+router.post('/receive-data', validateElevenLabsSignature, async (req, res) => {
   console.log('===========================================');
   console.log('🔄 RECEIVED DATA FROM ELEVEN LABS');
   console.log('===========================================');
@@ -27,20 +68,35 @@ router.post('/receive-data', async (req, res) => {
   try {
     // Begin transaction
     await client.query('BEGIN');
+
+    // Record the delivery first - ElevenLabs retries webhooks, and a retry must not create a second intake
+    const idempotencyKey = getIdempotencyKey(req);
+    const deliveryResult = await client.query(`
+      INSERT INTO webhook_deliveries (source, idempotency_key)
+      VALUES ('elevenlabs', $1)
+      ON CONFLICT (source, idempotency_key) DO NOTHING
+      RETURNING id
+    `, [idempotencyKey]);
+
+    if (deliveryResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      const existing = await client.query(
+        `SELECT intake_id, unmatched_intake_id FROM webhook_deliveries
+         WHERE source = 'elevenlabs' AND idempotency_key = $1`,
+        [idempotencyKey]
+      );
+      console.log(`Duplicate delivery ignored (idempotency key ${idempotencyKey})`);
+      return res.status(200).json({
+        status: 'duplicate',
+        message: 'This delivery was already processed',
+        intake_id: existing.rows[0]?.intake_id || null,
+        unmatched_intake_id: existing.rows[0]?.unmatched_intake_id || null
+      });
+    }
+    const deliveryId = deliveryResult.rows[0].id;
     
     // Extract the key data from the request
-    const { caller_id, call_sid, callSid, communication_style, values, professional_goals, partnership_expectations, raw_transcript } = req.body;
-    
-    // Initialize extractedData with available information
-    const extractedData = {
-      caller: (caller_id && caller_id !== "unknown") ? caller_id : null,
-      callSid: call_sid || callSid || null,
-      communication_style: communication_style || "Not provided",
-      values: values || "Not provided",
-      professional_goals: professional_goals || "Not provided",
-      partnership_expectations: partnership_expectations || "Not provided",
-      raw_transcript: raw_transcript || "Not provided"
-    };
+    const extractedData = intakeAgentService.extractIntakeData(req.body);
 
     console.log('=== EXTRACTED DATA ===');
     console.log(JSON.stringify(extractedData, null, 2));
@@ -53,10 +109,13 @@ router.post('/receive-data', async (req, res) => {
     if (extractedData.callSid) {
       try {
         console.log(`Looking up phone number using call_sid: ${extractedData.callSid}`);
-        const callResult = await client.query(
-          'SELECT phone_number FROM temp_calls WHERE call_sid = $1',
-          [extractedData.callSid]
-        );
+        // temp_calls is cleaned up after a few hours, call_log keeps every call /voice has seen
+        const callResult = await withSavepoint(client, 'call_sid_lookup', () => client.query(`
+          SELECT phone_number FROM temp_calls WHERE call_sid = $1
+          UNION ALL
+          SELECT phone_number FROM call_log WHERE call_sid = $1
+          LIMIT 1
+        `, [extractedData.callSid]));
         
         if (callResult.rows.length > 0) {
           phoneNumber = callResult.rows[0].phone_number;
@@ -77,10 +136,10 @@ router.post('/receive-data', async (req, res) => {
     if (!callSidFound && extractedData.caller) {
       try {
         console.log(`Looking up using phone_number: ${extractedData.caller}`);
-        const phoneResult = await client.query(
+        const phoneResult = await withSavepoint(client, 'phone_number_lookup', () => client.query(
           'SELECT call_sid, phone_number FROM temp_calls WHERE phone_number = $1 ORDER BY created_at DESC LIMIT 1',
           [extractedData.caller]
-        );
+        ));
         
         if (phoneResult.rows.length > 0) {
           phoneNumber = phoneResult.rows[0].phone_number;
@@ -97,57 +156,24 @@ router.post('/receive-data', async (req, res) => {
       }
     }
     
-    // 3. Last resort - if we still don't have anything, try getting the most recent call
-    if (!phoneNumber && !extractedData.callSid) {
-      try {
-        console.log('No identifiers found, attempting to retrieve most recent call from temp_calls');
-        const recentResult = await client.query(
-          'SELECT call_sid, phone_number FROM temp_calls ORDER BY created_at DESC LIMIT 1'
-        );
-        
-        if (recentResult.rows.length > 0) {
-          phoneNumber = recentResult.rows[0].phone_number;
-          extractedData.callSid = recentResult.rows[0].call_sid;
-          extractedData.caller = phoneNumber;
-          console.log(`Using most recent call from temp_calls: ${phoneNumber}, call_sid: ${extractedData.callSid}`);
-        } else {
-          console.log('No records found in temp_calls');
-        }
-      } catch (recentError) {
-        console.error('Error retrieving most recent call:', recentError.message);
-      }
-    }
-    
-    // If we still don't have a phone number, we can't proceed
-    if (!phoneNumber) {
-      await client.query('ROLLBACK');
-      console.error('Could not identify caller - no phone number available');
-      return res.status(400).json({
-        error: 'Identification Failed',
-        message: 'Could not identify the caller - no phone number available'
-      });
-    }
-    
     // Store/update the call info in temp_calls if we have a callSid
-    if (extractedData.callSid) {
+    if (extractedData.callSid && phoneNumber) {
       try {
-        await client.query(`
-          INSERT INTO temp_calls (call_sid, phone_number, created_at)
-          VALUES ($1, $2, NOW())
-          ON CONFLICT (call_sid) DO UPDATE SET phone_number = $2, created_at = NOW()
-        `, [extractedData.callSid, phoneNumber]);
-        console.log(`Stored/updated call information in temp_calls table: ${extractedData.callSid} -> ${phoneNumber}`);
-        
-        // Log to call_log for reference
-        await client.query(`
-          INSERT INTO call_log (call_sid, phone_number, status, created_at)
-          VALUES ($1, $2, $3, NOW())
-          ON CONFLICT (call_sid) DO UPDATE SET status = $3
-        `, [extractedData.callSid, phoneNumber, 'intake_received']);
-        console.log(`Updated call_log record for call_sid: ${extractedData.callSid}`);
+        await withSavepoint(client, 'call_records', async () => {
+          await client.query(`
+            INSERT INTO temp_calls (call_sid, phone_number, created_at)
+            VALUES ($1, $2, NOW())
+            ON CONFLICT (call_sid) DO UPDATE SET phone_number = $2, created_at = NOW()
+          `, [extractedData.callSid, phoneNumber]);
+          console.log(`Stored/updated call information in temp_calls table: ${extractedData.callSid} -> ${phoneNumber}`);
+
+          // The call produced an intake
+          await callLogService.recordIntake(client, extractedData.callSid, phoneNumber);
+          console.log(`Updated call_log record for call_sid: ${extractedData.callSid}`);
+        });
       } catch (tempCallError) {
         console.error('Error updating call records:', tempCallError.message);
-        // Continue processing even if this fails
+        // Continue processing even if this fails - the savepoint keeps the transaction usable
       }
     }
     
@@ -155,45 +181,73 @@ router.post('/receive-data', async (req, res) => {
     let contactId = null;
     let userId = null;
     
-    try {
-      const contactResult = await client.query(
-        'SELECT id, user_id FROM contacts WHERE phone_number = $1 LIMIT 1',
-        [phoneNumber]
-      );
-      
-      if (contactResult.rows.length > 0) {
-        contactId = contactResult.rows[0].id;
-        userId = contactResult.rows[0].user_id;
-        console.log(`Found contact with ID ${contactId} for phone ${phoneNumber}`);
-      } else {
-        console.log(`No contact found for phone ${phoneNumber}`);
+    if (phoneNumber) {
+      try {
+        // The same number can be a contact of several users - use the contact the call was routed to
+        const route = await withSavepoint(client, 'contact_match', () =>
+          callRoutingService.resolveCallContact(client, extractedData.callSid, phoneNumber));
+        const { contact } = route;
+
+        if (contact) {
+          contactId = contact.id;
+          userId = contact.user_id;
+          console.log(`Found contact with ID ${contactId} (user ${userId}) for phone ${phoneNumber} - ${route.reason}`);
+          if (!route.routed && extractedData.callSid) {
+            try {
+              await withSavepoint(client, 'call_route', () => callRoutingService.recordCallRoute(client, extractedData.callSid, route));
+            } catch (routeError) {
+              // The contact is still known, the call just isn't routed to it for later lookups
+              console.error('Error recording call route:', routeError.message);
+            }
+          }
+        } else {
+          console.log(`No contact found for phone ${phoneNumber}`);
+        }
+      } catch (contactError) {
+        console.error('Error finding contact:', contactError.message);
       }
-    } catch (contactError) {
-      console.error('Error finding contact:', contactError.message);
+    } else {
+      console.log('No phone number available - cannot match a contact');
     }
-    
+
+    // Payloads we can't attribute to a contact are quarantined until their owner assigns them
+    if (!contactId) {
+      const ownerId = await callRoutingService.findUnmatchedOwner(client, extractedData.callSid, phoneNumber);
+      const unmatchedResult = await client.query(`
+        INSERT INTO unmatched_intakes (caller_id, call_sid, payload, raw_transcript, user_id)
+        VALUES ($1, $2, $3, $4, $5)
+        RETURNING id
+      `, [phoneNumber, extractedData.callSid, JSON.stringify(req.body || {}), extractedData.has_transcript ? extractedData.raw_transcript : null, ownerId]);
+      const unmatchedId = unmatchedResult.rows[0].id;
+
+      await client.query('UPDATE webhook_deliveries SET unmatched_intake_id = $1 WHERE id = $2', [unmatchedId, deliveryId]);
+      await client.query('COMMIT');
+
+      console.log(`Could not match intake to a contact - quarantined as unmatched intake #${unmatchedId} (owner ${ownerId || 'unknown'})`);
+      return res.status(202).json({
+        status: 'quarantined',
+        message: 'Data received but could not be matched to a contact; it is awaiting manual assignment',
+        unmatched_intake_id: unmatchedId
+      });
+    }
+
     console.log('Inserting data into intake_responses table...');
-    
-    // Insert into intake_responses with contact info if available
-    const insertResult = await client.query(`
-      INSERT INTO intake_responses 
-      (phone_number, contact_id, user_id, communication_style, values, professional_goals, 
-       partnership_expectations, raw_transcript, created_at)
-      VALUES 
-      ($1, $2, $3, $4, $5, $6, $7, $8, NOW())
-      RETURNING id
-    `, [
+
+    // Insert into intake_responses with contact info
+    const intakeId = await intakeAgentService.insertIntakeResponse(client, {
       phoneNumber,
       contactId,
       userId,
-      extractedData.communication_style, 
-      extractedData.values,
-      extractedData.professional_goals,
-      extractedData.partnership_expectations,
-      extractedData.raw_transcript
-    ]);
-    
-    console.log('Successfully inserted data with ID:', insertResult.rows[0]?.id);
+      data: extractedData
+    });
+    await client.query('UPDATE webhook_deliveries SET intake_id = $1 WHERE id = $2', [intakeId, deliveryId]);
+    console.log('Successfully inserted data with ID:', intakeId);
+
+    // Queue transcript parsing in the same transaction so no intake is left unparsed
+    let parseJob = null;
+    if (extractedData.has_transcript) {
+      parseJob = await jobQueue.enqueue(client, 'parse_transcript', { intake_id: intakeId }, { userId });
+    }
     
     // Commit the transaction
     await client.query('COMMIT');
@@ -202,7 +256,8 @@ router.post('/receive-data', async (req, res) => {
     res.status(200).json({
       status: 'success',
       message: 'Data received and processed successfully',
-      intake_id: insertResult.rows[0]?.id
+      intake_id: intakeId,
+      job_id: parseJob ? parseJob.id : null
     });
   } catch (error) {
     console.error('Error processing intake data:', error);
@@ -236,10 +291,10 @@ router.post('/parse-transcript/:intakeId', authMiddleware.verifyToken, async (re
   const client = await pool.connect();
 
   try {
-    // Retrieve the raw transcript from the database
+    // Retrieve the raw transcript from the database (only the user's own intakes)
     const intakeResult = await client.query(
-      'SELECT id, raw_transcript FROM intake_responses WHERE id = $1',
-      [intakeId]
+      'SELECT id, raw_transcript FROM intake_responses WHERE id = $1 AND user_id = $2',
+      [intakeId, req.userId]
     );
 
     if (intakeResult.rows.length === 0) {
@@ -252,18 +307,13 @@ router.post('/parse-transcript/:intakeId', authMiddleware.verifyToken, async (re
       return res.status(400).json({ error: 'No raw transcript available to parse' });
     }
 
-    // Start processing the transcript
-    processTranscriptAsync(pool, id, raw_transcript)
-      .then(() => {
-        console.log(`Manual parsing of intake #${id} completed`);
-      })
-      .catch(error => {
-        console.error(`Error in manual parsing of intake #${id}:`, error.message);
-      });
+    // Queue the transcript for parsing by the job worker
+    const job = await jobQueue.enqueue(client, 'parse_transcript', { intake_id: id }, { userId: req.userId });
 
-    return res.json({ 
-      message: 'Transcript parsing started',
-      intakeResponseId: id
+    return res.status(202).json({ 
+      message: 'Transcript parsing queued',
+      intakeResponseId: id,
+      job_id: job.id
     });
   } catch (error) {
     console.error('Error starting transcript parsing:', error.message);
@@ -276,28 +326,110 @@ router.post('/parse-transcript/:intakeId', authMiddleware.verifyToken, async (re
   }
 });
 
-// Async function to process the transcript without blocking the response
-async function processTranscriptAsync(pool, intakeResponseId, rawTranscript) {
+// List the user's quarantined intake payloads that couldn't be matched to a contact
+router.get('/unmatched-intakes', authMiddleware.verifyToken, async (req, res) => {
+  try {
+    const pool = req.app.get('pool');
+    const result = await pool.query(`
+      SELECT id, caller_id, call_sid, raw_transcript, received_at
+      FROM unmatched_intakes
+      WHERE status = 'pending' AND user_id = $1
+      ORDER BY received_at DESC
+    `, [req.userId]);
+    res.json({ unmatched_intakes: result.rows });
+  } catch (error) {
+    console.error('Error fetching unmatched intakes:', error.message);
+    res.status(500).json({ error: 'Failed to retrieve unmatched intakes' });
+  }
+});
+
+// Assign a quarantined intake payload to one of the user's contacts
+router.post('/unmatched-intakes/:id/assign', authMiddleware.verifyToken, async (req, res) => {
+  const { contactId } = req.body;
+  if (!contactId) {
+    return res.status(400).json({ error: 'Contact ID is required' });
+  }
+
+  const pool = req.app.get('pool');
+  const client = await pool.connect();
   try {
-    console.log(`Starting transcript parsing for intake response #${intakeResponseId}`);
+    await client.query('BEGIN');
 
-    // Parse the transcript with the LLM
-    const parsedData = await intakeAgentService.parseTranscript(rawTranscript);
-    console.log('Transcript parsed successfully:', JSON.stringify(parsedData, null, 2));
+    const contactResult = await client.query(
+      'SELECT id, phone_number FROM contacts WHERE id = $1 AND user_id = $2',
+      [contactId, req.userId]
+    );
+    if (contactResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(403).json({ error: 'Contact not found or access denied' });
+    }
+    const contact = contactResult.rows[0];
 
-    // Update the database with the parsed data
-    const updatedResponse = await intakeAgentService.updateIntakeWithParsedData(
-      pool, 
-      intakeResponseId, 
-      parsedData
+    // Lock the payload so it can't be assigned twice at the same time
+    const unmatchedResult = await client.query(
+      `SELECT id, payload FROM unmatched_intakes WHERE id = $1 AND user_id = $2 AND status = 'pending' FOR UPDATE`,
+      [req.params.id, req.userId]
     );
+    if (unmatchedResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Unmatched intake not found or already resolved' });
+    }
+
+    const data = intakeAgentService.extractIntakeData(unmatchedResult.rows[0].payload);
+    const intakeId = await intakeAgentService.insertIntakeResponse(client, {
+      phoneNumber: contact.phone_number,
+      contactId: contact.id,
+      userId: req.userId,
+      data
+    });
+
+    await client.query(`
+      UPDATE unmatched_intakes
+      SET status = 'assigned', assigned_contact_id = $2, resolved_by = $3, intake_id = $4, resolved_at = NOW()
+      WHERE id = $1
+    `, [req.params.id, contact.id, req.userId, intakeId]);
+    await client.query('UPDATE webhook_deliveries SET intake_id = $1 WHERE unmatched_intake_id = $2', [intakeId, req.params.id]);
 
-    console.log(`Intake response #${intakeResponseId} updated with parsed data`);
-    return updatedResponse;
+    let parseJob = null;
+    if (data.has_transcript) {
+      parseJob = await jobQueue.enqueue(client, 'parse_transcript', { intake_id: intakeId }, { userId: req.userId });
+    }
+
+    await client.query('COMMIT');
+    console.log(`Unmatched intake #${req.params.id} assigned to contact ${contact.id} as intake #${intakeId}`);
+    res.json({
+      message: 'Intake assigned to contact',
+      intake_id: intakeId,
+      job_id: parseJob ? parseJob.id : null
+    });
   } catch (error) {
-    console.error(`Error processing transcript for intake #${intakeResponseId}:`, error.message);
-    throw error;
+    await client.query('ROLLBACK');
+    console.error('Error assigning unmatched intake:', error.message);
+    res.status(500).json({ error: 'Failed to assign intake', details: error.message });
+  } finally {
+    client.release();
   }
-}
+});
+
+// Discard a quarantined intake payload (e.g. a test call or spam)
+router.post('/unmatched-intakes/:id/discard', authMiddleware.verifyToken, async (req, res) => {
+  try {
+    const pool = req.app.get('pool');
+    const result = await pool.query(`
+      UPDATE unmatched_intakes
+      SET status = 'discarded', resolved_by = $2, resolved_at = NOW()
+      WHERE id = $1 AND user_id = $2 AND status = 'pending'
+      RETURNING id
+    `, [req.params.id, req.userId]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Unmatched intake not found or already resolved' });
+    }
+    res.json({ message: 'Unmatched intake discarded' });
+  } catch (error) {
+    console.error('Error discarding unmatched intake:', error.message);
+    res.status(500).json({ error: 'Failed to discard intake' });
+  }
+});
 
 module.exports = router;
\ No newline at end of file
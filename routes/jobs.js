@@ -0,0 +1,37 @@
+const express = require('express');
+const router = express.Router();
+const { verifyToken } = require('../middleware/auth');
+const jobQueue = require('../services/jobQueue');
+
+// Get background job status (used by the dashboard to show parsing progress)
+router.get('/:id', verifyToken, async (req, res) => {
+  try {
+    const pool = req.app.get('pool');
+    const job = await jobQueue.getJob(pool, req.params.id);
+
+    if (!job || job.user_id !== req.userId) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.json({
+      job: {
+        id: job.id,
+        type: job.type,
+        status: job.status,
+        attempts: job.attempts,
+        max_attempts: job.max_attempts,
+        run_at: job.run_at,
+        last_error: job.last_error,
+        result: job.result,
+        created_at: job.created_at,
+        updated_at: job.updated_at,
+        completed_at: job.completed_at
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching job:', error.message);
+    res.status(500).json({ error: 'Failed to retrieve job' });
+  }
+});
+
+module.exports = router;
@@ -2,6 +2,12 @@
 const express = require('express');
 const router = express.Router();
 const { verifyToken } = require('../middleware/auth');
+const contactApprovalService = require('../services/contactApprovalService');
+const userProfileService = require('../services/userProfileService');
+const smsService = require('../services/smsService');
+const smsConsentService = require('../services/smsConsentService');
+const intakeReminderService = require('../services/intakeReminderService');
+const relationshipService = require('../services/relationshipService');
 
 // Send SMS endpoint
 router.post('/send-sms', verifyToken, async (req, res) => {
@@ -13,20 +19,22 @@ router.post('/send-sms', verifyToken, async (req, res) => {
       return res.status(400).json({ error: 'Contact ID and message are required' });
     }
     
-    // Check if Twilio credentials are configured
-    if (!process.env.TWILIO_ACCOUNT_SID || !process.env.TWILIO_AUTH_TOKEN || !process.env.TWILIO_PHONE_NUMBER) {
+    const pool = req.app.get('pool');
+
+    // Check if Twilio credentials are configured, and that there is a number to send from
+    const profile = await userProfileService.getProfile(pool, userId);
+    if (!userProfileService.canSendSms(profile)) {
       console.error('Missing Twilio credentials in environment variables');
       return res.status(400).json({ 
         error: 'Twilio credentials not configured',
-        details: 'The administrator needs to set TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, and TWILIO_PHONE_NUMBER environment variables'
+        details: 'The administrator needs to set TWILIO_ACCOUNT_SID and TWILIO_AUTH_TOKEN, plus TWILIO_PHONE_NUMBER or a Twilio number on your profile'
       });
     }
     
-    const pool = req.app.get('pool');
     // Get contact phone number
     const client = await pool.connect();
     const contactResult = await client.query(
-      'SELECT phone_number, first_name, last_name FROM contacts WHERE id = $1 AND user_id = $2',
+      'SELECT phone_number, first_name, last_name, timezone FROM contacts WHERE id = $1 AND user_id = $2',
       [contactId, userId]
     );
     
@@ -36,32 +44,40 @@ router.post('/send-sms', verifyToken, async (req, res) => {
     }
     
     const { phone_number, first_name } = contactResult.rows[0];
+
+    // No texts to numbers that opted out, or during the contact's quiet hours
+    const blocked = await smsConsentService.checkOutbound(client, contactResult.rows[0]);
+    if (blocked) {
+      client.release();
+      return res.status(400).json({ error: blocked.error, reason: blocked.reason });
+    }
     
-    // Send SMS using Twilio
-    const twilioClient = require('twilio')(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
-    const twilioResponse = await twilioClient.messages.create({
+    // Send SMS using Twilio and log it in the contact's thread
+    const sent = await smsService.sendSms(client, {
+      contactId,
+      userId,
+      from: userProfileService.getSenderNumber(profile),
+      to: phone_number,
       body: message,
-      from: process.env.TWILIO_PHONE_NUMBER,
-      to: phone_number
-    });
-    
-    // Log the message
-    await client.query(
-      'INSERT INTO sms_messages (contact_id, user_id, message, twilio_sid, sent_at) VALUES ($1, $2, $3, $4, NOW())',
-      [contactId, userId, message, twilioResponse.sid]
-    ).catch(err => {
-      console.log('Failed to log SMS message, table might not exist:', err.message);
-      // Continue execution even if logging fails
+      messageType: 'manual'
     });
     
+    if (sent.status === 'failed') {
+      client.release();
+      return res.status(500).json({ error: 'Failed to send SMS', details: sent.error_message });
+    }
+
+    // Texting a contact counts as checking in with them
+    await relationshipService.recordCheckIn(client, userId, contactId);
     client.release();
     
     console.log(`SMS sent to ${first_name} at ${phone_number}: "${message.substring(0, 30)}..."`);
     
     res.status(200).json({ 
       message: 'SMS sent successfully',
-      sid: twilioResponse.sid,
-      status: twilioResponse.status
+      sid: sent.twilio_sid,
+      status: sent.status,
+      sms_message_id: sent.id
     });
   } catch (error) {
     console.error('Error sending SMS:', error.message);
@@ -92,41 +108,68 @@ router.post('/send-intake-sms/:contactId', verifyToken, async (req, res) => {
       }
 
       const contact = contactResult.rows[0];
-      const userResult = await client.query('SELECT email FROM users WHERE id = $1', [userId]);
-      const userName = userResult.rows[0].email.split('@')[0]; // Extract name from email
+      const blocked = await smsConsentService.checkOutbound(client, contact);
+      if (blocked) {
+        client.release();
+        return res.status(400).json({ error: blocked.error, reason: blocked.reason });
+      }
+
+      const profile = await userProfileService.getProfile(client, userId);
+      const userName = userProfileService.getDisplayName(profile);
+      const senderNumber = userProfileService.getSenderNumber(profile);
 
       // Check if Twilio credentials are configured
-      if (!process.env.TWILIO_ACCOUNT_SID || !process.env.TWILIO_AUTH_TOKEN || !process.env.TWILIO_PHONE_NUMBER) {
+      if (!userProfileService.canSendSms(profile)) {
         console.error('Missing Twilio credentials in environment variables for intake SMS');
         client.release();
         return res.status(400).json({ 
           error: 'Twilio credentials not configured',
-          details: 'The administrator needs to set TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, and TWILIO_PHONE_NUMBER environment variables'
+          details: 'The administrator needs to set TWILIO_ACCOUNT_SID and TWILIO_AUTH_TOKEN, plus TWILIO_PHONE_NUMBER or a Twilio number on your profile'
         });
       }
 
-      // Send SMS via Twilio
-      const twilioClient = require('twilio')(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
-      const message = await twilioClient.messages.create({
-        body: `Hi ${contact.first_name}, ${userName} would like to connect with you. Please call ${process.env.TWILIO_PHONE_NUMBER} to complete your intake with our AI relationship assistant.`,
-        from: process.env.TWILIO_PHONE_NUMBER,
-        to: contact.phone_number
+      // Unapproved contacts get a fresh invite code, the old one can't be recovered from its hash
+      const inviteCode = !contact.is_approved && contactApprovalService.getApprovalMode() === 'invite_code'
+        ? await contactApprovalService.createInviteCode(client, contact.id)
+        : null;
+      const codeText = inviteCode ? ` When asked, enter your invite code ${inviteCode}.` : '';
+
+      // Send SMS via Twilio; the log leaves out the invite code
+      const body = `Hi ${contact.first_name}, ${userName} would like to connect with you. Please call ${senderNumber} to complete your intake with our AI relationship assistant.${codeText}`;
+      const sent = await smsService.sendSms(client, {
+        contactId: contact.id,
+        userId,
+        from: senderNumber,
+        to: contact.phone_number,
+        body,
+        messageType: 'intake_invitation',
+        loggedBody: inviteCode ? body.replace(inviteCode, '******') : body
       });
 
+      if (sent.status === 'failed') {
+        client.release();
+        return res.status(500).json({ error: 'Failed to send SMS', details: sent.error_message, status: sent.status });
+      }
+
+      // The contact's next call is routed to this user's invitation
+      await client.query('UPDATE contacts SET last_invited_at = NOW() WHERE id = $1', [contact.id]);
+
       // Log the SMS in the database
       await client.query(
         'INSERT INTO sms_log (contact_id, user_id, message_type, created_at) VALUES ($1, $2, $3, NOW())',
         [contactId, userId, 'intake_invitation']
       );
 
-      // Also log in sms_messages for consistency
-      await client.query(
-        'INSERT INTO sms_messages (contact_id, user_id, message, twilio_sid, sent_at) VALUES ($1, $2, $3, $4, NOW())',
-        [contactId, userId, `Intake invitation: Hi ${contact.first_name}, ${userName} would like to connect with you.`, message.sid]
-      );
+      // Nudge them again if they don't call
+      const reminders = await intakeReminderService.scheduleReminders(client, contact.id, userId);
 
       client.release();
-      res.status(200).json({ message: 'Intake SMS sent successfully' });
+      res.status(200).json({
+        message: 'Intake SMS sent successfully',
+        status: sent.status,
+        sms_message_id: sent.id,
+        reminders_scheduled: reminders.map(reminder => reminder.scheduled_for)
+      });
     } catch (error) {
       client.release();
       throw error;
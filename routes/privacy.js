@@ -0,0 +1,84 @@
+const express = require('express');
+const router = express.Router();
+const { verifyToken } = require('../middleware/auth');
+const privacyService = require('../services/privacyService');
+const phoneNumberService = require('../services/phoneNumberService');
+const userProfileService = require('../services/userProfileService');
+
+/**
+ * Reads the phone number a privacy request is about, in the form it is stored in
+ * @param {Object} db - PostgreSQL pool or client
+ * @param {number} userId - User ID
+ * @param {*} value - Query or body value
+ * @returns {Promise<Object>} - { phoneNumber } (E.164) or { error }
+ */
+async function resolvePhoneNumber(db, userId, value) {
+  if (!value) return { error: 'phone_number is required' };
+  const country = await userProfileService.getPhoneCountry(db, userId);
+  const phoneNumber = phoneNumberService.normalizePhoneNumber(value, country);
+  if (!phoneNumber) {
+    return { error: phoneNumberService.INVALID_PHONE_NUMBER_ERROR };
+  }
+  return { phoneNumber };
+}
+
+// Everything stored about a phone number, whether or not it's still a contact (subject access request)
+router.get('/export', verifyToken, async (req, res) => {
+  try {
+    const pool = req.app.get('pool');
+    const { phoneNumber, error } = await resolvePhoneNumber(pool, req.userId, req.query.phone_number);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const data = await privacyService.exportPhoneNumber(pool, req.userId, phoneNumber);
+    res.set('Content-Disposition', 'attachment; filename="phone-number-export.json"');
+    res.json(data);
+  } catch (error) {
+    console.error('Error exporting phone number data:', error.message);
+    res.status(500).json({ error: 'Failed to export data' });
+  }
+});
+
+// Erase everything stored about a phone number, including the contact with that number
+router.post('/erase', verifyToken, async (req, res) => {
+  try {
+    const pool = req.app.get('pool');
+    const { phoneNumber, error } = await resolvePhoneNumber(pool, req.userId, req.body.phone_number);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const erasure = await privacyService.erasePhoneNumber(pool, req.userId, phoneNumber, {
+      scope: 'phone_number',
+      reason: req.body.reason ? String(req.body.reason).slice(0, 500) : null
+    });
+    res.json({ message: 'Data erased', erasure });
+  } catch (error) {
+    console.error('Error erasing phone number data:', error.message);
+    res.status(500).json({ error: 'Failed to erase data' });
+  }
+});
+
+// The user's erasure log, newest first; ?phone_number= shows whether that number was erased
+router.get('/erasures', verifyToken, async (req, res) => {
+  try {
+    const pool = req.app.get('pool');
+    let phoneNumber = null;
+    if (req.query.phone_number) {
+      const resolved = await resolvePhoneNumber(pool, req.userId, req.query.phone_number);
+      if (resolved.error) {
+        return res.status(400).json({ error: resolved.error });
+      }
+      phoneNumber = resolved.phoneNumber;
+    }
+
+    const erasures = await privacyService.listErasures(pool, req.userId, { phoneNumber });
+    res.json({ erasures });
+  } catch (error) {
+    console.error('Error fetching erasures:', error.message);
+    res.status(500).json({ error: 'Failed to retrieve erasures' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,99 @@
+const express = require('express');
+const router = express.Router();
+const { verifyToken } = require('../middleware/auth');
+const questionnaireService = require('../services/questionnaireService');
+
+// List the user's questionnaire templates, plus the built-in template used when none is set
+router.get('/', verifyToken, async (req, res) => {
+  try {
+    const pool = req.app.get('pool');
+    const templates = await questionnaireService.listTemplates(pool, req.userId);
+    res.json({ templates, built_in: questionnaireService.DEFAULT_TEMPLATE });
+  } catch (error) {
+    console.error('Error fetching questionnaire templates:', error.message);
+    res.status(500).json({ error: 'Failed to retrieve questionnaire templates' });
+  }
+});
+
+// Get one template together with the agent prompt generated from it
+router.get('/:id', verifyToken, async (req, res) => {
+  try {
+    const pool = req.app.get('pool');
+    const template = await questionnaireService.getTemplate(pool, req.userId, req.params.id);
+    if (!template) {
+      return res.status(404).json({ error: 'Questionnaire template not found' });
+    }
+    res.json({ template, prompt: questionnaireService.buildSystemPrompt(template) });
+  } catch (error) {
+    console.error('Error fetching questionnaire template:', error.message);
+    res.status(500).json({ error: 'Failed to retrieve questionnaire template' });
+  }
+});
+
+// Create a template
+router.post('/', verifyToken, async (req, res) => {
+  const { template, error } = questionnaireService.validateTemplate(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const pool = req.app.get('pool');
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const created = await questionnaireService.createTemplate(client, req.userId, template);
+    await client.query('COMMIT');
+    console.log(`Questionnaire template #${created.id} created by user ${req.userId}`);
+    res.status(201).json({ template: created });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Error creating questionnaire template:', err.message);
+    res.status(500).json({ error: 'Failed to create questionnaire template' });
+  } finally {
+    client.release();
+  }
+});
+
+// Replace a template
+router.put('/:id', verifyToken, async (req, res) => {
+  const { template, error } = questionnaireService.validateTemplate(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const pool = req.app.get('pool');
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const updated = await questionnaireService.updateTemplate(client, req.userId, req.params.id, template);
+    if (!updated) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Questionnaire template not found' });
+    }
+    await client.query('COMMIT');
+    res.json({ template: updated });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Error updating questionnaire template:', err.message);
+    res.status(500).json({ error: 'Failed to update questionnaire template' });
+  } finally {
+    client.release();
+  }
+});
+
+// Delete a template - contacts using it fall back to the default template
+router.delete('/:id', verifyToken, async (req, res) => {
+  try {
+    const pool = req.app.get('pool');
+    const deleted = await questionnaireService.deleteTemplate(pool, req.userId, req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Questionnaire template not found' });
+    }
+    res.json({ message: 'Questionnaire template deleted' });
+  } catch (error) {
+    console.error('Error deleting questionnaire template:', error.message);
+    res.status(500).json({ error: 'Failed to delete questionnaire template' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,85 @@
+const express = require('express');
+const router = express.Router();
+const { verifyToken } = require('../middleware/auth');
+const relationshipService = require('../services/relationshipService');
+
+/**
+ * Checks that a contact belongs to the user
+ * @param {Object} db - PostgreSQL pool or client
+ * @param {number} userId - User ID
+ * @param {*} contactId - Contact ID from the URL
+ * @returns {Promise<boolean>}
+ */
+async function ownsContact(db, userId, contactId) {
+  const result = await db.query('SELECT id FROM contacts WHERE id = $1 AND user_id = $2', [contactId, userId]);
+  return result.rows.length > 0;
+}
+
+// List the user's relationships, the next check-in first
+router.get('/', verifyToken, async (req, res) => {
+  try {
+    const pool = req.app.get('pool');
+    const relationships = await relationshipService.listRelationships(pool, req.userId);
+    res.json({ relationships });
+  } catch (error) {
+    console.error('Error fetching relationships:', error.message);
+    res.status(500).json({ error: 'Failed to retrieve relationships' });
+  }
+});
+
+// Check-ins that are overdue or due within ?days= days (7 by default)
+router.get('/due', verifyToken, async (req, res) => {
+  const days = req.query.days === undefined ? relationshipService.DEFAULT_DUE_WINDOW_DAYS : parseInt(req.query.days, 10);
+  if (!Number.isInteger(days) || days < 0 || days > 365) {
+    return res.status(400).json({ error: 'days must be a whole number between 0 and 365' });
+  }
+
+  try {
+    const pool = req.app.get('pool');
+    const relationships = await relationshipService.listRelationships(pool, req.userId, { dueWithinDays: days });
+    res.json({ days, relationships });
+  } catch (error) {
+    console.error('Error fetching due check-ins:', error.message);
+    res.status(500).json({ error: 'Failed to retrieve due check-ins' });
+  }
+});
+
+// Set how often to check in with a contact; null goes back to the cadence from their intake
+router.put('/:contactId', verifyToken, async (req, res) => {
+  const cadence = req.body.check_in_cadence ?? null;
+  if (cadence !== null && !Object.hasOwn(relationshipService.CADENCES, cadence)) {
+    return res.status(400).json({ error: `check_in_cadence must be one of: ${Object.keys(relationshipService.CADENCES).join(', ')} (or null)` });
+  }
+
+  try {
+    const pool = req.app.get('pool');
+    if (!(await ownsContact(pool, req.userId, req.params.contactId))) {
+      return res.status(403).json({ error: 'Contact not found or access denied' });
+    }
+
+    const relationship = await relationshipService.setCadence(pool, req.userId, req.params.contactId, cadence);
+    res.json({ relationship });
+  } catch (error) {
+    console.error('Error updating check-in cadence:', error.message);
+    res.status(500).json({ error: 'Failed to update check-in cadence' });
+  }
+});
+
+// Record a check-in (a call, a coffee...) with a contact
+router.post('/:contactId/check-in', verifyToken, async (req, res) => {
+  try {
+    const pool = req.app.get('pool');
+    if (!(await ownsContact(pool, req.userId, req.params.contactId))) {
+      return res.status(403).json({ error: 'Contact not found or access denied' });
+    }
+
+    const relationship = await relationshipService.recordCheckIn(pool, req.userId, req.params.contactId);
+    console.log(`User ${req.userId} checked in with contact ${req.params.contactId}`);
+    res.json({ relationship });
+  } catch (error) {
+    console.error('Error recording check-in:', error.message);
+    res.status(500).json({ error: 'Failed to record check-in' });
+  }
+});
+
+module.exports = router;
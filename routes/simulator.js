@@ -0,0 +1,136 @@
+const express = require('express');
+const router = express.Router();
+const telephonyProviders = require('../services/telephonyProviders');
+
+// Drives the telephony simulator (TELEPHONY_PROVIDER=simulator). Only mounted when the
+// simulator is the provider: these routes play the part of Twilio and ElevenLabs, so
+// like their webhooks they take no user token.
+
+/**
+ * Sends the result of a simulated webhook, or 404 when the call or message is unknown
+ * @param {Object} res - Express response
+ * @param {Object|null} result - Simulator result
+ * @param {string} notFound - Error message for unknown calls or messages
+ */
+function sendResult(res, result, notFound) {
+  if (!result) {
+    return res.status(404).json({ error: notFound });
+  }
+  res.json(result);
+}
+
+// Texts the app sent, oldest first (?to= filters by recipient)
+router.get('/messages', (req, res) => {
+  const simulator = telephonyProviders.getProvider('simulator');
+  res.json({ messages: simulator.listMessages({ to: req.query.to }) });
+});
+
+// Calls the app placed and simulated inbound calls, oldest first
+router.get('/calls', (req, res) => {
+  const simulator = telephonyProviders.getProvider('simulator');
+  res.json({ calls: simulator.listCalls() });
+});
+
+// Forget every recorded text and call
+router.delete('/', (req, res) => {
+  telephonyProviders.getProvider('simulator').reset();
+  res.json({ message: 'Simulator reset' });
+});
+
+// A contact calls in: { from, to } - to defaults to TWILIO_PHONE_NUMBER
+router.post('/inbound-call', async (req, res) => {
+  const { from, to = process.env.TWILIO_PHONE_NUMBER } = req.body;
+  if (!from || !to) {
+    return res.status(400).json({ error: 'from and to are required' });
+  }
+
+  try {
+    const result = await telephonyProviders.getProvider('simulator').inboundCall({ from, to });
+    res.status(201).json(result);
+  } catch (error) {
+    console.error('Error simulating inbound call:', error.message);
+    res.status(500).json({ error: 'Failed to simulate call', details: error.message });
+  }
+});
+
+// A contact answers a call the app placed
+router.post('/calls/:callSid/answer', async (req, res) => {
+  try {
+    const result = await telephonyProviders.getProvider('simulator').answerCall(req.params.callSid);
+    sendResult(res, result, 'Call not found or not placed by the app');
+  } catch (error) {
+    console.error('Error simulating answer:', error.message);
+    res.status(500).json({ error: 'Failed to simulate answer', details: error.message });
+  }
+});
+
+// The caller enters digits (e.g. their invite code): { digits }
+router.post('/calls/:callSid/digits', async (req, res) => {
+  if (!req.body.digits) {
+    return res.status(400).json({ error: 'digits is required' });
+  }
+
+  try {
+    const result = await telephonyProviders.getProvider('simulator').enterDigits(req.params.callSid, req.body.digits);
+    sendResult(res, result, 'Call not found or not waiting for input');
+  } catch (error) {
+    console.error('Error simulating digits:', error.message);
+    res.status(500).json({ error: 'Failed to simulate digits', details: error.message });
+  }
+});
+
+// Twilio reports a call status: { status, duration }
+router.post('/calls/:callSid/status', async (req, res) => {
+  const { status = 'completed', duration = 0 } = req.body;
+
+  try {
+    const result = await telephonyProviders.getProvider('simulator').reportCallStatus(req.params.callSid, status, duration);
+    sendResult(res, result, 'Call not found');
+  } catch (error) {
+    console.error('Error simulating call status:', error.message);
+    res.status(500).json({ error: 'Failed to simulate call status', details: error.message });
+  }
+});
+
+// The agent delivers the call's intake: { communication_style, values, professional_goals,
+// partnership_expectations, raw_transcript }
+router.post('/calls/:callSid/intake', async (req, res) => {
+  try {
+    const result = await telephonyProviders.getProvider('simulator').deliverIntake(req.params.callSid, req.body);
+    sendResult(res, result, 'Call not found');
+  } catch (error) {
+    console.error('Error simulating intake:', error.message);
+    res.status(500).json({ error: 'Failed to simulate intake', details: error.message });
+  }
+});
+
+// A contact texts in: { from, to, body } - to defaults to TWILIO_PHONE_NUMBER
+router.post('/inbound-sms', async (req, res) => {
+  const { from, to = process.env.TWILIO_PHONE_NUMBER, body } = req.body;
+  if (!from || !to || !body) {
+    return res.status(400).json({ error: 'from, to and body are required' });
+  }
+
+  try {
+    const result = await telephonyProviders.getProvider('simulator').inboundMessage({ from, to, body });
+    res.status(201).json(result);
+  } catch (error) {
+    console.error('Error simulating inbound text:', error.message);
+    res.status(500).json({ error: 'Failed to simulate text', details: error.message });
+  }
+});
+
+// Twilio reports a message status: { status }
+router.post('/messages/:messageSid/status', async (req, res) => {
+  const { status = 'delivered' } = req.body;
+
+  try {
+    const result = await telephonyProviders.getProvider('simulator').reportMessageStatus(req.params.messageSid, status);
+    sendResult(res, result, 'Message not found');
+  } catch (error) {
+    console.error('Error simulating message status:', error.message);
+    res.status(500).json({ error: 'Failed to simulate message status', details: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,15 +1,168 @@
 
 const express = require('express');
 const router = express.Router();
+const twilio = require('twilio');
+const { validateTwilioSignature } = require('../middleware/twilioSignature');
+const { verifyToken } = require('../middleware/auth');
+const elevenLabsService = require('../services/elevenLabsService');
+const publicUrlService = require('../services/publicUrlService');
+const questionnaireService = require('../services/questionnaireService');
+const contactApprovalService = require('../services/contactApprovalService');
+const callRoutingService = require('../services/callRoutingService');
+const userProfileService = require('../services/userProfileService');
+const smsConversationService = require('../services/smsConversationService');
+const smsService = require('../services/smsService');
+const callCampaignService = require('../services/callCampaignService');
+const callLogService = require('../services/callLogService');
+const phoneNumberService = require('../services/phoneNumberService');
 
-// Voice route for initial Twilio call
-router.post('/voice', async (req, res) => {
-  const { From, CallSid } = req.body;
-  console.log('Incoming call received. CallSid:', CallSid, 'From:', From);
+// What /voice does with callers whose number doesn't belong to a contact:
+//   voicemail (default) - play UNKNOWN_CALLER_MESSAGE and record a voicemail
+//   reject              - play UNKNOWN_CALLER_MESSAGE and hang up
+//   agent               - connect them to the agent, which tells them how to get access
+const UNKNOWN_CALLER_POLICIES = ['voicemail', 'reject', 'agent'];
+const DEFAULT_UNKNOWN_CALLER_MESSAGE = 'Sorry, this line is only available to approved contacts.';
+const VOICEMAIL_PROMPT = 'Please leave a message after the tone.';
+const DEFAULT_FALLBACK_MESSAGE = "Sorry, our assistant isn't available right now. We'll get back to you.";
+const VOICEMAIL_MAX_LENGTH_SECONDS = 120;
+const INVITE_CODE_PROMPT = 'Please enter or say the invite code from your text message.';
+const MAX_INVITE_CODE_PROMPTS = 3;
+
+/**
+ * Returns the configured unknown caller policy
+ * @returns {string} - One of UNKNOWN_CALLER_POLICIES
+ */
+function getUnknownCallerPolicy() {
+  const policy = (process.env.UNKNOWN_CALLER_POLICY || 'voicemail').toLowerCase();
+  return UNKNOWN_CALLER_POLICIES.includes(policy) ? policy : 'voicemail';
+}
+
+/**
+ * Express middleware bringing the From and To of a (signature-checked) Twilio webhook to
+ * E.164, the form numbers are stored and matched in. Caller IDs that aren't numbers
+ * ('anonymous') are left as they are.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+function normalizeWebhookNumbers(req, res, next) {
+  for (const field of ['From', 'To']) {
+    if (req.body && req.body[field]) {
+      req.body[field] = phoneNumberService.normalizeWebhookNumber(req.body[field]);
+    }
+  }
+  next();
+}
+
+/**
+ * Adds a voicemail prompt and recording to a TwiML response
+ * @param {Object} twiml - VoiceResponse
+ * @param {string} message - Message played before the beep
+ * @param {string} reason - Why the caller ended up in voicemail
+ * @param {Object} req - Express request, used to build the callback URL
+ */
+function addVoicemail(twiml, message, reason, req) {
+  twiml.say(message);
+  twiml.record({
+    action: publicUrlService.publicUrl(`/voice/voicemail?reason=${encodeURIComponent(reason)}`, req),
+    method: 'POST',
+    maxLength: VOICEMAIL_MAX_LENGTH_SECONDS,
+    playBeep: true
+  });
+  // Only reached when the caller didn't record anything
+  twiml.say('We did not receive a message. Goodbye.');
+  twiml.hangup();
+}
+
+/**
+ * Moves a call to a new state in call_log (see callLogService for the allowed transitions)
+ * @param {Object} pool - PostgreSQL connection pool
+ * @param {string} callSid - Twilio call SID
+ * @param {string} status - New status
+ * @param {string|null} [reason] - What is happening on the call (e.g. 'voicemail')
+ */
+async function updateCallStatus(pool, callSid, status, reason = null) {
+  try {
+    await callLogService.transition(pool, callSid, status, reason);
+  } catch (error) {
+    console.error('Error updating call status:', error.message);
+  }
+}
+
+/**
+ * Asks an unapproved contact for their invite code
+ * @param {Object} twiml - VoiceResponse
+ * @param {number} attempt - Which prompt this is, starting at 1
+ * @param {Object} req - Express request, used to build the callback URL
+ */
+function addInviteCodeGather(twiml, attempt, req) {
+  const gather = twiml.gather({
+    input: 'dtmf speech',
+    numDigits: contactApprovalService.INVITE_CODE_LENGTH,
+    timeout: 10,
+    action: publicUrlService.publicUrl(`/voice/invite-code?attempt=${attempt}`, req),
+    method: 'POST'
+  });
+  gather.say(INVITE_CODE_PROMPT);
+  // Only reached when the caller entered nothing
+  twiml.say(contactApprovalService.getNotApprovedMessage());
+  twiml.hangup();
+}
+
+/**
+ * Adds the ElevenLabs agent stream to a TwiML response, or a voicemail when the
+ * agent can't be reached
+ * @param {Object} twiml - VoiceResponse
+ * @param {Object|null} contact - Contact on the call, null for unknown callers
+ * @param {Object} req - Express request with the Twilio call parameters
+ * @param {string} [direction] - 'inbound', or 'outbound' for calls we placed (the contact is then Twilio's To)
+ */
+async function connectToAgent(twiml, contact, req, direction = 'inbound') {
+  const { CallSid } = req.body;
+  const callerId = direction === 'outbound' ? req.body.To : req.body.From;
+  const pool = req.app.get('pool');
+
+  let streamUrl = null;
+  if (elevenLabsService.isAgentConfigured()) {
+    try {
+      streamUrl = await elevenLabsService.getAgentStreamUrl();
+    } catch (error) {
+      console.error('ElevenLabs agent unavailable:', error.message);
+    }
+  } else {
+    console.error('ElevenLabs agent is not configured (ELEVENLABS_AGENT_ID) - sending caller to voicemail');
+  }
+
+  if (!streamUrl) {
+    const message = process.env.VOICE_FALLBACK_MESSAGE || DEFAULT_FALLBACK_MESSAGE;
+    addVoicemail(twiml, `${message} ${VOICEMAIL_PROMPT}`, 'agent_unavailable', req);
+    await updateCallStatus(pool, CallSid, 'in-progress', 'voicemail');
+    return;
+  }
+
+  // Pass the call identifiers to the agent so /receive-data can match the intake to this call
+  const stream = twiml.connect().stream({ url: streamUrl });
+  stream.parameter({ name: 'call_sid', value: CallSid });
+  stream.parameter({ name: 'caller_id', value: callerId });
+  stream.parameter({ name: 'call_direction', value: direction });
+  stream.parameter({ name: 'contact_status', value: contact ? 'approved' : 'unauthorized' });
+  if (contact) {
+    stream.parameter({ name: 'contact_id', value: String(contact.id) });
+  }
+
+  await updateCallStatus(pool, CallSid, 'agent-connected');
+  console.log(`Connecting ${direction} call ${CallSid} to the ElevenLabs agent`);
+}
+
+// Voice route for initial Twilio call: bridges approved callers to the ElevenLabs agent
+router.post('/voice', validateTwilioSignature, normalizeWebhookNumbers, async (req, res) => {
+  const { From, To, CallSid } = req.body;
+  console.log('Incoming call received. CallSid:', CallSid, 'From:', From, 'To:', To);
 
   try {
     const pool = req.app.get('pool');
     const client = await pool.connect();
+    let contact = null;
     try {
       await client.query('BEGIN');
 
@@ -24,7 +177,7 @@ router.post('/voice', async (req, res) => {
         `INSERT INTO call_log (call_sid, phone_number, status, created_at)
          VALUES ($1, $2, $3, NOW())
          ON CONFLICT (call_sid) DO NOTHING`,
-        [CallSid, From, 'initiated']
+        [CallSid, From, 'ringing']
       );
 
       await client.query('COMMIT');
@@ -32,26 +185,268 @@ router.post('/voice', async (req, res) => {
     } catch (error) {
       await client.query('ROLLBACK');
       console.error('Error storing call data:', error.message);
+    }
+
+    try {
+      // Several users may have this caller as a contact - decide whose contact this call is
+      const route = await callRoutingService.routeCall(client, From, To);
+      contact = route.contact;
+      await callRoutingService.recordCallRoute(client, CallSid, route);
+    } catch (error) {
+      console.error('Error looking up caller:', error.message);
     } finally {
       client.release();
     }
 
-    // Continue with your existing Twilio voice response here
-    // This TwiML response would redirect to ElevenLabs or handle the call
-    res.set('Content-Type', 'text/xml');
-    res.send(`
-      <Response>
-        <Say>We're connecting you to our AI agent.</Say>
-      </Response>
-    `);
+    const twiml = new twilio.twiml.VoiceResponse();
+
+    if (!contact) {
+      const policy = getUnknownCallerPolicy();
+      console.log(`Caller ${From} is not a known contact - applying unknown caller policy '${policy}'`);
+
+      if (policy !== 'agent') {
+        const message = process.env.UNKNOWN_CALLER_MESSAGE || DEFAULT_UNKNOWN_CALLER_MESSAGE;
+        if (policy === 'voicemail') {
+          addVoicemail(twiml, `${message} ${VOICEMAIL_PROMPT}`, 'unknown_caller', req);
+        } else {
+          twiml.say(message);
+          twiml.hangup();
+        }
+        await updateCallStatus(pool, CallSid, 'in-progress', policy === 'voicemail' ? 'voicemail' : 'rejected');
+        res.type('text/xml');
+        return res.send(twiml.toString());
+      }
+    }
+
+    if (contact && !contact.is_approved) {
+      if (contactApprovalService.hasPendingInviteCode(contact)) {
+        console.log(`Contact ${contact.id} is not approved yet - asking for their invite code`);
+        addInviteCodeGather(twiml, 1, req);
+        await updateCallStatus(pool, CallSid, 'in-progress', 'awaiting_invite_code');
+      } else {
+        console.log(`Contact ${contact.id} is not approved - rejecting call`);
+        twiml.say(contactApprovalService.getNotApprovedMessage());
+        twiml.hangup();
+        await updateCallStatus(pool, CallSid, 'in-progress', 'rejected');
+      }
+      res.type('text/xml');
+      return res.send(twiml.toString());
+    }
+
+    await connectToAgent(twiml, contact, req);
+    res.type('text/xml');
+    res.send(twiml.toString());
   } catch (error) {
     console.error('Error in voice endpoint:', error.message);
     res.status(500).send('Server error');
   }
 });
 
+// Gather callback for invite codes: approves the contact and connects them to the agent
+router.post('/voice/invite-code', validateTwilioSignature, normalizeWebhookNumbers, async (req, res) => {
+  const { From, To, CallSid, Digits, SpeechResult } = req.body;
+  const attempt = parseInt(req.query.attempt, 10) || 1;
+  const twiml = new twilio.twiml.VoiceResponse();
+
+  try {
+    const pool = req.app.get('pool');
+    const { contact } = await callRoutingService.resolveCallContact(pool, CallSid, From, To);
+
+    if (!contact) {
+      twiml.say(process.env.UNKNOWN_CALLER_MESSAGE || DEFAULT_UNKNOWN_CALLER_MESSAGE);
+      twiml.hangup();
+      await updateCallStatus(pool, CallSid, 'in-progress', 'rejected');
+    } else if (contact.is_approved) {
+      await connectToAgent(twiml, contact, req);
+    } else {
+      const { approved, attemptsLeft } = await contactApprovalService.redeemInviteCode(pool, contact.id, Digits || SpeechResult);
+
+      if (approved) {
+        twiml.say('Thank you, your code is confirmed.');
+        await connectToAgent(twiml, contact, req);
+      } else if (attemptsLeft > 0 && attempt < MAX_INVITE_CODE_PROMPTS) {
+        console.log(`Wrong invite code for contact ${contact.id} (attempt ${attempt})`);
+        twiml.say("Sorry, that code didn't match.");
+        addInviteCodeGather(twiml, attempt + 1, req);
+      } else {
+        console.log(`Wrong invite code for contact ${contact.id} - giving up after attempt ${attempt}`);
+        twiml.say(contactApprovalService.getNotApprovedMessage());
+        twiml.hangup();
+        await updateCallStatus(pool, CallSid, 'in-progress', 'invite_code_failed');
+      }
+    }
+
+    res.type('text/xml');
+    res.send(twiml.toString());
+  } catch (error) {
+    console.error('Error checking invite code:', error.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// Answered outbound calls placed by call campaigns: connects the contact to the agent
+router.post('/voice/outbound', validateTwilioSignature, normalizeWebhookNumbers, async (req, res) => {
+  const { To, CallSid } = req.body;
+  console.log('Outbound call answered. CallSid:', CallSid, 'To:', To);
+  const twiml = new twilio.twiml.VoiceResponse();
+
+  try {
+    const pool = req.app.get('pool');
+    // The campaign logged the call with its contact when placing it
+    const contact = await callRoutingService.getRoutedContact(pool, CallSid);
+
+    if (!contact || !contact.is_approved) {
+      console.log(`Outbound call ${CallSid} has no approved contact - hanging up`);
+      twiml.say('Sorry, this call was placed in error. Goodbye.');
+      twiml.hangup();
+      await updateCallStatus(pool, CallSid, 'in-progress', 'rejected');
+    } else {
+      await connectToAgent(twiml, contact, req, 'outbound');
+    }
+
+    res.type('text/xml');
+    res.send(twiml.toString());
+  } catch (error) {
+    console.error('Error in outbound voice endpoint:', error.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// Call status callback (statusCallback of the calls campaigns place, and of the Twilio numbers
+// for inbound calls): records answer, end, duration and end reason, and retries unanswered campaign calls
+router.post('/call-status', validateTwilioSignature, async (req, res) => {
+  const { CallSid, CallStatus, CallDuration } = req.body;
+  console.log(`Call status callback: ${CallSid} is ${CallStatus}${CallDuration ? ` (${CallDuration}s)` : ''}`);
+
+  try {
+    const pool = req.app.get('pool');
+    const updated = await callLogService.applyStatusCallback(pool, req.body);
+    if (!updated) {
+      console.log(`Ignored status ${CallStatus} for ${CallSid} (unknown call, intermediate or repeated status)`);
+    } else if (updated.ended) {
+      await callCampaignService.finishCampaignCall(pool, updated.call);
+    }
+    res.status(204).end();
+  } catch (error) {
+    console.error('Error handling call status callback:', error.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// Recording callback for voicemails left on /voice
+router.post('/voice/voicemail', validateTwilioSignature, normalizeWebhookNumbers, async (req, res) => {
+  const { From, To, CallSid, RecordingSid, RecordingUrl, RecordingDuration } = req.body;
+  const reason = req.query.reason || 'unknown';
+  console.log(`Voicemail recorded for call ${CallSid} from ${From} (${reason}):`, RecordingUrl);
+
+  const twiml = new twilio.twiml.VoiceResponse();
+  twiml.say('Thank you for your message. Goodbye.');
+  twiml.hangup();
+
+  if (!RecordingUrl) {
+    res.type('text/xml');
+    return res.send(twiml.toString());
+  }
+
+  try {
+    const pool = req.app.get('pool');
+    // Unknown callers to a user's own number still leave the voicemail for that user
+    const { contact, userId } = await callRoutingService.resolveCallContact(pool, CallSid, From, To);
+
+    await pool.query(`
+      INSERT INTO voicemails
+        (call_sid, phone_number, contact_id, user_id, recording_sid, recording_url, duration_seconds, reason)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    `, [
+      CallSid,
+      From,
+      contact ? contact.id : null,
+      userId || null,
+      RecordingSid,
+      RecordingUrl,
+      parseInt(RecordingDuration, 10) || null,
+      reason
+    ]);
+  } catch (error) {
+    console.error('Error storing voicemail:', error.message);
+  }
+
+  res.type('text/xml');
+  res.send(twiml.toString());
+});
+
+// Inbound SMS webhook: stores the text in the contact's thread and answers keywords
+router.post('/sms', validateTwilioSignature, normalizeWebhookNumbers, async (req, res) => {
+  const { From, To, Body, MessageSid } = req.body;
+  console.log(`Incoming SMS ${MessageSid} from ${From} to ${To}`);
+
+  const twiml = new twilio.twiml.MessagingResponse();
+  const pool = req.app.get('pool');
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const { contact, keyword, reply } = await smsConversationService.handleInboundSms(client, {
+      from: From,
+      to: To,
+      body: Body,
+      messageSid: MessageSid
+    });
+    await client.query('COMMIT');
+
+    console.log(`SMS from ${From} stored${contact ? ` for contact ${contact.id}` : ' (no matching contact)'}${keyword ? `, keyword ${keyword}` : ''}`);
+    if (reply) {
+      twiml.message(reply);
+    }
+    res.type('text/xml');
+    res.send(twiml.toString());
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error handling inbound SMS:', error.message);
+    res.status(500).send('Server error');
+  } finally {
+    client.release();
+  }
+});
+
+// Delivery status callback for texts we sent (statusCallback of messages.create)
+router.post('/sms-status', validateTwilioSignature, async (req, res) => {
+  const { MessageSid, MessageStatus, ErrorCode } = req.body;
+  console.log(`SMS status callback: ${MessageSid} is ${MessageStatus}${ErrorCode ? ` (error ${ErrorCode})` : ''}`);
+
+  try {
+    const pool = req.app.get('pool');
+    const updated = await smsService.applyStatusCallback(pool, req.body);
+    if (!updated) {
+      console.log(`Ignored status ${MessageStatus} for ${MessageSid} (unknown message or out-of-order callback)`);
+    }
+    res.status(204).end();
+  } catch (error) {
+    console.error('Error handling SMS status callback:', error.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// List voicemails left by the user's contacts
+router.get('/voicemails', verifyToken, async (req, res) => {
+  try {
+    const pool = req.app.get('pool');
+    const result = await pool.query(`
+      SELECT v.id, v.call_sid, v.phone_number, v.contact_id, v.recording_url,
+             v.duration_seconds, v.reason, v.created_at, c.first_name, c.last_name
+      FROM voicemails v
+      LEFT JOIN contacts c ON c.id = v.contact_id
+      WHERE v.user_id = $1
+      ORDER BY v.created_at DESC
+    `, [req.userId]);
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching voicemails:', error.message);
+    res.status(500).json({ error: 'Failed to fetch voicemails' });
+  }
+});
+
 // Personalization Webhook for ElevenLabs inbound Twilio calls
-router.post('/twilio-personalization', async (req, res) => {
+router.post('/twilio-personalization', validateTwilioSignature, async (req, res) => {
   try {
     const { caller_id, agent_id, called_number, call_sid } = req.body || {};
     console.log('Received personalization request:', { caller_id, agent_id, called_number, call_sid });
@@ -61,8 +456,9 @@ router.post('/twilio-personalization', async (req, res) => {
       return res.status(400).json({ error: 'Missing required parameters' });
     }
 
-    // Format the phone number properly if needed
-    const formattedPhoneNumber = caller_id.startsWith('+') ? caller_id : `+${caller_id}`;
+    // ElevenLabs may leave out the +; numbers are stored and matched as E.164
+    const formattedPhoneNumber = phoneNumberService.normalizeWebhookNumber(caller_id);
+    const calledNumber = phoneNumberService.normalizeWebhookNumber(called_number);
     console.log(`Formatted phone number: ${formattedPhoneNumber}`);
 
     // Look up contact info
@@ -78,23 +474,24 @@ router.post('/twilio-personalization', async (req, res) => {
       `, [call_sid, formattedPhoneNumber]);
       
       console.log(`Updated temp_calls with call_sid: ${call_sid}, phone_number: ${formattedPhoneNumber}`);
-      const findContact = await client.query(`
-        SELECT id, first_name, last_name, user_id
-        FROM contacts 
-        WHERE phone_number = $1 
-        LIMIT 1
-      `, [formattedPhoneNumber]);
-
-      // Log the call
+      // Use the contact /voice routed this call to, or route it now
+      const route = await callRoutingService.resolveCallContact(client, call_sid, formattedPhoneNumber, calledNumber);
+      const { contact } = route;
+
+      // Log the call, unless /voice did already: the agent has it now
       await client.query(`
-        INSERT INTO call_log (call_sid, phone_number, status, created_at)
-        VALUES ($1, $2, $3, NOW()) 
+        INSERT INTO call_log (call_sid, phone_number, status, status_reason, status_updated_at, created_at)
+        VALUES ($1, $2, 'agent-connected', $3, NOW(), NOW())
         ON CONFLICT (call_sid) DO NOTHING
-      `, [call_sid, caller_id, findContact.rows.length > 0 ? 'existing_contact' : 'unauthorized']);
+      `, [call_sid, formattedPhoneNumber, contact ? null : 'unauthorized']);
 
-      const contact = findContact.rows[0];
+      if (!route.routed) {
+        await callRoutingService.recordCallRoute(client, call_sid, route);
+      }
+      const directionResult = await client.query('SELECT direction FROM call_log WHERE call_sid = $1', [call_sid]);
+      const callDirection = directionResult.rows[0] ? directionResult.rows[0].direction : 'inbound';
       
-      // If contact doesn't exist or isn't approved, return polite rejection
+      // If contact doesn't exist, return polite rejection
       if (!contact) {
         const response = {
           dynamic_variables: {
@@ -116,24 +513,35 @@ router.post('/twilio-personalization', async (req, res) => {
         return res.status(200).json(response);
       }
 
-      // For approved contacts, proceed with personalized interaction
-      const systemPrompt = `
-You are an AI intake bot focusing on professional relationships for business leaders.
-Ask these questions sequentially, transcribe responses, and follow up with clarifications if needed:
-
-1) "How would you describe your preferred communication style—do you lean toward direct and concise, or collaborative and detailed?"
-
-2) "What are your top professional goals for the next year—growth, stability, or something else?"
-
-3) "What values are most important to you in a professional relationship, like trust, innovation, or accountability?"
-
-4) "What do you expect from a professional partnership—regular updates or strategic guidance?"
-
-If any answer is unclear, gently ask for elaboration (e.g., 'Can you elaborate on growth?').
-Once all questions are answered, say "Thank you for your time," and end the call.
+      // Known but not (or no longer) approved contacts are turned away too
+      if (!contact.is_approved) {
+        console.log(`Contact ${contact.id} is not approved - rejecting personalization`);
+        const message = contactApprovalService.getNotApprovedMessage();
+        return res.status(200).json({
+          dynamic_variables: {
+            caller_id: formattedPhoneNumber,
+            call_sid,
+            called_number,
+            contact_id: contact.id,
+            contact_status: 'unapproved'
+          },
+          conversation_config_override: {
+            agent: {
+              prompt: {
+                prompt: `This caller is a contact who has not been approved yet. Tell them: "${message}" Do not ask any intake questions, then end the call.`
+              },
+              first_message: message,
+              language: 'en'
+            }
+          }
+        });
+      }
 
-Ensure to include the entire conversation in 'raw_transcript' in your final callback to /receive-data.
-DO NOT ask any unrelated questions.`;
+      // For approved contacts, ask the questions of the contact's questionnaire
+      const template = await questionnaireService.getTemplateForContact(client, contact.id);
+      const systemPrompt = questionnaireService.buildSystemPrompt(template);
+      // The greeting introduces the agent on behalf of the contact's owner
+      const ownerName = userProfileService.getDisplayName(await userProfileService.getProfile(client, contact.user_id));
 
       const response = {
         dynamic_variables: {
@@ -143,7 +551,10 @@ DO NOT ask any unrelated questions.`;
           contact_name: contact.first_name,
           contact_id: contact.id,
           user_id: contact.user_id,
+          owner_name: ownerName,
           contact_status: 'approved',
+          call_direction: callDirection,
+          questionnaire_template_id: template.id,
           raw_transcript: ''
         },
         conversation_config_override: {
@@ -151,7 +562,7 @@ DO NOT ask any unrelated questions.`;
             prompt: {
               prompt: systemPrompt
             },
-            first_message: `Hello ${contact.first_name}, Chase asked me to learn more about your professional goals. When you're ready, let me know and we will get started.`,
+            first_message: questionnaireService.renderGreeting(template, contact, ownerName),
             language: 'en'
           }
         }
@@ -0,0 +1,58 @@
+// Command line interface for database migrations.
+//
+// Usage: node index.js migrate up [version]   apply pending migrations (optionally up to a version)
+//        node index.js migrate down [steps]   revert the last migration (or the last N)
+//        node index.js migrate status         list migrations and whether they are applied
+
+const connectionManager = require('../services/connectionManager');
+const migrationService = require('../services/migrationService');
+
+const USAGE = 'Usage: node index.js migrate <up [version] | down [steps] | status>';
+
+/**
+ * Runs a migrate command
+ * @param {Array<string>} args - Arguments after "migrate"
+ * @returns {Promise<number>} - Process exit code
+ */
+async function main(args) {
+  const [command, value] = args;
+  if (!['up', 'down', 'status'].includes(command)) {
+    console.error(USAGE);
+    return 1;
+  }
+
+  if (!process.env.DATABASE_URL) {
+    console.error('DATABASE_URL is not set');
+    return 1;
+  }
+
+  const pool = connectionManager.initialize(process.env.DATABASE_URL);
+  try {
+    if (command === 'up') {
+      const applied = await migrationService.migrateUp(pool, {
+        to: value !== undefined ? parseInt(value, 10) : undefined
+      });
+      console.log(applied.length ? `Applied ${applied.length} migration(s)` : 'Database is up to date');
+    } else if (command === 'down') {
+      const reverted = await migrationService.migrateDown(pool, {
+        steps: value !== undefined ? parseInt(value, 10) : 1
+      });
+      console.log(reverted.length ? `Reverted ${reverted.length} migration(s)` : 'No migrations to revert');
+    } else {
+      const status = await migrationService.getStatus(pool);
+      status.forEach(({ name, applied, appliedAt }) => {
+        console.log(`${applied ? '[x]' : '[ ]'} ${name}${applied ? `  (applied ${new Date(appliedAt).toISOString()})` : ''}`);
+      });
+      const pending = status.filter(migration => !migration.applied).length;
+      console.log(pending ? `${pending} pending migration(s)` : 'Database is up to date');
+    }
+    return 0;
+  } catch (error) {
+    console.error('Migration error:', error.message);
+    return 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+module.exports = { main };
@@ -0,0 +1,40 @@
+// Signs a Twilio webhook fixture locally and prints a curl command to replay it.
+//
+// Usage: node scripts/signTwilioFixture.js fixtures/twilio/voice.json [baseUrl]
+//
+// The signature uses the same key the server validates with, so run the server
+// with TWILIO_SIGNATURE_MODE=test (and optionally TWILIO_TEST_AUTH_TOKEN) and
+// sign fixtures with the same environment.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { signRequest } = require('../middleware/twilioSignature');
+
+const [fixturePath, baseUrl = `http://localhost:${process.env.PORT || 5000}`] = process.argv.slice(2);
+
+if (!fixturePath) {
+  console.error('Usage: node scripts/signTwilioFixture.js <fixture.json> [baseUrl]');
+  process.exit(1);
+}
+
+const fixture = JSON.parse(fs.readFileSync(path.resolve(fixturePath), 'utf8'));
+let url = `${baseUrl.replace(/\/$/, '')}${fixture.path}`;
+let signature;
+let data;
+
+if (fixture.contentType === 'application/json') {
+  // JSON webhooks carry a hash of the body in the URL, and only the URL is signed
+  data = JSON.stringify(fixture.body);
+  const bodyHash = crypto.createHash('sha256').update(data).digest('hex');
+  url += `${url.includes('?') ? '&' : '?'}bodySHA256=${bodyHash}`;
+  signature = signRequest(url, {});
+} else {
+  data = new URLSearchParams(fixture.params).toString();
+  signature = signRequest(url, fixture.params);
+}
+
+console.log(`curl -X POST '${url}' \\
+  -H 'Content-Type: ${fixture.contentType}' \\
+  -H 'X-Twilio-Signature: ${signature}' \\
+  --data '${data}'`);
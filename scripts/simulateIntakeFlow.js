@@ -0,0 +1,108 @@
+// Runs the whole invite-to-intake flow against a local server using the telephony simulator.
+//
+// Usage: node scripts/simulateIntakeFlow.js [baseUrl]
+//
+// Start the server with TELEPHONY_PROVIDER=simulator, TWILIO_PHONE_NUMBER (any number),
+// ELEVENLABS_STREAM_URL (any wss:// URL, no agent is reached) and ELEVENLABS_WEBHOOK_SECRET.
+// The script registers a throwaway user, adds a contact, reads the invitation the
+// simulator recorded, calls in as the contact (entering the invite code when asked),
+// delivers the agent's intake and prints what the app stored.
+
+const baseUrl = (process.argv[2] || `http://localhost:${process.env.PORT || 5000}`).replace(/\/$/, '');
+
+const SAMPLE_INTAKE = {
+  communication_style: 'Prefers short emails, calls for anything urgent',
+  values: 'Honesty and follow-through',
+  professional_goals: 'Grow the consulting practice into a small team',
+  partnership_expectations: 'Regular check-ins and introductions to potential clients',
+  raw_transcript: [
+    'Agent: How do you like to communicate?',
+    'User: Short emails, and a call for anything urgent.',
+    'Agent: What do you value most in a working relationship?',
+    'User: Honesty and follow-through.'
+  ].join('\n')
+};
+
+/**
+ * Calls the API and fails loudly on unexpected statuses
+ * @param {string} method - HTTP method
+ * @param {string} path - Path
+ * @param {Object} [body] - JSON body
+ * @param {string} [token] - Access token
+ * @returns {Promise<Object>} - Parsed JSON response
+ */
+async function api(method, path, body, token) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (token) headers.Authorization = `Bearer ${token}`;
+
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers,
+    body: body ? JSON.stringify(body) : undefined
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(`${method} ${path} failed with ${response.status}: ${JSON.stringify(data)}`);
+  }
+  return data;
+}
+
+async function main() {
+  const suffix = Date.now().toString().slice(-7);
+  const email = `simulator-${suffix}@example.test`;
+  const password = `Simulated-${suffix}!`;
+  const phoneNumber = `+1555${suffix}`;
+
+  await api('POST', '/register', { email, password });
+  const { token } = await api('POST', '/login', { email, password });
+  console.log(`1. Registered ${email}`);
+
+  const added = await api('POST', '/contacts', {
+    first_name: 'Sam',
+    last_name: 'Simulated',
+    phone_number: phoneNumber
+  }, token);
+  console.log(`2. Added contact ${added.contact_id} (${phoneNumber}), invitation ${added.invitation_status || 'not sent'}`);
+
+  const { messages } = await api('GET', `/simulator/messages?to=${encodeURIComponent(phoneNumber)}`);
+  if (messages.length === 0) {
+    throw new Error('No invitation was sent - is TWILIO_PHONE_NUMBER set?');
+  }
+  const invitation = messages[0];
+  console.log(`3. Invitation: "${invitation.body}"`);
+
+  let call = await api('POST', '/simulator/inbound-call', { from: phoneNumber, to: invitation.from });
+  console.log(`4. Called in as the contact (CallSid ${call.call_sid})`);
+
+  if (call.twiml.includes('<Gather')) {
+    const inviteCode = added.invite_code || (invitation.body.match(/invite code (\d+)/) || [])[1];
+    if (!inviteCode) {
+      throw new Error('The call asked for an invite code, but the invitation has none');
+    }
+    call = await api('POST', `/simulator/calls/${call.call_sid}/digits`, { digits: inviteCode });
+    console.log(`   Entered invite code ${inviteCode}`);
+  }
+  if (!call.twiml.includes('<Stream')) {
+    throw new Error(`The call was not connected to the agent:\n${call.twiml}`);
+  }
+  console.log('5. Connected to the agent');
+
+  await api('POST', `/simulator/calls/${call.call_sid}/status`, { status: 'in-progress' });
+  const delivery = await api('POST', `/simulator/calls/${call.call_sid}/intake`, SAMPLE_INTAKE);
+  if (delivery.status !== 200) {
+    throw new Error(`/receive-data answered ${delivery.status}: ${delivery.body}`);
+  }
+  await api('POST', `/simulator/calls/${call.call_sid}/status`, { status: 'completed', duration: 240 });
+  console.log('6. Agent delivered the intake and the call ended');
+
+  const intake = await api('GET', `/contacts/${added.contact_id}/intake`, null, token);
+  const { calls } = await api('GET', `/calls?contact_id=${added.contact_id}`, null, token);
+  console.log('7. Stored intake:');
+  console.log(JSON.stringify(intake, null, 2));
+  console.log(`   Call status: ${calls.map(logged => `${logged.status} (${logged.status_reason || logged.end_reason})`).join(', ')}`);
+}
+
+main().catch(error => {
+  console.error('Simulation failed:', error.message);
+  process.exit(1);
+});
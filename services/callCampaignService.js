@@ -0,0 +1,437 @@
+// Outbound AI call campaigns.
+//
+// A campaign is a list of contacts the agent should call on a user's behalf ("Call"
+// on a single contact is a campaign of one). A dial_campaign job places the calls
+// through the Twilio REST API, at most max_concurrent_calls at a time. Answered calls
+// are connected to the ElevenLabs agent by /voice/outbound; the call is logged in
+// call_log with its contact before it rings, so /twilio-personalization and
+// /receive-data treat it like an inbound call from that contact.
+//
+// Twilio reports the outcome of every call to /call-status (see callLogService):
+//   pending -> calling -> answered
+//                      -> pending            (no answer or busy, retried retry_delay_minutes
+//                                             later while attempts are left)
+//                      -> no_answer / busy   (attempts exhausted)
+//                      -> failed             (Twilio refused or dropped the call)
+//           -> canceled (campaign canceled, or the contact is no longer approved)
+// Each finished call queues the next dispatch; a call Twilio never reports on is failed
+// (no_status) STALE_CALL_MINUTES after it was placed. Contacts aren't called during their
+// quiet hours (the same hours as texts); their call waits an hour at a time. A
+// campaign is completed once no contact is pending or being called.
+
+const jobQueue = require('./jobQueue');
+const publicUrlService = require('./publicUrlService');
+const telephonyProviders = require('./telephonyProviders');
+const userProfileService = require('./userProfileService');
+const elevenLabsService = require('./elevenLabsService');
+const smsConsentService = require('./smsConsentService');
+
+const JOB_TYPE = 'dial_campaign';
+const MAX_CAMPAIGN_CONTACTS = 200;
+const MAX_NAME_LENGTH = 100;
+const QUIET_HOURS_RETRY_MINUTES = 60;
+// A call still 'calling' this long after it was placed lost its status callback
+const STALE_CALL_MINUTES = 120;
+
+// [default, maximum] of each campaign setting
+const CAMPAIGN_SETTINGS = {
+  max_concurrent_calls: [2, 10],
+  max_attempts: [3, 5],
+  retry_delay_minutes: [60, 7 * 24 * 60]
+};
+
+// Final Twilio call statuses and the campaign call status each one leads to
+const FINAL_CALL_STATUSES = {
+  completed: 'answered',
+  busy: 'busy',
+  'no-answer': 'no_answer',
+  failed: 'failed',
+  canceled: 'failed'
+};
+const RETRY_CALL_STATUSES = ['busy', 'no-answer'];
+
+/**
+ * Checks the settings of a new campaign
+ * @param {Object} input - Request body ({ name, max_concurrent_calls, max_attempts, retry_delay_minutes }); missing fields get defaults
+ * @param {string} defaultName - Name used when none is given
+ * @returns {Object} - { options } or { error }
+ */
+function validateCampaignOptions(input, defaultName) {
+  const options = {};
+
+  const name = input.name === undefined || input.name === null ? '' : String(input.name).trim();
+  if (name.length > MAX_NAME_LENGTH) {
+    return { error: `Campaign name must be at most ${MAX_NAME_LENGTH} characters` };
+  }
+  options.name = name || defaultName;
+
+  for (const [field, [fallback, max]] of Object.entries(CAMPAIGN_SETTINGS)) {
+    const value = input[field] === undefined || input[field] === null || input[field] === '' ? fallback : Number(input[field]);
+    if (!Number.isInteger(value) || value < 1 || value > max) {
+      return { error: `${field} must be a whole number between 1 and ${max}` };
+    }
+    options[field] = value;
+  }
+
+  return { options };
+}
+
+/**
+ * Creates a campaign calling a user's contacts and queues its first dispatch.
+ * Contacts that aren't the user's, are archived or aren't approved are left out.
+ * @param {Object} db - PostgreSQL pool or client (use a client in a transaction)
+ * @param {number} userId - User ID
+ * @param {Array<number>} contactIds - Contacts to call
+ * @param {Object} options - Validated options from validateCampaignOptions
+ * @returns {Promise<Object>} - { campaign, calls, skipped: [{ contact_id, reason }] }; campaign is null
+ *   when none of the contacts can be called
+ */
+async function createCampaign(db, userId, contactIds, options) {
+  const contactsResult = await db.query(
+    'SELECT id, is_approved, archived_at FROM contacts WHERE user_id = $1 AND id = ANY($2::INTEGER[])',
+    [userId, contactIds]
+  );
+  const contacts = new Map(contactsResult.rows.map(contact => [contact.id, contact]));
+
+  const skipped = [];
+  const callable = [];
+  for (const contactId of contactIds) {
+    const contact = contacts.get(contactId);
+    if (!contact) {
+      skipped.push({ contact_id: contactId, reason: 'not_found' });
+    } else if (contact.archived_at) {
+      skipped.push({ contact_id: contactId, reason: 'archived' });
+    } else if (!contact.is_approved) {
+      skipped.push({ contact_id: contactId, reason: 'not_approved' });
+    } else {
+      callable.push(contactId);
+    }
+  }
+  if (callable.length === 0) {
+    return { campaign: null, calls: [], skipped };
+  }
+
+  const campaignResult = await db.query(`
+    INSERT INTO call_campaigns (user_id, name, max_concurrent_calls, max_attempts, retry_delay_minutes)
+    VALUES ($1, $2, $3, $4, $5)
+    RETURNING *
+  `, [userId, options.name, options.max_concurrent_calls, options.max_attempts, options.retry_delay_minutes]);
+  const campaign = campaignResult.rows[0];
+
+  const callsResult = await db.query(`
+    INSERT INTO campaign_calls (campaign_id, contact_id)
+    SELECT $1, contact_id FROM UNNEST($2::INTEGER[]) AS contact_id
+    RETURNING *
+  `, [campaign.id, callable]);
+
+  await jobQueue.enqueue(db, JOB_TYPE, { campaign_id: campaign.id }, { userId });
+  console.log(`Created call campaign #${campaign.id} "${campaign.name}" for user ${userId} (${callable.length} contacts, ${skipped.length} skipped)`);
+  return { campaign, calls: callsResult.rows, skipped };
+}
+
+/**
+ * Lists a user's campaigns, newest first, with how many calls are in each status
+ * @param {Object} db - PostgreSQL pool or client
+ * @param {number} userId - User ID
+ * @returns {Promise<Array>} - Campaign rows with a counts object
+ */
+async function listCampaigns(db, userId) {
+  const result = await db.query(`
+    SELECT camp.*,
+           COALESCE((
+             SELECT json_object_agg(status, count)
+             FROM (SELECT status, COUNT(*)::INTEGER AS count FROM campaign_calls WHERE campaign_id = camp.id GROUP BY status) counts
+           ), '{}'::JSON) AS counts
+    FROM call_campaigns camp
+    WHERE camp.user_id = $1
+    ORDER BY camp.created_at DESC, camp.id DESC
+  `, [userId]);
+  return result.rows;
+}
+
+/**
+ * Loads one of a user's campaigns with its calls
+ * @param {Object} db - PostgreSQL pool or client
+ * @param {number} userId - User ID
+ * @param {*} campaignId - Campaign ID
+ * @returns {Promise<Object|null>} - Campaign row with its calls, or null if the user has no such campaign
+ */
+async function getCampaign(db, userId, campaignId) {
+  const campaignResult = await db.query('SELECT * FROM call_campaigns WHERE id = $1 AND user_id = $2', [campaignId, userId]);
+  if (campaignResult.rows.length === 0) return null;
+
+  const callsResult = await db.query(`
+    SELECT cc.id, cc.contact_id, c.first_name, c.last_name, c.phone_number, cc.status, cc.attempts,
+           cc.next_attempt_at, cc.last_call_sid, cc.outcome, cc.error_message, cc.updated_at
+    FROM campaign_calls cc
+    JOIN contacts c ON c.id = cc.contact_id
+    WHERE cc.campaign_id = $1
+    ORDER BY cc.id
+  `, [campaignResult.rows[0].id]);
+  return { ...campaignResult.rows[0], calls: callsResult.rows };
+}
+
+/**
+ * Cancels a campaign: contacts that haven't been called yet won't be. Calls in
+ * progress go on.
+ * @param {Object} db - PostgreSQL pool or client
+ * @param {number} userId - User ID
+ * @param {*} campaignId - Campaign ID
+ * @returns {Promise<Object|null>} - Canceled campaign, or null if the user has no active campaign with that ID
+ */
+async function cancelCampaign(db, userId, campaignId) {
+  const result = await db.query(`
+    UPDATE call_campaigns
+    SET status = 'canceled', updated_at = NOW(), completed_at = NOW()
+    WHERE id = $1 AND user_id = $2 AND status = 'active'
+    RETURNING *
+  `, [campaignId, userId]);
+  if (result.rows.length === 0) return null;
+
+  const calls = await db.query(`
+    UPDATE campaign_calls SET status = 'canceled', outcome = 'campaign_canceled', updated_at = NOW()
+    WHERE campaign_id = $1 AND status = 'pending'
+  `, [result.rows[0].id]);
+  console.log(`Call campaign #${result.rows[0].id} canceled (${calls.rowCount} calls not placed)`);
+  return result.rows[0];
+}
+
+/**
+ * Queues a dispatch of a campaign, unless one is already queued by then
+ * @param {Object} db - PostgreSQL pool or client
+ * @param {number} campaignId - Campaign ID
+ * @param {number} userId - Owner of the campaign
+ * @param {Date} runAt - When the dispatch is needed
+ */
+async function scheduleDispatch(db, campaignId, userId, runAt) {
+  const queued = await db.query(`
+    SELECT 1 FROM jobs
+    WHERE type = $1 AND status = 'pending' AND (payload->>'campaign_id')::INTEGER = $2 AND run_at <= $3
+    LIMIT 1
+  `, [JOB_TYPE, campaignId, runAt]);
+  if (queued.rows.length === 0) {
+    await jobQueue.enqueue(db, JOB_TYPE, { campaign_id: campaignId }, { userId, runAt });
+  }
+}
+
+/**
+ * Marks a campaign call as finished
+ * @param {Object} db - PostgreSQL pool or client
+ * @param {number} campaignCallId - Campaign call ID
+ * @param {string} status - 'failed' or 'canceled'
+ * @param {string} outcome - Short reason (e.g. 'not_approved')
+ * @param {string|null} [errorMessage] - Details
+ */
+async function finishCall(db, campaignCallId, status, outcome, errorMessage = null) {
+  await db.query(`
+    UPDATE campaign_calls SET status = $2, outcome = $3, error_message = $4, updated_at = NOW()
+    WHERE id = $1
+  `, [campaignCallId, status, outcome, errorMessage]);
+}
+
+/**
+ * Claims the calls a campaign can place now, within its concurrency limit. The
+ * campaign row is locked while claiming so concurrent dispatches can't exceed it.
+ * @param {Object} pool - PostgreSQL connection pool
+ * @param {number} campaignId - Campaign ID
+ * @returns {Promise<Object>} - { campaign, calls } - calls carry the contact's name, number, timezone and approval
+ */
+async function claimCalls(pool, campaignId) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const campaignResult = await client.query('SELECT * FROM call_campaigns WHERE id = $1 FOR UPDATE', [campaignId]);
+    const campaign = campaignResult.rows[0];
+    if (!campaign || campaign.status !== 'active') {
+      await client.query('COMMIT');
+      return { campaign, calls: [] };
+    }
+
+    const claimed = await client.query(`
+      UPDATE campaign_calls
+      SET status = 'calling', attempts = attempts + 1, updated_at = NOW()
+      WHERE id IN (
+        SELECT id FROM campaign_calls
+        WHERE campaign_id = $1 AND status = 'pending' AND next_attempt_at <= NOW()
+        ORDER BY next_attempt_at, id
+        LIMIT GREATEST($2 - (SELECT COUNT(*) FROM campaign_calls WHERE campaign_id = $1 AND status = 'calling'), 0)
+      )
+      RETURNING id
+    `, [campaign.id, campaign.max_concurrent_calls]);
+    await client.query('COMMIT');
+
+    const callsResult = await pool.query(`
+      SELECT cc.*, c.first_name, c.last_name, c.phone_number, c.timezone, c.is_approved
+      FROM campaign_calls cc
+      JOIN contacts c ON c.id = cc.contact_id
+      WHERE cc.id = ANY($1::INTEGER[])
+      ORDER BY cc.id
+    `, [claimed.rows.map(row => row.id)]);
+    return { campaign, calls: callsResult.rows };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Places one claimed call through Twilio and logs it in call_log
+ * @param {Object} pool - PostgreSQL connection pool
+ * @param {Object} campaign - Campaign row
+ * @param {Object} call - Claimed call from claimCalls
+ * @returns {Promise<Object>} - What happened, for the job result
+ */
+async function placeCall(pool, campaign, call) {
+  if (!call.is_approved) {
+    await finishCall(pool, call.id, 'canceled', 'not_approved');
+    return { contact_id: call.contact_id, canceled: 'not_approved' };
+  }
+
+  if (smsConsentService.isQuietHours(smsConsentService.getContactTimezone(call))) {
+    await pool.query(`
+      UPDATE campaign_calls
+      SET status = 'pending', attempts = attempts - 1,
+          next_attempt_at = NOW() + $2 * INTERVAL '1 minute', updated_at = NOW()
+      WHERE id = $1
+    `, [call.id, QUIET_HOURS_RETRY_MINUTES]);
+    return { contact_id: call.contact_id, postponed: 'quiet_hours' };
+  }
+
+  // Calls need the same Twilio setup as texts
+  const profile = await userProfileService.getProfile(pool, campaign.user_id);
+  if (!userProfileService.canSendSms(profile)) {
+    await finishCall(pool, call.id, 'failed', 'twilio_not_configured');
+    return { contact_id: call.contact_id, failed: 'twilio_not_configured' };
+  }
+  if (!elevenLabsService.isAgentConfigured()) {
+    await finishCall(pool, call.id, 'failed', 'agent_not_configured');
+    return { contact_id: call.contact_id, failed: 'agent_not_configured' };
+  }
+
+  let twilioCall;
+  try {
+    twilioCall = await telephonyProviders.getProvider().createCall({
+      to: call.phone_number,
+      from: userProfileService.getSenderNumber(profile),
+      url: publicUrlService.publicUrl('/voice/outbound'),
+      statusCallback: publicUrlService.publicUrl('/call-status')
+    });
+  } catch (error) {
+    console.error(`Twilio refused call to contact ${call.contact_id}:`, error.message);
+    await finishCall(pool, call.id, 'failed', 'twilio_error', error.message);
+    return { contact_id: call.contact_id, failed: error.message };
+  }
+
+  // Routed to the contact up front, so every webhook of the call finds them
+  await pool.query(`
+    INSERT INTO call_log (call_sid, phone_number, status, direction, contact_id, user_id, route_reason,
+      campaign_call_id, attempt, created_at)
+    VALUES ($1, $2, 'ringing', 'outbound', $3, $4, 'outbound_call', $5, $6, NOW())
+    ON CONFLICT (call_sid) DO NOTHING
+  `, [twilioCall.sid, call.phone_number, call.contact_id, campaign.user_id, call.id, call.attempts]);
+  await pool.query('UPDATE campaign_calls SET last_call_sid = $2, updated_at = NOW() WHERE id = $1', [call.id, twilioCall.sid]);
+
+  console.log(`Campaign #${campaign.id} calling contact ${call.contact_id} (attempt ${call.attempts}/${campaign.max_attempts}), CallSid ${twilioCall.sid}`);
+  return { contact_id: call.contact_id, call_sid: twilioCall.sid };
+}
+
+/**
+ * Job handler: places the calls a campaign has room for, then completes the
+ * campaign or schedules its next dispatch
+ * @param {Object} pool - PostgreSQL connection pool
+ * @param {Object} payload - { campaign_id }
+ * @returns {Promise<Object>} - What happened, stored as the job result
+ */
+async function processCampaignJob(pool, payload) {
+  await pool.query(`
+    UPDATE campaign_calls
+    SET status = 'failed', outcome = 'no_status', error_message = 'Twilio never reported how the call ended', updated_at = NOW()
+    WHERE campaign_id = $1 AND status = 'calling' AND updated_at < NOW() - $2 * INTERVAL '1 minute'
+  `, [payload.campaign_id, STALE_CALL_MINUTES]);
+
+  const { campaign, calls } = await claimCalls(pool, payload.campaign_id);
+  if (!campaign || campaign.status !== 'active') {
+    return { skipped: campaign ? campaign.status : 'not_found' };
+  }
+
+  const placed = [];
+  for (const call of calls) {
+    placed.push(await placeCall(pool, campaign, call));
+  }
+
+  const stateResult = await pool.query(`
+    SELECT COUNT(*) FILTER (WHERE status = 'calling')::INTEGER AS calling,
+           COUNT(*) FILTER (WHERE status = 'pending')::INTEGER AS pending,
+           MIN(next_attempt_at) FILTER (WHERE status = 'pending') AS next_attempt_at,
+           MIN(updated_at) FILTER (WHERE status = 'calling') + $2 * INTERVAL '1 minute' AS stale_at
+    FROM campaign_calls
+    WHERE campaign_id = $1
+  `, [campaign.id, STALE_CALL_MINUTES]);
+  const state = stateResult.rows[0];
+
+  if (state.calling === 0 && state.pending === 0) {
+    await pool.query(`
+      UPDATE call_campaigns SET status = 'completed', completed_at = NOW(), updated_at = NOW()
+      WHERE id = $1 AND status = 'active'
+    `, [campaign.id]);
+    console.log(`Call campaign #${campaign.id} completed`);
+  } else {
+    if (state.pending > 0 && state.calling < campaign.max_concurrent_calls) {
+      // Free slots but nobody due yet (retries, quiet hours): come back when the next one is.
+      // Full campaigns are dispatched again as their calls end.
+      await scheduleDispatch(pool, campaign.id, campaign.user_id, state.next_attempt_at);
+    }
+    if (state.calling > 0) {
+      // A call whose status callback never arrives would keep the campaign active forever:
+      // come back when the oldest call would be stale, and sweep it
+      await scheduleDispatch(pool, campaign.id, campaign.user_id, state.stale_at);
+    }
+  }
+
+  return { placed, calling: state.calling, pending: state.pending };
+}
+
+/**
+ * Retries or finishes the campaign call of a call that just ended
+ * @param {Object} db - PostgreSQL pool or client
+ * @param {Object} call - Ended call_log row (from callLogService.applyStatusCallback)
+ * @returns {Promise<Object|null>} - Updated campaign call, or null if the call isn't (or no longer) a campaign's
+ */
+async function finishCampaignCall(db, call) {
+  if (!call.campaign_call_id || !FINAL_CALL_STATUSES[call.end_reason]) return null;
+
+  const retry = RETRY_CALL_STATUSES.includes(call.end_reason);
+  const result = await db.query(`
+    UPDATE campaign_calls cc
+    SET status = CASE WHEN $3 AND cc.attempts < camp.max_attempts AND camp.status = 'active' THEN 'pending' ELSE $4 END,
+        next_attempt_at = CASE WHEN $3 AND cc.attempts < camp.max_attempts AND camp.status = 'active'
+                               THEN NOW() + camp.retry_delay_minutes * INTERVAL '1 minute'
+                               ELSE cc.next_attempt_at END,
+        outcome = $5, updated_at = NOW()
+    FROM call_campaigns camp
+    WHERE cc.id = $1 AND cc.last_call_sid = $2 AND cc.status = 'calling' AND camp.id = cc.campaign_id
+    RETURNING cc.*, camp.user_id
+  `, [call.campaign_call_id, call.call_sid, retry, FINAL_CALL_STATUSES[call.end_reason], call.end_reason]);
+
+  const campaignCall = result.rows[0];
+  if (!campaignCall) return null;
+
+  console.log(`Campaign #${campaignCall.campaign_id} call to contact ${campaignCall.contact_id} ended (${call.end_reason}) -> ${campaignCall.status}`);
+  // The slot is free: place the next call
+  await scheduleDispatch(db, campaignCall.campaign_id, campaignCall.user_id, new Date());
+  return campaignCall;
+}
+
+module.exports = {
+  JOB_TYPE,
+  MAX_CAMPAIGN_CONTACTS,
+  validateCampaignOptions,
+  createCampaign,
+  listCampaigns,
+  getCampaign,
+  cancelCampaign,
+  processCampaignJob,
+  finishCampaignCall
+};
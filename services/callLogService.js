@@ -0,0 +1,266 @@
+// Call lifecycle.
+//
+// Every call, inbound or placed by a campaign, has a row in call_log whose status
+// moves through these states:
+//
+//   ringing -> in-progress -> agent-connected -> completed (an intake arrived)
+//      |            |               |         -> no-intake (none arrived)
+//      |            |               +-----------> failed
+//      |            +-> completed / failed
+//      +-> agent-connected / completed / failed
+//   no-intake -> completed (the intake arrived late)
+//
+// in-progress covers the part of a call we handle ourselves (invite code prompt,
+// voicemail, rejection); status_reason says which. A transition that isn't allowed
+// is ignored, so webhooks arriving out of order can't move a call backwards.
+//
+// Twilio's status callbacks (/call-status) record when the call was answered, when
+// it ended, its duration and end_reason (Twilio's final status: completed, busy,
+// no-answer, failed or canceled). A call the agent took stays agent-connected
+// after it ends until its intake arrives; those still waiting INTAKE_GRACE_MINUTES
+// after the end (or MAX_CALL_HOURS after the start, when Twilio never reported the
+// end) are marked no-intake by an hourly sweep.
+
+const CALL_STATUSES = ['ringing', 'in-progress', 'agent-connected', 'completed', 'failed', 'no-intake'];
+const TRANSITIONS = {
+  ringing: ['in-progress', 'agent-connected', 'completed', 'failed'],
+  'in-progress': ['in-progress', 'agent-connected', 'completed', 'failed'],
+  'agent-connected': ['completed', 'no-intake', 'failed'],
+  'no-intake': ['completed'],
+  completed: [],
+  failed: []
+};
+const CALL_DIRECTIONS = ['inbound', 'outbound'];
+
+// State each final Twilio call status leads to
+const END_STATUSES = {
+  completed: 'completed',
+  busy: 'failed',
+  'no-answer': 'failed',
+  failed: 'failed',
+  canceled: 'failed'
+};
+const INTAKE_GRACE_MINUTES = 15;
+const MAX_CALL_HOURS = 2;
+const DEFAULT_LIST_LIMIT = 50;
+const MAX_LIST_LIMIT = 200;
+
+/**
+ * Tells whether a call may move from one state to another
+ * @param {string} from - Current status
+ * @param {string} to - New status
+ * @returns {boolean}
+ */
+function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Moves a call to a new state, if the transition is allowed
+ * @param {Object} db - PostgreSQL pool or client
+ * @param {string} callSid - Twilio call SID
+ * @param {string} status - New status
+ * @param {string|null} [reason] - Details (e.g. 'voicemail'); null keeps the current reason
+ * @returns {Promise<Object|null>} - Updated call_log row, or null if the call is unknown or the transition isn't allowed
+ */
+async function transition(db, callSid, status, reason = null) {
+  if (!CALL_STATUSES.includes(status)) {
+    throw new Error(`Unknown call status: ${status}`);
+  }
+
+  const allowedFrom = CALL_STATUSES.filter(from => canTransition(from, status));
+  const result = await db.query(`
+    UPDATE call_log
+    SET status = $2, status_reason = COALESCE($3, status_reason), status_updated_at = NOW()
+    WHERE call_sid = $1 AND status = ANY($4::VARCHAR[])
+    RETURNING *
+  `, [callSid, status, reason, allowedFrom]);
+
+  if (result.rows.length === 0) {
+    const current = await db.query('SELECT status FROM call_log WHERE call_sid = $1', [callSid]);
+    if (current.rows.length > 0) {
+      console.log(`Call ${callSid}: ignored transition ${current.rows[0].status} -> ${status}`);
+    }
+    return null;
+  }
+  return result.rows[0];
+}
+
+/**
+ * Records a Twilio call status callback
+ * @param {Object} db - PostgreSQL pool or client
+ * @param {Object} callback - Webhook parameters ({ CallSid, CallStatus, CallDuration })
+ * @returns {Promise<Object|null>} - { call, ended } - ended is true when this callback ended the call;
+ *   null if the call is unknown or the status changes nothing
+ */
+async function applyStatusCallback(db, { CallSid, CallStatus, CallDuration }) {
+  const status = String(CallStatus || '').toLowerCase();
+  if (!CallSid) return null;
+
+  if (status === 'in-progress') {
+    const answered = await db.query(
+      'UPDATE call_log SET answered_at = COALESCE(answered_at, NOW()) WHERE call_sid = $1 RETURNING *',
+      [CallSid]
+    );
+    if (answered.rows.length === 0) return null;
+    const call = await transition(db, CallSid, 'in-progress');
+    return { call: call || answered.rows[0], ended: false };
+  }
+  if (!END_STATUSES[status]) return null;
+
+  // Each call ends once; repeated callbacks are ignored
+  const ended = await db.query(`
+    UPDATE call_log
+    SET end_reason = $2, duration_seconds = $3, ended_at = NOW()
+    WHERE call_sid = $1 AND ended_at IS NULL
+    RETURNING *
+  `, [CallSid, status, parseInt(CallDuration, 10) || 0]);
+  if (ended.rows.length === 0) return null;
+
+  // Calls the agent took are completed by their intake (or marked no-intake later)
+  let call = ended.rows[0];
+  if (!(call.status === 'agent-connected' && status === 'completed')) {
+    call = (await transition(db, CallSid, END_STATUSES[status])) || call;
+  }
+  console.log(`Call ${CallSid} ended (${status}, ${call.duration_seconds}s) - ${call.status}`);
+  return { call, ended: true };
+}
+
+/**
+ * Records that a call produced an intake
+ * @param {Object} db - PostgreSQL pool or client
+ * @param {string} callSid - Twilio call SID
+ * @param {string} phoneNumber - Contact's phone number, used when the call wasn't logged yet
+ * @returns {Promise<Object|null>} - Updated call_log row, or null if the call was already finished
+ */
+async function recordIntake(db, callSid, phoneNumber) {
+  await db.query(`
+    INSERT INTO call_log (call_sid, phone_number, status, status_reason, status_updated_at, created_at)
+    VALUES ($1, $2, 'agent-connected', NULL, NOW(), NOW())
+    ON CONFLICT (call_sid) DO NOTHING
+  `, [callSid, phoneNumber]);
+  return transition(db, callSid, 'completed', 'intake_received');
+}
+
+/**
+ * Marks the calls the agent took that never produced an intake
+ * @param {Object} db - PostgreSQL pool or client
+ * @returns {Promise<number>} - Number of calls marked no-intake
+ */
+async function markCallsWithoutIntake(db) {
+  const result = await db.query(`
+    UPDATE call_log
+    SET status = 'no-intake', status_updated_at = NOW()
+    WHERE status = 'agent-connected'
+      AND COALESCE(ended_at, created_at + $2 * INTERVAL '1 hour') < NOW() - $1 * INTERVAL '1 minute'
+  `, [INTAKE_GRACE_MINUTES, MAX_CALL_HOURS]);
+  if (result.rowCount > 0) {
+    console.log(`Marked ${result.rowCount} calls without an intake as no-intake`);
+  }
+  return result.rowCount;
+}
+
+/**
+ * Checks the filters of a call list request
+ * @param {Object} query - Query string ({ status, direction, contact_id, from, to, limit, offset })
+ * @returns {Object} - { filters } or { error }
+ */
+function validateListFilters(query) {
+  const filters = {};
+
+  if (query.status) {
+    const statuses = String(query.status).split(',').map(status => status.trim());
+    const unknown = statuses.filter(status => !CALL_STATUSES.includes(status));
+    if (unknown.length > 0) {
+      return { error: `status must be one or more of: ${CALL_STATUSES.join(', ')}` };
+    }
+    filters.statuses = statuses;
+  }
+
+  if (query.direction) {
+    if (!CALL_DIRECTIONS.includes(query.direction)) {
+      return { error: `direction must be one of: ${CALL_DIRECTIONS.join(', ')}` };
+    }
+    filters.direction = query.direction;
+  }
+
+  if (query.contact_id) {
+    filters.contactId = parseInt(query.contact_id, 10);
+    if (!Number.isInteger(filters.contactId)) {
+      return { error: 'contact_id must be a contact ID' };
+    }
+  }
+
+  for (const field of ['from', 'to']) {
+    if (query[field]) {
+      const date = new Date(query[field]);
+      if (Number.isNaN(date.getTime())) {
+        return { error: `${field} must be a date (e.g. 2024-05-01)` };
+      }
+      filters[field] = date;
+    }
+  }
+
+  filters.limit = query.limit === undefined ? DEFAULT_LIST_LIMIT : parseInt(query.limit, 10);
+  if (!Number.isInteger(filters.limit) || filters.limit < 1 || filters.limit > MAX_LIST_LIMIT) {
+    return { error: `limit must be a whole number between 1 and ${MAX_LIST_LIMIT}` };
+  }
+  filters.offset = query.offset === undefined ? 0 : parseInt(query.offset, 10);
+  if (!Number.isInteger(filters.offset) || filters.offset < 0) {
+    return { error: 'offset must be a whole number of at least 0' };
+  }
+
+  return { filters };
+}
+
+/**
+ * Lists a user's calls, newest first
+ * @param {Object} db - PostgreSQL pool or client
+ * @param {number} userId - User ID
+ * @param {Object} filters - Validated filters from validateListFilters
+ * @returns {Promise<Object>} - { calls, total }
+ */
+async function listCalls(db, userId, filters) {
+  const params = [
+    userId,
+    filters.statuses || null,
+    filters.direction || null,
+    filters.contactId || null,
+    filters.from || null,
+    filters.to || null
+  ];
+  const where = `
+    WHERE cl.user_id = $1
+      AND ($2::VARCHAR[] IS NULL OR cl.status = ANY($2::VARCHAR[]))
+      AND ($3::VARCHAR IS NULL OR cl.direction = $3)
+      AND ($4::INTEGER IS NULL OR cl.contact_id = $4)
+      AND ($5::TIMESTAMP IS NULL OR cl.created_at >= $5)
+      AND ($6::TIMESTAMP IS NULL OR cl.created_at < $6)
+  `;
+
+  const [calls, total] = await Promise.all([
+    db.query(`
+      SELECT cl.id, cl.call_sid, cl.direction, cl.phone_number, cl.contact_id, c.first_name, c.last_name,
+             cl.status, cl.status_reason, cl.end_reason, cl.duration_seconds, cl.route_reason,
+             cl.campaign_call_id, cl.attempt, cl.created_at, cl.answered_at, cl.ended_at, cl.status_updated_at
+      FROM call_log cl
+      LEFT JOIN contacts c ON c.id = cl.contact_id
+      ${where}
+      ORDER BY cl.created_at DESC, cl.id DESC
+      LIMIT $7 OFFSET $8
+    `, [...params, filters.limit, filters.offset]),
+    db.query(`SELECT COUNT(*)::INTEGER AS total FROM call_log cl ${where}`, params)
+  ]);
+  return { calls: calls.rows, total: total.rows[0].total };
+}
+
+module.exports = {
+  CALL_STATUSES,
+  canTransition,
+  transition,
+  applyStatusCallback,
+  recordIntake,
+  markCallsWithoutIntake,
+  validateListFilters,
+  listCalls
+};
@@ -0,0 +1,157 @@
+// Call routing.
+//
+// A phone number can belong to contacts of several users. When it calls, we decide
+// which user's contact the call (and the intake it produces) belongs to, and store
+// that decision on temp_calls/call_log so every later webhook of the same call
+// (personalization, voicemail, /receive-data) uses the same contact.
+//
+// A call to a user's own Twilio number (users.twilio_phone_number) only considers
+// that user's contacts; a caller who isn't one of them is still attributed to the
+// user, so their voicemail reaches the right person. Calls to the shared number
+// consider everyone's contacts.
+//
+// Archived contacts are left out, so their calls are handled like unknown callers'.
+// Intakes from unknown callers still get an owner when we can tell whose they are
+// (findUnmatchedOwner), so only that user sees them.
+//
+// Among the contacts with the caller's number we prefer, in order:
+//   1. approved contacts
+//   2. contacts with a pending invitation (invited, no intake since)
+//   3. the most recent invitation
+//   4. the most recently added contact
+
+const userProfileService = require('./userProfileService');
+
+/**
+ * Lists every contact with a phone number, best routing candidate first
+ * @param {Object} db - PostgreSQL pool or client
+ * @param {string} phoneNumber - Caller's phone number
+ * @param {number|null} userId - Only consider this user's contacts
+ * @returns {Promise<Array>} - Contact rows with invite_pending
+ */
+async function findCandidateContacts(db, phoneNumber, userId = null) {
+  const result = await db.query(`
+    SELECT c.id, c.first_name, c.last_name, c.company_name, c.user_id, c.is_approved,
+           c.invite_code_hash, c.invite_code_expires_at, c.last_invited_at,
+           (c.last_invited_at IS NOT NULL AND NOT EXISTS (
+             SELECT 1 FROM intake_responses ir
+             WHERE ir.contact_id = c.id AND ir.created_at >= c.last_invited_at
+           )) AS invite_pending
+    FROM contacts c
+    WHERE c.phone_number = $1 AND ($2::INTEGER IS NULL OR c.user_id = $2) AND c.archived_at IS NULL
+    ORDER BY c.is_approved DESC, invite_pending DESC,
+             c.last_invited_at DESC NULLS LAST, c.created_at DESC, c.id DESC
+  `, [phoneNumber, userId]);
+  return result.rows;
+}
+
+/**
+ * Picks the contact (and user) a call belongs to
+ * @param {Object} db - PostgreSQL pool or client
+ * @param {string} phoneNumber - Caller's phone number
+ * @param {string} [calledNumber] - Number that was called (Twilio's To)
+ * @returns {Promise<Object>} - { contact, userId, reason, candidates }; contact is null for unknown callers
+ */
+async function routeCall(db, phoneNumber, calledNumber) {
+  const ownerId = await userProfileService.findUserIdByTwilioNumber(db, calledNumber);
+  const candidates = phoneNumber ? await findCandidateContacts(db, phoneNumber, ownerId) : [];
+  if (candidates.length === 0) {
+    return { contact: null, userId: ownerId, reason: 'unknown_caller', candidates };
+  }
+
+  const contact = candidates[0];
+  let reason = ownerId ? 'called_number' : 'only_contact';
+  if (candidates.length > 1) {
+    reason = contact.invite_pending ? 'latest_pending_invite' : 'latest_invite';
+    console.log(`${candidates.length} contacts share ${phoneNumber} - routed to contact ${contact.id} (user ${contact.user_id}, ${reason})`);
+  }
+  return { contact, userId: contact.user_id, reason, candidates };
+}
+
+/**
+ * Stores the routing decision for a call
+ * @param {Object} db - PostgreSQL pool or client
+ * @param {string} callSid - Twilio call SID
+ * @param {Object} route - { contact, userId, reason } from routeCall
+ */
+async function recordCallRoute(db, callSid, route) {
+  const params = [callSid, route.contact ? route.contact.id : null, route.userId || null, route.reason];
+  await db.query('UPDATE temp_calls SET contact_id = $2, user_id = $3, route_reason = $4 WHERE call_sid = $1', params);
+  await db.query('UPDATE call_log SET contact_id = $2, user_id = $3, route_reason = $4 WHERE call_sid = $1', params);
+}
+
+/**
+ * Returns the contact a call was routed to earlier, if any
+ * @param {Object} db - PostgreSQL pool or client
+ * @param {string} callSid - Twilio call SID
+ * @returns {Promise<Object|null>} - Contact row, or null when the call wasn't routed to a contact
+ */
+async function getRoutedContact(db, callSid) {
+  if (!callSid) return null;
+  // temp_calls is cleaned up after a few hours, call_log keeps every call
+  const result = await db.query(`
+    SELECT c.id, c.first_name, c.last_name, c.company_name, c.user_id, c.is_approved,
+           c.invite_code_hash, c.invite_code_expires_at, c.phone_number
+    FROM (
+      SELECT contact_id FROM temp_calls WHERE call_sid = $1 AND contact_id IS NOT NULL
+      UNION ALL
+      SELECT contact_id FROM call_log WHERE call_sid = $1 AND contact_id IS NOT NULL
+    ) routed
+    JOIN contacts c ON c.id = routed.contact_id
+    LIMIT 1
+  `, [callSid]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Returns the contact a call belongs to: the stored routing decision, or a fresh
+ * decision for the phone number when the call hasn't been routed yet
+ * @param {Object} db - PostgreSQL pool or client
+ * @param {string} callSid - Twilio call SID
+ * @param {string} phoneNumber - Caller's phone number
+ * @param {string} [calledNumber] - Number that was called
+ * @returns {Promise<Object>} - { contact, userId, reason, routed } - routed is true if the decision was stored earlier
+ */
+async function resolveCallContact(db, callSid, phoneNumber, calledNumber) {
+  const routedContact = await getRoutedContact(db, callSid);
+  if (routedContact) {
+    return { contact: routedContact, userId: routedContact.user_id, reason: 'call_route', routed: true };
+  }
+  const { contact, userId, reason } = await routeCall(db, phoneNumber, calledNumber);
+  return { contact, userId, reason, routed: false };
+}
+
+/**
+ * Works out whose unmatched intake (one no contact could be found for) this is: the user
+ * the call was routed to (a call to their own Twilio number), else the only user who has
+ * the caller as an archived contact
+ * @param {Object} db - PostgreSQL pool or client
+ * @param {string|null} callSid - Twilio call SID
+ * @param {string|null} phoneNumber - Caller's phone number
+ * @returns {Promise<number|null>} - User ID, or null when nobody can be told apart
+ */
+async function findUnmatchedOwner(db, callSid, phoneNumber) {
+  if (callSid) {
+    // temp_calls is cleaned up after a few hours, call_log keeps every call
+    const routed = await db.query(`
+      SELECT user_id FROM temp_calls WHERE call_sid = $1 AND user_id IS NOT NULL
+      UNION ALL
+      SELECT user_id FROM call_log WHERE call_sid = $1 AND user_id IS NOT NULL
+      LIMIT 1
+    `, [callSid]);
+    if (routed.rows.length > 0) return routed.rows[0].user_id;
+  }
+  if (!phoneNumber) return null;
+
+  const owners = await db.query('SELECT DISTINCT user_id FROM contacts WHERE phone_number = $1 AND user_id IS NOT NULL', [phoneNumber]);
+  return owners.rows.length === 1 ? owners.rows[0].user_id : null;
+}
+
+module.exports = {
+  findCandidateContacts,
+  routeCall,
+  recordCallRoute,
+  getRoutedContact,
+  resolveCallContact,
+  findUnmatchedOwner
+};
@@ -0,0 +1,157 @@
+const crypto = require('crypto');
+const { hashToken } = require('./passwordService');
+
+// Contact approval.
+//
+// Only approved contacts are connected to the intake agent. CONTACT_APPROVAL_MODE
+// decides how contacts get approved:
+//   auto (default) - contacts are approved as soon as they are added
+//   manual         - the owner approves each contact on the dashboard
+//   invite_code    - the contact's invitation SMS carries a one-time code that they
+//                    enter or say when they call; the owner can still approve manually
+
+const APPROVAL_MODES = ['auto', 'manual', 'invite_code'];
+const INVITE_CODE_LENGTH = 6;
+const INVITE_CODE_TTL_DAYS = parseInt(process.env.INVITE_CODE_TTL_DAYS, 10) || 14;
+const MAX_INVITE_CODE_ATTEMPTS = 5;
+const DEFAULT_NOT_APPROVED_MESSAGE = "Thanks for calling. Your access hasn't been approved yet, so we can't start your intake right now. Please try again once you've been approved.";
+
+const SPOKEN_DIGITS = {
+  zero: '0', oh: '0', one: '1', two: '2', three: '3', four: '4',
+  five: '5', six: '6', seven: '7', eight: '8', nine: '9'
+};
+
+/**
+ * Returns the configured approval mode
+ * @returns {string} - One of APPROVAL_MODES
+ */
+function getApprovalMode() {
+  const mode = (process.env.CONTACT_APPROVAL_MODE || 'auto').toLowerCase();
+  return APPROVAL_MODES.includes(mode) ? mode : 'auto';
+}
+
+/**
+ * Returns the message unapproved contacts hear
+ * @returns {string} - Message
+ */
+function getNotApprovedMessage() {
+  return process.env.CONTACT_NOT_APPROVED_MESSAGE || DEFAULT_NOT_APPROVED_MESSAGE;
+}
+
+/**
+ * Hashes an invite code; the contact ID is mixed in so equal codes hash differently
+ * @param {number} contactId - Contact ID
+ * @param {string} code - Invite code
+ * @returns {string} - SHA-256 hex digest
+ */
+function hashInviteCode(contactId, code) {
+  return hashToken(`${contactId}:${code}`);
+}
+
+/**
+ * Pulls the digits out of keypad or speech input ("one two 3 4" -> "1234")
+ * @param {string} input - Digits or SpeechResult from Twilio
+ * @returns {string} - Digits only
+ */
+function normalizeInviteCodeInput(input) {
+  return String(input || '')
+    .toLowerCase()
+    .replace(/[a-z]+/g, word => SPOKEN_DIGITS[word] || '')
+    .replace(/\D/g, '');
+}
+
+/**
+ * Issues a new invite code for a contact, replacing any earlier one
+ * @param {Object} db - PostgreSQL pool or client
+ * @param {number} contactId - Contact ID
+ * @returns {Promise<string>} - The code to send to the contact
+ */
+async function createInviteCode(db, contactId) {
+  const code = String(crypto.randomInt(0, 10 ** INVITE_CODE_LENGTH)).padStart(INVITE_CODE_LENGTH, '0');
+  await db.query(`
+    UPDATE contacts
+    SET invite_code_hash = $2,
+        invite_code_expires_at = NOW() + ($3 || ' days')::INTERVAL,
+        invite_code_attempts = 0
+    WHERE id = $1
+  `, [contactId, hashInviteCode(contactId, code), INVITE_CODE_TTL_DAYS]);
+  return code;
+}
+
+/**
+ * Checks a code entered by a calling contact and approves them if it matches.
+ * The code is invalidated after MAX_INVITE_CODE_ATTEMPTS wrong guesses.
+ * @param {Object} db - PostgreSQL pool or client
+ * @param {number} contactId - Contact ID
+ * @param {string} input - Digits or speech from the caller
+ * @returns {Promise<Object>} - { approved, attemptsLeft }
+ */
+async function redeemInviteCode(db, contactId, input) {
+  const code = normalizeInviteCodeInput(input);
+
+  const approved = await db.query(`
+    UPDATE contacts
+    SET is_approved = true, approved_at = NOW(),
+        invite_code_hash = NULL, invite_code_expires_at = NULL, invite_code_attempts = 0
+    WHERE id = $1 AND invite_code_hash = $2 AND invite_code_expires_at > NOW()
+    RETURNING id
+  `, [contactId, hashInviteCode(contactId, code)]);
+
+  if (approved.rows.length > 0) {
+    console.log(`Contact ${contactId} approved with invite code`);
+    return { approved: true, attemptsLeft: 0 };
+  }
+
+  const failed = await db.query(`
+    UPDATE contacts
+    SET invite_code_attempts = invite_code_attempts + 1,
+        invite_code_hash = CASE WHEN invite_code_attempts + 1 >= $2 THEN NULL ELSE invite_code_hash END
+    WHERE id = $1 AND invite_code_hash IS NOT NULL
+    RETURNING invite_code_attempts
+  `, [contactId, MAX_INVITE_CODE_ATTEMPTS]);
+
+  const attempts = failed.rows[0] ? failed.rows[0].invite_code_attempts : MAX_INVITE_CODE_ATTEMPTS;
+  return { approved: false, attemptsLeft: Math.max(MAX_INVITE_CODE_ATTEMPTS - attempts, 0) };
+}
+
+/**
+ * Tells whether a contact can still approve themselves with an invite code
+ * @param {Object} contact - Contact row (needs invite_code_hash and invite_code_expires_at)
+ * @returns {boolean} - True if a usable code is pending
+ */
+function hasPendingInviteCode(contact) {
+  return getApprovalMode() === 'invite_code' &&
+    !!contact.invite_code_hash &&
+    new Date(contact.invite_code_expires_at) > new Date();
+}
+
+/**
+ * Approves or revokes one of a user's contacts
+ * @param {Object} db - PostgreSQL pool or client
+ * @param {number} userId - Owner of the contact
+ * @param {number} contactId - Contact ID
+ * @param {boolean} approved - New approval state
+ * @returns {Promise<Object|null>} - { id, is_approved, approved_at }, or null if not found
+ */
+async function setApproval(db, userId, contactId, approved) {
+  const result = await db.query(`
+    UPDATE contacts
+    SET is_approved = $3,
+        approved_at = CASE WHEN $3 THEN NOW() ELSE NULL END,
+        invite_code_hash = CASE WHEN $3 THEN NULL ELSE invite_code_hash END
+    WHERE id = $1 AND user_id = $2
+    RETURNING id, is_approved, approved_at
+  `, [contactId, userId, approved]);
+  return result.rows[0] || null;
+}
+
+module.exports = {
+  INVITE_CODE_LENGTH,
+  getApprovalMode,
+  getNotApprovedMessage,
+  normalizeInviteCodeInput,
+  createInviteCode,
+  redeemInviteCode,
+  hasPendingInviteCode,
+  setApproval
+};
@@ -0,0 +1,455 @@
+// Contact import and export as CSV and vCard files.
+//
+// Imports are read into rows of contact fields: CSV columns are matched to fields by
+// their header (common spellings from Google, Outlook and phone exports are
+// recognized, or pass a mapping of field -> header), vCards by their standard
+// properties. Every row is validated and checked for duplicates - against the user's
+// contacts, archived ones included, and against earlier rows of the same file - before
+// anything is created, so a dry run reports exactly what an import would do. Phone
+// numbers without a country code are read in the user's country (see phoneNumberService).
+//
+// Exports carry the same columns an import reads, plus approval, archive and intake
+// status, so an exported file can be imported again.
+
+const smsConsentService = require('./smsConsentService');
+const phoneNumberService = require('./phoneNumberService');
+const csvService = require('./csvService');
+
+const IMPORT_FORMATS = ['csv', 'vcard'];
+const MAX_IMPORT_ROWS = 1000;
+const IMPORT_FIELDS = ['first_name', 'last_name', 'name', 'phone_number', 'company_name', 'linkedin_url', 'timezone'];
+
+// Headers recognized without a mapping, compared lowercase without spaces or punctuation
+const FIELD_ALIASES = {
+  first_name: ['firstname', 'givenname', 'first'],
+  last_name: ['lastname', 'familyname', 'surname', 'last'],
+  name: ['name', 'fullname', 'displayname', 'contactname'],
+  phone_number: ['phonenumber', 'phone', 'mobile', 'mobilephone', 'mobilenumber', 'cell', 'cellphone',
+    'telephone', 'tel', 'primaryphone', 'phone1value'],
+  company_name: ['companyname', 'company', 'organization', 'organisation', 'org', 'organization1name'],
+  linkedin_url: ['linkedinurl', 'linkedin', 'linkedinprofile'],
+  timezone: ['timezone', 'tz']
+};
+
+/**
+ * Parses CSV text (RFC 4180: quoted fields may hold commas, quotes and line breaks)
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} - Records, empty lines left out
+ */
+function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+  return records.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+/**
+ * Unescapes a vCard text value
+ * @param {string} value - Escaped value
+ * @returns {string} - Text
+ */
+function unescapeVcardValue(value) {
+  return value.replace(/\\([nN,;\\])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+/**
+ * Parses vCard text (versions 2.1, 3.0 and 4.0) into cards
+ * @param {string} text - One or more vCards
+ * @returns {Array<Array<Object>>} - One list of { name, params, value } per card
+ */
+function parseVcards(text) {
+  // Folded lines continue on lines starting with a space or a tab
+  const lines = text.replace(/^\uFEFF/, '').replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+  const cards = [];
+  let card = null;
+
+  for (const line of lines) {
+    const separator = line.indexOf(':');
+    if (separator === -1) continue;
+    const [rawName, ...rawParams] = line.slice(0, separator).split(';');
+    // Apple groups properties as item1.TEL
+    const name = rawName.replace(/^[^.]*\./, '').toUpperCase();
+    const value = line.slice(separator + 1);
+
+    if (name === 'BEGIN' && value.trim().toUpperCase() === 'VCARD') {
+      card = [];
+    } else if (name === 'END' && card) {
+      cards.push(card);
+      card = null;
+    } else if (card) {
+      // TYPE=CELL,pref and the 2.1 style ;CELL;PREF both end up as lowercase types
+      const params = rawParams.flatMap(param => {
+        const [key, paramValue] = param.split('=');
+        return paramValue === undefined ? [key] : (key.toUpperCase() === 'TYPE' ? paramValue.split(',') : []);
+      }).map(param => param.replace(/"/g, '').toLowerCase());
+      card.push({ name, params, value });
+    }
+  }
+  return cards;
+}
+
+/**
+ * Reads the contact fields of a vCard
+ * @param {Array<Object>} properties - Card from parseVcards
+ * @returns {Object} - Contact fields
+ */
+function vcardToFields(properties) {
+  const first = (name) => properties.find(property => property.name === name);
+  const fields = {};
+
+  const structuredName = first('N');
+  if (structuredName) {
+    const [family, given] = structuredName.value.split(';').map(part => unescapeVcardValue(part || '').trim());
+    fields.last_name = family;
+    fields.first_name = given;
+  }
+  const formattedName = first('FN');
+  if (formattedName) fields.name = unescapeVcardValue(formattedName.value).trim();
+
+  // A mobile number is the one that can get texts
+  const phones = properties.filter(property => property.name === 'TEL');
+  const phone = phones.find(property => property.params.some(type => type === 'cell' || type === 'mobile'))
+    || phones.find(property => property.params.includes('pref'))
+    || phones[0];
+  if (phone) fields.phone_number = phone.value.replace(/^tel:/i, '').trim();
+
+  const organization = first('ORG');
+  if (organization) fields.company_name = unescapeVcardValue(organization.value.split(';')[0]).trim();
+
+  const linkedin = properties.find(property => ['URL', 'X-SOCIALPROFILE'].includes(property.name) && /linkedin\.com/i.test(property.value));
+  if (linkedin) fields.linkedin_url = linkedin.value.replace(/^x-apple:/i, '').trim();
+
+  const timezone = first('X-TIMEZONE') || first('TZ');
+  if (timezone && smsConsentService.isValidTimezone(timezone.value.trim())) fields.timezone = timezone.value.trim();
+
+  return fields;
+}
+
+/**
+ * Normalizes a CSV header for matching
+ * @param {string} header - Header as written in the file
+ * @returns {string} - Lowercase letters and digits
+ */
+function headerKey(header) {
+  return header.toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Works out which CSV column holds which contact field
+ * @param {Array<string>} headers - Header row
+ * @param {Object} [mapping] - { field: header } overriding the recognized headers
+ * @returns {Object} - { columns: { field: index } } or { error }
+ */
+function resolveColumns(headers, mapping = {}) {
+  const keys = headers.map(headerKey);
+  const columns = {};
+
+  for (const [field, aliases] of Object.entries(FIELD_ALIASES)) {
+    const index = keys.findIndex(key => aliases.includes(key));
+    if (index !== -1) columns[field] = index;
+  }
+  for (const [field, header] of Object.entries(mapping || {})) {
+    if (!IMPORT_FIELDS.includes(field)) {
+      return { error: `Unknown field in mapping: ${field} (fields are ${IMPORT_FIELDS.join(', ')})` };
+    }
+    const index = keys.indexOf(headerKey(String(header)));
+    if (index === -1) {
+      return { error: `Column "${header}" (mapped to ${field}) is not in the file` };
+    }
+    columns[field] = index;
+  }
+
+  if (columns.phone_number === undefined) {
+    return { error: 'No phone number column found - name it "phone_number" or map one with mapping.phone_number' };
+  }
+  return { columns };
+}
+
+/**
+ * Reads an import file into rows of contact fields
+ * @param {string} content - File content
+ * @param {Object} [options] - { format: 'csv' | 'vcard' (detected when left out), mapping: { field: header } for CSV }
+ * @returns {Object} - { format, rows: [{ row, fields }] } or { error }; row is the line of the CSV
+ *   record (the header is line 1) or the number of the vCard
+ */
+function readImportFile(content, options = {}) {
+  if (typeof content !== 'string' || content.trim() === '') {
+    return { error: 'The file is empty' };
+  }
+  const format = options.format || (/^\s*(\uFEFF)?BEGIN:VCARD/i.test(content) ? 'vcard' : 'csv');
+  if (!IMPORT_FORMATS.includes(format)) {
+    return { error: `format must be one of: ${IMPORT_FORMATS.join(', ')}` };
+  }
+
+  let rows;
+  if (format === 'vcard') {
+    rows = parseVcards(content).map((card, index) => ({ row: index + 1, fields: vcardToFields(card) }));
+  } else {
+    const [headers, ...records] = parseCsv(content);
+    const { columns, error } = resolveColumns(headers, options.mapping);
+    if (error) return { error };
+    rows = records.map((record, index) => {
+      const fields = {};
+      for (const [field, column] of Object.entries(columns)) {
+        fields[field] = (record[column] || '').trim();
+      }
+      return { row: index + 2, fields };
+    });
+  }
+
+  if (rows.length === 0) {
+    return { error: 'The file has no contacts' };
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    return { error: `An import can hold at most ${MAX_IMPORT_ROWS} contacts` };
+  }
+  return { format, rows };
+}
+
+/**
+ * Validates the fields of an imported row
+ * @param {Object} fields - Fields from readImportFile
+ * @param {string} [defaultCountry] - Country of phone numbers without a country code
+ * @returns {Object} - { contact, errors }: contact has the cleaned-up fields
+ */
+function validateImportRow(fields, defaultCountry = phoneNumberService.getDefaultCountry()) {
+  const errors = [];
+  let firstName = fields.first_name || '';
+  let lastName = fields.last_name || '';
+  // A single name column is split at its last space
+  if ((!firstName || !lastName) && fields.name) {
+    const parts = fields.name.trim().split(/\s+/);
+    if (!firstName) firstName = parts.length > 1 ? parts.slice(0, -1).join(' ') : parts[0];
+    if (!lastName && parts.length > 1) lastName = parts[parts.length - 1];
+  }
+  if (!firstName) errors.push('first_name is required');
+  if (!lastName) errors.push('last_name is required');
+
+  const phoneNumber = phoneNumberService.normalizePhoneNumber(fields.phone_number, defaultCountry);
+  if (!fields.phone_number) {
+    errors.push('phone_number is required');
+  } else if (!phoneNumber) {
+    errors.push(`Invalid phone number: ${fields.phone_number}`);
+  }
+
+  const timezone = fields.timezone || null;
+  if (timezone && !smsConsentService.isValidTimezone(timezone)) {
+    errors.push(`Unknown timezone: ${timezone}`);
+  }
+
+  return {
+    contact: {
+      first_name: firstName.slice(0, 100),
+      last_name: lastName.slice(0, 100),
+      phone_number: phoneNumber,
+      company_name: fields.company_name ? fields.company_name.slice(0, 100) : null,
+      linkedin_url: fields.linkedin_url ? fields.linkedin_url.slice(0, 255) : null,
+      timezone
+    },
+    errors
+  };
+}
+
+/**
+ * Validates imported rows and finds duplicates, without changing anything
+ * @param {Object} db - PostgreSQL pool or client
+ * @param {number} userId - User ID
+ * @param {Array<Object>} rows - Rows from readImportFile
+ * @param {string} [defaultCountry] - Country of phone numbers without a country code
+ * @returns {Promise<Array<Object>>} - One result per row: { row, status: 'valid' | 'invalid' | 'duplicate',
+ *   contact, errors, existing_contact_id | duplicate_of_row }
+ */
+async function planImport(db, userId, rows, defaultCountry) {
+  const validated = rows.map(({ row, fields }) => ({ row, ...validateImportRow(fields, defaultCountry) }));
+  const numbers = validated.map(result => result.contact.phone_number).filter(Boolean);
+  const existingResult = await db.query(
+    'SELECT id, phone_number, archived_at FROM contacts WHERE user_id = $1 AND phone_number = ANY($2::VARCHAR[])',
+    [userId, numbers]
+  );
+  const existing = new Map(existingResult.rows.map(contact => [contact.phone_number, contact]));
+  const seen = new Map();
+
+  return validated.map(({ row, contact, errors }) => {
+    if (errors.length > 0) {
+      return { row, status: 'invalid', contact, errors };
+    }
+    const current = existing.get(contact.phone_number);
+    if (current) {
+      return {
+        row,
+        status: 'duplicate',
+        contact,
+        errors: [current.archived_at ? 'You have an archived contact with this phone number' : 'You already have a contact with this phone number'],
+        existing_contact_id: current.id
+      };
+    }
+    if (seen.has(contact.phone_number)) {
+      return {
+        row,
+        status: 'duplicate',
+        contact,
+        errors: [`Same phone number as row ${seen.get(contact.phone_number)}`],
+        duplicate_of_row: seen.get(contact.phone_number)
+      };
+    }
+    seen.set(contact.phone_number, row);
+    return { row, status: 'valid', contact, errors };
+  });
+}
+
+/**
+ * Lists a user's contacts for an export, with their intake status
+ * @param {Object} db - PostgreSQL pool or client
+ * @param {number} userId - User ID
+ * @param {Object} [filters] - { archived: true } to export the archived contacts instead
+ * @returns {Promise<Array>} - Contacts; intake_status is 'received', 'invited' or 'not_invited'
+ */
+async function listContactsForExport(db, userId, filters = {}) {
+  const result = await db.query(`
+    SELECT c.id, c.first_name, c.last_name, c.phone_number, c.company_name, c.linkedin_url, c.timezone,
+           c.is_approved, c.archived_at, c.created_at, c.last_invited_at,
+           ir.intake_count, ir.last_intake_at,
+           CASE WHEN ir.intake_count > 0 THEN 'received'
+                WHEN c.last_invited_at IS NOT NULL THEN 'invited'
+                ELSE 'not_invited' END AS intake_status
+    FROM contacts c
+    LEFT JOIN LATERAL (
+      SELECT COUNT(*)::INTEGER AS intake_count, MAX(created_at) AS last_intake_at
+      FROM intake_responses
+      WHERE contact_id = c.id
+    ) ir ON true
+    WHERE c.user_id = $1 AND (c.archived_at IS NOT NULL) = $2
+    ORDER BY c.last_name, c.first_name, c.id
+  `, [userId, !!filters.archived]);
+  return result.rows;
+}
+
+/**
+ * Formats contacts as CSV
+ * @param {Array} contacts - Rows from listContactsForExport
+ * @returns {string} - CSV with a header row
+ */
+function contactsToCsv(contacts) {
+  const date = value => (value ? value.toISOString() : null);
+  const columns = [
+    ['first_name', c => c.first_name],
+    ['last_name', c => c.last_name],
+    ['phone_number', c => c.phone_number],
+    ['company_name', c => c.company_name],
+    ['linkedin_url', c => c.linkedin_url],
+    ['timezone', c => c.timezone],
+    ['approved', c => (c.is_approved ? 'yes' : 'no')],
+    ['archived', c => (c.archived_at ? 'yes' : 'no')],
+    ['intake_status', c => c.intake_status],
+    ['intake_count', c => c.intake_count],
+    ['last_intake_at', c => date(c.last_intake_at)],
+    ['last_invited_at', c => date(c.last_invited_at)],
+    ['created_at', c => date(c.created_at)]
+  ];
+
+  return csvService.toCsv(columns, contacts);
+}
+
+/**
+ * Escapes a vCard text value
+ * @param {*} value - Value
+ * @returns {string} - Escaped value
+ */
+function escapeVcardValue(value) {
+  return String(value ?? '').replace(/\\/g, '\\\\').replace(/\r?\n/g, '\\n').replace(/([,;])/g, '\\$1');
+}
+
+/**
+ * Folds a vCard line to 75 octets per line
+ * @param {string} line - Content line
+ * @returns {string} - Folded line
+ */
+function foldVcardLine(line) {
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    const limit = parts.length === 0 ? 75 : 74; // continuation lines start with a space
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+/**
+ * Formats contacts as vCards (version 3.0)
+ * @param {Array} contacts - Rows from listContactsForExport
+ * @returns {string} - vCard text
+ */
+function contactsToVcards(contacts) {
+  const cards = contacts.map(contact => {
+    const intake = contact.intake_status === 'received'
+      ? `received ${contact.last_intake_at.toISOString().slice(0, 10)}`
+      : contact.intake_status.replace('_', ' ');
+    const lines = [
+      'BEGIN:VCARD',
+      'VERSION:3.0',
+      `N:${escapeVcardValue(contact.last_name)};${escapeVcardValue(contact.first_name)};;;`,
+      `FN:${escapeVcardValue(`${contact.first_name} ${contact.last_name}`)}`,
+      `TEL;TYPE=CELL:${contact.phone_number}`
+    ];
+    if (contact.company_name) lines.push(`ORG:${escapeVcardValue(contact.company_name)}`);
+    if (contact.linkedin_url) lines.push(`URL:${contact.linkedin_url}`);
+    if (contact.timezone) lines.push(`X-TIMEZONE:${contact.timezone}`);
+    lines.push(`X-INTAKE-STATUS:${contact.intake_status}`);
+    lines.push(`NOTE:${escapeVcardValue(`Intake: ${intake}`)}`);
+    lines.push('END:VCARD');
+    return lines.map(foldVcardLine).join('\r\n');
+  });
+  return cards.length > 0 ? cards.join('\r\n') + '\r\n' : '';
+}
+
+module.exports = {
+  IMPORT_FORMATS,
+  IMPORT_FIELDS,
+  MAX_IMPORT_ROWS,
+  parseCsv,
+  parseVcards,
+  readImportFile,
+  validateImportRow,
+  planImport,
+  listContactsForExport,
+  contactsToCsv,
+  contactsToVcards
+};
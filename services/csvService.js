@@ -0,0 +1,40 @@
+// CSV output shared by the exports (contacts, SMS consent events).
+//
+// Exported files are opened in spreadsheets, and several columns hold text someone
+// else wrote (SMS bodies and keywords, names and URLs from imported files). A cell
+// starting with =, +, -, @, a tab or a carriage return is run as a formula by Excel and
+// Sheets, so those get a leading ' (the OWASP recommendation). E.164 phone numbers are
+// the one exception: they are data, and keep their +.
+
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+const E164_REGEX = /^\+[1-9]\d{1,14}$/;
+
+/**
+ * Escapes a CSV cell
+ * @param {*} value - Cell value (null and undefined become empty cells)
+ * @returns {string} - Cell, quoted when needed and defused when it would run as a formula
+ */
+function csvValue(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (FORMULA_PREFIX.test(text) && !E164_REGEX.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Formats rows as CSV
+ * @param {Array<Array>} columns - [name, row => value] pairs, in column order
+ * @param {Array<Object>} rows - Rows
+ * @returns {string} - CSV with a header row, CRLF line endings
+ */
+function toCsv(columns, rows) {
+  const lines = [columns.map(([name]) => csvValue(name)).join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(([, value]) => csvValue(value(row))).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  csvValue,
+  toCsv
+};
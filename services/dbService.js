@@ -1,189 +1,74 @@
 // Database service for shared database operations
 
+const privacyService = require('./privacyService');
+const tokenService = require('./tokenService');
+
 /**
- * Creates all required database tables if they don't exist
+ * Cleans up old records from temp_calls table
  * @param {Object} pool - PostgreSQL connection pool
  */
-const createTables = async (pool) => {
-  const client = await pool.connect();
+const cleanupTempCalls = async (pool) => {
   try {
-    await client.query('BEGIN');
-    // Create users table
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS users (
-        id SERIAL PRIMARY KEY,
-        email VARCHAR(255) UNIQUE NOT NULL,
-        password VARCHAR(255) NOT NULL
-      )
-    `);
-
-    // Create relationships table
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS relationships (
-        id SERIAL PRIMARY KEY,
-        user1_id INTEGER REFERENCES users(id),
-        user2_id INTEGER REFERENCES users(id),
-        compatibility_score FLOAT,
-        check_in_cadence VARCHAR(50)
-      )
-    `);
-
-    // Create contacts table
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS contacts (
-        id SERIAL PRIMARY KEY,
-        phone_number VARCHAR(15) UNIQUE NOT NULL,
-        first_name VARCHAR(100),
-        last_name VARCHAR(100),
-        company_name VARCHAR(100),
-        linkedin_url VARCHAR(255),
-        user_id INTEGER REFERENCES users(id),
-        is_approved BOOLEAN DEFAULT false,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-
-    // Create SMS messages table
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS sms_messages (
-        id SERIAL PRIMARY KEY,
-        contact_id INTEGER REFERENCES contacts(id),
-        user_id INTEGER REFERENCES users(id),
-        message TEXT NOT NULL,
-        twilio_sid VARCHAR(50),
-        sent_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-
-    // Create SMS log table
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS sms_log (
-        id SERIAL PRIMARY KEY,
-        contact_id INTEGER REFERENCES contacts(id),
-        user_id INTEGER REFERENCES users(id),
-        message_type VARCHAR(50) NOT NULL,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-
-    // Check if contacts table needs column updates
-    const columnCheck = await client.query(`
-      SELECT column_name 
-      FROM information_schema.columns 
-      WHERE table_name = 'contacts' 
-      AND column_name = 'first_name'
-    `);
-
-    // If first_name doesn't exist, add all possibly missing columns
-    if (columnCheck.rows.length === 0) {
-      console.log('Migrating contacts table - adding missing columns');
-      await client.query(`
-        ALTER TABLE contacts
-        ADD COLUMN IF NOT EXISTS first_name VARCHAR(100),
-        ADD COLUMN IF NOT EXISTS last_name VARCHAR(100),
-        ADD COLUMN IF NOT EXISTS company_name VARCHAR(100),
-        ADD COLUMN IF NOT EXISTS linkedin_url VARCHAR(255)
-      `);
-    }
-
-    // Create temp_calls table
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS temp_calls (
-        id SERIAL PRIMARY KEY,
-        call_sid VARCHAR(50) UNIQUE NOT NULL,
-        phone_number VARCHAR(15) NOT NULL,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-
-    // Create permanent call_log table for debugging and recovery
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS call_log (
-        id SERIAL PRIMARY KEY,
-        call_sid VARCHAR(50) UNIQUE NOT NULL,
-        phone_number VARCHAR(15) NOT NULL,
-        status VARCHAR(50) DEFAULT 'pending',
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        processed_at TIMESTAMP
-      )
-    `);
-
-    // Check if intake_responses table exists
-    const tableCheckResult = await client.query(`
-      SELECT EXISTS (
-        SELECT FROM information_schema.tables 
-        WHERE table_name = 'intake_responses'
-      )
-    `);
-
-    if (tableCheckResult.rows[0].exists) {
-      console.log('Intake responses table exists, checking for required columns...');
-
-      // Check for each required column and add if missing
-      // Note: Removed 'goals' from the list as it's not part of the new intake flow
-      // and added the four specific columns needed for the intake questionnaire
-      const requiredColumns = [
-        'user_id', 'communication_style', 'values', 
-        'professional_goals', 'partnership_expectations', 'raw_transcript'
-      ];
-
-      for (const column of requiredColumns) {
-        const columnExists = await client.query(`
-          SELECT EXISTS (
-            SELECT FROM information_schema.columns 
-            WHERE table_name = 'intake_responses' AND column_name = $1
-          )
-        `, [column]);
-
-        if (!columnExists.rows[0].exists) {
-          console.log(`Adding missing column '${column}' to intake_responses table`);
-          await client.query(`ALTER TABLE intake_responses ADD COLUMN ${column} TEXT`);
-        }
-      }
-    } else {
-      // Create the intake_responses table with all required columns
-      console.log('Creating intake_responses table with all required columns');
-      await client.query(`
-        CREATE TABLE IF NOT EXISTS intake_responses (
-          id SERIAL PRIMARY KEY,
-          contact_id INTEGER REFERENCES contacts(id),
-          user_id INTEGER REFERENCES users(id),
-          communication_style TEXT,
-          goals TEXT,
-          values TEXT,
-          professional_goals TEXT,
-          partnership_expectations TEXT,
-          raw_transcript TEXT,
-          response_text TEXT,
-          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-        )
-      `);
-    }
-
-    await client.query('COMMIT');
-    console.log('Database schema updated for relationship management');
+    const result = await pool.query('DELETE FROM temp_calls WHERE created_at < NOW() - INTERVAL \'4 hours\'');
+    console.log(`Cleaned up temp_calls table: ${result.rowCount} old records removed`);
   } catch (error) {
-    await client.query('ROLLBACK');
-    console.error('Error creating tables:', error.message);
-  } finally {
-    client.release();
+    console.error('Error cleaning up temp_calls:', error.message);
   }
 };
 
 /**
- * Cleans up old records from temp_calls table
+ * Deletes unmatched intakes nobody owns once they are UNOWNED_INTAKE_RETENTION_DAYS old.
+ * No user can see, assign or discard them (a stranger calling the shared number), so
+ * the caller's transcript isn't kept any longer than that.
  * @param {Object} pool - PostgreSQL connection pool
  */
-const cleanupTempCalls = async (pool) => {
+const cleanupUnownedIntakes = async (pool) => {
+  const retentionDays = parseInt(process.env.UNOWNED_INTAKE_RETENTION_DAYS, 10) || 7;
   try {
-    const result = await pool.query('DELETE FROM temp_calls WHERE created_at < NOW() - INTERVAL \'4 hours\'');
-    console.log(`Cleaned up temp_calls table: ${result.rowCount} old records removed`);
+    const result = await pool.query(
+      'DELETE FROM unmatched_intakes WHERE user_id IS NULL AND received_at < NOW() - $1 * INTERVAL \'1 day\'',
+      [retentionDays]
+    );
+    console.log(`Cleaned up unmatched_intakes table: ${result.rowCount} unowned intakes older than ${retentionDays} days removed`);
   } catch (error) {
-    console.error('Error cleaning up temp_calls:', error.message);
+    console.error('Error cleaning up unowned unmatched intakes:', error.message);
   }
 };
 
+/**
+ * Deletes a user account and everything owned by it, and revokes its sessions
+ * @param {Object} client - PostgreSQL client inside an open transaction
+ * @param {number} userId - ID of the user to delete
+ * @param {Object} [tokenPayload] - Decoded access token the deletion was requested with, revoked too
+ */
+const deleteUserAccount = async (client, userId, tokenPayload = null) => {
+  const ownedContacts = 'SELECT id FROM contacts WHERE user_id = $1';
+
+  // Every number the user stored is erased like a privacy erasure (calls, voicemails,
+  // quarantined intakes...); what is left below is what isn't tied to a number
+  const erased = await privacyService.eraseAccountData(client, userId);
+  console.log(`Account deletion of user ${userId} erased:`, JSON.stringify(erased));
+
+  await client.query(`DELETE FROM intake_responses WHERE user_id = $1 OR contact_id IN (${ownedContacts})`, [userId]);
+  await client.query(`DELETE FROM sms_messages WHERE user_id = $1 OR contact_id IN (${ownedContacts})`, [userId]);
+  await client.query(`DELETE FROM sms_log WHERE user_id = $1 OR contact_id IN (${ownedContacts})`, [userId]);
+  await client.query('DELETE FROM jobs WHERE user_id = $1', [userId]);
+  await client.query('DELETE FROM relationships WHERE user1_id = $1 OR user2_id = $1', [userId]);
+  await client.query('DELETE FROM contacts WHERE user_id = $1', [userId]);
+
+  // Sessions end with the account. Revocations would be deleted with the user, so they
+  // (and the token used for the deletion) are kept without it until the tokens expire.
+  await client.query('DELETE FROM refresh_tokens WHERE user_id = $1', [userId]);
+  await client.query('UPDATE revoked_tokens SET user_id = NULL WHERE user_id = $1', [userId]);
+  if (tokenPayload) {
+    await tokenService.revokeAccessToken(client, { ...tokenPayload, userId: null });
+  }
+
+  await client.query('DELETE FROM users WHERE id = $1', [userId]);
+};
+
 module.exports = {
-  createTables,
-  cleanupTempCalls
+  cleanupTempCalls,
+  cleanupUnownedIntakes,
+  deleteUserAccount
 };
\ No newline at end of file
@@ -0,0 +1,51 @@
+const axios = require('axios');
+
+// Access to the ElevenLabs conversational agent for live calls.
+//
+// /voice streams the caller's audio to the agent over a WebSocket. For private
+// agents that URL has to be signed with our API key (ELEVENLABS_SECRET); it is
+// only valid for a short time, so a fresh one is requested for every call.
+// ELEVENLABS_STREAM_URL overrides all of this, e.g. to point at a media relay.
+
+const ELEVENLABS_API_URL = 'https://api.elevenlabs.io/v1';
+const SIGNED_URL_TIMEOUT_MS = 5000;
+
+/**
+ * Tells whether enough is configured to connect calls to the agent
+ * @returns {boolean} - True if calls can be bridged
+ */
+function isAgentConfigured() {
+  return !!(process.env.ELEVENLABS_STREAM_URL || process.env.ELEVENLABS_AGENT_ID);
+}
+
+/**
+ * Returns the WebSocket URL a call should be streamed to
+ * @param {string} [agentId] - Agent ID, defaults to ELEVENLABS_AGENT_ID
+ * @returns {Promise<string>} - wss:// URL
+ * @throws {Error} - If no agent is configured or ElevenLabs can't be reached
+ */
+async function getAgentStreamUrl(agentId = process.env.ELEVENLABS_AGENT_ID) {
+  if (process.env.ELEVENLABS_STREAM_URL) return process.env.ELEVENLABS_STREAM_URL;
+  if (!agentId) throw new Error('ELEVENLABS_AGENT_ID is not configured');
+
+  // Public agents can be reached without signing
+  if (!process.env.ELEVENLABS_SECRET) {
+    return `wss://api.elevenlabs.io/v1/convai/conversation?agent_id=${encodeURIComponent(agentId)}`;
+  }
+
+  const response = await axios.get(`${ELEVENLABS_API_URL}/convai/conversation/get_signed_url`, {
+    params: { agent_id: agentId },
+    headers: { 'xi-api-key': process.env.ELEVENLABS_SECRET },
+    timeout: SIGNED_URL_TIMEOUT_MS
+  });
+
+  if (!response.data || !response.data.signed_url) {
+    throw new Error('ElevenLabs did not return a signed URL');
+  }
+  return response.data.signed_url;
+}
+
+module.exports = {
+  isAgentConfigured,
+  getAgentStreamUrl
+};
@@ -2,26 +2,104 @@ const axios = require('axios');
 const { v4: uuidv4 } = require('uuid');
 const crypto = require('crypto');
 
+const transcriptProviders = require('./transcriptProviders');
+const questionnaireService = require('./questionnaireService');
+const intakeReminderService = require('./intakeReminderService');
+const relationshipService = require('./relationshipService');
+const phoneNumberService = require('./phoneNumberService');
+
+// Fields collected by the built-in four-question intake template
+const DEFAULT_INTAKE_FIELDS = questionnaireService.getParseFields(questionnaireService.DEFAULT_TEMPLATE);
+
+const MAX_PARSE_ATTEMPTS = parseInt(process.env.TRANSCRIPT_PARSER_MAX_ATTEMPTS, 10) || 3;
+
+/**
+ * Validates and normalizes raw provider output against the expected fields
+ * @param {string|Object} output - Raw provider output
+ * @param {Array<Object>} fields - Field definitions
+ * @returns {Object} - Normalized { key: { answer, confidence, excerpt } }
+ */
+function validateParsedOutput(output, fields) {
+  let parsed = output;
+  if (typeof output === 'string') {
+    try {
+      parsed = JSON.parse(output);
+    } catch (error) {
+      throw new Error(`Output is not valid JSON (${error.message})`);
+    }
+  }
+
+  if (!parsed || typeof parsed !== 'object' || !parsed.fields || typeof parsed.fields !== 'object') {
+    throw new Error('Output must be an object with a "fields" object');
+  }
+
+  const normalized = {};
+  for (const field of fields) {
+    const entry = parsed.fields[field.key];
+    if (!entry || typeof entry !== 'object') {
+      throw new Error(`Missing field "${field.key}"`);
+    }
+
+    const { answer, confidence, excerpt } = entry;
+    if (answer !== null && answer !== undefined && typeof answer !== 'string') {
+      throw new Error(`Field "${field.key}" answer must be a string or null`);
+    }
+    if (typeof confidence !== 'number' || Number.isNaN(confidence) || confidence < 0 || confidence > 1) {
+      throw new Error(`Field "${field.key}" confidence must be a number between 0 and 1`);
+    }
+
+    const hasAnswer = typeof answer === 'string' && answer.trim() !== '';
+    normalized[field.key] = {
+      answer: hasAnswer ? answer.trim() : null,
+      confidence: hasAnswer ? confidence : 0,
+      excerpt: typeof excerpt === 'string' && excerpt.trim() !== '' ? excerpt.trim() : null
+    };
+  }
+
+  return normalized;
+}
+
 /**
- * Parses a raw transcript using OpenAI's API (GPT-4o-mini)
+ * Parses a raw transcript into intake fields using the configured provider
+ * (OpenAI's GPT-4o-mini by default, or the local rule-based provider).
+ * Malformed provider output is retried up to TRANSCRIPT_PARSER_MAX_ATTEMPTS times.
  * @param {string} rawTranscript - The raw transcript text to parse
- * @returns {Promise<Object>} - The parsed fields in JSON format
+ * @param {Object} [options] - { fields, provider } where provider is a name or provider object
+ * @returns {Promise<Object>} - { fields: { key: { answer, confidence, excerpt } }, provider, attempts }
  */
-async function parseTranscript(rawTranscript) {
+async function parseTranscript(rawTranscript, options = {}) {
   try {
     // Make sure we have a valid transcript
     if (!rawTranscript || rawTranscript.trim() === '') {
       throw new Error('Empty transcript provided');
     }
 
-    // In a real implementation, this would call OpenAI API
-    // For now, we'll return mock data
-    return {
-      communication_style: "Parsed communication style",
-      values: "Parsed values",
-      professional_goals: "Parsed professional goals",
-      partnership_expectations: "Parsed partnership expectations"
-    };
+    const fields = options.fields || DEFAULT_INTAKE_FIELDS;
+    const provider = transcriptProviders.getProvider(options.provider);
+
+    let previousError = null;
+    for (let attempt = 1; attempt <= MAX_PARSE_ATTEMPTS; attempt++) {
+      const output = await provider.extract({
+        transcript: rawTranscript,
+        fields,
+        attempt,
+        previousError
+      });
+
+      try {
+        const parsedFields = validateParsedOutput(output, fields);
+        return {
+          fields: parsedFields,
+          provider: provider.name,
+          attempts: attempt
+        };
+      } catch (validationError) {
+        previousError = validationError.message;
+        console.warn(`Malformed output from ${provider.name} provider (attempt ${attempt}/${MAX_PARSE_ATTEMPTS}):`, previousError);
+      }
+    }
+
+    throw new Error(`Transcript parsing failed after ${MAX_PARSE_ATTEMPTS} attempts: ${previousError}`);
   } catch (error) {
     console.error('Error parsing transcript:', error);
     throw error;
@@ -29,10 +107,49 @@ async function parseTranscript(rawTranscript) {
 }
 
 /**
- * Updates an intake response with parsed data
+ * Returns the parsed answer for a field, or null if it wasn't answered
+ * @param {Object} parsedData - The result of parseTranscript
+ * @param {string} key - Field key
+ * @returns {string|null} - Answer text
+ */
+function answerFor(parsedData, key) {
+  const field = parsedData.fields && parsedData.fields[key];
+  return field ? field.answer : null;
+}
+
+// intake_responses columns that predate intake_answers and are still kept in sync
+const LEGACY_ANSWER_COLUMNS = ['communication_style', 'values', 'professional_goals', 'partnership_expectations'];
+
+/**
+ * Stores answers in intake_answers, one row per field. Fields without an
+ * answer are skipped so they keep any answer stored earlier.
+ * @param {Object} client - PostgreSQL client (inside the caller's transaction)
+ * @param {number} intakeId - Intake response ID
+ * @param {Object} answers - { key: { answer, confidence, excerpt } }
+ */
+async function saveIntakeAnswers(client, intakeId, answers) {
+  for (const [fieldKey, { answer, confidence, excerpt }] of Object.entries(answers)) {
+    if (!answer) continue;
+    await client.query(`
+      INSERT INTO intake_answers (intake_id, field_key, answer, confidence, source_excerpt)
+      VALUES ($1, $2, $3, $4, $5)
+      ON CONFLICT (intake_id, field_key) DO UPDATE
+      SET answer = EXCLUDED.answer,
+          confidence = EXCLUDED.confidence,
+          source_excerpt = EXCLUDED.source_excerpt,
+          updated_at = NOW()
+    `, [intakeId, fieldKey, answer, confidence ?? null, excerpt || null]);
+  }
+}
+
+/**
+ * Updates an intake response with parsed data. Every parsed field is stored in
+ * intake_answers; the legacy columns are filled too for templates that use their
+ * keys. Fields the parser could not answer keep their existing value instead of
+ * being blanked out.
  * @param {Object} pool - Database connection pool
  * @param {number} intakeResponseId - ID of the intake response to update
- * @param {Object} parsedData - The parsed data to update with
+ * @param {Object} parsedData - The result of parseTranscript
  * @returns {Promise<Object>} - The updated intake response
  */
 async function updateIntakeWithParsedData(pool, intakeResponseId, parsedData) {
@@ -43,21 +160,25 @@ async function updateIntakeWithParsedData(pool, intakeResponseId, parsedData) {
     const result = await client.query(`
       UPDATE intake_responses
       SET
-        communication_style = $1,
-        values = $2,
-        professional_goals = $3,
-        partnership_expectations = $4,
+        communication_style = COALESCE($1, communication_style),
+        values = COALESCE($2, values),
+        professional_goals = COALESCE($3, professional_goals),
+        partnership_expectations = COALESCE($4, partnership_expectations),
         updated_at = NOW()
       WHERE id = $5
       RETURNING *
     `, [
-      parsedData.communication_style,
-      parsedData.values,
-      parsedData.professional_goals,
-      parsedData.partnership_expectations,
+      answerFor(parsedData, 'communication_style'),
+      answerFor(parsedData, 'values'),
+      answerFor(parsedData, 'professional_goals'),
+      answerFor(parsedData, 'partnership_expectations'),
       intakeResponseId
     ]);
 
+    if (result.rows.length > 0) {
+      await saveIntakeAnswers(client, intakeResponseId, parsedData.fields);
+    }
+
     await client.query('COMMIT');
     return result.rows[0];
   } catch (error) {
@@ -69,6 +190,177 @@ async function updateIntakeWithParsedData(pool, intakeResponseId, parsedData) {
   }
 }
 
+/**
+ * Pulls the caller identifiers and intake fields out of an ElevenLabs webhook payload
+ * @param {Object} body - Webhook payload
+ * @returns {Object} - Extracted data with "Not provided" placeholders for missing fields
+ */
+function extractIntakeData(body) {
+  const { caller_id, call_sid, callSid, communication_style, values, professional_goals, partnership_expectations, raw_transcript } = body || {};
+
+  // /voice passes call_sid and caller_id to the agent as stream parameters; ElevenLabs
+  // echoes them back as dynamic variables of the conversation
+  const dynamicVariables = body?.data?.conversation_initiation_client_data?.dynamic_variables || {};
+  const caller = caller_id || dynamicVariables.caller_id;
+
+  return {
+    // E.164, like the numbers it is matched against in temp_calls and contacts
+    caller: (caller && caller !== "unknown") ? phoneNumberService.normalizeWebhookNumber(caller) : null,
+    callSid: call_sid || callSid || dynamicVariables.call_sid || null,
+    communication_style: communication_style || "Not provided",
+    values: values || "Not provided",
+    professional_goals: professional_goals || "Not provided",
+    partnership_expectations: partnership_expectations || "Not provided",
+    raw_transcript: raw_transcript || "Not provided",
+    has_transcript: !!raw_transcript
+  };
+}
+
+/**
+ * Inserts an intake response for an identified contact, recording the
+ * questionnaire fields the contact was asked about for later parsing
+ * @param {Object} client - PostgreSQL client (inside the caller's transaction)
+ * @param {Object} intake - { phoneNumber, contactId, userId, data } where data comes from extractIntakeData
+ * @returns {Promise<number>} - ID of the new intake response
+ */
+async function insertIntakeResponse(client, { phoneNumber, contactId, userId, data }) {
+  const template = await questionnaireService.getTemplateForContact(client, contactId);
+
+  const insertResult = await client.query(`
+    INSERT INTO intake_responses 
+    (phone_number, contact_id, user_id, communication_style, values, professional_goals, 
+     partnership_expectations, raw_transcript, questionnaire_template_id, questionnaire_fields, created_at)
+    VALUES 
+    ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, NOW())
+    RETURNING id
+  `, [
+    phoneNumber,
+    contactId,
+    userId,
+    data.communication_style,
+    data.values,
+    data.professional_goals,
+    data.partnership_expectations,
+    data.raw_transcript,
+    template.id,
+    JSON.stringify(questionnaireService.getParseFields(template))
+  ]);
+  const intakeId = insertResult.rows[0].id;
+
+  // Answers the agent already sent in the webhook are stored as they are; parsing fills in the rest
+  const suppliedAnswers = {};
+  for (const column of LEGACY_ANSWER_COLUMNS) {
+    if (data[column] && data[column] !== 'Not provided') {
+      suppliedAnswers[column] = { answer: data[column], confidence: null, excerpt: null };
+    }
+  }
+  await saveIntakeAnswers(client, intakeId, suppliedAnswers);
+
+  // The contact called in, so no more reminders, and the call counts as a check-in
+  await intakeReminderService.cancelReminders(client, contactId, 'intake_received');
+  await relationshipService.recordCheckIn(client, userId, contactId);
+
+  return intakeId;
+}
+
+/**
+ * Loads a contact's intake responses with their answers, also grouped by field
+ * @param {Object} db - PostgreSQL pool or client
+ * @param {number} contactId - Contact ID
+ * @param {number} userId - Owner of the contact
+ * @returns {Promise<Object>} - { intake_responses, fields } where fields is
+ *   [{ key, label, answers: [{ intake_id, answer, confidence, excerpt, answered_at }] }]
+ */
+async function getContactIntake(db, contactId, userId) {
+  const responsesResult = await db.query(`
+    SELECT id, communication_style, goals, values, professional_goals, partnership_expectations,
+           raw_transcript, questionnaire_template_id, questionnaire_fields, created_at, updated_at
+    FROM intake_responses
+    WHERE contact_id = $1 AND user_id = $2
+    ORDER BY created_at DESC
+  `, [contactId, userId]);
+
+  const answersResult = await db.query(`
+    SELECT a.intake_id, a.field_key, a.answer, a.confidence, a.source_excerpt, a.updated_at
+    FROM intake_answers a
+    JOIN intake_responses ir ON ir.id = a.intake_id
+    WHERE ir.contact_id = $1 AND ir.user_id = $2
+    ORDER BY ir.created_at DESC, a.id
+  `, [contactId, userId]);
+
+  const intakeResponses = responsesResult.rows.map(response => ({ ...response, answers: {} }));
+  const responsesById = new Map(intakeResponses.map(response => [response.id, response]));
+
+  // Labels come from the questionnaire each intake was collected with, newest first
+  const labels = new Map();
+  for (const response of intakeResponses) {
+    for (const field of response.questionnaire_fields || DEFAULT_INTAKE_FIELDS) {
+      if (!labels.has(field.key)) labels.set(field.key, field.label);
+    }
+  }
+
+  const fields = new Map();
+  for (const row of answersResult.rows) {
+    const answer = {
+      answer: row.answer,
+      confidence: row.confidence,
+      excerpt: row.source_excerpt
+    };
+    responsesById.get(row.intake_id).answers[row.field_key] = answer;
+
+    if (!fields.has(row.field_key)) {
+      fields.set(row.field_key, {
+        key: row.field_key,
+        label: labels.get(row.field_key) || questionnaireService.labelFromKey(row.field_key),
+        answers: []
+      });
+    }
+    fields.get(row.field_key).answers.push({ intake_id: row.intake_id, ...answer, answered_at: row.updated_at });
+  }
+
+  return { intake_responses: intakeResponses, fields: [...fields.values()] };
+}
+
+/**
+ * Job handler that parses the stored transcript of an intake response
+ * @param {Object} pool - Database connection pool
+ * @param {Object} payload - Job payload ({ intake_id })
+ * @returns {Promise<Object>} - Summary stored as the job result
+ */
+async function processTranscriptJob(pool, payload) {
+  const intakeId = payload.intake_id;
+  const intakeResult = await pool.query(
+    'SELECT id, contact_id, raw_transcript, questionnaire_fields FROM intake_responses WHERE id = $1',
+    [intakeId]
+  );
+
+  if (intakeResult.rows.length === 0) {
+    throw new Error(`Intake response #${intakeId} not found`);
+  }
+
+  const { contact_id, raw_transcript, questionnaire_fields } = intakeResult.rows[0];
+  console.log(`Starting transcript parsing for intake response #${intakeId}`);
+
+  // Intakes recorded before questionnaire templates existed used the built-in fields
+  const parsedData = await parseTranscript(raw_transcript, { fields: questionnaire_fields || DEFAULT_INTAKE_FIELDS });
+  await updateIntakeWithParsedData(pool, intakeId, parsedData);
+  console.log(`Intake response #${intakeId} updated with parsed data`);
+
+  // The answers may say how often the contact wants to hear from us
+  if (contact_id) {
+    await relationshipService.refreshCadence(pool, contact_id);
+  }
+
+  return {
+    intake_id: intakeId,
+    provider: parsedData.provider,
+    attempts: parsedData.attempts,
+    confidence: Object.fromEntries(
+      Object.entries(parsedData.fields).map(([key, field]) => [key, field.confidence])
+    )
+  };
+}
+
 /**
  * Process intake data from ElevenLabs
  * @param {Object} data - The data from ElevenLabs
@@ -182,7 +474,15 @@ async function processIntakeData(data) {
 
 
 module.exports = {
+  DEFAULT_INTAKE_FIELDS,
+  MAX_PARSE_ATTEMPTS,
   processIntakeData,
+  extractIntakeData,
+  insertIntakeResponse,
+  saveIntakeAnswers,
+  getContactIntake,
   parseTranscript,
-  updateIntakeWithParsedData
+  validateParsedOutput,
+  updateIntakeWithParsedData,
+  processTranscriptJob
 };
\ No newline at end of file
@@ -0,0 +1,208 @@
+// Intake reminders for contacts who were invited but never called in.
+//
+// Sending an invitation schedules one reminder per entry of INTAKE_REMINDER_DAYS
+// (days after the invitation, "2,7" by default; "off" disables reminders). Each
+// reminder is a row in intake_reminders plus a send_intake_reminder job due at
+// its scheduled time:
+//   scheduled -> sent
+//             -> failed   (Twilio refused the text, or SMS isn't configured)
+//             -> canceled (intake received, opted out, no longer approved,
+//                          stopped by the user or replaced by a new invitation)
+// Intakes cancel the pending reminders as they are stored, and every job checks
+// again before sending. Reminders due during the contact's quiet hours are
+// pushed back an hour at a time.
+
+const jobQueue = require('./jobQueue');
+const smsService = require('./smsService');
+const smsConsentService = require('./smsConsentService');
+const userProfileService = require('./userProfileService');
+const contactApprovalService = require('./contactApprovalService');
+
+const JOB_TYPE = 'send_intake_reminder';
+const DEFAULT_REMINDER_DAYS = '2,7';
+const QUIET_HOURS_RETRY_MINUTES = 60;
+
+/**
+ * Returns the reminder sequence
+ * @returns {Array<number>} - Days after the invitation, ascending; empty when reminders are off
+ */
+function getReminderDays() {
+  const setting = (process.env.INTAKE_REMINDER_DAYS ?? DEFAULT_REMINDER_DAYS).trim().toLowerCase();
+  if (setting === '' || setting === 'off') return [];
+
+  const days = setting.split(',')
+    .map(value => parseFloat(value))
+    .filter(value => Number.isFinite(value) && value > 0);
+  return [...new Set(days)].sort((a, b) => a - b);
+}
+
+/**
+ * Cancels a contact's pending reminders
+ * @param {Object} db - PostgreSQL pool or client
+ * @param {number} contactId - Contact ID
+ * @param {string} reason - Why they were canceled (e.g. 'intake_received')
+ * @returns {Promise<number>} - Number of reminders canceled
+ */
+async function cancelReminders(db, contactId, reason) {
+  const result = await db.query(`
+    UPDATE intake_reminders
+    SET status = 'canceled', status_reason = $2, updated_at = NOW()
+    WHERE contact_id = $1 AND status = 'scheduled'
+  `, [contactId, reason]);
+  if (result.rowCount > 0) {
+    console.log(`Canceled ${result.rowCount} intake reminders for contact ${contactId} (${reason})`);
+  }
+  return result.rowCount;
+}
+
+/**
+ * Schedules the reminder sequence after an invitation, replacing any pending reminders
+ * @param {Object} db - PostgreSQL pool or client
+ * @param {number} contactId - Contact ID
+ * @param {number} userId - User who sent the invitation
+ * @returns {Promise<Array>} - Scheduled reminder rows
+ */
+async function scheduleReminders(db, contactId, userId) {
+  await cancelReminders(db, contactId, 'new_invitation');
+
+  const reminders = [];
+  const days = getReminderDays();
+  for (let i = 0; i < days.length; i++) {
+    const result = await db.query(`
+      INSERT INTO intake_reminders (contact_id, user_id, step, scheduled_for)
+      VALUES ($1, $2, $3, NOW() + $4::INTERVAL)
+      RETURNING *
+    `, [contactId, userId, i + 1, `${days[i] * 24 * 60} minutes`]);
+    const reminder = result.rows[0];
+
+    const job = await jobQueue.enqueue(db, JOB_TYPE, { reminder_id: reminder.id }, { userId, runAt: reminder.scheduled_for });
+    await db.query('UPDATE intake_reminders SET job_id = $2 WHERE id = $1', [reminder.id, job.id]);
+    reminders.push({ ...reminder, job_id: job.id });
+  }
+
+  if (reminders.length > 0) {
+    console.log(`Scheduled ${reminders.length} intake reminders for contact ${contactId} (days ${days.join(', ')})`);
+  }
+  return reminders;
+}
+
+/**
+ * Lists a contact's reminders, in sequence order
+ * @param {Object} db - PostgreSQL pool or client
+ * @param {number} contactId - Contact ID
+ * @returns {Promise<Array>} - Reminder rows
+ */
+async function listReminders(db, contactId) {
+  const result = await db.query(`
+    SELECT id, step, scheduled_for, status, status_reason, sms_message_id, created_at, updated_at
+    FROM intake_reminders
+    WHERE contact_id = $1
+    ORDER BY created_at DESC, step ASC
+  `, [contactId]);
+  return result.rows;
+}
+
+/**
+ * Marks a reminder as finished
+ * @param {Object} db - PostgreSQL pool or client
+ * @param {number} reminderId - Reminder ID
+ * @param {string} status - 'sent', 'failed' or 'canceled'
+ * @param {string|null} reason - Details
+ * @param {number|null} [smsMessageId] - The text that was sent
+ */
+async function finishReminder(db, reminderId, status, reason, smsMessageId = null) {
+  await db.query(`
+    UPDATE intake_reminders
+    SET status = $2, status_reason = $3, sms_message_id = $4, updated_at = NOW()
+    WHERE id = $1
+  `, [reminderId, status, reason, smsMessageId]);
+}
+
+/**
+ * Job handler: sends one reminder, unless it's no longer needed
+ * @param {Object} pool - PostgreSQL connection pool
+ * @param {Object} payload - { reminder_id }
+ * @returns {Promise<Object>} - Outcome stored as the job result
+ */
+async function processReminderJob(pool, payload) {
+  const reminderResult = await pool.query(`
+    SELECT r.*, c.first_name, c.phone_number, c.timezone, c.is_approved,
+           c.invite_code_hash, c.invite_code_expires_at
+    FROM intake_reminders r
+    JOIN contacts c ON c.id = r.contact_id
+    WHERE r.id = $1
+  `, [payload.reminder_id]);
+  const reminder = reminderResult.rows[0];
+  if (!reminder || reminder.status !== 'scheduled') {
+    return { skipped: reminder ? reminder.status : 'not_found' };
+  }
+
+  // The intake may have arrived through a path that doesn't know about reminders
+  const intakeResult = await pool.query(`
+    SELECT 1 FROM intake_responses
+    WHERE (contact_id = $1 OR (contact_id IS NULL AND phone_number = $2)) AND created_at >= $3
+    LIMIT 1
+  `, [reminder.contact_id, reminder.phone_number, reminder.created_at]);
+  if (intakeResult.rows.length > 0) {
+    await cancelReminders(pool, reminder.contact_id, 'intake_received');
+    return { canceled: 'intake_received' };
+  }
+
+  if (!reminder.is_approved && !contactApprovalService.hasPendingInviteCode(reminder)) {
+    await cancelReminders(pool, reminder.contact_id, 'not_approved');
+    return { canceled: 'not_approved' };
+  }
+
+  const blocked = await smsConsentService.checkOutbound(pool, reminder);
+  if (blocked && blocked.reason === 'opted_out') {
+    await cancelReminders(pool, reminder.contact_id, 'opted_out');
+    return { canceled: 'opted_out' };
+  }
+  if (blocked) {
+    const job = await jobQueue.enqueue(pool, JOB_TYPE, { reminder_id: reminder.id }, {
+      userId: reminder.user_id,
+      runAt: new Date(Date.now() + QUIET_HOURS_RETRY_MINUTES * 60 * 1000)
+    });
+    await pool.query(`
+      UPDATE intake_reminders SET scheduled_for = $2, job_id = $3, updated_at = NOW() WHERE id = $1
+    `, [reminder.id, job.run_at, job.id]);
+    console.log(`Intake reminder #${reminder.id} falls in quiet hours, moved to ${job.run_at.toISOString()}`);
+    return { rescheduled: job.run_at };
+  }
+
+  const profile = await userProfileService.getProfile(pool, reminder.user_id);
+  if (!userProfileService.canSendSms(profile)) {
+    await finishReminder(pool, reminder.id, 'failed', 'sms_not_configured');
+    return { failed: 'sms_not_configured' };
+  }
+
+  const senderNumber = userProfileService.getSenderNumber(profile);
+  const codeText = contactApprovalService.hasPendingInviteCode(reminder)
+    ? ' Please have the invite code from our first text ready.'
+    : '';
+  const sent = await smsService.sendSms(pool, {
+    contactId: reminder.contact_id,
+    userId: reminder.user_id,
+    from: senderNumber,
+    to: reminder.phone_number,
+    body: `Hi ${reminder.first_name}, a quick reminder that ${userProfileService.getDisplayName(profile)} would like to connect. Please call ${senderNumber} to complete your intake with our AI relationship assistant.${codeText}`,
+    messageType: 'intake_reminder'
+  });
+
+  if (sent.status === 'failed') {
+    await finishReminder(pool, reminder.id, 'failed', sent.error_message, sent.id);
+    return { failed: sent.error_message };
+  }
+  await finishReminder(pool, reminder.id, 'sent', null, sent.id);
+  console.log(`Intake reminder ${reminder.step} sent to contact ${reminder.contact_id}`);
+  return { sent: sent.id };
+}
+
+module.exports = {
+  JOB_TYPE,
+  getReminderDays,
+  scheduleReminders,
+  cancelReminders,
+  listReminders,
+  processReminderJob
+};
@@ -0,0 +1,216 @@
+// Postgres-backed background job queue
+//
+// Jobs live in the `jobs` table and move through
+//   pending -> running -> completed
+//                      -> pending (retry with exponential backoff)
+//                      -> dead    (max_attempts exhausted)
+// Workers claim jobs with FOR UPDATE SKIP LOCKED so several server instances
+// can share one queue without picking up the same job twice.
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+const BACKOFF_BASE_SECONDS = 30;
+const STALE_JOB_MINUTES = 10;
+
+const handlers = {};
+let pollTimer = null;
+let running = false;
+
+/**
+ * Registers the function that processes jobs of a given type
+ * @param {string} type - Job type
+ * @param {Function} handler - async (pool, payload, job) => result
+ */
+function registerHandler(type, handler) {
+  handlers[type] = handler;
+}
+
+/**
+ * Adds a job to the queue. Accepts a pool or a client so jobs can be
+ * enqueued inside the caller's transaction.
+ * @param {Object} db - PostgreSQL pool or client
+ * @param {string} type - Job type
+ * @param {Object} payload - JSON payload passed to the handler
+ * @param {Object} [options] - { userId, maxAttempts, runAt }
+ * @returns {Promise<Object>} - The created job row
+ */
+async function enqueue(db, type, payload, options = {}) {
+  const result = await db.query(`
+    INSERT INTO jobs (type, payload, user_id, max_attempts, run_at)
+    VALUES ($1, $2, $3, $4, COALESCE($5, NOW()))
+    RETURNING *
+  `, [
+    type,
+    JSON.stringify(payload || {}),
+    options.userId || null,
+    options.maxAttempts || DEFAULT_MAX_ATTEMPTS,
+    options.runAt || null
+  ]);
+
+  const job = result.rows[0];
+  console.log(`Enqueued ${type} job #${job.id}`);
+  return job;
+}
+
+/**
+ * Gets a job by ID
+ * @param {Object} pool - PostgreSQL connection pool
+ * @param {number} jobId - Job ID
+ * @returns {Promise<Object|null>} - Job row or null
+ */
+async function getJob(pool, jobId) {
+  const result = await pool.query('SELECT * FROM jobs WHERE id = $1', [jobId]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Seconds to wait before the next attempt
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} - Delay in seconds
+ */
+function backoffSeconds(attempts) {
+  return BACKOFF_BASE_SECONDS * Math.pow(2, Math.max(attempts - 1, 0));
+}
+
+/**
+ * Claims the next due job, marking it as running
+ * @param {Object} pool - PostgreSQL connection pool
+ * @returns {Promise<Object|null>} - Claimed job or null if the queue is empty
+ */
+async function claimNextJob(pool) {
+  const result = await pool.query(`
+    UPDATE jobs
+    SET status = 'running', attempts = attempts + 1, locked_at = NOW(), updated_at = NOW()
+    WHERE id = (
+      SELECT id FROM jobs
+      WHERE status = 'pending' AND run_at <= NOW()
+      ORDER BY run_at, id
+      FOR UPDATE SKIP LOCKED
+      LIMIT 1
+    )
+    RETURNING *
+  `);
+  return result.rows[0] || null;
+}
+
+/**
+ * Puts jobs whose worker died mid-run back in the queue
+ * @param {Object} pool - PostgreSQL connection pool
+ */
+async function releaseStaleJobs(pool) {
+  const result = await pool.query(`
+    UPDATE jobs
+    SET status = 'pending', locked_at = NULL, updated_at = NOW(),
+        last_error = COALESCE(last_error, 'Worker stopped before the job finished')
+    WHERE status = 'running' AND locked_at < NOW() - INTERVAL '${STALE_JOB_MINUTES} minutes'
+  `);
+  if (result.rowCount > 0) {
+    console.log(`Released ${result.rowCount} stale running jobs`);
+  }
+}
+
+/**
+ * Runs a claimed job and records the outcome
+ * @param {Object} pool - PostgreSQL connection pool
+ * @param {Object} job - Claimed job row
+ */
+async function runJob(pool, job) {
+  const handler = handlers[job.type];
+
+  try {
+    if (!handler) {
+      throw new Error(`No handler registered for job type '${job.type}'`);
+    }
+
+    console.log(`Running ${job.type} job #${job.id} (attempt ${job.attempts}/${job.max_attempts})`);
+    const result = await handler(pool, job.payload, job);
+
+    await pool.query(`
+      UPDATE jobs
+      SET status = 'completed', result = $2, last_error = NULL, locked_at = NULL,
+          completed_at = NOW(), updated_at = NOW()
+      WHERE id = $1
+    `, [job.id, JSON.stringify(result === undefined ? null : result)]);
+    console.log(`Job #${job.id} completed`);
+  } catch (error) {
+    const exhausted = job.attempts >= job.max_attempts;
+    const delay = backoffSeconds(job.attempts);
+
+    await pool.query(`
+      UPDATE jobs
+      SET status = $2, last_error = $3, locked_at = NULL, updated_at = NOW(),
+          run_at = COALESCE(NOW() + $4::INTERVAL, run_at)
+      WHERE id = $1
+    `, [job.id, exhausted ? 'dead' : 'pending', error.message, exhausted ? null : `${delay} seconds`]);
+
+    if (exhausted) {
+      console.error(`Job #${job.id} moved to dead-letter state after ${job.attempts} attempts:`, error.message);
+    } else {
+      console.error(`Job #${job.id} failed, retrying in ${delay}s:`, error.message);
+    }
+  }
+}
+
+/**
+ * Processes due jobs until the queue is empty
+ * @param {Object} pool - PostgreSQL connection pool
+ * @returns {Promise<number>} - Number of jobs processed
+ */
+async function processAvailableJobs(pool) {
+  let processed = 0;
+  await releaseStaleJobs(pool);
+
+  let job = await claimNextJob(pool);
+  while (job) {
+    await runJob(pool, job);
+    processed++;
+    job = await claimNextJob(pool);
+  }
+  return processed;
+}
+
+/**
+ * Starts the worker loop
+ * @param {Object} pool - PostgreSQL connection pool
+ * @param {Object} [options] - { intervalMs }
+ */
+function start(pool, options = {}) {
+  if (running) return;
+  running = true;
+
+  const intervalMs = options.intervalMs || parseInt(process.env.JOB_POLL_INTERVAL_MS, 10) || 5000;
+
+  const poll = async () => {
+    try {
+      await processAvailableJobs(pool);
+    } catch (error) {
+      console.error('Job worker error:', error.message);
+    } finally {
+      if (running) {
+        pollTimer = setTimeout(poll, intervalMs);
+      }
+    }
+  };
+
+  console.log(`Job worker started (polling every ${intervalMs}ms)`);
+  poll();
+}
+
+/**
+ * Stops the worker loop after the current poll
+ */
+function stop() {
+  running = false;
+  if (pollTimer) {
+    clearTimeout(pollTimer);
+    pollTimer = null;
+  }
+}
+
+module.exports = {
+  registerHandler,
+  enqueue,
+  getJob,
+  processAvailableJobs,
+  start,
+  stop
+};
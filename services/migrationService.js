@@ -0,0 +1,180 @@
+const fs = require('fs');
+const path = require('path');
+
+// Versioned schema migrations.
+//
+// Migrations live in /migrations as NNN_description.js files exporting
+// async up(client) and down(client). Applied versions are recorded in the
+// schema_migrations table; each migration runs in its own transaction together
+// with its schema_migrations row, so a failed migration leaves nothing behind.
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+
+// Arbitrary key for pg_advisory_lock so two deploys can't migrate at the same time
+const MIGRATION_LOCK_KEY = 724061;
+
+/**
+ * Loads the migration files, ordered by version
+ * @param {string} [dir] - Directory to load from
+ * @returns {Array<Object>} - [{ version, name, up, down }]
+ */
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  return fs.readdirSync(dir)
+    .filter(file => /^\d+_.+\.js$/.test(file))
+    .map(file => {
+      const migration = require(path.join(dir, file));
+      if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+        throw new Error(`Migration ${file} must export up() and down()`);
+      }
+      return {
+        version: parseInt(file, 10),
+        name: file.replace(/\.js$/, ''),
+        up: migration.up,
+        down: migration.down
+      };
+    })
+    .sort((a, b) => a.version - b.version);
+}
+
+/**
+ * Creates the schema_migrations table if needed
+ * @param {Object} db - PostgreSQL pool or client
+ */
+async function ensureMigrationsTable(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+/**
+ * Lists every migration with whether it has been applied
+ * @param {Object} db - PostgreSQL pool or client
+ * @returns {Promise<Array<Object>>} - [{ version, name, applied, appliedAt }]
+ */
+async function getStatus(db) {
+  await ensureMigrationsTable(db);
+  const result = await db.query('SELECT version, applied_at FROM schema_migrations');
+  const applied = new Map(result.rows.map(row => [row.version, row.applied_at]));
+
+  return loadMigrations().map(({ version, name }) => ({
+    version,
+    name,
+    applied: applied.has(version),
+    appliedAt: applied.get(version) || null
+  }));
+}
+
+/**
+ * Lists migrations that have not been applied yet
+ * @param {Object} db - PostgreSQL pool or client
+ * @returns {Promise<Array<Object>>} - [{ version, name }]
+ */
+async function getPendingMigrations(db) {
+  const status = await getStatus(db);
+  return status.filter(migration => !migration.applied).map(({ version, name }) => ({ version, name }));
+}
+
+/**
+ * Runs fn while holding the migration lock on a dedicated client
+ * @param {Object} pool - PostgreSQL connection pool
+ * @param {Function} fn - async (client) => result
+ * @returns {Promise<*>} - Result of fn
+ */
+async function withMigrationLock(pool, fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+    try {
+      await ensureMigrationsTable(client);
+      return await fn(client);
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Applies pending migrations in order
+ * @param {Object} pool - PostgreSQL connection pool
+ * @param {Object} [options] - { to: highest version to apply }
+ * @returns {Promise<Array<string>>} - Names of the applied migrations
+ */
+async function migrateUp(pool, { to } = {}) {
+  return withMigrationLock(pool, async (client) => {
+    const result = await client.query('SELECT version FROM schema_migrations');
+    const appliedVersions = new Set(result.rows.map(row => row.version));
+    const pending = loadMigrations().filter(migration =>
+      !appliedVersions.has(migration.version) && (to === undefined || migration.version <= to)
+    );
+
+    const applied = [];
+    for (const migration of pending) {
+      console.log(`Applying migration ${migration.name}...`);
+      try {
+        await client.query('BEGIN');
+        await migration.up(client);
+        await client.query(
+          'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+          [migration.version, migration.name]
+        );
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw new Error(`Migration ${migration.name} failed: ${error.message}`);
+      }
+      applied.push(migration.name);
+    }
+    return applied;
+  });
+}
+
+/**
+ * Reverts the most recently applied migrations
+ * @param {Object} pool - PostgreSQL connection pool
+ * @param {Object} [options] - { steps: number of migrations to revert, defaults to 1 }
+ * @returns {Promise<Array<string>>} - Names of the reverted migrations
+ */
+async function migrateDown(pool, { steps = 1 } = {}) {
+  return withMigrationLock(pool, async (client) => {
+    const result = await client.query(
+      'SELECT version FROM schema_migrations ORDER BY version DESC LIMIT $1',
+      [steps]
+    );
+    const migrations = loadMigrations();
+
+    const reverted = [];
+    for (const { version } of result.rows) {
+      const migration = migrations.find(m => m.version === version);
+      if (!migration) {
+        throw new Error(`Applied migration ${version} has no file in ${MIGRATIONS_DIR}`);
+      }
+
+      console.log(`Reverting migration ${migration.name}...`);
+      try {
+        await client.query('BEGIN');
+        await migration.down(client);
+        await client.query('DELETE FROM schema_migrations WHERE version = $1', [version]);
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw new Error(`Reverting ${migration.name} failed: ${error.message}`);
+      }
+      reverted.push(migration.name);
+    }
+    return reverted;
+  });
+}
+
+module.exports = {
+  loadMigrations,
+  getStatus,
+  getPendingMigrations,
+  migrateUp,
+  migrateDown
+};
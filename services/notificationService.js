@@ -0,0 +1,74 @@
+const axios = require('axios');
+
+// Pluggable delivery of account notifications (password reset links etc.)
+//
+// A sender is an async function ({ to, subject, text, type }) => void.
+// PASSWORD_RESET_SENDER picks the built-in sender:
+//   console - logs the message (default, useful in development)
+//   webhook - POSTs the message as JSON to NOTIFICATION_WEBHOOK_URL (e.g. a mail or SMS relay)
+// Tests and other integrations can swap the sender with setSender().
+
+const consoleSender = async ({ to, subject, text }) => {
+  console.log('=== NOTIFICATION ===');
+  console.log('To:', to);
+  console.log('Subject:', subject);
+  console.log(text);
+};
+
+const webhookSender = async (message) => {
+  if (!process.env.NOTIFICATION_WEBHOOK_URL) {
+    throw new Error('NOTIFICATION_WEBHOOK_URL is not configured');
+  }
+  await axios.post(process.env.NOTIFICATION_WEBHOOK_URL, message, { timeout: 10000 });
+};
+
+const builtInSenders = {
+  console: consoleSender,
+  webhook: webhookSender
+};
+
+let customSender = null;
+
+/**
+ * Overrides the sender used for all notifications
+ * @param {Function|null} sender - async ({ to, subject, text, type }) => void, or null to restore the default
+ */
+function setSender(sender) {
+  customSender = sender;
+}
+
+/**
+ * Returns the active sender
+ * @returns {Function} - Sender function
+ */
+function getSender() {
+  if (customSender) return customSender;
+
+  const name = process.env.PASSWORD_RESET_SENDER || 'console';
+  const sender = builtInSenders[name];
+  if (!sender) {
+    throw new Error(`Unknown notification sender: ${name}`);
+  }
+  return sender;
+}
+
+/**
+ * Sends a password reset link to a user
+ * @param {Object} user - User row ({ id, email })
+ * @param {string} resetUrl - Link containing the reset token
+ * @param {number} ttlMinutes - Minutes until the link expires
+ */
+async function sendPasswordReset(user, resetUrl, ttlMinutes) {
+  await getSender()({
+    type: 'password_reset',
+    to: user.email,
+    subject: 'Reset your password',
+    text: `We received a request to reset your password. Use this link within ${ttlMinutes} minutes: ${resetUrl}\n\nIf you didn't request this, you can ignore this message.`
+  });
+}
+
+module.exports = {
+  setSender,
+  getSender,
+  sendPasswordReset
+};
@@ -0,0 +1,111 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+// scrypt parameters stored alongside each hash so they can be raised later
+const SCRYPT_N = 16384;
+const SCRYPT_R = 8;
+const SCRYPT_P = 1;
+const KEY_LENGTH = 64;
+const SALT_BYTES = 16;
+
+const MIN_PASSWORD_LENGTH = 8;
+
+// Hash of a random password nobody knows, verified against when there is no account so
+// logins take as long for unknown emails as for registered ones
+const DUMMY_HASH = 'scrypt$16384$8$1$ff127114951cf7328a18aad268c33fc8$0299d03144a857b5347cc981dcce34faded676cb467deabc6dcb7fd64f092c7dabdb4ace89b315b14d9775593b5d134e25a87a9ca4863b66aa1f0ac4e100c21d';
+
+/**
+ * Hashes a password with a random salt using scrypt
+ * @param {string} password - Plaintext password
+ * @returns {Promise<string>} - Encoded hash: scrypt$N$r$p$salt$hash
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(SALT_BYTES).toString('hex');
+  const derived = await scrypt(password, salt, KEY_LENGTH, { N: SCRYPT_N, r: SCRYPT_R, p: SCRYPT_P });
+  return ['scrypt', SCRYPT_N, SCRYPT_R, SCRYPT_P, salt, derived.toString('hex')].join('$');
+}
+
+/**
+ * Checks whether a stored password value is an scrypt hash
+ * @param {string} stored - Value from users.password
+ * @returns {boolean} - True if hashed
+ */
+function isHashed(stored) {
+  return typeof stored === 'string' && stored.startsWith('scrypt$');
+}
+
+/**
+ * Verifies a password against the stored value. Rows created before hashing
+ * was introduced still hold plaintext; those match by constant-time comparison
+ * and are flagged so the caller can re-hash them.
+ * @param {string} password - Plaintext password supplied by the user
+ * @param {string} stored - Value from users.password
+ * @returns {Promise<Object>} - { valid, needsRehash }
+ */
+async function verifyPassword(password, stored) {
+  if (typeof password !== 'string' || typeof stored !== 'string') {
+    return { valid: false, needsRehash: false };
+  }
+
+  if (!isHashed(stored)) {
+    // Compare digests so the comparison doesn't leak the password length
+    const supplied = crypto.createHash('sha256').update(password).digest();
+    const expected = crypto.createHash('sha256').update(stored).digest();
+    const valid = crypto.timingSafeEqual(supplied, expected);
+    return { valid, needsRehash: valid };
+  }
+
+  const [, n, r, p, salt, hash] = stored.split('$');
+  const expected = Buffer.from(hash, 'hex');
+  const derived = await scrypt(password, salt, expected.length, {
+    N: parseInt(n, 10),
+    r: parseInt(r, 10),
+    p: parseInt(p, 10)
+  });
+
+  const valid = crypto.timingSafeEqual(derived, expected);
+  const needsRehash = valid && (parseInt(n, 10) !== SCRYPT_N || parseInt(r, 10) !== SCRYPT_R || parseInt(p, 10) !== SCRYPT_P);
+  return { valid, needsRehash };
+}
+
+/**
+ * Validates a new password against the password policy
+ * @param {string} password - Proposed password
+ * @returns {string|null} - Error message, or null if acceptable
+ */
+function validateNewPassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+}
+
+/**
+ * Generates a random single-use token and the hash stored in the database
+ * @returns {Object} - { token, tokenHash }
+ */
+function generateToken() {
+  const token = crypto.randomBytes(32).toString('hex');
+  return { token, tokenHash: hashToken(token) };
+}
+
+/**
+ * Hashes a token for storage/lookup
+ * @param {string} token - Token sent to the user
+ * @returns {string} - SHA-256 hex digest
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+module.exports = {
+  DUMMY_HASH,
+  hashPassword,
+  isHashed,
+  verifyPassword,
+  validateNewPassword,
+  generateToken,
+  hashToken
+};
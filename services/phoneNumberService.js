@@ -0,0 +1,173 @@
+// Phone number normalization: the one place numbers typed by users or sent by webhooks
+// are turned into the form we store.
+//
+// Every stored number is E.164 (+12125551234), so contacts, calls, texts and intakes can
+// be joined on the number. Numbers written without a country code are read in the
+// user's country (users.default_country), else DEFAULT_PHONE_COUNTRY, else US. Numbers
+// are shown in national format when they share the user's country calling code (so a
+// US user sees Canadian numbers as (416) 555-0123) and in international format otherwise.
+//
+// Built on libphonenumber-js with its full metadata ('max'), which is what knows the
+// number type (mobile, fixed line, toll free...).
+
+const {
+  parsePhoneNumberFromString,
+  getCountryCallingCode,
+  isSupportedCountry: isLibphonenumberCountry
+} = require('libphonenumber-js/max');
+
+const FALLBACK_COUNTRY = 'US';
+const INVALID_PHONE_NUMBER_ERROR = 'Invalid phone number. Use the international format (e.g., +12125551234) or a number of your country';
+
+// Number types that usually can't receive texts; adding a contact with one warns that the
+// invitation text may not arrive
+const NON_SMS_TYPES = ['fixed_line', 'premium_rate', 'shared_cost', 'pager', 'uan', 'voicemail'];
+
+/**
+ * Tells whether a country code is one numbers can be read in
+ * @param {*} country - ISO 3166-1 alpha-2 code (e.g. 'US')
+ * @returns {boolean} - True for supported countries
+ */
+function isSupportedCountry(country) {
+  return typeof country === 'string' && /^[A-Z]{2}$/.test(country) && isLibphonenumberCountry(country);
+}
+
+/**
+ * Returns the country numbers without a country code are read in
+ * @param {Object|null} [profile] - Profile from userProfileService.getProfile
+ * @returns {string} - The user's default_country, else DEFAULT_PHONE_COUNTRY, else 'US'
+ */
+function getDefaultCountry(profile) {
+  if (profile && isSupportedCountry(profile.default_country)) {
+    return profile.default_country;
+  }
+  const configured = (process.env.DEFAULT_PHONE_COUNTRY || '').trim().toUpperCase();
+  return isSupportedCountry(configured) ? configured : FALLBACK_COUNTRY;
+}
+
+/**
+ * Parses a phone number
+ * @param {string} value - Number as written
+ * @param {string} [defaultCountry] - Country of numbers without a country code
+ * @returns {Object|null} - libphonenumber PhoneNumber, or null if it isn't a number
+ */
+function parse(value, defaultCountry) {
+  const text = String(value).trim();
+  if (!text) return null;
+  const country = isSupportedCountry(defaultCountry) ? defaultCountry : undefined;
+
+  const phoneNumber = parsePhoneNumberFromString(text, country);
+  if (phoneNumber && phoneNumber.isValid()) return phoneNumber;
+
+  // 00 is the international prefix almost everywhere except North America
+  const digits = text.replace(/[\s().\-/]/g, '');
+  if (digits.startsWith('00')) {
+    const international = parsePhoneNumberFromString(`+${digits.slice(2)}`);
+    if (international && international.isValid()) return international;
+  }
+  // Country code without the + (e.g. 442079460958), when the number isn't a national one
+  if (/^[1-9]\d+$/.test(digits)) {
+    const international = parsePhoneNumberFromString(`+${digits}`);
+    if (international && international.isValid()) return international;
+  }
+  return phoneNumber || null;
+}
+
+/**
+ * Brings a phone number to E.164
+ * @param {*} value - Number as written, e.g. '(212) 555-1234' or '+44 20 7946 0958'
+ * @param {string} [defaultCountry] - Country of numbers without a country code
+ * @returns {string|null} - E.164 number, or null if it isn't a valid number
+ */
+function normalizePhoneNumber(value, defaultCountry = getDefaultCountry()) {
+  if (value === undefined || value === null) return null;
+  const phoneNumber = parse(value, defaultCountry);
+  return phoneNumber && phoneNumber.isValid() ? phoneNumber.number : null;
+}
+
+/**
+ * Brings a number from a webhook (Twilio's From/To, ElevenLabs' caller_id) to E.164.
+ * Providers send E.164, sometimes without the +; caller IDs that aren't numbers
+ * ('anonymous', 'client:alice') are kept as they are.
+ * @param {*} value - Number as sent
+ * @returns {string|null} - E.164 number, the value itself if it isn't a number, or null if empty
+ */
+function normalizeWebhookNumber(value) {
+  if (value === undefined || value === null) return null;
+  const text = String(value).trim();
+  if (!text) return null;
+
+  const candidates = text.startsWith('+') ? [text] : [`+${text}`, text];
+  for (const candidate of candidates) {
+    const phoneNumber = parsePhoneNumberFromString(candidate, getDefaultCountry());
+    if (phoneNumber && phoneNumber.isPossible()) return phoneNumber.number;
+  }
+  return text;
+}
+
+/**
+ * Returns a number's type
+ * @param {Object} phoneNumber - libphonenumber PhoneNumber
+ * @returns {string|null} - e.g. 'mobile', 'fixed_line', 'fixed_line_or_mobile', 'toll_free', or null if unknown
+ */
+function getType(phoneNumber) {
+  const type = phoneNumber.getType();
+  return type ? type.toLowerCase() : null;
+}
+
+/**
+ * Describes a stored number for display
+ * @param {string} e164 - E.164 number
+ * @param {string} [defaultCountry] - The user's country
+ * @returns {Object} - { e164, country, type, national, international, display }; only e164 and
+ *                     display (the number itself) are set when it can't be parsed
+ */
+function describePhoneNumber(e164, defaultCountry = getDefaultCountry()) {
+  const phoneNumber = e164 ? parsePhoneNumberFromString(String(e164)) : null;
+  if (!phoneNumber) {
+    return { e164, country: null, type: null, national: null, international: null, display: e164 || '' };
+  }
+
+  const national = phoneNumber.formatNational();
+  const international = phoneNumber.formatInternational();
+  const isDomestic = isSupportedCountry(defaultCountry) && getCountryCallingCode(defaultCountry) === phoneNumber.countryCallingCode;
+  return {
+    e164: phoneNumber.number,
+    country: phoneNumber.country || null,
+    type: getType(phoneNumber),
+    national,
+    international,
+    display: isDomestic ? national : international
+  };
+}
+
+/**
+ * Formats a stored number for display
+ * @param {string} e164 - E.164 number
+ * @param {string} [defaultCountry] - The user's country
+ * @returns {string} - National format within the user's calling code, international otherwise
+ */
+function formatPhoneNumber(e164, defaultCountry = getDefaultCountry()) {
+  return describePhoneNumber(e164, defaultCountry).display;
+}
+
+/**
+ * Tells whether a number of this type may receive texts
+ * @param {string|null} type - Type from describePhoneNumber
+ * @returns {boolean} - False for landlines and other numbers that can't; true when unknown
+ */
+function canReceiveTexts(type) {
+  return !NON_SMS_TYPES.includes(type);
+}
+
+module.exports = {
+  FALLBACK_COUNTRY,
+  INVALID_PHONE_NUMBER_ERROR,
+  isSupportedCountry,
+  getDefaultCountry,
+  normalizePhoneNumber,
+  normalizeWebhookNumber,
+  describePhoneNumber,
+  formatPhoneNumber,
+  canReceiveTexts
+};
@@ -0,0 +1,289 @@
+// Contact archiving, erasure and subject-access export.
+//
+// Archiving (contacts.archived_at) only hides a contact: it leaves the contact list,
+// its calls are treated like an unknown caller's, and it gets no reminders, campaign
+// calls or check-ins. Nothing is deleted and unarchiving brings it back.
+//
+// Erasure is scoped to one user and one phone number. It deletes the user's contact
+// with that number and everything stored about it - intakes and their answers, texts,
+// the SMS log, calls (call_log, temp_calls), voicemails, quarantined intakes, reminders,
+// campaign calls, the relationship and the jobs that point at any of those - in one
+// transaction. Only rows tied to the user's contacts or carrying the user's ID are
+// touched: rows about the number that belong to no user (calls to the shared number
+// nobody was routed to, intakes quarantined without an owner) could be anyone's, so
+// they are neither exported nor erased here and are left to an administrator (unowned
+// quarantined intakes are purged by dbService.cleanupUnownedIntakes). Other users' data
+// is never touched.
+//
+// Two things are kept on purpose:
+//   - the SMS consent registry (sms_consent) and its events: an opt-out has to outlive
+//     the contact, or the number could be texted again. Notes the user wrote are cleared.
+//   - webhook_deliveries: only delivery IDs, so a retried intake isn't stored again.
+//
+// Every erasure is recorded in data_erasures with a keyed hash of the number (never
+// the number itself), which lets a user check whether a number was erased. Deleting an
+// account erases every number the user stored the same way (eraseAccountData).
+
+const crypto = require('crypto');
+const intakeReminderService = require('./intakeReminderService');
+
+const ERASURE_SCOPES = ['contact', 'phone_number'];
+
+// Rows stored about a phone number, in deletion order (rows pointing at others first).
+// Conditions see the target through the erasure_target CTE (see targetQuery).
+const TARGET_INTAKES = `
+  SELECT id FROM intake_responses
+  WHERE contact_id = ANY(target_contact_ids)
+     OR (phone_number = target_phone AND user_id = target_user_id)
+`;
+const OWNED_BY_TARGET = 'contact_id = ANY(target_contact_ids) OR (phone_number = target_phone AND user_id = target_user_id)';
+
+const PHONE_NUMBER_DATA = [
+  { table: 'intake_answers', where: `intake_id IN (${TARGET_INTAKES})` },
+  {
+    table: 'jobs',
+    where: `payload->>'intake_id' IN (SELECT id::TEXT FROM (${TARGET_INTAKES}) intakes)
+         OR payload->>'reminder_id' IN (SELECT id::TEXT FROM intake_reminders WHERE contact_id = ANY(target_contact_ids))`
+  },
+  { table: 'intake_reminders', where: 'contact_id = ANY(target_contact_ids)' },
+  { table: 'campaign_calls', where: 'contact_id = ANY(target_contact_ids)' },
+  { table: 'relationships', where: 'contact_id = ANY(target_contact_ids)' },
+  { table: 'intake_responses', where: `id IN (${TARGET_INTAKES})` },
+  {
+    table: 'sms_messages',
+    where: `contact_id = ANY(target_contact_ids)
+         OR (target_phone IN (to_number, from_number) AND user_id = target_user_id)`
+  },
+  { table: 'sms_log', where: 'contact_id = ANY(target_contact_ids)' },
+  { table: 'call_log', where: OWNED_BY_TARGET },
+  { table: 'temp_calls', where: OWNED_BY_TARGET },
+  { table: 'voicemails', where: OWNED_BY_TARGET },
+  {
+    table: 'unmatched_intakes',
+    where: 'assigned_contact_id = ANY(target_contact_ids) OR (caller_id = target_phone AND user_id = target_user_id)'
+  },
+  { table: 'contacts', where: 'id = ANY(target_contact_ids)' }
+];
+
+/**
+ * Builds a query over the rows stored about a phone number. $1 is the user ID,
+ * $2 the phone number and $3 the user's contacts with that number.
+ * @param {string} statement - 'SELECT' or 'DELETE'
+ * @param {Object} spec - Entry of PHONE_NUMBER_DATA
+ * @returns {string} - SQL
+ */
+function targetQuery(statement, spec) {
+  const target = `
+    WITH erasure_target AS (
+      SELECT $1::INTEGER AS target_user_id, $2::VARCHAR AS target_phone, $3::INTEGER[] AS target_contact_ids
+    )
+  `;
+  if (statement === 'DELETE') {
+    return `${target} DELETE FROM ${spec.table} USING erasure_target WHERE ${spec.where}`;
+  }
+  return `${target} SELECT ${spec.table}.* FROM ${spec.table}, erasure_target WHERE ${spec.where} ORDER BY ${spec.table}.id`;
+}
+
+/**
+ * Hashes a phone number for the erasure log. Keyed, so the log can't be reversed by
+ * hashing every possible number; changing the key breaks lookups of older erasures.
+ * @param {string} phoneNumber - Phone number
+ * @returns {string} - Hex HMAC-SHA256
+ */
+function hashPhoneNumber(phoneNumber) {
+  const key = process.env.ERASURE_HASH_SECRET || process.env.JWT_SECRET;
+  return crypto.createHmac('sha256', key).update(phoneNumber).digest('hex');
+}
+
+/**
+ * Finds a user's contacts with a phone number
+ * @param {Object} db - PostgreSQL pool or client
+ * @param {number} userId - User ID
+ * @param {string} phoneNumber - Phone number
+ * @returns {Promise<Array<number>>} - Contact IDs
+ */
+async function findContactIds(db, userId, phoneNumber) {
+  const result = await db.query('SELECT id FROM contacts WHERE user_id = $1 AND phone_number = $2', [userId, phoneNumber]);
+  return result.rows.map(row => row.id);
+}
+
+/**
+ * Archives or unarchives a contact. Archiving cancels its pending reminders and
+ * campaign calls; unarchiving doesn't bring them back.
+ * @param {Object} db - PostgreSQL pool or client
+ * @param {number} userId - User ID
+ * @param {number} contactId - Contact ID
+ * @param {boolean} archived - true to archive
+ * @returns {Promise<Object|null>} - { id, archived_at }, or null if the contact isn't the user's
+ */
+async function setArchived(db, userId, contactId, archived) {
+  const result = await db.query(`
+    UPDATE contacts
+    SET archived_at = CASE WHEN $3 THEN COALESCE(archived_at, NOW()) END
+    WHERE id = $1 AND user_id = $2
+    RETURNING id, archived_at
+  `, [contactId, userId, archived]);
+  const contact = result.rows[0];
+  if (!contact) return null;
+
+  if (archived) {
+    await intakeReminderService.cancelReminders(db, contact.id, 'archived');
+    await db.query(`
+      UPDATE campaign_calls SET status = 'canceled', outcome = 'contact_archived', updated_at = NOW()
+      WHERE contact_id = $1 AND status = 'pending'
+    `, [contact.id]);
+  }
+  return contact;
+}
+
+/**
+ * Collects everything stored about a phone number for a user (subject-access export)
+ * @param {Object} db - PostgreSQL pool or client
+ * @param {number} userId - User ID
+ * @param {string} phoneNumber - Phone number
+ * @returns {Promise<Object>} - { phone_number, exported_at, sms_consent, sms_consent_events, <table>: rows }
+ */
+async function exportPhoneNumber(db, userId, phoneNumber) {
+  const contactIds = await findContactIds(db, userId, phoneNumber);
+  const data = { phone_number: phoneNumber, exported_at: new Date().toISOString() };
+
+  // The contact first, then what hangs off it
+  for (const spec of [...PHONE_NUMBER_DATA].reverse()) {
+    const result = await db.query(targetQuery('SELECT', spec), [userId, phoneNumber, contactIds]);
+    data[spec.table] = result.rows;
+  }
+  // Invite codes are secrets, even hashed
+  data.contacts.forEach(contact => delete contact.invite_code_hash);
+
+  const consent = await db.query('SELECT status, source, updated_at FROM sms_consent WHERE phone_number = $1', [phoneNumber]);
+  data.sms_consent = consent.rows[0] || null;
+  const events = await db.query(`
+    SELECT id, created_at, status, previous_status, source, keyword, twilio_sid,
+           CASE WHEN user_id = $2 THEN note END AS note
+    FROM sms_consent_events
+    WHERE phone_number = $1
+    ORDER BY created_at, id
+  `, [phoneNumber, userId]);
+  data.sms_consent_events = events.rows;
+
+  return data;
+}
+
+/**
+ * Deletes everything stored about a phone number for a user (without recording it)
+ * @param {Object} client - PostgreSQL client inside an open transaction
+ * @param {number} userId - User ID
+ * @param {string} phoneNumber - Phone number
+ * @returns {Promise<Object>} - { contactIds, deletedRows } where deletedRows has the count per table
+ */
+async function deletePhoneNumberData(client, userId, phoneNumber) {
+  const contactIds = await findContactIds(client, userId, phoneNumber);
+
+  const deletedRows = {};
+  for (const spec of PHONE_NUMBER_DATA) {
+    const result = await client.query(targetQuery('DELETE', spec), [userId, phoneNumber, contactIds]);
+    deletedRows[spec.table] = result.rowCount;
+  }
+  const notes = await client.query(
+    'UPDATE sms_consent_events SET note = NULL WHERE phone_number = $1 AND user_id = $2 AND note IS NOT NULL',
+    [phoneNumber, userId]
+  );
+  deletedRows.sms_consent_event_notes = notes.rowCount;
+  return { contactIds, deletedRows };
+}
+
+/**
+ * Erases everything stored about a phone number for a user and records the erasure
+ * @param {Object} pool - PostgreSQL connection pool
+ * @param {number} userId - User ID
+ * @param {string} phoneNumber - Phone number
+ * @param {Object} [options] - { scope: 'contact' | 'phone_number', reason }
+ * @returns {Promise<Object>} - data_erasures row (deleted_rows has the count per table)
+ */
+async function erasePhoneNumber(pool, userId, phoneNumber, options = {}) {
+  const scope = ERASURE_SCOPES.includes(options.scope) ? options.scope : 'phone_number';
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const { contactIds, deletedRows } = await deletePhoneNumberData(client, userId, phoneNumber);
+
+    const erasure = await client.query(`
+      INSERT INTO data_erasures (user_id, scope, phone_number_hash, contact_ids, reason, deleted_rows)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *
+    `, [userId, scope, hashPhoneNumber(phoneNumber), contactIds, options.reason || null, deletedRows]);
+    await client.query('COMMIT');
+
+    const total = Object.values(deletedRows).reduce((sum, count) => sum + count, 0);
+    console.log(`Erasure #${erasure.rows[0].id} by user ${userId} (${scope}): ${total} rows deleted`);
+    return erasure.rows[0];
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Erases the data of every phone number a user has stored (for account deletion): the
+ * same rows as erasePhoneNumber for each of them, then the quarantined intakes without
+ * a caller ID. SMS consent events stay in the registry, without the user or their notes.
+ * @param {Object} client - PostgreSQL client inside an open transaction
+ * @param {number} userId - User ID
+ * @returns {Promise<Object>} - Count of rows deleted (or anonymized, for sms_consent_events) per table
+ */
+async function eraseAccountData(client, userId) {
+  const numbers = await client.query(`
+    SELECT phone_number FROM contacts WHERE user_id = $1
+    UNION SELECT phone_number FROM intake_responses WHERE user_id = $1
+    UNION SELECT phone_number FROM call_log WHERE user_id = $1
+    UNION SELECT phone_number FROM temp_calls WHERE user_id = $1
+    UNION SELECT phone_number FROM voicemails WHERE user_id = $1
+    UNION SELECT to_number FROM sms_messages WHERE user_id = $1
+    UNION SELECT from_number FROM sms_messages WHERE user_id = $1
+    UNION SELECT caller_id FROM unmatched_intakes WHERE user_id = $1
+  `, [userId]);
+
+  const deletedRows = {};
+  for (const { phone_number: phoneNumber } of numbers.rows) {
+    if (!phoneNumber) continue;
+    const erased = await deletePhoneNumberData(client, userId, phoneNumber);
+    for (const [table, count] of Object.entries(erased.deletedRows)) {
+      deletedRows[table] = (deletedRows[table] || 0) + count;
+    }
+  }
+
+  const unmatched = await client.query('DELETE FROM unmatched_intakes WHERE user_id = $1', [userId]);
+  deletedRows.unmatched_intakes = (deletedRows.unmatched_intakes || 0) + unmatched.rowCount;
+  const events = await client.query('UPDATE sms_consent_events SET user_id = NULL, note = NULL WHERE user_id = $1', [userId]);
+  deletedRows.sms_consent_events = events.rowCount;
+  return deletedRows;
+}
+
+/**
+ * Lists a user's erasures, newest first
+ * @param {Object} db - PostgreSQL pool or client
+ * @param {number} userId - User ID
+ * @param {Object} [filters] - { phoneNumber } to only list erasures of that number
+ * @returns {Promise<Array>} - data_erasures rows
+ */
+async function listErasures(db, userId, filters = {}) {
+  const result = await db.query(`
+    SELECT id, scope, contact_ids, reason, deleted_rows, created_at
+    FROM data_erasures
+    WHERE user_id = $1 AND ($2::VARCHAR IS NULL OR phone_number_hash = $2)
+    ORDER BY created_at DESC, id DESC
+  `, [userId, filters.phoneNumber ? hashPhoneNumber(filters.phoneNumber) : null]);
+  return result.rows;
+}
+
+module.exports = {
+  ERASURE_SCOPES,
+  hashPhoneNumber,
+  setArchived,
+  exportPhoneNumber,
+  erasePhoneNumber,
+  eraseAccountData,
+  listErasures
+};
@@ -0,0 +1,57 @@
+// Helpers for working out the public URL the outside world uses to reach us
+// (ngrok tunnel, Railway domain or a reverse proxy in front of the app)
+
+/**
+ * Returns the public base URL (no trailing slash)
+ * @param {Object} [req] - Express request, used when no tunnel URL is known yet
+ * @returns {string} - Base URL, e.g. https://ai-relationship-agent.ngrok.io
+ */
+function getPublicBaseUrl(req) {
+  if (process.env.PUBLIC_BASE_URL) return process.env.PUBLIC_BASE_URL.replace(/\/$/, '');
+  if (global.ngrokUrl) return global.ngrokUrl.replace(/\/$/, '');
+  if (req) return getRequestBaseUrl(req);
+  return `http://localhost:${process.env.PORT || 5000}`;
+}
+
+/**
+ * Returns the base URL a request was made to, honouring proxy headers
+ * @param {Object} req - Express request
+ * @returns {string} - Base URL
+ */
+function getRequestBaseUrl(req) {
+  const proto = (req.headers['x-forwarded-proto'] || req.protocol || 'http').split(',')[0].trim();
+  const host = (req.headers['x-forwarded-host'] || req.headers.host || '').split(',')[0].trim();
+  return `${proto}://${host}`;
+}
+
+/**
+ * Builds a public URL for one of our paths (webhooks, links sent to users)
+ * @param {string} path - Path starting with '/'
+ * @param {Object} [req] - Express request
+ * @returns {string} - Absolute URL
+ */
+function publicUrl(path, req) {
+  return `${getPublicBaseUrl(req)}${path}`;
+}
+
+/**
+ * Lists the absolute URLs a webhook request may have been addressed to.
+ * Signature schemes sign the exact URL the sender called, which may be the
+ * proxy-facing URL or the configured public URL.
+ * @param {Object} req - Express request
+ * @returns {Array<string>} - Candidate URLs without duplicates
+ */
+function getCandidateRequestUrls(req) {
+  const candidates = [
+    `${getRequestBaseUrl(req)}${req.originalUrl}`,
+    `${getPublicBaseUrl(req)}${req.originalUrl}`
+  ];
+  return [...new Set(candidates)];
+}
+
+module.exports = {
+  getPublicBaseUrl,
+  getRequestBaseUrl,
+  publicUrl,
+  getCandidateRequestUrls
+};
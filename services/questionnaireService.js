@@ -0,0 +1,299 @@
+// Intake questionnaire templates.
+//
+// A template holds the questions the ElevenLabs agent asks (each with the field
+// key its answer is stored under), the follow-up rules, and the greeting and
+// closing lines. The agent prompt used by /twilio-personalization and the
+// schema the transcript parser extracts are both generated from it.
+//
+// Contacts use the template assigned to them, then their owner's default
+// template, then the built-in DEFAULT_TEMPLATE (the original four questions).
+
+const MAX_QUESTIONS = 20;
+const FIELD_KEY_PATTERN = /^[a-z][a-z0-9_]{0,49}$/;
+
+const DEFAULT_TEMPLATE = {
+  id: null,
+  name: 'Professional relationship intake',
+  greeting: "Hello {{first_name}}, {{owner_name}} asked me to learn more about your professional goals. When you're ready, let me know and we will get started.",
+  closing: 'Thank you for your time',
+  follow_up_rules: "If any answer is unclear, gently ask for elaboration (e.g., 'Can you elaborate on growth?').",
+  questions: [
+    {
+      key: 'communication_style',
+      label: 'Communication Style',
+      question: 'How would you describe your preferred communication style—do you lean toward direct and concise, or collaborative and detailed?',
+      description: 'Preferred communication style, e.g. direct and concise or collaborative and detailed',
+      keywords: ['communication', 'communicate']
+    },
+    {
+      key: 'professional_goals',
+      label: 'Professional Goals',
+      question: 'What are your top professional goals for the next year—growth, stability, or something else?',
+      description: 'Top professional goals for the next year, e.g. growth or stability',
+      keywords: ['goal']
+    },
+    {
+      key: 'values',
+      label: 'Values',
+      question: 'What values are most important to you in a professional relationship, like trust, innovation, or accountability?',
+      description: 'Values that matter most in a professional relationship, e.g. trust, innovation or accountability',
+      keywords: ['value']
+    },
+    {
+      key: 'partnership_expectations',
+      label: 'Partnership Expectations',
+      question: 'What do you expect from a professional partnership—regular updates or strategic guidance?',
+      description: 'What they expect from a professional partnership, e.g. regular updates or strategic guidance',
+      keywords: ['partnership', 'expect']
+    }
+  ],
+  is_default: false
+};
+
+/**
+ * Turns a field key into a readable label (partnership_expectations -> Partnership Expectations)
+ * @param {string} key - Field key
+ * @returns {string} - Label
+ */
+function labelFromKey(key) {
+  return key.split('_').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+}
+
+/**
+ * Validates and normalizes template input from the API
+ * @param {Object} input - Request body
+ * @returns {Object} - { template } or { error }
+ */
+function validateTemplate(input) {
+  const { name, greeting, closing, follow_up_rules, questions, is_default } = input || {};
+
+  if (typeof name !== 'string' || name.trim() === '' || name.length > 100) {
+    return { error: 'name is required (at most 100 characters)' };
+  }
+  if (!Array.isArray(questions) || questions.length === 0 || questions.length > MAX_QUESTIONS) {
+    return { error: `questions must be a list of 1 to ${MAX_QUESTIONS} questions` };
+  }
+
+  const seenKeys = new Set();
+  const normalizedQuestions = [];
+  for (const [index, question] of questions.entries()) {
+    const position = `Question ${index + 1}`;
+    if (!question || typeof question.question !== 'string' || question.question.trim() === '') {
+      return { error: `${position} needs question text` };
+    }
+    if (typeof question.key !== 'string' || !FIELD_KEY_PATTERN.test(question.key)) {
+      return { error: `${position} needs a field key made of lowercase letters, digits and underscores` };
+    }
+    if (seenKeys.has(question.key)) {
+      return { error: `Field key "${question.key}" is used more than once` };
+    }
+    if (question.keywords !== undefined &&
+        (!Array.isArray(question.keywords) || question.keywords.some(keyword => typeof keyword !== 'string'))) {
+      return { error: `${position} keywords must be a list of strings` };
+    }
+    seenKeys.add(question.key);
+
+    normalizedQuestions.push({
+      key: question.key,
+      label: typeof question.label === 'string' && question.label.trim() !== '' ? question.label.trim() : labelFromKey(question.key),
+      question: question.question.trim(),
+      description: typeof question.description === 'string' && question.description.trim() !== '' ? question.description.trim() : null,
+      keywords: (question.keywords || []).map(keyword => keyword.trim()).filter(Boolean)
+    });
+  }
+
+  const text = (value, fallback) => (typeof value === 'string' && value.trim() !== '' ? value.trim() : fallback);
+
+  return {
+    template: {
+      name: name.trim(),
+      greeting: text(greeting, DEFAULT_TEMPLATE.greeting),
+      closing: text(closing, DEFAULT_TEMPLATE.closing),
+      follow_up_rules: text(follow_up_rules, DEFAULT_TEMPLATE.follow_up_rules),
+      questions: normalizedQuestions,
+      is_default: is_default === true
+    }
+  };
+}
+
+/**
+ * Generates the ElevenLabs agent system prompt for a template
+ * @param {Object} template - Questionnaire template
+ * @returns {string} - System prompt
+ */
+function buildSystemPrompt(template) {
+  const questions = template.questions
+    .map((question, index) => `${index + 1}) "${question.question}"`)
+    .join('\n\n');
+
+  return `
+You are an AI intake bot focusing on professional relationships for business leaders.
+Ask these questions sequentially, transcribe responses, and follow up with clarifications if needed:
+
+${questions}
+
+${template.follow_up_rules}
+Once all questions are answered, say "${template.closing}," and end the call.
+
+Ensure to include the entire conversation in 'raw_transcript' in your final callback to /receive-data.
+DO NOT ask any unrelated questions.`;
+}
+
+/**
+ * Fills in the greeting placeholders ({{first_name}}, {{last_name}}, {{company_name}}
+ * of the contact, and {{owner_name}}, the display name of the user who owns the contact)
+ * @param {Object} template - Questionnaire template
+ * @param {Object} contact - Contact row
+ * @param {string} [ownerName] - Display name of the contact's owner
+ * @returns {string} - First message spoken by the agent
+ */
+function renderGreeting(template, contact, ownerName) {
+  const values = { ...contact, owner_name: ownerName };
+  return template.greeting.replace(/\{\{\s*(first_name|last_name|company_name|owner_name)\s*\}\}/g,
+    (match, field) => values[field] || '');
+}
+
+/**
+ * Returns the field definitions the transcript parser extracts for a template
+ * @param {Object} template - Questionnaire template
+ * @returns {Array<Object>} - [{ key, label, description, keywords }]
+ */
+function getParseFields(template) {
+  return template.questions.map(question => ({
+    key: question.key,
+    label: question.label,
+    description: question.description || question.question,
+    keywords: question.keywords
+  }));
+}
+
+/**
+ * Lists a user's templates
+ * @param {Object} db - PostgreSQL pool or client
+ * @param {number} userId - User ID
+ * @returns {Promise<Array<Object>>} - Templates
+ */
+async function listTemplates(db, userId) {
+  const result = await db.query(
+    'SELECT * FROM questionnaire_templates WHERE user_id = $1 ORDER BY is_default DESC, name',
+    [userId]
+  );
+  return result.rows;
+}
+
+/**
+ * Fetches one of a user's templates
+ * @param {Object} db - PostgreSQL pool or client
+ * @param {number} userId - User ID
+ * @param {number} templateId - Template ID
+ * @returns {Promise<Object|null>} - Template, or null if it doesn't exist or isn't the user's
+ */
+async function getTemplate(db, userId, templateId) {
+  const result = await db.query(
+    'SELECT * FROM questionnaire_templates WHERE id = $1 AND user_id = $2',
+    [templateId, userId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Clears the default flag on a user's other templates
+ * @param {Object} db - PostgreSQL client inside an open transaction
+ * @param {number} userId - User ID
+ * @param {number|null} keepId - Template that stays default
+ */
+async function clearOtherDefaults(db, userId, keepId) {
+  await db.query(
+    'UPDATE questionnaire_templates SET is_default = false WHERE user_id = $1 AND is_default AND id IS DISTINCT FROM $2',
+    [userId, keepId]
+  );
+}
+
+/**
+ * Creates a template
+ * @param {Object} db - PostgreSQL client inside an open transaction
+ * @param {number} userId - User ID
+ * @param {Object} template - Output of validateTemplate
+ * @returns {Promise<Object>} - Created template
+ */
+async function createTemplate(db, userId, template) {
+  if (template.is_default) await clearOtherDefaults(db, userId, null);
+  const result = await db.query(`
+    INSERT INTO questionnaire_templates (user_id, name, greeting, closing, follow_up_rules, questions, is_default)
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+    RETURNING *
+  `, [userId, template.name, template.greeting, template.closing, template.follow_up_rules,
+    JSON.stringify(template.questions), template.is_default]);
+  return result.rows[0];
+}
+
+/**
+ * Replaces a template's contents
+ * @param {Object} db - PostgreSQL client inside an open transaction
+ * @param {number} userId - User ID
+ * @param {number} templateId - Template ID
+ * @param {Object} template - Output of validateTemplate
+ * @returns {Promise<Object|null>} - Updated template, or null if not found
+ */
+async function updateTemplate(db, userId, templateId, template) {
+  if (template.is_default) await clearOtherDefaults(db, userId, templateId);
+  const result = await db.query(`
+    UPDATE questionnaire_templates
+    SET name = $3, greeting = $4, closing = $5, follow_up_rules = $6, questions = $7,
+        is_default = $8, updated_at = NOW()
+    WHERE id = $1 AND user_id = $2
+    RETURNING *
+  `, [templateId, userId, template.name, template.greeting, template.closing, template.follow_up_rules,
+    JSON.stringify(template.questions), template.is_default]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Deletes a template; contacts using it fall back to the default template
+ * @param {Object} db - PostgreSQL pool or client
+ * @param {number} userId - User ID
+ * @param {number} templateId - Template ID
+ * @returns {Promise<boolean>} - True if a template was deleted
+ */
+async function deleteTemplate(db, userId, templateId) {
+  const result = await db.query(
+    'DELETE FROM questionnaire_templates WHERE id = $1 AND user_id = $2',
+    [templateId, userId]
+  );
+  return result.rowCount > 0;
+}
+
+/**
+ * Resolves the template used for a contact's intake call
+ * @param {Object} db - PostgreSQL pool or client
+ * @param {number} contactId - Contact ID
+ * @returns {Promise<Object>} - Assigned template, the owner's default template or DEFAULT_TEMPLATE
+ */
+async function getTemplateForContact(db, contactId) {
+  const result = await db.query(`
+    SELECT t.*
+    FROM contacts c
+    JOIN questionnaire_templates t
+      ON t.id = c.questionnaire_template_id OR (t.user_id = c.user_id AND t.is_default)
+    WHERE c.id = $1
+    ORDER BY (t.id = c.questionnaire_template_id) DESC
+    LIMIT 1
+  `, [contactId]);
+
+  return result.rows[0] || DEFAULT_TEMPLATE;
+}
+
+module.exports = {
+  DEFAULT_TEMPLATE,
+  labelFromKey,
+  validateTemplate,
+  buildSystemPrompt,
+  renderGreeting,
+  getParseFields,
+  listTemplates,
+  getTemplate,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+  getTemplateForContact
+};
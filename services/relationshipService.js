@@ -0,0 +1,274 @@
+// Relationship check-ins.
+//
+// Each contact with an intake gets a row in relationships (user1_id is the user,
+// contact_id the contact) saying how often the user wants to check in: weekly,
+// monthly or quarterly. The cadence comes from the contact's latest intake answers
+// (e.g. "regular updates" -> weekly, "strategic guidance" -> quarterly), monthly
+// when the answers say nothing about it, unless the user set one by hand.
+//
+// next_check_in_at is the last check-in (or the start of the relationship) plus
+// the cadence. Intakes and texts sent from the dashboard count as check-ins, and
+// users can record others. A daily compute_relationship_check_ins job creates the
+// missing relationships, re-derives cadences from new answers and recomputes who
+// is due. Archived contacts keep their relationship but are never due.
+
+const jobQueue = require('./jobQueue');
+
+const CADENCES = {
+  weekly: '7 days',
+  monthly: '1 month',
+  quarterly: '3 months'
+};
+const DEFAULT_CADENCE = 'monthly';
+const DEFAULT_DUE_WINDOW_DAYS = 7;
+const JOB_TYPE = 'compute_relationship_check_ins';
+
+// Explicit frequencies win over softer hints
+const EXPLICIT_CADENCE_HINTS = [
+  ['weekly', /(?<![a-z-])weekly\b|\b(every week|once a week|each week)\b/],
+  ['monthly', /\b(monthly|every month|once a month|each month)\b/],
+  ['quarterly', /\b(quarterly|every quarter|once a quarter|every (three|3) months)\b/]
+];
+const SOFT_CADENCE_HINTS = [
+  ['weekly', /\b(daily|every day|frequent|frequently|regular updates|often|close contact)\b/],
+  ['quarterly', /\b(occasional|occasionally|as needed|when needed|infrequent|strategic guidance|big picture|every few months)\b/],
+  ['monthly', /\b(biweekly|bi-weekly|every (two|2) weeks|periodic|periodically)\b/]
+];
+
+/**
+ * Works out a check-in cadence from intake answers
+ * @param {Array<string>} answers - Answer texts
+ * @returns {string|null} - 'weekly', 'monthly' or 'quarterly', or null if the answers don't say
+ */
+function deriveCadence(answers) {
+  const text = answers.filter(Boolean).join('\n').toLowerCase();
+  for (const hints of [EXPLICIT_CADENCE_HINTS, SOFT_CADENCE_HINTS]) {
+    for (const [cadence, pattern] of hints) {
+      if (pattern.test(text)) return cadence;
+    }
+  }
+  return null;
+}
+
+/**
+ * Builds the SQL for the next check-in
+ * @param {string} cadenceExpression - SQL expression holding the cadence
+ * @param {string} fromExpression - SQL expression holding the last check-in
+ * @returns {string} - SQL expression
+ */
+function nextCheckInSql(cadenceExpression, fromExpression) {
+  const whens = Object.entries(CADENCES).map(([cadence, interval]) => `WHEN '${cadence}' THEN INTERVAL '${interval}'`).join(' ');
+  return `(${fromExpression} + (CASE ${cadenceExpression} ${whens} ELSE INTERVAL '${CADENCES[DEFAULT_CADENCE]}' END))`;
+}
+
+/**
+ * Loads the answers of a contact's latest intake
+ * @param {Object} db - PostgreSQL pool or client
+ * @param {number} contactId - Contact ID
+ * @returns {Promise<Array<string>>} - Answer texts
+ */
+async function getLatestAnswers(db, contactId) {
+  const result = await db.query(`
+    SELECT ia.answer
+    FROM intake_answers ia
+    WHERE ia.intake_id = (
+      SELECT id FROM intake_responses WHERE contact_id = $1 ORDER BY created_at DESC, id DESC LIMIT 1
+    )
+  `, [contactId]);
+  return result.rows.map(row => row.answer);
+}
+
+/**
+ * Creates the relationship between a user and a contact if there isn't one yet
+ * @param {Object} db - PostgreSQL pool or client
+ * @param {number} userId - User ID
+ * @param {number} contactId - Contact ID
+ */
+async function ensureRelationship(db, userId, contactId) {
+  await db.query(`
+    INSERT INTO relationships (user1_id, contact_id, check_in_cadence, cadence_source, next_check_in_at)
+    VALUES ($1, $2, $3, 'default', ${nextCheckInSql('$3::VARCHAR', 'NOW()')})
+    ON CONFLICT (user1_id, contact_id) WHERE contact_id IS NOT NULL DO NOTHING
+  `, [userId, contactId, DEFAULT_CADENCE]);
+}
+
+/**
+ * Re-derives a relationship's cadence from the latest intake answers. Cadences set
+ * by the user are kept.
+ * @param {Object} db - PostgreSQL pool or client
+ * @param {number} contactId - Contact ID
+ * @returns {Promise<Object|null>} - Updated relationship, or null if the contact has none
+ */
+async function refreshCadence(db, contactId) {
+  const current = await db.query('SELECT id, cadence_source FROM relationships WHERE contact_id = $1', [contactId]);
+  if (current.rows.length === 0 || current.rows[0].cadence_source === 'manual') {
+    return current.rows[0] || null;
+  }
+
+  const derived = deriveCadence(await getLatestAnswers(db, contactId));
+  const result = await db.query(`
+    UPDATE relationships
+    SET check_in_cadence = $2, cadence_source = $3,
+        next_check_in_at = ${nextCheckInSql('$2::VARCHAR', 'COALESCE(last_check_in_at, created_at)')},
+        updated_at = NOW()
+    WHERE id = $1
+    RETURNING *
+  `, [current.rows[0].id, derived || DEFAULT_CADENCE, derived ? 'intake' : 'default']);
+  return result.rows[0];
+}
+
+/**
+ * Sets the cadence of a relationship by hand, or goes back to the derived one
+ * @param {Object} db - PostgreSQL pool or client
+ * @param {number} userId - User ID
+ * @param {number} contactId - Contact ID (must belong to the user)
+ * @param {string|null} cadence - 'weekly', 'monthly', 'quarterly', or null for automatic
+ * @returns {Promise<Object>} - Updated relationship
+ */
+async function setCadence(db, userId, contactId, cadence) {
+  await ensureRelationship(db, userId, contactId);
+  if (!cadence) {
+    await db.query(`
+      UPDATE relationships SET cadence_source = 'default', updated_at = NOW()
+      WHERE user1_id = $1 AND contact_id = $2
+    `, [userId, contactId]);
+    return refreshCadence(db, contactId);
+  }
+
+  const result = await db.query(`
+    UPDATE relationships
+    SET check_in_cadence = $3, cadence_source = 'manual',
+        next_check_in_at = ${nextCheckInSql('$3::VARCHAR', 'COALESCE(last_check_in_at, created_at)')},
+        updated_at = NOW()
+    WHERE user1_id = $1 AND contact_id = $2
+    RETURNING *
+  `, [userId, contactId, cadence]);
+  return result.rows[0];
+}
+
+/**
+ * Records a check-in with a contact, which starts the next cadence period
+ * @param {Object} db - PostgreSQL pool or client
+ * @param {number} userId - User ID
+ * @param {number} contactId - Contact ID (must belong to the user)
+ * @returns {Promise<Object>} - Updated relationship
+ */
+async function recordCheckIn(db, userId, contactId) {
+  await ensureRelationship(db, userId, contactId);
+  const result = await db.query(`
+    UPDATE relationships
+    SET last_check_in_at = NOW(),
+        next_check_in_at = ${nextCheckInSql('check_in_cadence', 'NOW()')},
+        updated_at = NOW()
+    WHERE user1_id = $1 AND contact_id = $2
+    RETURNING *
+  `, [userId, contactId]);
+  return result.rows[0];
+}
+
+/**
+ * Lists a user's relationships (archived contacts left out), the next check-in first
+ * @param {Object} db - PostgreSQL pool or client
+ * @param {number} userId - User ID
+ * @param {Object} [filters] - { dueWithinDays } to only list check-ins due within that many days (overdue included)
+ * @returns {Promise<Array>} - Relationships with the contact's name and number
+ */
+async function listRelationships(db, userId, filters = {}) {
+  const result = await db.query(`
+    SELECT r.contact_id, c.first_name, c.last_name, c.phone_number, c.company_name,
+           r.check_in_cadence, r.cadence_source, r.last_check_in_at, r.next_check_in_at,
+           (r.next_check_in_at <= NOW()) AS overdue
+    FROM relationships r
+    JOIN contacts c ON c.id = r.contact_id
+    WHERE r.user1_id = $1 AND c.archived_at IS NULL
+      AND ($2::INTEGER IS NULL OR r.next_check_in_at <= NOW() + $2 * INTERVAL '1 day')
+    ORDER BY r.next_check_in_at ASC, c.first_name ASC
+  `, [userId, filters.dueWithinDays ?? null]);
+  return result.rows;
+}
+
+/**
+ * Creates relationships for contacts that had an intake, re-derives cadences and
+ * recomputes when every check-in is due
+ * @param {Object} db - PostgreSQL pool or client
+ * @returns {Promise<number>} - Number of relationships
+ */
+async function syncRelationships(db) {
+  // The intake counts as the first check-in
+  await db.query(`
+    INSERT INTO relationships (user1_id, contact_id, check_in_cadence, cadence_source, last_check_in_at, created_at)
+    SELECT c.user_id, c.id, $1, 'default', MAX(ir.created_at), NOW()
+    FROM contacts c
+    JOIN intake_responses ir ON ir.contact_id = c.id
+    WHERE NOT EXISTS (SELECT 1 FROM relationships r WHERE r.contact_id = c.id)
+    GROUP BY c.user_id, c.id
+    ON CONFLICT (user1_id, contact_id) WHERE contact_id IS NOT NULL DO NOTHING
+  `, [DEFAULT_CADENCE]);
+
+  const automatic = await db.query("SELECT contact_id FROM relationships WHERE contact_id IS NOT NULL AND cadence_source <> 'manual'");
+  for (const { contact_id } of automatic.rows) {
+    await refreshCadence(db, contact_id);
+  }
+
+  const result = await db.query(`
+    UPDATE relationships
+    SET next_check_in_at = ${nextCheckInSql('check_in_cadence', 'COALESCE(last_check_in_at, created_at)')}
+    WHERE contact_id IS NOT NULL
+  `);
+  return result.rowCount;
+}
+
+/**
+ * Job handler: the daily check-in computation. The next run is queued before anything
+ * else, so a run that fails (and retries, or ends up dead) doesn't end the daily chain.
+ * @param {Object} pool - PostgreSQL connection pool
+ * @returns {Promise<Object>} - { relationships, due } stored as the job result
+ */
+async function processCheckInJob(pool) {
+  // A retry of this run finds the next one already queued
+  const queued = await pool.query("SELECT 1 FROM jobs WHERE type = $1 AND status = 'pending' LIMIT 1", [JOB_TYPE]);
+  if (queued.rows.length === 0) {
+    await jobQueue.enqueue(pool, JOB_TYPE, {}, { runAt: new Date(Date.now() + 24 * 60 * 60 * 1000) });
+  }
+
+  const relationships = await syncRelationships(pool);
+
+  const dueResult = await pool.query(`
+    SELECT user1_id AS user_id, COUNT(*)::INTEGER AS due
+    FROM relationships r
+    JOIN contacts c ON c.id = r.contact_id
+    WHERE c.archived_at IS NULL AND r.next_check_in_at <= NOW() + $1 * INTERVAL '1 day'
+    GROUP BY user1_id
+  `, [DEFAULT_DUE_WINDOW_DAYS]);
+  for (const { user_id, due } of dueResult.rows) {
+    console.log(`User ${user_id} has ${due} check-ins due this week`);
+  }
+
+  return { relationships, due: dueResult.rows };
+}
+
+/**
+ * Makes sure the daily check-in job is queued (called when the server starts)
+ * @param {Object} pool - PostgreSQL connection pool
+ */
+async function ensureCheckInJob(pool) {
+  const result = await pool.query("SELECT 1 FROM jobs WHERE type = $1 AND status IN ('pending', 'running') LIMIT 1", [JOB_TYPE]);
+  if (result.rows.length === 0) {
+    await jobQueue.enqueue(pool, JOB_TYPE, {});
+  }
+}
+
+module.exports = {
+  CADENCES,
+  DEFAULT_DUE_WINDOW_DAYS,
+  JOB_TYPE,
+  deriveCadence,
+  ensureRelationship,
+  refreshCadence,
+  setCadence,
+  recordCheckIn,
+  listRelationships,
+  syncRelationships,
+  processCheckInJob,
+  ensureCheckInJob
+};
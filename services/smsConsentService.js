@@ -0,0 +1,248 @@
+// SMS consent registry and sending rules.
+//
+// Consent is kept per phone number in sms_consent, so a STOP applies to every
+// contact (of every user) with that number. Numbers without a row have not opted
+// out. Every change is appended to sms_consent_events, the audit trail users can
+// export as CSV.
+//
+// Before any text to a contact is sent, checkOutbound refuses:
+//   - numbers that opted out
+//   - quiet hours in the contact's timezone (SMS_QUIET_HOURS_START to SMS_QUIET_HOURS_END,
+//     9pm to 8am by default; contacts without a timezone use DEFAULT_CONTACT_TIMEZONE)
+// Automatic replies to keywords are answers to the contact and are not checked.
+//
+// A number that opted out by text (STOP) can only opt back in by text (START);
+// users can record an opt-out on a contact's behalf, but can't undo one.
+
+const csvService = require('./csvService');
+
+const CONSENT_STATUSES = ['opted_in', 'opted_out'];
+const DEFAULT_QUIET_HOURS_START = 21;
+const DEFAULT_QUIET_HOURS_END = 8;
+
+const OPTED_OUT_ERROR = 'Contact has opted out of text messages';
+
+/**
+ * Loads the consent status of a phone number
+ * @param {Object} db - PostgreSQL pool or client
+ * @param {string} phoneNumber - E.164 phone number
+ * @returns {Promise<Object|null>} - { phone_number, status, source, updated_at } or null if never recorded
+ */
+async function getConsent(db, phoneNumber) {
+  const result = await db.query(
+    'SELECT phone_number, status, source, updated_at FROM sms_consent WHERE phone_number = $1',
+    [phoneNumber]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Tells whether a phone number opted out of texts
+ * @param {Object} db - PostgreSQL pool or client
+ * @param {string} phoneNumber - E.164 phone number
+ * @returns {Promise<boolean>}
+ */
+async function isOptedOut(db, phoneNumber) {
+  const consent = await getConsent(db, phoneNumber);
+  return !!consent && consent.status === 'opted_out';
+}
+
+/**
+ * Records a consent change and adds it to the audit trail. Recording the current
+ * status again does nothing.
+ * @param {Object} db - PostgreSQL pool or client
+ * @param {Object} change - { phoneNumber, status, source ('keyword' or 'user'), keyword, userId, contactId, twilioSid, note }
+ * @returns {Promise<Object>} - { consent, changed }
+ */
+async function recordConsent(db, change) {
+  if (!CONSENT_STATUSES.includes(change.status)) {
+    throw new Error(`Unknown consent status: ${change.status}`);
+  }
+
+  const previous = await getConsent(db, change.phoneNumber);
+  if (previous && previous.status === change.status) {
+    return { consent: previous, changed: false };
+  }
+
+  const result = await db.query(`
+    INSERT INTO sms_consent (phone_number, status, source, updated_at)
+    VALUES ($1, $2, $3, NOW())
+    ON CONFLICT (phone_number) DO UPDATE SET status = EXCLUDED.status, source = EXCLUDED.source, updated_at = NOW()
+    RETURNING phone_number, status, source, updated_at
+  `, [change.phoneNumber, change.status, change.source]);
+
+  await db.query(`
+    INSERT INTO sms_consent_events (phone_number, status, previous_status, source, keyword, user_id, contact_id, twilio_sid, note)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+  `, [
+    change.phoneNumber, change.status, previous ? previous.status : null, change.source,
+    change.keyword || null, change.userId || null, change.contactId || null, change.twilioSid || null, change.note || null
+  ]);
+
+  console.log(`SMS consent for ${change.phoneNumber}: ${previous ? previous.status : 'none'} -> ${change.status} (${change.source})`);
+  return { consent: result.rows[0], changed: true };
+}
+
+/**
+ * Checks a consent change requested by a user from the dashboard or API
+ * @param {Object|null} current - Current consent from getConsent
+ * @param {string} status - Requested status
+ * @returns {string|null} - Error message, or null if the change is allowed
+ */
+function validateUserConsentChange(current, status) {
+  if (!CONSENT_STATUSES.includes(status)) {
+    return `Status must be one of: ${CONSENT_STATUSES.join(', ')}`;
+  }
+  if (status === 'opted_in' && current && current.status === 'opted_out' && current.source === 'keyword') {
+    return 'This number opted out by text message. They have to reply START to receive texts again';
+  }
+  return null;
+}
+
+/**
+ * Tells whether a string is a timezone the runtime knows (e.g. America/Chicago)
+ * @param {string} timezone - IANA timezone name
+ * @returns {boolean}
+ */
+function isValidTimezone(timezone) {
+  if (!timezone || typeof timezone !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Returns the timezone quiet hours are checked in for a contact
+ * @param {Object} contact - Contact row (timezone may be null)
+ * @returns {string} - IANA timezone name
+ */
+function getContactTimezone(contact) {
+  if (contact && isValidTimezone(contact.timezone)) return contact.timezone;
+  if (isValidTimezone(process.env.DEFAULT_CONTACT_TIMEZONE)) return process.env.DEFAULT_CONTACT_TIMEZONE;
+  return Intl.DateTimeFormat().resolvedOptions().timeZone;
+}
+
+/**
+ * Returns the configured quiet hours
+ * @returns {Object} - { start, end } as hours (0-23); equal hours mean quiet hours are off
+ */
+function getQuietHours() {
+  const parseHour = (value, fallback) => {
+    const hour = parseInt(value, 10);
+    return Number.isInteger(hour) && hour >= 0 && hour <= 23 ? hour : fallback;
+  };
+  return {
+    start: parseHour(process.env.SMS_QUIET_HOURS_START, DEFAULT_QUIET_HOURS_START),
+    end: parseHour(process.env.SMS_QUIET_HOURS_END, DEFAULT_QUIET_HOURS_END)
+  };
+}
+
+/**
+ * Returns the hour of the day (0-23) in a timezone
+ * @param {string} timezone - IANA timezone name
+ * @param {Date} [now] - Moment to check, defaults to now
+ * @returns {number}
+ */
+function getLocalHour(timezone, now = new Date()) {
+  const hour = new Intl.DateTimeFormat('en-US', { timeZone: timezone, hour: 'numeric', hourCycle: 'h23' }).format(now);
+  return parseInt(hour, 10);
+}
+
+/**
+ * Tells whether it is quiet hours in a timezone
+ * @param {string} timezone - IANA timezone name
+ * @param {Date} [now] - Moment to check, defaults to now
+ * @returns {boolean}
+ */
+function isQuietHours(timezone, now = new Date()) {
+  const { start, end } = getQuietHours();
+  if (start === end) return false;
+  const hour = getLocalHour(timezone, now);
+  // Quiet hours usually wrap around midnight (21 -> 8)
+  return start > end ? hour >= start || hour < end : hour >= start && hour < end;
+}
+
+/**
+ * Checks whether a contact can be texted right now
+ * @param {Object} db - PostgreSQL pool or client
+ * @param {Object} contact - Contact row ({ phone_number, timezone })
+ * @param {Date} [now] - Moment to check, defaults to now
+ * @returns {Promise<Object|null>} - null when the text may be sent, else { reason ('opted_out' or 'quiet_hours'), error }
+ */
+async function checkOutbound(db, contact, now = new Date()) {
+  if (await isOptedOut(db, contact.phone_number)) {
+    return { reason: 'opted_out', error: OPTED_OUT_ERROR };
+  }
+
+  const timezone = getContactTimezone(contact);
+  if (isQuietHours(timezone, now)) {
+    const { start, end } = getQuietHours();
+    return {
+      reason: 'quiet_hours',
+      error: `It's quiet hours for this contact (${start}:00 to ${end}:00 in ${timezone}). Please try again later`
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Lists the consent changes for the phone numbers of a user's contacts, newest first
+ * @param {Object} db - PostgreSQL pool or client
+ * @param {number} userId - User ID
+ * @param {Object} [filters] - { contactId } to limit the trail to one contact's number
+ * @returns {Promise<Array>} - Event rows with the user's contact name; notes by other users are left out
+ */
+async function listEvents(db, userId, filters = {}) {
+  const result = await db.query(`
+    SELECT e.id, e.created_at, e.phone_number, c.id AS contact_id, c.first_name, c.last_name,
+           e.status, e.previous_status, e.source, e.keyword, e.twilio_sid,
+           (e.user_id = $1) AS changed_by_you,
+           CASE WHEN e.user_id = $1 THEN e.note END AS note
+    FROM sms_consent_events e
+    JOIN contacts c ON c.phone_number = e.phone_number AND c.user_id = $1
+    WHERE ($2::INTEGER IS NULL OR c.id = $2)
+    ORDER BY e.created_at DESC, e.id DESC
+  `, [userId, filters.contactId || null]);
+  return result.rows;
+}
+
+/**
+ * Formats consent events as CSV
+ * @param {Array} events - Rows from listEvents
+ * @returns {string} - CSV with a header row
+ */
+function eventsToCsv(events) {
+  const columns = [
+    ['created_at', e => e.created_at.toISOString()],
+    ['phone_number', e => e.phone_number],
+    ['contact', e => `${e.first_name} ${e.last_name}`],
+    ['status', e => e.status],
+    ['previous_status', e => e.previous_status],
+    ['source', e => e.source],
+    ['keyword', e => e.keyword],
+    ['twilio_sid', e => e.twilio_sid],
+    ['changed_by_you', e => (e.changed_by_you ? 'yes' : 'no')],
+    ['note', e => e.note]
+  ];
+  return csvService.toCsv(columns, events);
+}
+
+module.exports = {
+  CONSENT_STATUSES,
+  OPTED_OUT_ERROR,
+  getConsent,
+  isOptedOut,
+  recordConsent,
+  validateUserConsentChange,
+  isValidTimezone,
+  getContactTimezone,
+  getQuietHours,
+  isQuietHours,
+  checkOutbound,
+  listEvents,
+  eventsToCsv
+};
@@ -0,0 +1,163 @@
+// Two-way SMS conversations.
+//
+// Outbound and inbound texts live in sms_messages (direction 'outbound'/'inbound'),
+// so a contact's thread is a single query. Inbound texts are attributed to a contact
+// with the same routing as calls (see callRoutingService), and a few keywords are
+// handled before a message is shown to the user:
+//   STOP (and STOPALL, UNSUBSCRIBE, CANCEL, END, QUIT) - opt out of SMS
+//   START (and UNSTOP, YES)                            - opt back in
+//   HELP (and INFO)                                    - explain what this number is
+//   CALL ME                                            - ask the user to call back
+// Opt-outs and opt-ins are recorded in the consent registry (see smsConsentService),
+// so they apply to every contact with the sender's number.
+
+const callRoutingService = require('./callRoutingService');
+const smsConsentService = require('./smsConsentService');
+const userProfileService = require('./userProfileService');
+
+const KEYWORDS = {
+  stop: ['STOP', 'STOPALL', 'UNSUBSCRIBE', 'CANCEL', 'END', 'QUIT'],
+  start: ['START', 'UNSTOP', 'YES'],
+  help: ['HELP', 'INFO'],
+  call_me: ['CALL ME', 'CALLME', 'CALL ME BACK', 'PLEASE CALL ME']
+};
+
+/**
+ * Recognises a keyword message. Keywords must be the whole message (ignoring case,
+ * surrounding whitespace and punctuation), so "please stop by tomorrow" is not a STOP.
+ * @param {string} body - Message text
+ * @returns {string|null} - Keyword name from KEYWORDS, or null
+ */
+function detectKeyword(body) {
+  const normalized = String(body || '').toUpperCase().replace(/[^A-Z ]/g, ' ').replace(/\s+/g, ' ').trim();
+  for (const [keyword, variants] of Object.entries(KEYWORDS)) {
+    if (variants.includes(normalized)) return keyword;
+  }
+  return null;
+}
+
+/**
+ * Stores a message in sms_messages
+ * @param {Object} db - PostgreSQL pool or client
+ * @param {Object} message - { contactId, userId, direction, message, twilioSid, from, to, keyword,
+ *   messageType, status, errorCode, errorMessage }
+ * @returns {Promise<Object>} - Stored row
+ */
+async function logMessage(db, message) {
+  const result = await db.query(`
+    INSERT INTO sms_messages (contact_id, user_id, direction, message, twilio_sid, from_number, to_number, keyword,
+      message_type, status, error_code, error_message, status_updated_at, failed_at, sent_at)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, NOW(), CASE WHEN $13 THEN NOW() END, NOW())
+    RETURNING id, contact_id, user_id, direction, message, twilio_sid, from_number, to_number, keyword,
+      message_type, status, error_code, error_message, sent_at
+  `, [
+    message.contactId || null, message.userId || null, message.direction, message.message,
+    message.twilioSid || null, message.from || null, message.to || null, message.keyword || null,
+    message.messageType || null, message.status || null, message.errorCode || null, message.errorMessage || null,
+    message.status === 'failed'
+  ]);
+  return result.rows[0];
+}
+
+/**
+ * Builds the automatic reply to a keyword
+ * @param {string} keyword - Keyword name
+ * @param {Object|null} profile - Profile of the user the message was routed to
+ * @param {string} number - Number the contact texted
+ * @returns {string} - Reply text
+ */
+function keywordReply(keyword, profile, number) {
+  const name = profile ? userProfileService.getDisplayName(profile) : 'Our team';
+  switch (keyword) {
+    case 'stop':
+      return "You've been unsubscribed and won't receive more texts from this number. Reply START to resubscribe.";
+    case 'start':
+      return "You've been resubscribed to texts from this number. Reply STOP to unsubscribe.";
+    case 'help':
+      return `${name} uses this number to stay in touch. Call ${number} any time to talk with our AI relationship assistant. Reply STOP to unsubscribe.`;
+    case 'call_me':
+      return `Thanks! We've let ${name} know you'd like a call back.`;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Handles an inbound text: stores it, applies keywords and works out the reply
+ * @param {Object} db - PostgreSQL client (inside a transaction)
+ * @param {Object} sms - { from, to, body, messageSid } from the Twilio webhook
+ * @returns {Promise<Object>} - { message, contact, keyword, reply }
+ */
+async function handleInboundSms(db, { from, to, body, messageSid }) {
+  const { contact, userId } = await callRoutingService.routeCall(db, from, to);
+  const keyword = detectKeyword(body);
+
+  const message = await logMessage(db, {
+    contactId: contact ? contact.id : null,
+    userId,
+    direction: 'inbound',
+    message: body || '',
+    twilioSid: messageSid,
+    from,
+    to,
+    keyword,
+    messageType: 'inbound',
+    status: 'received'
+  });
+
+  if (keyword === 'stop' || keyword === 'start') {
+    await smsConsentService.recordConsent(db, {
+      phoneNumber: from,
+      status: keyword === 'stop' ? 'opted_out' : 'opted_in',
+      source: 'keyword',
+      keyword: String(body).trim().toUpperCase().slice(0, 20),
+      contactId: contact ? contact.id : null,
+      twilioSid: messageSid
+    });
+  } else if (keyword === 'call_me' && contact) {
+    await db.query('UPDATE contacts SET callback_requested_at = NOW() WHERE id = $1', [contact.id]);
+    console.log(`Contact ${contact.id} asked for a call back`);
+  }
+
+  const profile = userId ? await userProfileService.getProfile(db, userId) : null;
+  const reply = keyword ? keywordReply(keyword, profile, to) : null;
+  if (reply) {
+    await logMessage(db, {
+      contactId: contact ? contact.id : null,
+      userId,
+      direction: 'outbound',
+      message: reply,
+      from: to,
+      to: from,
+      keyword,
+      messageType: 'keyword_reply'
+    });
+  }
+
+  return { message, contact, keyword, reply };
+}
+
+/**
+ * Returns a contact's SMS thread, oldest message first
+ * @param {Object} db - PostgreSQL pool or client
+ * @param {number} contactId - Contact ID
+ * @returns {Promise<Array>} - Message rows
+ */
+async function getThread(db, contactId) {
+  const result = await db.query(`
+    SELECT id, direction, message, keyword, message_type, status, error_code, error_message,
+           twilio_sid, from_number, to_number, sent_at, delivered_at, failed_at
+    FROM sms_messages
+    WHERE contact_id = $1
+    ORDER BY sent_at ASC, id ASC
+  `, [contactId]);
+  return result.rows;
+}
+
+module.exports = {
+  KEYWORDS,
+  detectKeyword,
+  logMessage,
+  handleInboundSms,
+  getThread
+};
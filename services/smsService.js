@@ -0,0 +1,119 @@
+// Outbound SMS with delivery tracking.
+//
+// Every text is sent with a statusCallback pointing at /sms-status, and logged in
+// sms_messages with the status Twilio returned (usually 'queued'). Twilio then calls
+// /sms-status as the message moves through sending -> sent -> delivered (or
+// undelivered/failed), and applyStatusCallback records each step. Callbacks can
+// arrive out of order, so a status never moves back to an earlier stage.
+
+const publicUrlService = require('./publicUrlService');
+const telephonyProviders = require('./telephonyProviders');
+const smsConversationService = require('./smsConversationService');
+
+// Lifecycle stage of each Twilio message status; final statuses share the last stage
+const STATUS_STAGES = {
+  accepted: 1,
+  scheduled: 1,
+  queued: 2,
+  sending: 3,
+  sent: 4,
+  delivered: 5,
+  undelivered: 5,
+  failed: 5,
+  canceled: 5,
+  read: 6
+};
+const FAILED_STATUSES = ['undelivered', 'failed', 'canceled'];
+
+/**
+ * Sends a text to a contact and logs it in their thread
+ * @param {Object} db - PostgreSQL pool or client
+ * @param {Object} sms - { contactId, userId, from, to, body, messageType, loggedBody }; loggedBody
+ *   replaces body in the log, for texts carrying secrets such as invite codes
+ * @returns {Promise<Object>} - Logged sms_messages row; status is 'failed' (with error_code and
+ *   error_message) when Twilio rejected the message
+ */
+async function sendSms(db, { contactId, userId, from, to, body, messageType, loggedBody }) {
+  let twilioSid = null;
+  let status = null;
+  let errorCode = null;
+  let errorMessage = null;
+
+  try {
+    const message = await telephonyProviders.getProvider().sendMessage({
+      body,
+      from,
+      to,
+      statusCallback: publicUrlService.publicUrl('/sms-status')
+    });
+    twilioSid = message.sid;
+    status = message.status;
+  } catch (error) {
+    console.error(`Twilio rejected SMS to ${to}:`, error.message);
+    status = 'failed';
+    errorCode = Number.isInteger(error.code) ? error.code : null;
+    errorMessage = error.message;
+  }
+
+  return smsConversationService.logMessage(db, {
+    contactId,
+    userId,
+    direction: 'outbound',
+    message: loggedBody || body,
+    twilioSid,
+    from,
+    to,
+    messageType,
+    status,
+    errorCode,
+    errorMessage
+  });
+}
+
+/**
+ * Records a Twilio status callback
+ * @param {Object} db - PostgreSQL pool or client
+ * @param {Object} callback - Webhook parameters ({ MessageSid, MessageStatus, ErrorCode, ErrorMessage })
+ * @returns {Promise<Object|null>} - Updated row, or null if the message is unknown or the status is stale
+ */
+async function applyStatusCallback(db, { MessageSid, MessageStatus, ErrorCode, ErrorMessage }) {
+  const status = String(MessageStatus || '').toLowerCase();
+  const stage = STATUS_STAGES[status];
+  if (!MessageSid || !stage) return null;
+
+  const failed = FAILED_STATUSES.includes(status);
+  const result = await db.query(`
+    UPDATE sms_messages
+    SET status = $2,
+        error_code = CASE WHEN $4 THEN $5 ELSE error_code END,
+        error_message = CASE WHEN $4 THEN $6 ELSE error_message END,
+        status_updated_at = NOW(),
+        delivered_at = CASE WHEN $7 THEN COALESCE(delivered_at, NOW()) ELSE delivered_at END,
+        failed_at = CASE WHEN $4 THEN COALESCE(failed_at, NOW()) ELSE failed_at END
+    WHERE twilio_sid = $1
+      AND direction = 'outbound'
+      AND COALESCE((${stageCase('status')}), 0) <= $3
+    RETURNING id, contact_id, status, error_code, error_message, delivered_at, failed_at
+  `, [
+    MessageSid, status, stage, failed, parseInt(ErrorCode, 10) || null, ErrorMessage || null,
+    status === 'delivered' || status === 'read'
+  ]);
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Builds a SQL CASE expression mapping a status column to its lifecycle stage
+ * @param {string} column - Column name
+ * @returns {string} - SQL expression
+ */
+function stageCase(column) {
+  const whens = Object.entries(STATUS_STAGES).map(([status, stage]) => `WHEN '${status}' THEN ${stage}`).join(' ');
+  return `CASE ${column} ${whens} END`;
+}
+
+module.exports = {
+  FAILED_STATUSES,
+  sendSms,
+  applyStatusCallback
+};
@@ -0,0 +1,408 @@
+// Telephony providers: how texts are sent and calls are placed.
+//
+// A provider is an object of the shape:
+//   {
+//     name,
+//     isConfigured(),                                  -> boolean
+//     sendMessage({ from, to, body, statusCallback }),  -> { sid, status }
+//     createCall({ from, to, url, statusCallback }),    -> { sid, status }
+//     hasNumber(phoneNumber)                           -> boolean (the account owns the number)
+//   }
+// Errors are thrown the way the Twilio client throws them (message, and a numeric
+// code when there is one). TELEPHONY_PROVIDER selects the provider:
+//   twilio (default) - the Twilio REST API
+//   simulator        - nothing leaves the machine: texts and calls are recorded, and
+//                      inbound calls, texts and webhooks are fired at our own endpoints
+//                      (see routes/simulator.js and scripts/simulateIntakeFlow.js)
+// Incoming webhooks and TwiML are the same for every provider.
+
+const fs = require('fs');
+const crypto = require('crypto');
+const { signRequest } = require('../middleware/twilioSignature');
+const { signPayload } = require('../middleware/elevenLabsSignature');
+
+const DEFAULT_PROVIDER = 'twilio';
+
+const providers = {};
+
+/**
+ * Creates a provider backed by the Twilio REST API
+ * @param {Object} options - { accountSid, authToken }
+ * @returns {Object} - Provider
+ */
+function createTwilioProvider(options = {}) {
+  const credentials = () => ({
+    accountSid: options.accountSid || process.env.TWILIO_ACCOUNT_SID,
+    authToken: options.authToken || process.env.TWILIO_AUTH_TOKEN
+  });
+  const getClient = () => {
+    const { accountSid, authToken } = credentials();
+    return require('twilio')(accountSid, authToken);
+  };
+
+  return {
+    name: 'twilio',
+    isConfigured() {
+      const { accountSid, authToken } = credentials();
+      return !!(accountSid && authToken);
+    },
+    async sendMessage({ from, to, body, statusCallback }) {
+      const message = await getClient().messages.create({ body, from, to, statusCallback });
+      return { sid: message.sid, status: message.status || 'queued' };
+    },
+    async createCall({ from, to, url, statusCallback }) {
+      const call = await getClient().calls.create({
+        to,
+        from,
+        url,
+        method: 'POST',
+        statusCallback,
+        statusCallbackEvent: ['initiated', 'ringing', 'answered', 'completed'],
+        statusCallbackMethod: 'POST'
+      });
+      return { sid: call.sid, status: call.status || 'queued' };
+    },
+    async hasNumber(phoneNumber) {
+      // Without credentials there is nothing to check against
+      if (!this.isConfigured()) return true;
+      const numbers = await getClient().incomingPhoneNumbers.list({ phoneNumber, limit: 1 });
+      return numbers.length > 0;
+    }
+  };
+}
+
+/**
+ * Generates a SID in Twilio's format (two letter prefix and 32 hex characters)
+ * @param {string} prefix - 'SM' for messages, 'CA' for calls
+ * @returns {string} - SID
+ */
+function generateSid(prefix) {
+  return `${prefix}${crypto.randomBytes(16).toString('hex')}`;
+}
+
+/**
+ * Creates a provider that records what would have been sent instead of sending it,
+ * and plays the part of Twilio and ElevenLabs by firing signed webhooks at our own
+ * endpoints. Recorded messages and calls are kept in memory, and in options.file
+ * (default TELEPHONY_SIMULATOR_FILE) when set, so they survive restarts.
+ * Webhooks go straight to options.baseUrl (default TELEPHONY_SIMULATOR_BASE_URL, or
+ * http://localhost:PORT), even when TwiML points at the public URL.
+ * @param {Object} options - { file, baseUrl }
+ * @returns {Object} - Provider
+ */
+function createSimulatorProvider(options = {}) {
+  const file = options.file || process.env.TELEPHONY_SIMULATOR_FILE || null;
+  let state = { messages: [], calls: [] };
+
+  if (file && fs.existsSync(file)) {
+    try {
+      state = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      console.error(`Ignoring unreadable telephony simulator file ${file}:`, error.message);
+    }
+  }
+
+  const save = () => {
+    if (file) fs.writeFileSync(file, JSON.stringify(state, null, 2));
+  };
+  const findCall = callSid => state.calls.find(call => call.sid === callSid);
+  const baseUrl = (options.baseUrl || process.env.TELEPHONY_SIMULATOR_BASE_URL
+    || `http://localhost:${process.env.PORT || 5000}`).replace(/\/$/, '');
+  const toUrl = pathOrUrl => {
+    const { pathname, search } = new URL(pathOrUrl, baseUrl);
+    return `${baseUrl}${pathname}${search}`;
+  };
+
+  /**
+   * Posts a Twilio-signed form webhook
+   * @param {string} path - Path (or absolute URL, e.g. a Gather action) to post to
+   * @param {Object} params - Form parameters
+   * @returns {Promise<Object>} - { status, body }
+   */
+  async function sendWebhook(path, params) {
+    const url = toUrl(path);
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'X-Twilio-Signature': signRequest(url, params)
+      },
+      body: new URLSearchParams(params)
+    });
+    return { status: response.status, body: await response.text() };
+  }
+
+  /**
+   * Posts the TwiML-driven part of a simulated call and remembers the response
+   * @param {Object} call - Simulated call
+   * @param {string} path - Path or URL to post to
+   * @param {Object} [extraParams] - Extra parameters (e.g. { Digits })
+   * @returns {Promise<Object>} - { call_sid, status, twiml }
+   */
+  async function postCallWebhook(call, path, extraParams = {}) {
+    const { status, body } = await sendWebhook(path, {
+      CallSid: call.sid,
+      AccountSid: 'ACsimulator',
+      From: call.from,
+      To: call.to,
+      CallStatus: 'in-progress',
+      Direction: call.direction === 'outbound' ? 'outbound-api' : 'inbound',
+      ...extraParams
+    });
+    call.twiml = body;
+    save();
+    return { call_sid: call.sid, status, twiml: body };
+  }
+
+  return {
+    name: 'simulator',
+    isConfigured() {
+      return true;
+    },
+    async sendMessage({ from, to, body, statusCallback }) {
+      const message = {
+        sid: generateSid('SM'),
+        from,
+        to,
+        body,
+        status: 'queued',
+        status_callback: statusCallback || null,
+        created_at: new Date().toISOString()
+      };
+      state.messages.push(message);
+      save();
+      console.log(`[simulator] Text to ${to}: ${body}`);
+      return { sid: message.sid, status: message.status };
+    },
+    async createCall({ from, to, url, statusCallback }) {
+      const call = {
+        sid: generateSid('CA'),
+        direction: 'outbound',
+        from,
+        to,
+        url,
+        status: 'queued',
+        status_callback: statusCallback || null,
+        twiml: null,
+        created_at: new Date().toISOString()
+      };
+      state.calls.push(call);
+      save();
+      console.log(`[simulator] Calling ${to} from ${from}`);
+      return { sid: call.sid, status: call.status };
+    },
+    async hasNumber() {
+      return true;
+    },
+
+    /**
+     * Lists the recorded texts, oldest first
+     * @param {Object} [filter] - { to }
+     * @returns {Array<Object>} - Messages
+     */
+    listMessages(filter = {}) {
+      return state.messages.filter(message => !filter.to || message.to === filter.to);
+    },
+
+    /**
+     * Lists the simulated calls (placed by us or fired at /voice), oldest first
+     * @returns {Array<Object>} - Calls
+     */
+    listCalls() {
+      return state.calls;
+    },
+
+    /**
+     * Forgets every recorded message and call
+     */
+    reset() {
+      state = { messages: [], calls: [] };
+      save();
+    },
+
+    sendWebhook,
+
+    /**
+     * Simulates a contact calling in: posts /voice
+     * @param {Object} call - { from, to }
+     * @returns {Promise<Object>} - { call_sid, status, twiml }
+     */
+    async inboundCall({ from, to }) {
+      const call = {
+        sid: generateSid('CA'),
+        direction: 'inbound',
+        from,
+        to,
+        status: 'in-progress',
+        twiml: null,
+        created_at: new Date().toISOString()
+      };
+      state.calls.push(call);
+      return postCallWebhook(call, '/voice');
+    },
+
+    /**
+     * Simulates a contact answering a call we placed: posts the call's answer URL
+     * @param {string} callSid - SID returned by createCall
+     * @returns {Promise<Object|null>} - { call_sid, status, twiml }, or null for unknown calls
+     */
+    async answerCall(callSid) {
+      const call = findCall(callSid);
+      if (!call || call.direction !== 'outbound') return null;
+      call.status = 'in-progress';
+      return postCallWebhook(call, call.url);
+    },
+
+    /**
+     * Simulates the caller entering digits at the Gather of the call's last TwiML
+     * @param {string} callSid - Call SID
+     * @param {string} digits - Digits entered
+     * @returns {Promise<Object|null>} - { call_sid, status, twiml }, or null when the call isn't waiting for input
+     */
+    async enterDigits(callSid, digits) {
+      const call = findCall(callSid);
+      const action = call && call.twiml && (call.twiml.match(/<Gather[^>]*\baction="([^"]+)"/) || [])[1];
+      if (!action) return null;
+      return postCallWebhook(call, action.replace(/&amp;/g, '&'), { Digits: String(digits) });
+    },
+
+    /**
+     * Simulates Twilio reporting a call status to /call-status
+     * @param {string} callSid - Call SID
+     * @param {string} status - Twilio call status (in-progress, completed, busy, no-answer...)
+     * @param {number} [duration] - Call length in seconds
+     * @returns {Promise<Object|null>} - { status, body }, or null for unknown calls
+     */
+    async reportCallStatus(callSid, status, duration = 0) {
+      const call = findCall(callSid);
+      if (!call) return null;
+      call.status = status;
+      save();
+      return sendWebhook('/call-status', {
+        CallSid: call.sid,
+        AccountSid: 'ACsimulator',
+        From: call.from,
+        To: call.to,
+        CallStatus: status,
+        CallDuration: String(duration)
+      });
+    },
+
+    /**
+     * Simulates a text from a contact: posts /sms
+     * @param {Object} message - { from, to, body }
+     * @returns {Promise<Object>} - { status, body }
+     */
+    async inboundMessage({ from, to, body }) {
+      return sendWebhook('/sms', {
+        MessageSid: generateSid('SM'),
+        AccountSid: 'ACsimulator',
+        From: from,
+        To: to,
+        Body: body
+      });
+    },
+
+    /**
+     * Simulates Twilio reporting a message status to /sms-status
+     * @param {string} messageSid - SID returned by sendMessage
+     * @param {string} status - Twilio message status (sent, delivered, undelivered...)
+     * @returns {Promise<Object|null>} - { status, body }, or null for unknown messages
+     */
+    async reportMessageStatus(messageSid, status) {
+      const message = state.messages.find(candidate => candidate.sid === messageSid);
+      if (!message) return null;
+      message.status = status;
+      save();
+      return sendWebhook('/sms-status', {
+        MessageSid: message.sid,
+        AccountSid: 'ACsimulator',
+        From: message.from,
+        To: message.to,
+        MessageStatus: status
+      });
+    },
+
+    /**
+     * Simulates the ElevenLabs agent delivering the intake of a call to /receive-data
+     * @param {string} callSid - Call SID
+     * @param {Object} [answers] - Intake fields (communication_style, values, raw_transcript...)
+     * @returns {Promise<Object|null>} - { status, body }, or null for unknown calls
+     */
+    async deliverIntake(callSid, answers = {}) {
+      const call = findCall(callSid);
+      if (!call) return null;
+      if (!process.env.ELEVENLABS_WEBHOOK_SECRET) {
+        throw new Error('ELEVENLABS_WEBHOOK_SECRET is not configured');
+      }
+
+      const rawBody = JSON.stringify({
+        ...answers,
+        call_sid: call.sid,
+        caller_id: call.direction === 'outbound' ? call.to : call.from
+      });
+      const response = await fetch(toUrl('/receive-data'), {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'ElevenLabs-Signature': signPayload(rawBody)
+        },
+        body: rawBody
+      });
+      return { status: response.status, body: await response.text() };
+    }
+  };
+}
+
+/**
+ * Registers a provider so it can be selected by name
+ * @param {string} name - Provider name
+ * @param {Object} provider - Provider with sendMessage() and createCall() functions
+ */
+function registerProvider(name, provider) {
+  if (!provider || typeof provider.sendMessage !== 'function' || typeof provider.createCall !== 'function') {
+    throw new Error(`Telephony provider '${name}' must implement sendMessage() and createCall()`);
+  }
+  providers[name] = provider;
+}
+
+/**
+ * Returns the name of the configured provider
+ * @returns {string} - TELEPHONY_PROVIDER, or 'twilio'
+ */
+function getProviderName() {
+  return (process.env.TELEPHONY_PROVIDER || DEFAULT_PROVIDER).toLowerCase();
+}
+
+/**
+ * Resolves the provider to use, TELEPHONY_PROVIDER by default
+ * @param {string|Object} [nameOrProvider] - Provider name or provider object
+ * @returns {Object} - Provider
+ */
+function getProvider(nameOrProvider) {
+  if (nameOrProvider && typeof nameOrProvider === 'object') {
+    return nameOrProvider;
+  }
+
+  const name = nameOrProvider || getProviderName();
+  if (!providers[name] && name === 'simulator') {
+    // Created on first use, so the simulator file is only read when the simulator is used
+    registerProvider('simulator', createSimulatorProvider());
+  }
+
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown telephony provider: ${name}`);
+  }
+  return provider;
+}
+
+registerProvider('twilio', createTwilioProvider());
+
+module.exports = {
+  createTwilioProvider,
+  createSimulatorProvider,
+  registerProvider,
+  getProviderName,
+  getProvider
+};
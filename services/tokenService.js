@@ -0,0 +1,198 @@
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+
+// Short-lived JWT access tokens plus rotating, server-side refresh tokens.
+//
+// Every refresh token belongs to a family (one login session). Refreshing
+// revokes the presented token and issues its successor in the same family;
+// presenting an already-rotated token means it leaked, so the whole family
+// is revoked. Access tokens carry a jti that can be put on the revocation
+// list consulted by verifyToken.
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+/**
+ * Hashes a refresh token for storage/lookup
+ * @param {string} token - Refresh token
+ * @returns {string} - SHA-256 hex digest
+ */
+function hashRefreshToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Signs a new access token
+ * @param {number} userId - User ID
+ * @returns {Object} - { token, expiresIn } where expiresIn is in seconds
+ */
+function signAccessToken(userId) {
+  const token = jwt.sign({ userId }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL,
+    jwtid: crypto.randomUUID()
+  });
+  const { iat, exp } = jwt.decode(token);
+  return { token, expiresIn: exp - iat };
+}
+
+/**
+ * Stores a new refresh token
+ * @param {Object} db - PostgreSQL pool or client
+ * @param {number} userId - User ID
+ * @param {string} familyId - Session the token belongs to
+ * @returns {Promise<Object>} - { refreshToken, id }
+ */
+async function createRefreshToken(db, userId, familyId) {
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+  const result = await db.query(`
+    INSERT INTO refresh_tokens (user_id, token_hash, family_id, expires_at)
+    VALUES ($1, $2, $3, NOW() + ($4 || ' days')::INTERVAL)
+    RETURNING id
+  `, [userId, hashRefreshToken(refreshToken), familyId, REFRESH_TOKEN_TTL_DAYS]);
+  return { refreshToken, id: result.rows[0].id };
+}
+
+/**
+ * Issues an access token and a refresh token for a new session
+ * @param {Object} db - PostgreSQL pool or client
+ * @param {number} userId - User ID
+ * @returns {Promise<Object>} - { token, refreshToken, expiresIn }
+ */
+async function issueTokens(db, userId) {
+  const { refreshToken } = await createRefreshToken(db, userId, crypto.randomUUID());
+  const { token, expiresIn } = signAccessToken(userId);
+  return { token, refreshToken, expiresIn };
+}
+
+/**
+ * Exchanges a refresh token for a new access token and refresh token
+ * @param {Object} pool - PostgreSQL connection pool
+ * @param {string} refreshToken - Refresh token presented by the client
+ * @returns {Promise<Object|null>} - { userId, token, refreshToken, expiresIn }, or null if the token is not usable
+ */
+async function rotateRefreshToken(pool, refreshToken) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(`
+      SELECT id, user_id, family_id, expires_at, revoked_at
+      FROM refresh_tokens
+      WHERE token_hash = $1
+      FOR UPDATE
+    `, [hashRefreshToken(refreshToken)]);
+
+    const stored = result.rows[0];
+    if (!stored) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    if (stored.revoked_at) {
+      // A rotated token was replayed - assume it leaked and end the whole session
+      await client.query(
+        'UPDATE refresh_tokens SET revoked_at = NOW() WHERE family_id = $1 AND revoked_at IS NULL',
+        [stored.family_id]
+      );
+      await client.query('COMMIT');
+      console.warn(`Refresh token reuse detected for user ${stored.user_id}; session revoked`);
+      return null;
+    }
+
+    if (new Date(stored.expires_at) <= new Date()) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const successor = await createRefreshToken(client, stored.user_id, stored.family_id);
+    await client.query(
+      'UPDATE refresh_tokens SET revoked_at = NOW(), replaced_by = $2 WHERE id = $1',
+      [stored.id, successor.id]
+    );
+
+    await client.query('COMMIT');
+
+    const { token, expiresIn } = signAccessToken(stored.user_id);
+    return { userId: stored.user_id, token, refreshToken: successor.refreshToken, expiresIn };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Revokes the session a refresh token belongs to
+ * @param {Object} db - PostgreSQL pool or client
+ * @param {string} refreshToken - Refresh token
+ */
+async function revokeRefreshToken(db, refreshToken) {
+  await db.query(`
+    UPDATE refresh_tokens SET revoked_at = NOW()
+    WHERE revoked_at IS NULL AND family_id = (
+      SELECT family_id FROM refresh_tokens WHERE token_hash = $1
+    )
+  `, [hashRefreshToken(refreshToken)]);
+}
+
+/**
+ * Revokes every refresh token of a user (logs out all sessions)
+ * @param {Object} db - PostgreSQL pool or client
+ * @param {number} userId - User ID
+ */
+async function revokeAllRefreshTokens(db, userId) {
+  await db.query(
+    'UPDATE refresh_tokens SET revoked_at = NOW() WHERE user_id = $1 AND revoked_at IS NULL',
+    [userId]
+  );
+}
+
+/**
+ * Adds an access token to the revocation list until it expires
+ * @param {Object} db - PostgreSQL pool or client
+ * @param {Object} payload - Decoded access token ({ jti, userId, exp })
+ */
+async function revokeAccessToken(db, payload) {
+  if (!payload || !payload.jti) return;
+  await db.query(`
+    INSERT INTO revoked_tokens (jti, user_id, expires_at)
+    VALUES ($1, $2, TO_TIMESTAMP($3))
+    ON CONFLICT (jti) DO NOTHING
+  `, [payload.jti, payload.userId, payload.exp]);
+}
+
+/**
+ * Checks the revocation list for an access token
+ * @param {Object} db - PostgreSQL pool or client
+ * @param {string} jti - Token ID
+ * @returns {Promise<boolean>} - True if revoked
+ */
+async function isAccessTokenRevoked(db, jti) {
+  const result = await db.query('SELECT 1 FROM revoked_tokens WHERE jti = $1', [jti]);
+  return result.rows.length > 0;
+}
+
+/**
+ * Removes expired entries from the revocation list and refresh token table
+ * @param {Object} pool - PostgreSQL connection pool
+ */
+async function cleanupExpiredTokens(pool) {
+  try {
+    const revoked = await pool.query('DELETE FROM revoked_tokens WHERE expires_at < NOW()');
+    const refresh = await pool.query('DELETE FROM refresh_tokens WHERE expires_at < NOW()');
+    console.log(`Cleaned up tokens: ${revoked.rowCount} revoked access tokens, ${refresh.rowCount} expired refresh tokens removed`);
+  } catch (error) {
+    console.error('Error cleaning up tokens:', error.message);
+  }
+}
+
+module.exports = {
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllRefreshTokens,
+  revokeAccessToken,
+  isAccessTokenRevoked,
+  cleanupExpiredTokens
+};
@@ -0,0 +1,217 @@
+// Transcript extraction providers used by intakeAgentService.parseTranscript
+//
+// A provider is an object of the shape { name, extract(request) } where
+// request is { transcript, fields, attempt, previousError } and extract resolves
+// to the raw model output (a JSON string or an already-parsed object) with the shape:
+//   { "fields": { "<field key>": { "answer": string|null, "confidence": 0..1, "excerpt": string|null } } }
+// Validation and retries happen in intakeAgentService, so providers stay thin.
+
+const OpenAI = require('openai');
+
+const DEFAULT_OPENAI_MODEL = 'gpt-4o-mini';
+
+const providers = {};
+
+/**
+ * Builds the extraction instructions shared by LLM-backed providers
+ * @param {Array<Object>} fields - Field definitions ({ key, label, description })
+ * @returns {string} - System prompt text
+ */
+function buildExtractionPrompt(fields) {
+  const fieldLines = fields
+    .map(field => `- "${field.key}": ${field.description || field.label || field.key}`)
+    .join('\n');
+
+  return `You extract structured answers from the transcript of a professional intake call.
+Return ONLY a JSON object of the form:
+{"fields": {"<key>": {"answer": string or null, "confidence": number between 0 and 1, "excerpt": string or null}}}
+
+Include every one of these keys:
+${fieldLines}
+
+Rules:
+- "answer" summarises what the caller said in one or two sentences, in the third person.
+- "excerpt" is the caller's own words from the transcript that support the answer.
+- If the caller never addressed a field, set "answer" and "excerpt" to null and "confidence" to 0.
+- Never invent information that is not in the transcript.`;
+}
+
+/**
+ * Creates a provider backed by the OpenAI chat completions API
+ * @param {Object} options - { apiKey, model }
+ * @returns {Object} - Provider
+ */
+function createOpenAIProvider(options = {}) {
+  const apiKey = options.apiKey || process.env.OPENAI_API_KEY;
+  const model = options.model || process.env.TRANSCRIPT_PARSER_MODEL || DEFAULT_OPENAI_MODEL;
+  let client = null;
+
+  return {
+    name: 'openai',
+    async extract({ transcript, fields, previousError }) {
+      if (!apiKey) {
+        throw new Error('OPENAI_API_KEY is not configured');
+      }
+      if (!client) {
+        client = new OpenAI({ apiKey });
+      }
+
+      const messages = [
+        { role: 'system', content: buildExtractionPrompt(fields) },
+        { role: 'user', content: `Transcript:\n${transcript}` }
+      ];
+
+      // Tell the model what was wrong with its last answer when retrying
+      if (previousError) {
+        messages.push({
+          role: 'user',
+          content: `Your previous response was rejected: ${previousError}. Respond again with valid JSON only.`
+        });
+      }
+
+      const completion = await client.chat.completions.create({
+        model,
+        temperature: 0,
+        response_format: { type: 'json_object' },
+        messages
+      });
+
+      return completion.choices[0]?.message?.content;
+    }
+  };
+}
+
+/**
+ * Splits a transcript into speaker turns ("Agent: ...", "User: ...")
+ * @param {string} transcript - Raw transcript
+ * @returns {Array<Object>} - Turns as { speaker, text, isAgent }
+ */
+function splitTurns(transcript) {
+  const turns = [];
+  for (const line of transcript.split(/\r?\n/)) {
+    const trimmed = line.trim();
+    if (!trimmed) continue;
+
+    const match = trimmed.match(/^([A-Za-z][\w .-]{0,30}):\s*(.*)$/);
+    if (match) {
+      turns.push({
+        speaker: match[1],
+        text: match[2],
+        isAgent: /\b(agent|ai|assistant|bot)\b/i.test(match[1])
+      });
+    } else if (turns.length > 0) {
+      // Continuation of the previous speaker's turn
+      turns[turns.length - 1].text += ` ${trimmed}`;
+    }
+  }
+  return turns;
+}
+
+/**
+ * Returns the lowercase keywords used to spot a field in a transcript
+ * @param {Object} field - Field definition
+ * @returns {Array<string>} - Keywords
+ */
+function fieldKeywords(field) {
+  if (Array.isArray(field.keywords) && field.keywords.length > 0) {
+    return field.keywords.map(keyword => keyword.toLowerCase());
+  }
+  return (field.label || field.key)
+    .toLowerCase()
+    .split(/[\s_]+/)
+    .filter(word => word.length > 3);
+}
+
+/**
+ * Creates a deterministic rule-based provider that needs no network access.
+ * It looks for the agent turn asking about each field and takes the caller's
+ * reply that follows it as the answer.
+ * @returns {Object} - Provider
+ */
+function createLocalProvider() {
+  return {
+    name: 'local',
+    async extract({ transcript, fields }) {
+      const turns = splitTurns(transcript);
+      const result = { fields: {} };
+
+      for (const field of fields) {
+        const keywords = fieldKeywords(field);
+        const mentions = text => keywords.some(keyword => text.toLowerCase().includes(keyword));
+
+        let answer = null;
+        let confidence = 0;
+
+        const questionIndex = turns.findIndex(turn => turn.isAgent && mentions(turn.text));
+        if (questionIndex !== -1) {
+          const reply = [];
+          for (let i = questionIndex + 1; i < turns.length && !turns[i].isAgent; i++) {
+            reply.push(turns[i].text);
+          }
+          if (reply.length > 0) {
+            answer = reply.join(' ');
+            confidence = 0.6;
+          }
+        } else {
+          // No speaker labels to go on - fall back to any caller sentence mentioning the field
+          const sentence = transcript
+            .split(/(?<=[.!?])\s+/)
+            .find(candidate => mentions(candidate));
+          if (sentence) {
+            answer = sentence.trim();
+            confidence = 0.3;
+          }
+        }
+
+        result.fields[field.key] = { answer, confidence, excerpt: answer };
+      }
+
+      return result;
+    }
+  };
+}
+
+/**
+ * Registers a provider so it can be selected by name
+ * @param {string} name - Provider name
+ * @param {Object} provider - Provider with an extract() function
+ */
+function registerProvider(name, provider) {
+  if (!provider || typeof provider.extract !== 'function') {
+    throw new Error(`Transcript provider '${name}' must implement extract()`);
+  }
+  providers[name] = provider;
+}
+
+/**
+ * Resolves the provider to use. Defaults to TRANSCRIPT_PARSER_PROVIDER, or
+ * OpenAI when an API key is configured and the local provider otherwise.
+ * @param {string|Object} [nameOrProvider] - Provider name or provider object
+ * @returns {Object} - Provider
+ */
+function getProvider(nameOrProvider) {
+  if (nameOrProvider && typeof nameOrProvider === 'object') {
+    return nameOrProvider;
+  }
+
+  const name = nameOrProvider
+    || process.env.TRANSCRIPT_PARSER_PROVIDER
+    || (process.env.OPENAI_API_KEY ? 'openai' : 'local');
+
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown transcript provider: ${name}`);
+  }
+  return provider;
+}
+
+registerProvider('openai', createOpenAIProvider());
+registerProvider('local', createLocalProvider());
+
+module.exports = {
+  buildExtractionPrompt,
+  createOpenAIProvider,
+  createLocalProvider,
+  registerProvider,
+  getProvider
+};
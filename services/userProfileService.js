@@ -0,0 +1,159 @@
+// User profiles: display name, the user's own Twilio number and their country.
+//
+// The display name is what contacts hear and read ("Dana asked me to..."); until a
+// user sets one, the part of their email before the @ is used. SMS to a user's
+// contacts are sent from their Twilio number, falling back to the shared
+// TWILIO_PHONE_NUMBER, and calls to their number are routed to their contacts.
+// Phone numbers the user types without a country code are read in their
+// default_country (see phoneNumberService).
+
+const telephonyProviders = require('./telephonyProviders');
+const phoneNumberService = require('./phoneNumberService');
+
+const MAX_DISPLAY_NAME_LENGTH = 100;
+
+/**
+ * Loads a user's profile
+ * @param {Object} db - PostgreSQL pool or client
+ * @param {number} userId - User ID
+ * @returns {Promise<Object|null>} - { id, email, display_name, twilio_phone_number, default_country } or null
+ */
+async function getProfile(db, userId) {
+  const result = await db.query(
+    'SELECT id, email, display_name, twilio_phone_number, default_country FROM users WHERE id = $1',
+    [userId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Returns the country a user's phone numbers without a country code are read in
+ * @param {Object} db - PostgreSQL pool or client
+ * @param {number} userId - User ID
+ * @returns {Promise<string>} - ISO country code (see phoneNumberService.getDefaultCountry)
+ */
+async function getPhoneCountry(db, userId) {
+  return phoneNumberService.getDefaultCountry(await getProfile(db, userId));
+}
+
+/**
+ * Returns the name a user is introduced by
+ * @param {Object|null} profile - Profile from getProfile
+ * @returns {string} - Display name, or the email prefix when none is set
+ */
+function getDisplayName(profile) {
+  if (!profile) return '';
+  return profile.display_name || profile.email.split('@')[0];
+}
+
+/**
+ * Returns the number SMS to a user's contacts are sent from
+ * @param {Object|null} profile - Profile from getProfile
+ * @returns {string|null} - The user's Twilio number, else TWILIO_PHONE_NUMBER
+ */
+function getSenderNumber(profile) {
+  return (profile && profile.twilio_phone_number) || process.env.TWILIO_PHONE_NUMBER || null;
+}
+
+/**
+ * Tells whether SMS can be sent for a user
+ * @param {Object|null} profile - Profile from getProfile
+ * @returns {boolean} - True when the telephony provider (e.g. Twilio credentials) and a sender number are configured
+ */
+function canSendSms(profile) {
+  return !!(telephonyProviders.getProvider().isConfigured() && getSenderNumber(profile));
+}
+
+/**
+ * Finds the user a Twilio number is assigned to
+ * @param {Object} db - PostgreSQL pool or client
+ * @param {string} phoneNumber - Number that was called
+ * @returns {Promise<number|null>} - User ID, or null for the shared number or unknown numbers
+ */
+async function findUserIdByTwilioNumber(db, phoneNumber) {
+  if (!phoneNumber) return null;
+  const result = await db.query('SELECT id FROM users WHERE twilio_phone_number = $1', [phoneNumber]);
+  return result.rows[0] ? result.rows[0].id : null;
+}
+
+/**
+ * Checks a profile update
+ * @param {Object} input - Request body ({ display_name, twilio_phone_number, default_country }); missing fields stay unchanged
+ * @returns {Object} - { changes } or { error }
+ */
+function validateProfileUpdate(input) {
+  const changes = {};
+
+  if (input.display_name !== undefined) {
+    const displayName = input.display_name === null ? '' : String(input.display_name).trim();
+    if (displayName.length > MAX_DISPLAY_NAME_LENGTH) {
+      return { error: `Display name must be at most ${MAX_DISPLAY_NAME_LENGTH} characters` };
+    }
+    changes.display_name = displayName || null;
+  }
+
+  if (input.default_country !== undefined) {
+    const country = input.default_country === null ? '' : String(input.default_country).trim().toUpperCase();
+    if (country && !phoneNumberService.isSupportedCountry(country)) {
+      return { error: 'Unknown country. Please use a two-letter country code such as US or GB' };
+    }
+    changes.default_country = country || null;
+  }
+
+  if (input.twilio_phone_number !== undefined) {
+    const value = input.twilio_phone_number === null ? '' : String(input.twilio_phone_number).trim();
+    const phoneNumber = value ? phoneNumberService.normalizePhoneNumber(value, phoneNumberService.getDefaultCountry(changes)) : null;
+    if (value && !phoneNumber) {
+      return { error: 'Invalid Twilio phone number. Please use E.164 format (e.g., +12125551234)' };
+    }
+    changes.twilio_phone_number = phoneNumber;
+  }
+
+  return { changes };
+}
+
+/**
+ * Checks that a number belongs to the configured Twilio account. Skipped when no
+ * Twilio credentials are configured, and by the telephony simulator.
+ * @param {string} phoneNumber - E.164 number
+ * @returns {Promise<boolean>} - True if the account owns the number (or it can't be checked)
+ */
+async function isAccountTwilioNumber(phoneNumber) {
+  return telephonyProviders.getProvider().hasNumber(phoneNumber);
+}
+
+/**
+ * Updates a user's profile
+ * @param {Object} db - PostgreSQL pool or client
+ * @param {number} userId - User ID
+ * @param {Object} changes - Validated changes from validateProfileUpdate
+ * @returns {Promise<Object>} - Updated profile
+ */
+async function updateProfile(db, userId, changes) {
+  const result = await db.query(`
+    UPDATE users
+    SET display_name = CASE WHEN $2 THEN $3 ELSE display_name END,
+        twilio_phone_number = CASE WHEN $4 THEN $5 ELSE twilio_phone_number END,
+        default_country = CASE WHEN $6 THEN $7 ELSE default_country END
+    WHERE id = $1
+    RETURNING id, email, display_name, twilio_phone_number, default_country
+  `, [
+    userId,
+    'display_name' in changes, changes.display_name ?? null,
+    'twilio_phone_number' in changes, changes.twilio_phone_number ?? null,
+    'default_country' in changes, changes.default_country ?? null
+  ]);
+  return result.rows[0] || null;
+}
+
+module.exports = {
+  getProfile,
+  getPhoneCountry,
+  getDisplayName,
+  getSenderNumber,
+  canSendSms,
+  findUserIdByTwilioNumber,
+  validateProfileUpdate,
+  isAccountTwilioNumber,
+  updateProfile
+};
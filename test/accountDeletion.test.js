@@ -0,0 +1,92 @@
+// Deleting an account: every number the user stored is erased (calls and quarantined
+// intakes included), consent events lose the user, and the user's tokens stop working.
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { skipReason, newCallSid, intakePayload, startTestApp } = require('./helpers');
+
+const NUMBER = '+12125550301';
+const STRANGER = '+13125550399';
+const SHARED_NUMBER = process.env.TWILIO_PHONE_NUMBER;
+const OWN_NUMBER = '+18005550155';
+const PASSWORD = 'Correct-Horse-42';
+
+describe('account deletion', { skip: skipReason }, () => {
+  let ctx;
+  let user;
+  let other;
+  let refreshToken;
+
+  before(async () => {
+    ctx = await startTestApp();
+    user = await ctx.createUser();
+    other = await ctx.createUser();
+    const login = await ctx.api('POST', '/login', { email: user.email, password: PASSWORD });
+    refreshToken = login.body.refreshToken;
+
+    // A contact who called in, with a consent note, and a stranger quarantined for the user
+    const contact = await ctx.api('POST', '/contacts', { first_name: 'Ada', last_name: 'Lovelace', phone_number: NUMBER }, user.token);
+    await ctx.api('POST', `/contacts/${contact.body.contact_id}/consent`, { status: 'opted_out', note: 'Asked on the phone' }, user.token);
+    await ctx.twilioWebhook('voice', { CallSid: newCallSid(), From: NUMBER, To: SHARED_NUMBER });
+
+    await ctx.api('PUT', '/profile', { twilio_phone_number: OWN_NUMBER }, user.token);
+    const callSid = newCallSid();
+    await ctx.twilioWebhook('voice', { CallSid: callSid, From: STRANGER, To: OWN_NUMBER });
+    const quarantined = await ctx.elevenLabsWebhook(intakePayload({ callSid, callerId: STRANGER }));
+    assert.equal(quarantined.status, 202);
+
+    // The other user has the same contact and keeps it
+    await ctx.api('POST', '/contacts', { first_name: 'Ada', last_name: 'Other', phone_number: NUMBER }, other.token);
+  });
+
+  after(async () => {
+    await ctx.close();
+  });
+
+  /**
+   * Counts the rows of a table matching a condition
+   * @param {string} table - Table name
+   * @param {string} where - Condition with $1
+   * @param {*} value - Value of $1
+   * @returns {Promise<number>} - Row count
+   */
+  async function count(table, where, value) {
+    const result = await ctx.pool.query(`SELECT COUNT(*)::INTEGER AS count FROM ${table} WHERE ${where}`, [value]);
+    return result.rows[0].count;
+  }
+
+  it('needs the password', async () => {
+    const { status } = await ctx.api('DELETE', '/account', { password: 'wrong-password' }, user.token);
+    assert.equal(status, 401);
+    assert.equal(await count('users', 'id = $1', user.userId), 1);
+  });
+
+  it("erases the user's calls and quarantined intakes and anonymizes their consent events", async () => {
+    assert.equal(await count('call_log', 'user_id = $1', user.userId), 2);
+
+    const { status } = await ctx.api('DELETE', '/account', { password: PASSWORD }, user.token);
+    assert.equal(status, 200);
+
+    assert.equal(await count('users', 'id = $1', user.userId), 0);
+    assert.equal(await count('call_log', 'phone_number = $1', NUMBER), 0);
+    assert.equal(await count('call_log', 'phone_number = $1', STRANGER), 0);
+    assert.equal(await count('unmatched_intakes', 'caller_id = $1', STRANGER), 0);
+
+    // The opt-out stays in the registry, without the user's name or note
+    const events = await ctx.pool.query('SELECT user_id, note FROM sms_consent_events WHERE phone_number = $1 AND status = $2', [NUMBER, 'opted_out']);
+    assert.deepEqual(events.rows, [{ user_id: null, note: null }]);
+    assert.equal(await count('sms_consent', "phone_number = $1 AND status = 'opted_out'", NUMBER), 1);
+
+    // The other user's contact is untouched
+    assert.equal(await count('contacts', 'user_id = $1', other.userId), 1);
+  });
+
+  it('ends every session of the deleted account', async () => {
+    const access = await ctx.api('GET', '/contacts', null, user.token);
+    assert.equal(access.status, 401);
+    assert.equal(access.body.code, 'token_revoked');
+
+    const refresh = await ctx.api('POST', '/token/refresh', { refreshToken });
+    assert.equal(refresh.status, 401);
+  });
+});
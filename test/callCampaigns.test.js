@@ -0,0 +1,79 @@
+// Outbound call campaigns: dispatch jobs place the calls, /call-status reports finish
+// them, and a call whose report never arrives is swept so the campaign still completes.
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { skipReason, startTestApp } = require('./helpers');
+
+describe('call campaigns', { skip: skipReason }, () => {
+  let ctx;
+  let user;
+
+  before(async () => {
+    ctx = await startTestApp();
+    user = await ctx.createUser();
+  });
+
+  after(async () => {
+    await ctx.close();
+  });
+
+  /**
+   * Adds a contact and has the agent call it
+   * @param {string} phoneNumber - Contact's number
+   * @returns {Promise<Object>} - { campaignId, callSid }
+   */
+  async function callContact(phoneNumber) {
+    const contact = await ctx.api('POST', '/contacts', { first_name: 'Ada', last_name: 'Lovelace', phone_number: phoneNumber }, user.token);
+    const { status, body } = await ctx.api('POST', `/contacts/${contact.body.contact_id}/call`, {}, user.token);
+    assert.equal(status, 201, JSON.stringify(body));
+    await ctx.runJobs();
+
+    const call = ctx.simulator.listCalls().find(placed => placed.direction === 'outbound' && placed.to === phoneNumber);
+    assert.ok(call, 'the call was placed');
+    return { campaignId: body.campaign.id, callSid: call.sid };
+  }
+
+  /**
+   * Loads a campaign
+   * @param {number} campaignId - Campaign ID
+   * @returns {Promise<Object>} - call_campaigns row
+   */
+  async function campaignRow(campaignId) {
+    const result = await ctx.pool.query('SELECT * FROM call_campaigns WHERE id = $1', [campaignId]);
+    return result.rows[0];
+  }
+
+  it('completes the campaign once Twilio reports how the call ended', async () => {
+    const { campaignId, callSid } = await callContact('+12125550201');
+    assert.equal((await campaignRow(campaignId)).status, 'active');
+
+    const report = await ctx.twilioWebhook('call-status', { CallSid: callSid, CallStatus: 'completed', CallDuration: '42', To: '+12125550201' });
+    assert.equal(report.status, 204);
+    await ctx.runJobs();
+
+    assert.equal((await campaignRow(campaignId)).status, 'completed');
+    const call = await ctx.pool.query('SELECT status, outcome FROM campaign_calls WHERE campaign_id = $1', [campaignId]);
+    assert.deepEqual(call.rows[0], { status: 'answered', outcome: 'completed' });
+  });
+
+  it('fails calls whose status callback never arrives and completes the campaign', async () => {
+    const { campaignId } = await callContact('+12125550202');
+
+    // No /call-status: a dispatch is waiting for the call to go stale
+    const dispatch = await ctx.pool.query(`
+      SELECT run_at > NOW() + INTERVAL '110 minutes' AS later FROM jobs
+      WHERE type = 'dial_campaign' AND status = 'pending' AND (payload->>'campaign_id')::INTEGER = $1
+    `, [campaignId]);
+    assert.deepEqual(dispatch.rows, [{ later: true }]);
+
+    // Two hours later
+    await ctx.pool.query(`UPDATE campaign_calls SET updated_at = NOW() - INTERVAL '121 minutes' WHERE campaign_id = $1`, [campaignId]);
+    await ctx.pool.query(`UPDATE jobs SET run_at = NOW() WHERE type = 'dial_campaign' AND status = 'pending'`);
+    await ctx.runJobs();
+
+    assert.equal((await campaignRow(campaignId)).status, 'completed');
+    const call = await ctx.pool.query('SELECT status, outcome FROM campaign_calls WHERE campaign_id = $1', [campaignId]);
+    assert.deepEqual(call.rows[0], { status: 'failed', outcome: 'no_status' });
+  });
+});
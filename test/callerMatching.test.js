@@ -0,0 +1,248 @@
+// How /receive-data works out whose intake it received: by the call SID the agent
+// echoes back (temp_calls, then call_log), by the caller's number, through the call
+// routing of numbers shared by several users, and quarantine when nothing matches (for
+// the user the intake can be told to belong to).
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { skipReason, newCallSid, intakePayload, startTestApp } = require('./helpers');
+const dbService = require('../services/dbService');
+
+const SHARED_NUMBER = process.env.TWILIO_PHONE_NUMBER;
+const OWN_NUMBER = '+18005550199';
+
+describe('caller matching in /receive-data', { skip: skipReason }, () => {
+  let ctx;
+  let owner;
+  let other;
+  const contacts = {};
+
+  before(async () => {
+    ctx = await startTestApp();
+    owner = await ctx.createUser();
+    other = await ctx.createUser();
+
+    const addContact = async (user, first_name, phone_number) => {
+      const { status, body } = await ctx.api('POST', '/contacts', { first_name, last_name: 'Test', phone_number }, user.token);
+      assert.equal(status, 201);
+      return body.contact_id;
+    };
+    contacts.ada = await addContact(owner, 'Ada', '+12125550001');
+    contacts.bob = await addContact(owner, 'Bob', '+12125550002');
+    contacts.cy = await addContact(owner, 'Cy', '+12125550003');
+    // The same number is a contact of both users; calls to the other user's own number are theirs
+    contacts.sharedOwner = await addContact(owner, 'Dee', '+12125550004');
+    contacts.sharedOther = await addContact(other, 'Dee', '+12125550004');
+    const profile = await ctx.api('PUT', '/profile', { twilio_phone_number: OWN_NUMBER }, other.token);
+    assert.equal(profile.status, 200);
+  });
+
+  after(async () => {
+    await ctx.close();
+  });
+
+  /**
+   * Loads the intake a delivery created
+   * @param {Object} delivery - /receive-data response
+   * @returns {Promise<Object>} - intake_responses row
+   */
+  async function storedIntake(delivery) {
+    assert.equal(delivery.status, 200, JSON.stringify(delivery.body));
+    const result = await ctx.pool.query('SELECT * FROM intake_responses WHERE id = $1', [delivery.body.intake_id]);
+    return result.rows[0];
+  }
+
+  it('matches by the call SID of the call /voice logged', async () => {
+    const callSid = newCallSid();
+    await ctx.twilioWebhook('voice', { CallSid: callSid, From: '+12125550001', To: SHARED_NUMBER });
+
+    const intake = await storedIntake(await ctx.elevenLabsWebhook(intakePayload({ callSid })));
+    assert.equal(intake.contact_id, contacts.ada);
+    assert.equal(intake.phone_number, '+12125550001');
+  });
+
+  it('falls back to call_log once temp_calls was cleaned up', async () => {
+    const callSid = newCallSid();
+    await ctx.twilioWebhook('voice', { CallSid: callSid, From: '+12125550002', To: SHARED_NUMBER });
+    await ctx.pool.query('DELETE FROM temp_calls WHERE call_sid = $1', [callSid]);
+
+    const intake = await storedIntake(await ctx.elevenLabsWebhook(intakePayload({ callSid })));
+    assert.equal(intake.contact_id, contacts.bob);
+  });
+
+  it("finds the call by the caller's number when the agent didn't pass the call SID", async () => {
+    const callSid = newCallSid();
+    await ctx.twilioWebhook('voice', { CallSid: callSid, From: '+12125550003', To: SHARED_NUMBER });
+
+    const intake = await storedIntake(await ctx.elevenLabsWebhook(intakePayload({ callerId: '+12125550003' })));
+    assert.equal(intake.contact_id, contacts.cy);
+
+    // The call the number made is the one that produced the intake
+    const call = await ctx.pool.query('SELECT status, status_reason FROM call_log WHERE call_sid = $1', [callSid]);
+    assert.deepEqual(call.rows[0], { status: 'completed', status_reason: 'intake_received' });
+  });
+
+  it("matches a contact by the caller's number alone", async () => {
+    await ctx.pool.query('DELETE FROM temp_calls');
+
+    const intake = await storedIntake(await ctx.elevenLabsWebhook(intakePayload({ callerId: '+12125550001' })));
+    assert.equal(intake.contact_id, contacts.ada);
+    assert.equal(intake.user_id, owner.userId);
+  });
+
+  it('uses the routing of numbers shared by several users', async () => {
+    const toOther = newCallSid();
+    await ctx.twilioWebhook('voice', { CallSid: toOther, From: '+12125550004', To: OWN_NUMBER });
+    const toShared = newCallSid();
+    await ctx.twilioWebhook('voice', { CallSid: toShared, From: '+12125550004', To: SHARED_NUMBER });
+
+    const otherIntake = await storedIntake(await ctx.elevenLabsWebhook(intakePayload({ callSid: toOther })));
+    assert.equal(otherIntake.contact_id, contacts.sharedOther);
+    assert.equal(otherIntake.user_id, other.userId);
+
+    // The shared number considers everyone's contacts; the routing /voice picked is kept
+    const route = await ctx.pool.query('SELECT contact_id FROM call_log WHERE call_sid = $1', [toShared]);
+    const sharedIntake = await storedIntake(await ctx.elevenLabsWebhook(intakePayload({ callSid: toShared })));
+    assert.equal(sharedIntake.contact_id, route.rows[0].contact_id);
+  });
+
+  it('quarantines intakes from callers who are not contacts', async () => {
+    const callSid = newCallSid();
+    await ctx.twilioWebhook('voice', { CallSid: callSid, From: '+13125559999', To: SHARED_NUMBER });
+    const payload = intakePayload({ callSid });
+
+    const { status, body } = await ctx.elevenLabsWebhook(payload);
+    assert.equal(status, 202);
+    assert.equal(body.status, 'quarantined');
+
+    const unmatched = await ctx.pool.query('SELECT * FROM unmatched_intakes WHERE id = $1', [body.unmatched_intake_id]);
+    assert.equal(unmatched.rows[0].caller_id, '+13125559999');
+    assert.equal(unmatched.rows[0].call_sid, callSid);
+    assert.equal(unmatched.rows[0].payload.conversation_id, payload.conversation_id);
+    assert.match(unmatched.rows[0].raw_transcript, /consulting practice/);
+    // A stranger calling the shared number could be anyone's - nobody gets to see it
+    assert.equal(unmatched.rows[0].user_id, null);
+    for (const user of [owner, other]) {
+      const list = await ctx.api('GET', '/unmatched-intakes', null, user.token);
+      assert.ok(!list.body.unmatched_intakes.some(intake => intake.id === body.unmatched_intake_id));
+    }
+  });
+
+  it('deletes unmatched intakes nobody owns once they are a week old', async () => {
+    const stale = await ctx.elevenLabsWebhook(intakePayload({ callerId: '+13125557777' }));
+    const recent = await ctx.elevenLabsWebhook(intakePayload({ callerId: '+13125557777' }));
+    const owned = await ctx.pool.query(`
+      INSERT INTO unmatched_intakes (caller_id, payload, user_id, received_at)
+      VALUES ('+13125557777', '{}', $1, NOW() - INTERVAL '30 days') RETURNING id
+    `, [owner.userId]);
+    await ctx.pool.query(`UPDATE unmatched_intakes SET received_at = NOW() - INTERVAL '8 days' WHERE id = $1`, [stale.body.unmatched_intake_id]);
+
+    await dbService.cleanupUnownedIntakes(ctx.pool);
+
+    const left = await ctx.pool.query("SELECT id FROM unmatched_intakes WHERE caller_id = '+13125557777' ORDER BY id");
+    assert.deepEqual(left.rows.map(row => row.id), [recent.body.unmatched_intake_id, owned.rows[0].id]);
+  });
+
+  it('leaves unmatched intakes to the user whose number was called', async () => {
+    const callSid = newCallSid();
+    await ctx.twilioWebhook('voice', { CallSid: callSid, From: '+13125558888', To: OWN_NUMBER });
+    const { status, body } = await ctx.elevenLabsWebhook(intakePayload({ callSid }));
+    assert.equal(status, 202);
+    const id = body.unmatched_intake_id;
+
+    const listed = async (user) => (await ctx.api('GET', '/unmatched-intakes', null, user.token)).body.unmatched_intakes.some(intake => intake.id === id);
+    assert.equal(await listed(other), true);
+    assert.equal(await listed(owner), false);
+
+    const assignedByOwner = await ctx.api('POST', `/unmatched-intakes/${id}/assign`, { contactId: contacts.ada }, owner.token);
+    assert.equal(assignedByOwner.status, 404);
+    const discardedByOwner = await ctx.api('POST', `/unmatched-intakes/${id}/discard`, null, owner.token);
+    assert.equal(discardedByOwner.status, 404);
+
+    const assigned = await ctx.api('POST', `/unmatched-intakes/${id}/assign`, { contactId: contacts.sharedOther }, other.token);
+    assert.equal(assigned.status, 200);
+    const intake = await ctx.pool.query('SELECT contact_id, user_id FROM intake_responses WHERE id = $1', [assigned.body.intake_id]);
+    assert.deepEqual(intake.rows[0], { contact_id: contacts.sharedOther, user_id: other.userId });
+  });
+
+  it('leaves unmatched intakes from an archived contact to its user', async () => {
+    const archived = await ctx.api('POST', '/contacts', { first_name: 'Eve', last_name: 'Test', phone_number: '+12125550005' }, owner.token);
+    await ctx.api('POST', `/contacts/${archived.body.contact_id}/archive`, null, owner.token);
+
+    const { status, body } = await ctx.elevenLabsWebhook(intakePayload({ callerId: '+12125550005' }));
+    assert.equal(status, 202);
+    const unmatched = await ctx.pool.query('SELECT user_id FROM unmatched_intakes WHERE id = $1', [body.unmatched_intake_id]);
+    assert.equal(unmatched.rows[0].user_id, owner.userId);
+
+    const discarded = await ctx.api('POST', `/unmatched-intakes/${body.unmatched_intake_id}/discard`, null, owner.token);
+    assert.equal(discarded.status, 200);
+  });
+
+  it('quarantines intakes without any caller information', async () => {
+    const { status, body } = await ctx.elevenLabsWebhook(intakePayload({ callerId: 'unknown' }));
+    assert.equal(status, 202);
+
+    const unmatched = await ctx.pool.query('SELECT caller_id, call_sid FROM unmatched_intakes WHERE id = $1', [body.unmatched_intake_id]);
+    assert.deepEqual(unmatched.rows[0], { caller_id: null, call_sid: null });
+  });
+
+  /**
+   * Runs work while every update of a table fails
+   * @param {string} table - Table name
+   * @param {Function} work - async () => void
+   * @returns {Promise<void>}
+   */
+  async function withReadOnlyTable(table, work) {
+    await ctx.pool.query(`
+      CREATE FUNCTION reject_update() RETURNS trigger AS $$
+      BEGIN RAISE EXCEPTION '% is read-only', TG_TABLE_NAME; END;
+      $$ LANGUAGE plpgsql
+    `);
+    await ctx.pool.query(`CREATE TRIGGER read_only BEFORE UPDATE ON ${table} FOR EACH ROW EXECUTE FUNCTION reject_update()`);
+    try {
+      await work();
+    } finally {
+      await ctx.pool.query(`DROP TRIGGER read_only ON ${table}`);
+      await ctx.pool.query('DROP FUNCTION reject_update()');
+    }
+  }
+
+  it("stores the intake when the call log can't be updated", async () => {
+    const callSid = newCallSid();
+    await ctx.twilioWebhook('voice', { CallSid: callSid, From: '+12125550003', To: SHARED_NUMBER });
+
+    await withReadOnlyTable('call_log', async () => {
+      const intake = await storedIntake(await ctx.elevenLabsWebhook(intakePayload({ callSid })));
+      assert.equal(intake.contact_id, contacts.cy);
+    });
+  });
+
+  it("stores the intake when the call route can't be recorded", async () => {
+    // A call /voice never saw, so the route is worked out (and recorded) here
+    await withReadOnlyTable('temp_calls', async () => {
+      const intake = await storedIntake(await ctx.elevenLabsWebhook(intakePayload({ callSid: newCallSid(), callerId: '+12125550002' })));
+      assert.equal(intake.contact_id, contacts.bob);
+    });
+  });
+
+  it('acknowledges repeated deliveries without a second intake', async () => {
+    const countIntakes = async () => (await ctx.pool.query('SELECT COUNT(*)::INTEGER AS count FROM intake_responses')).rows[0].count;
+    const payload = intakePayload({ callerId: '+12125550002' });
+    const first = await ctx.elevenLabsWebhook(payload);
+    const intakes = await countIntakes();
+    const retry = await ctx.elevenLabsWebhook(payload);
+
+    assert.equal(first.status, 200);
+    assert.equal(retry.status, 200);
+    assert.equal(retry.body.status, 'duplicate');
+    assert.equal(retry.body.intake_id, first.body.intake_id);
+    assert.equal(await countIntakes(), intakes);
+  });
+
+  it('rejects deliveries without a valid signature', async () => {
+    const { status } = await ctx.elevenLabsWebhook(intakePayload({ callerId: '+12125550001' }), {
+      signature: `t=${Math.floor(Date.now() / 1000)},v0=${'0'.repeat(64)}`
+    });
+    assert.equal(status, 401);
+  });
+});
@@ -0,0 +1,185 @@
+// Archiving contacts, the subject-access export and erasure: deleting a contact (or a
+// phone number) removes everything stored about the number for that user, leaves other
+// users' data and data that belongs to nobody alone and is recorded in the erasure log.
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { skipReason, newCallSid, intakePayload, startTestApp } = require('./helpers');
+
+const NUMBER = '+12125550101';
+const STRANGER = '+13125550199';
+const SHARED_NUMBER = process.env.TWILIO_PHONE_NUMBER;
+const OWN_NUMBER = '+18005550177';
+
+describe('contact archiving, export and erasure', { skip: skipReason }, () => {
+  let ctx;
+  let owner;
+  let other;
+  let contactId;
+  let otherContactId;
+
+  before(async () => {
+    ctx = await startTestApp();
+    owner = await ctx.createUser();
+    other = await ctx.createUser();
+
+    // Both users have the number; the owner invited it last, so its calls route to the owner
+    const otherContact = await ctx.api('POST', '/contacts', { first_name: 'Ada', last_name: 'Other', phone_number: NUMBER }, other.token);
+    otherContactId = otherContact.body.contact_id;
+    const contact = await ctx.api('POST', '/contacts', { first_name: 'Ada', last_name: 'Lovelace', phone_number: NUMBER }, owner.token);
+    assert.equal(contact.status, 201);
+    contactId = contact.body.contact_id;
+
+    // An intake call, parsed into answers
+    const callSid = newCallSid();
+    await ctx.twilioWebhook('voice', { CallSid: callSid, From: NUMBER, To: SHARED_NUMBER });
+    const delivery = await ctx.elevenLabsWebhook(intakePayload({ callSid, callerId: NUMBER }));
+    assert.equal(delivery.body.status, 'success');
+    await ctx.runJobs();
+  });
+
+  after(async () => {
+    await ctx.close();
+  });
+
+  /**
+   * Counts the rows of a table matching a condition
+   * @param {string} table - Table name
+   * @param {string} where - Condition with $1
+   * @param {*} value - Value of $1
+   * @returns {Promise<number>} - Row count
+   */
+  async function count(table, where, value) {
+    const result = await ctx.pool.query(`SELECT COUNT(*)::INTEGER AS count FROM ${table} WHERE ${where}`, [value]);
+    return result.rows[0].count;
+  }
+
+  it('hides archived contacts and routes their calls elsewhere', async () => {
+    const archived = await ctx.api('POST', `/contacts/${contactId}/archive`, null, owner.token);
+    assert.equal(archived.status, 200);
+    assert.ok(archived.body.contact.archived_at);
+
+    const active = await ctx.api('GET', '/contacts', null, owner.token);
+    assert.equal(active.body.contacts.some(contact => contact.id === contactId), false);
+    const listed = await ctx.api('GET', '/contacts?archived=true', null, owner.token);
+    assert.deepEqual(listed.body.contacts.map(contact => contact.id), [contactId]);
+
+    // Pending reminders were canceled
+    assert.equal(await count('intake_reminders', "contact_id = $1 AND status = 'scheduled'", contactId), 0);
+
+    const callSid = newCallSid();
+    await ctx.twilioWebhook('voice', { CallSid: callSid, From: NUMBER, To: SHARED_NUMBER });
+    const call = await ctx.pool.query('SELECT contact_id FROM call_log WHERE call_sid = $1', [callSid]);
+    assert.equal(call.rows[0].contact_id, otherContactId);
+
+    const campaign = await ctx.api('POST', `/contacts/${contactId}/call`, {}, owner.token);
+    assert.equal(campaign.status, 400);
+  });
+
+  it('brings archived contacts back', async () => {
+    const { status } = await ctx.api('POST', `/contacts/${contactId}/unarchive`, null, owner.token);
+    assert.equal(status, 200);
+
+    const active = await ctx.api('GET', '/contacts', null, owner.token);
+    assert.equal(active.body.contacts.find(contact => contact.id === contactId).archived_at, null);
+  });
+
+  it('exports everything stored about the number', async () => {
+    const { status, body } = await ctx.api('GET', `/contacts/${contactId}/export`, null, owner.token);
+
+    assert.equal(status, 200);
+    assert.equal(body.phone_number, NUMBER);
+    assert.deepEqual(body.contacts.map(contact => contact.id), [contactId]);
+    assert.equal('invite_code_hash' in body.contacts[0], false);
+    assert.equal(body.intake_responses.length, 1);
+    assert.ok(body.intake_answers.length > 0);
+    assert.ok(body.sms_messages.some(message => message.message_type === 'invitation'));
+    assert.ok(body.call_log.length >= 1);
+    // Nothing of the other user's contact
+    assert.ok(body.call_log.every(call => call.contact_id !== otherContactId));
+  });
+
+  it("keeps other users' contacts out of reach", async () => {
+    assert.equal((await ctx.api('GET', `/contacts/${contactId}/export`, null, other.token)).status, 403);
+    assert.equal((await ctx.api('DELETE', `/contacts/${contactId}`, null, other.token)).status, 403);
+    assert.equal((await ctx.api('POST', `/contacts/${contactId}/archive`, null, other.token)).status, 403);
+  });
+
+  it("deletes the contact with everything stored about the number, and only the user's", async () => {
+    const intakeIds = (await ctx.pool.query('SELECT id FROM intake_responses WHERE contact_id = $1', [contactId])).rows.map(row => row.id);
+
+    const { status, body } = await ctx.api('DELETE', `/contacts/${contactId}`, { reason: 'Asked to be forgotten' }, owner.token);
+    assert.equal(status, 200);
+    assert.equal(body.erasure.scope, 'contact');
+    assert.deepEqual(body.erasure.contact_ids, [contactId]);
+    assert.equal(body.erasure.deleted_rows.contacts, 1);
+    assert.equal(body.erasure.deleted_rows.intake_responses, 1);
+
+    assert.equal(await count('contacts', 'id = $1', contactId), 0);
+    assert.equal(await count('intake_answers', 'intake_id = ANY($1::INTEGER[])', intakeIds), 0);
+    assert.equal(await count('sms_messages', 'to_number = $1 AND user_id IS DISTINCT FROM ' + other.userId, NUMBER), 0);
+    assert.equal(await count('call_log', 'phone_number = $1 AND contact_id IS DISTINCT FROM ' + otherContactId, NUMBER), 0);
+    assert.equal(await count('temp_calls', 'phone_number = $1 AND contact_id IS DISTINCT FROM ' + otherContactId, NUMBER), 0);
+    assert.equal(await count('jobs', "payload->>'intake_id' = ANY($1::TEXT[])", intakeIds.map(String)), 0);
+
+    // The other user's contact and their texts and calls are untouched
+    assert.equal(await count('contacts', 'id = $1', otherContactId), 1);
+    assert.equal(await count('sms_messages', 'contact_id = $1', otherContactId), 1);
+    assert.equal(await count('call_log', 'contact_id = $1', otherContactId), 1);
+  });
+
+  it('records the erasure without the phone number', async () => {
+    const stored = await ctx.pool.query('SELECT * FROM data_erasures WHERE user_id = $1', [owner.userId]);
+    assert.equal(stored.rows.length, 1);
+    assert.equal(stored.rows[0].reason, 'Asked to be forgotten');
+    assert.equal(JSON.stringify(stored.rows[0]).includes(NUMBER.slice(1)), false);
+
+    const { body } = await ctx.api('GET', `/privacy/erasures?phone_number=${encodeURIComponent(NUMBER)}`, null, owner.token);
+    assert.equal(body.erasures.length, 1);
+    const unrelated = await ctx.api('GET', `/privacy/erasures?phone_number=${encodeURIComponent(STRANGER)}`, null, owner.token);
+    assert.equal(unrelated.body.erasures.length, 0);
+  });
+
+  it('erases a number that is not a contact, including the intakes quarantined for the user', async () => {
+    const profile = await ctx.api('PUT', '/profile', { twilio_phone_number: OWN_NUMBER }, owner.token);
+    assert.equal(profile.status, 200);
+    const callSid = newCallSid();
+    await ctx.twilioWebhook('voice', { CallSid: callSid, From: STRANGER, To: OWN_NUMBER });
+    const quarantined = await ctx.elevenLabsWebhook(intakePayload({ callSid, callerId: STRANGER }));
+    assert.equal(quarantined.status, 202);
+
+    const exported = await ctx.api('GET', `/privacy/export?phone_number=${encodeURIComponent(STRANGER)}`, null, owner.token);
+    assert.equal(exported.body.unmatched_intakes.length, 1);
+    assert.equal(exported.body.call_log.length, 1);
+    assert.equal(exported.body.contacts.length, 0);
+
+    const { status, body } = await ctx.api('POST', '/privacy/erase', { phone_number: STRANGER }, owner.token);
+    assert.equal(status, 200);
+    assert.equal(body.erasure.scope, 'phone_number');
+    assert.equal(body.erasure.deleted_rows.unmatched_intakes, 1);
+    assert.equal(await count('unmatched_intakes', 'caller_id = $1', STRANGER), 0);
+    assert.equal(await count('call_log', 'phone_number = $1', STRANGER), 0);
+  });
+
+  it('leaves data that belongs to nobody out of exports and erasures', async () => {
+    const callSid = newCallSid();
+    await ctx.twilioWebhook('voice', { CallSid: callSid, From: STRANGER, To: SHARED_NUMBER });
+    const quarantined = await ctx.elevenLabsWebhook(intakePayload({ callSid, callerId: STRANGER }));
+    assert.equal(quarantined.status, 202);
+
+    const exported = await ctx.api('GET', `/privacy/export?phone_number=${encodeURIComponent(STRANGER)}`, null, other.token);
+    assert.equal(exported.body.unmatched_intakes.length, 0);
+    assert.equal(exported.body.call_log.length, 0);
+
+    const { body } = await ctx.api('POST', '/privacy/erase', { phone_number: STRANGER }, other.token);
+    assert.equal(body.erasure.deleted_rows.unmatched_intakes, 0);
+    assert.equal(body.erasure.deleted_rows.call_log, 0);
+    assert.equal(await count('unmatched_intakes', 'caller_id = $1', STRANGER), 1);
+    assert.equal(await count('call_log', 'phone_number = $1', STRANGER), 1);
+  });
+
+  it('rejects privacy requests without a valid phone number', async () => {
+    assert.equal((await ctx.api('POST', '/privacy/erase', {}, owner.token)).status, 400);
+    assert.equal((await ctx.api('GET', '/privacy/export?phone_number=12345x', null, owner.token)).status, 400);
+  });
+});
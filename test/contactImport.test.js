@@ -0,0 +1,217 @@
+// Bulk contact import (CSV and vCard: column mapping, validation, duplicates, dry runs,
+// invitations on or off) and the CSV/vCard export with intake status.
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { skipReason, startTestApp } = require('./helpers');
+const contactImportService = require('../services/contactImportService');
+
+describe('contact file parsing', () => {
+  it('reads quoted CSV fields', () => {
+    const records = contactImportService.parseCsv('\uFEFFname,note\r\n"Lovelace, Ada","said ""hi""\ntwice"\r\n\r\nBob,\n');
+    assert.deepEqual(records, [
+      ['name', 'note'],
+      ['Lovelace, Ada', 'said "hi"\ntwice'],
+      ['Bob', '']
+    ]);
+  });
+
+  it("reads phone numbers without a country code in the user's country", () => {
+    const fields = { first_name: 'Alan', last_name: 'Turing', phone_number: '020 7946 0958' };
+    assert.equal(contactImportService.validateImportRow(fields, 'GB').contact.phone_number, '+442079460958');
+    assert.deepEqual(contactImportService.validateImportRow(fields, 'US').errors, ['Invalid phone number: 020 7946 0958']);
+  });
+
+  it('reads vCards, preferring the mobile number', () => {
+    const { format, rows } = contactImportService.readImportFile([
+      'BEGIN:VCARD',
+      'VERSION:2.1',
+      'N:Lovelace;Ada;;;',
+      'TEL;HOME:+12125550000',
+      'TEL;CELL:+1 212 555 ',
+      ' 0001',
+      'ORG:Analytical Engines\\, Ltd;Research',
+      'item1.URL:https://www.linkedin.com/in/ada',
+      'END:VCARD',
+      'BEGIN:VCARD',
+      'VERSION:4.0',
+      'FN:Grace Brewster Hopper',
+      'TEL;VALUE=uri;TYPE="voice,pref":tel:+12125550002',
+      'END:VCARD'
+    ].join('\r\n'));
+
+    assert.equal(format, 'vcard');
+    assert.deepEqual(rows[0].fields, {
+      last_name: 'Lovelace',
+      first_name: 'Ada',
+      phone_number: '+1 212 555 0001',
+      company_name: 'Analytical Engines, Ltd',
+      linkedin_url: 'https://www.linkedin.com/in/ada'
+    });
+    const { contact, errors } = contactImportService.validateImportRow(rows[1].fields);
+    assert.deepEqual(errors, []);
+    assert.equal(contact.first_name, 'Grace Brewster');
+    assert.equal(contact.last_name, 'Hopper');
+    assert.equal(contact.phone_number, '+12125550002');
+  });
+
+  it('defuses imported fields that would run as formulas in the export', () => {
+    const csv = contactImportService.contactsToCsv([{
+      first_name: 'Ada',
+      last_name: '-2+3+cmd|\' /C calc\'!A0',
+      phone_number: '+12125550101',
+      company_name: '+HYPERLINK("http://evil.test")',
+      linkedin_url: '=1+1',
+      is_approved: true,
+      intake_count: 0
+    }]);
+    const [, row] = contactImportService.parseCsv(csv);
+    assert.equal(row[1], '\'-2+3+cmd|\' /C calc\'!A0');
+    assert.equal(row[2], '+12125550101');
+    assert.equal(row[3], '\'+HYPERLINK("http://evil.test")');
+    assert.equal(row[4], '\'=1+1');
+  });
+
+  it('needs a phone number column', () => {
+    const { error } = contactImportService.readImportFile('first_name,last_name\nAda,Lovelace\n');
+    assert.match(error, /No phone number column/);
+  });
+});
+
+describe('contact import and export', { skip: skipReason }, () => {
+  let ctx;
+  let user;
+  let existingId;
+
+  before(async () => {
+    ctx = await startTestApp();
+    user = await ctx.createUser();
+    const existing = await ctx.api('POST', '/contacts', { first_name: 'Ada', last_name: 'Lovelace', phone_number: '+12125550101' }, user.token);
+    existingId = existing.body.contact_id;
+  });
+
+  after(async () => {
+    await ctx.close();
+  });
+
+  /**
+   * Posts an import file as is
+   * @param {string} content - File content
+   * @param {string} contentType - e.g. 'text/csv'
+   * @param {string} [query] - Options as a query string
+   * @returns {Promise<Object>} - { status, body }
+   */
+  async function postFile(content, contentType, query = '') {
+    const response = await fetch(`${ctx.baseUrl}/contacts/import${query}`, {
+      method: 'POST',
+      headers: { 'Content-Type': contentType, Authorization: `Bearer ${user.token}` },
+      body: content
+    });
+    return { status: response.status, body: await response.json() };
+  }
+
+  const CSV = [
+    'Given Name,Family Name,Mobile Phone,Company',
+    'Grace,Hopper,(212) 555-0102,Navy',
+    'Ada,Again,212.555.0101,',
+    'Alan,Turing,not a number,',
+    ',Nameless,2125550104,',
+    'Grace,Twice,+1 212 555 0102,'
+  ].join('\n');
+
+  it('reports what an import would do without changing anything', async () => {
+    const messagesBefore = ctx.simulator.listMessages().length;
+    const { status, body } = await postFile(CSV, 'text/csv', '?dry_run=true');
+
+    assert.equal(status, 200);
+    assert.equal(body.dry_run, true);
+    assert.deepEqual(body.rows.map(row => [row.row, row.status]), [
+      [2, 'valid'], [3, 'duplicate'], [4, 'invalid'], [5, 'invalid'], [6, 'duplicate']
+    ]);
+    assert.equal(body.rows[0].contact.phone_number, '+12125550102');
+    assert.equal(body.rows[0].contact.company_name, 'Navy');
+    assert.equal(body.rows[1].existing_contact_id, existingId);
+    assert.deepEqual(body.rows[2].errors, ['Invalid phone number: not a number']);
+    assert.deepEqual(body.rows[3].errors, ['first_name is required']);
+    assert.equal(body.rows[4].duplicate_of_row, 2);
+    assert.deepEqual(body.summary, { total: 5, texts_sent: 0, valid: 1, created: 0, duplicate: 2, invalid: 2, failed: 0 });
+
+    const contacts = await ctx.api('GET', '/contacts', null, user.token);
+    assert.equal(contacts.body.contacts.length, 1);
+    assert.equal(ctx.simulator.listMessages().length, messagesBefore);
+  });
+
+  it('imports without texting when invitations are off', async () => {
+    const { status, body } = await ctx.api('POST', '/contacts/import', {
+      content: CSV,
+      send_invitations: false
+    }, user.token);
+
+    assert.equal(status, 200);
+    assert.equal(body.summary.created, 1);
+    assert.equal(ctx.simulator.listMessages({ to: '+12125550102' }).length, 0);
+
+    const created = await ctx.pool.query('SELECT * FROM contacts WHERE id = $1', [body.rows[0].contact_id]);
+    assert.equal(created.rows[0].first_name, 'Grace');
+    assert.equal(created.rows[0].phone_number, '+12125550102');
+    assert.equal(created.rows[0].last_invited_at, null);
+  });
+
+  it('imports vCards and texts the invitations', async () => {
+    const vcard = 'BEGIN:VCARD\r\nVERSION:3.0\r\nN:Hamilton;Margaret;;;\r\nTEL;TYPE=CELL:+12125550105\r\nEND:VCARD\r\n';
+    const { body } = await postFile(vcard, 'text/vcard');
+
+    assert.equal(body.rows[0].status, 'created');
+    assert.equal(body.rows[0].text_sent, true);
+    const [invitation] = ctx.simulator.listMessages({ to: '+12125550105' });
+    assert.match(invitation.body, /^Hi Margaret! /);
+  });
+
+  it('uses the column mapping', async () => {
+    const csv = 'Who,Surname,Number\nKatherine,Johnson,2125550106\n';
+    const mapped = await ctx.api('POST', '/contacts/import', {
+      content: csv,
+      dry_run: true,
+      mapping: { first_name: 'Who', last_name: 'Surname', phone_number: 'Number' }
+    }, user.token);
+    assert.equal(mapped.body.rows[0].status, 'valid');
+
+    const missing = await ctx.api('POST', '/contacts/import', { content: csv, mapping: { phone_number: 'Cell' } }, user.token);
+    assert.equal(missing.status, 400);
+    assert.match(missing.body.error, /Column "Cell"/);
+  });
+
+  it('exports CSV with the intake status, ready to import again', async () => {
+    await ctx.pool.query(
+      'INSERT INTO intake_responses (contact_id, user_id, phone_number, raw_transcript, created_at) VALUES ($1, $2, $3, $4, NOW())',
+      [existingId, user.userId, '+12125550101', 'Agent: Hello']
+    );
+
+    const response = await fetch(`${ctx.baseUrl}/contacts/export?format=csv`, { headers: { Authorization: `Bearer ${user.token}` } });
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /^text\/csv/);
+    const csv = await response.text();
+    const [header, ...lines] = contactImportService.parseCsv(csv);
+    const rows = lines.map(line => Object.fromEntries(header.map((name, index) => [name, line[index]])));
+
+    assert.equal(rows.length, 3);
+    const ada = rows.find(row => row.first_name === 'Ada');
+    assert.equal(ada.intake_status, 'received');
+    assert.equal(ada.intake_count, '1');
+    assert.equal(rows.find(row => row.first_name === 'Grace').intake_status, 'not_invited');
+    assert.equal(rows.find(row => row.first_name === 'Margaret').intake_status, 'invited');
+
+    const reimport = await postFile(csv, 'text/csv', '?dry_run=true');
+    assert.equal(reimport.body.summary.duplicate, 3);
+  });
+
+  it('exports vCards', async () => {
+    const response = await fetch(`${ctx.baseUrl}/contacts/export?format=vcard`, { headers: { Authorization: `Bearer ${user.token}` } });
+    const vcards = await response.text();
+
+    assert.match(response.headers.get('content-type'), /^text\/vcard/);
+    assert.equal(contactImportService.parseVcards(vcards).length, 3);
+    assert.match(vcards, /N:Lovelace;Ada;;;\r\nFN:Ada Lovelace\r\nTEL;TYPE=CELL:\+12125550101\r\n/);
+    assert.match(vcards, /X-INTAKE-STATUS:received/);
+  });
+});
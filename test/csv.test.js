@@ -0,0 +1,36 @@
+// CSV exports: cells that spreadsheets would run as formulas are defused, E.164 phone
+// numbers are left alone.
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const csvService = require('../services/csvService');
+const smsConsentService = require('../services/smsConsentService');
+
+describe('CSV exports', () => {
+  it('defuses cells that would run as formulas', () => {
+    for (const value of ['=1+1', '+HYPERLINK("http://evil.test")', '-2+3+cmd|\' /C calc\'!A0', '@SUM(A1)', '\tx', '\rx']) {
+      assert.equal(csvService.csvValue(value).replace(/^"/, '').startsWith("'"), true, value);
+    }
+    assert.equal(csvService.csvValue('+12125550101'), '+12125550101');
+    assert.equal(csvService.csvValue('+1 212 555 0101'), "'+1 212 555 0101");
+    assert.equal(csvService.csvValue('Lovelace, Ada'), '"Lovelace, Ada"');
+    assert.equal(csvService.csvValue(null), '');
+  });
+
+  it('defuses consent keywords and notes', () => {
+    const csv = smsConsentService.eventsToCsv([{
+      created_at: new Date('2026-01-02T03:04:05Z'),
+      phone_number: '+12125550101',
+      first_name: 'Ada',
+      last_name: 'Lovelace',
+      status: 'opted_out',
+      previous_status: null,
+      source: 'keyword',
+      keyword: '-STOP+1',
+      twilio_sid: 'SM1',
+      changed_by_you: false,
+      note: '+cmd'
+    }]);
+    assert.equal(csv.split('\r\n')[1], "2026-01-02T03:04:05.000Z,+12125550101,Ada Lovelace,opted_out,,keyword,'-STOP+1,SM1,no,'+cmd");
+  });
+});
@@ -0,0 +1,227 @@
+// Test harness: boots the app against a disposable database and talks to it the
+// way users, Twilio and ElevenLabs do.
+//
+// Each test file gets its own Postgres schema in TEST_DATABASE_URL, migrated from
+// scratch and dropped when the file is done, so tests never touch real data and
+// can run against any database you can create schemas in. Outbound texts and calls
+// go to the telephony simulator; webhooks are signed like the real ones.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Configuration the app reads while its modules load
+Object.assign(process.env, {
+  NODE_ENV: 'test',
+  JWT_SECRET: 'test-jwt-secret',
+  TELEPHONY_PROVIDER: 'simulator',
+  TWILIO_SIGNATURE_MODE: 'test',
+  TWILIO_PHONE_NUMBER: '+18005550100',
+  ELEVENLABS_WEBHOOK_SECRET: 'test-elevenlabs-secret',
+  ELEVENLABS_STREAM_URL: 'wss://agent.example.test/stream',
+  TRANSCRIPT_PARSER_PROVIDER: 'local',
+  CONTACT_APPROVAL_MODE: 'auto',
+  UNKNOWN_CALLER_POLICY: 'voicemail',
+  SMS_QUIET_HOURS_START: '0',
+  SMS_QUIET_HOURS_END: '0'
+});
+delete process.env.PUBLIC_BASE_URL;
+delete process.env.TELEPHONY_SIMULATOR_FILE;
+
+const { Pool } = require('pg');
+const { createApp, registerJobHandlers } = require('../app');
+const migrationService = require('../services/migrationService');
+const jobQueue = require('../services/jobQueue');
+const telephonyProviders = require('../services/telephonyProviders');
+const { signRequest } = require('../middleware/twilioSignature');
+const { signPayload } = require('../middleware/elevenLabsSignature');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+
+// Why database tests are skipped, or false when they can run (for describe's skip option).
+// In CI (CI set) they are never skipped: without a database they fail, so a green run
+// always means they ran.
+const skipReason = process.env.TEST_DATABASE_URL || process.env.CI ? false : 'TEST_DATABASE_URL is not set';
+
+/**
+ * Loads a webhook fixture
+ * @param {string} name - Path under fixtures/, e.g. 'twilio/voice'
+ * @returns {Object} - { path, contentType, params } or { path, contentType, body }
+ */
+function loadFixture(name) {
+  return JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, `${name}.json`), 'utf8'));
+}
+
+/**
+ * Returns a fresh Twilio call SID
+ * @returns {string} - SID
+ */
+function newCallSid() {
+  return `CA${crypto.randomBytes(16).toString('hex')}`;
+}
+
+/**
+ * Builds an intake payload from the ElevenLabs fixture
+ * @param {Object} [caller] - { callSid, callerId } as the agent passes them back (omit to leave out)
+ * @returns {Object} - Payload with a unique conversation ID
+ */
+function intakePayload({ callSid, callerId } = {}) {
+  const payload = loadFixture('elevenlabs/intake').body;
+  const conversationId = `conv_${crypto.randomBytes(6).toString('hex')}`;
+  payload.conversation_id = conversationId;
+  payload.data.conversation_id = conversationId;
+  payload.data.conversation_initiation_client_data.dynamic_variables = {
+    ...(callSid && { call_sid: callSid }),
+    ...(callerId && { caller_id: callerId })
+  };
+  return payload;
+}
+
+/**
+ * Starts the app on a random port against a fresh schema
+ * @returns {Promise<Object>} - Test context (see below)
+ */
+async function startTestApp() {
+  if (!process.env.TEST_DATABASE_URL) {
+    throw new Error('TEST_DATABASE_URL is not set: the database tests need a Postgres database to create their schemas in');
+  }
+  const schema = `test_${process.pid}_${crypto.randomBytes(4).toString('hex')}`;
+  const admin = new Pool({ connectionString: process.env.TEST_DATABASE_URL });
+  await admin.query(`CREATE SCHEMA ${schema}`);
+
+  const pool = new Pool({
+    connectionString: process.env.TEST_DATABASE_URL,
+    options: `-c search_path=${schema}`
+  });
+  await migrationService.migrateUp(pool);
+
+  const app = createApp({ pool });
+  registerJobHandlers();
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  /**
+   * Calls the JSON API
+   * @param {string} method - HTTP method
+   * @param {string} urlPath - Path
+   * @param {Object} [body] - JSON body
+   * @param {string} [token] - Access token
+   * @returns {Promise<Object>} - { status, body }
+   */
+  async function api(method, urlPath, body, token) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (token) headers.Authorization = `Bearer ${token}`;
+    const response = await fetch(`${baseUrl}${urlPath}`, {
+      method,
+      headers,
+      body: body ? JSON.stringify(body) : undefined
+    });
+    const text = await response.text();
+    let parsed = text;
+    try {
+      parsed = JSON.parse(text);
+    } catch (error) {
+      // TwiML and empty responses stay text
+    }
+    return { status: response.status, body: parsed };
+  }
+
+  /**
+   * Posts a Twilio fixture, signed the way Twilio signs it
+   * @param {string} name - Fixture under fixtures/twilio, e.g. 'voice'
+   * @param {Object} [overrides] - Parameters (or JSON body fields) replacing the fixture's
+   * @returns {Promise<Object>} - { status, body }
+   */
+  async function twilioWebhook(name, overrides = {}) {
+    const fixture = loadFixture(`twilio/${name}`);
+    let url = `${baseUrl}${fixture.path}`;
+    let data;
+    let signature;
+
+    if (fixture.contentType === 'application/json') {
+      // JSON webhooks carry a hash of the body in the URL, and only the URL is signed
+      data = JSON.stringify({ ...fixture.body, ...overrides });
+      url += `${url.includes('?') ? '&' : '?'}bodySHA256=${crypto.createHash('sha256').update(data).digest('hex')}`;
+      signature = signRequest(url, {});
+    } else {
+      const params = { ...fixture.params, ...overrides };
+      data = new URLSearchParams(params).toString();
+      signature = signRequest(url, params);
+    }
+
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': fixture.contentType, 'X-Twilio-Signature': signature },
+      body: data
+    });
+    const text = await response.text();
+    return {
+      status: response.status,
+      body: fixture.contentType === 'application/json' && text ? JSON.parse(text) : text
+    };
+  }
+
+  /**
+   * Posts an intake to /receive-data, signed the way ElevenLabs signs it
+   * @param {Object} body - Payload (see fixtures/elevenlabs/intake.json)
+   * @param {Object} [options] - { signature } to send instead of a valid one
+   * @returns {Promise<Object>} - { status, body }
+   */
+  async function elevenLabsWebhook(body, options = {}) {
+    const rawBody = JSON.stringify(body);
+    const response = await fetch(`${baseUrl}/receive-data`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'ElevenLabs-Signature': options.signature || signPayload(rawBody)
+      },
+      body: rawBody
+    });
+    return { status: response.status, body: await response.json() };
+  }
+
+  /**
+   * Registers and logs in a user
+   * @param {string} [email] - Email, random by default
+   * @returns {Promise<Object>} - { userId, token, email }
+   */
+  async function createUser(email = `user-${crypto.randomBytes(4).toString('hex')}@example.test`) {
+    const password = 'Correct-Horse-42';
+    await api('POST', '/register', { email, password });
+    const login = await api('POST', '/login', { email, password });
+    return { userId: login.body.userId, token: login.body.token, email };
+  }
+
+  /**
+   * Stops the app and drops the schema
+   */
+  async function close() {
+    await new Promise(resolve => server.close(resolve));
+    await pool.end();
+    await admin.query(`DROP SCHEMA ${schema} CASCADE`);
+    await admin.end();
+  }
+
+  return {
+    app,
+    pool,
+    baseUrl,
+    simulator: telephonyProviders.getProvider('simulator'),
+    api,
+    twilioWebhook,
+    elevenLabsWebhook,
+    createUser,
+    runJobs: () => jobQueue.processAvailableJobs(pool),
+    close
+  };
+}
+
+module.exports = {
+  skipReason,
+  loadFixture,
+  newCallSid,
+  intakePayload,
+  startTestApp
+};
@@ -0,0 +1,150 @@
+// The whole intake flow: register, add a contact (SMS invitation), the contact calls
+// in (/voice), the agent asks for personalization (/twilio-personalization), delivers
+// the intake (/receive-data) and the transcript is parsed.
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { skipReason, loadFixture, startTestApp } = require('./helpers');
+
+const CALLER = '+12125551234';
+const CALL_SID = 'CA00000000000000000000000000000001';
+
+describe('intake flow', { skip: skipReason }, () => {
+  let ctx;
+  let user;
+  let contactId;
+
+  before(async () => {
+    ctx = await startTestApp();
+    user = await ctx.createUser();
+  });
+
+  after(async () => {
+    await ctx.close();
+  });
+
+  it('adds a contact and texts them an invitation', async () => {
+    const { status, body } = await ctx.api('POST', '/contacts', {
+      first_name: 'Ada',
+      last_name: 'Lovelace',
+      phone_number: CALLER
+    }, user.token);
+
+    assert.equal(status, 201);
+    assert.equal(body.is_approved, true);
+    assert.equal(body.text_sent, true);
+    contactId = body.contact_id;
+
+    const [invitation] = ctx.simulator.listMessages({ to: CALLER });
+    assert.match(invitation.body, /^Hi Ada! /);
+    assert.equal(invitation.from, process.env.TWILIO_PHONE_NUMBER);
+
+    const logged = await ctx.pool.query('SELECT * FROM sms_messages WHERE contact_id = $1', [contactId]);
+    assert.equal(logged.rows.length, 1);
+    assert.equal(logged.rows[0].message_type, 'invitation');
+    assert.equal(logged.rows[0].twilio_sid, invitation.sid);
+    assert.equal(logged.rows[0].status, 'queued');
+  });
+
+  it('records delivery reports for the invitation', async () => {
+    const [invitation] = ctx.simulator.listMessages({ to: CALLER });
+    const { status } = await ctx.twilioWebhook('sms-status', {
+      MessageSid: invitation.sid,
+      MessageStatus: 'delivered',
+      To: CALLER
+    });
+
+    assert.equal(status, 204);
+    const logged = await ctx.pool.query('SELECT status, delivered_at FROM sms_messages WHERE twilio_sid = $1', [invitation.sid]);
+    assert.equal(logged.rows[0].status, 'delivered');
+    assert.ok(logged.rows[0].delivered_at);
+  });
+
+  it('rejects webhooks without a valid Twilio signature', async () => {
+    const response = await fetch(`${ctx.baseUrl}/voice`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded', 'X-Twilio-Signature': 'forged' },
+      body: new URLSearchParams(loadFixture('twilio/voice').params)
+    });
+    assert.equal(response.status, 403);
+  });
+
+  it('connects the calling contact to the agent', async () => {
+    const { status, body } = await ctx.twilioWebhook('voice');
+
+    assert.equal(status, 200);
+    assert.match(body, /<Stream url="wss:\/\/agent\.example\.test\/stream">/);
+    assert.match(body, new RegExp(`<Parameter name="contact_id" value="${contactId}"/>`));
+
+    const tempCall = await ctx.pool.query('SELECT phone_number FROM temp_calls WHERE call_sid = $1', [CALL_SID]);
+    assert.equal(tempCall.rows[0].phone_number, CALLER);
+    const call = await ctx.pool.query('SELECT status, contact_id, user_id FROM call_log WHERE call_sid = $1', [CALL_SID]);
+    assert.deepEqual(call.rows[0], { status: 'agent-connected', contact_id: contactId, user_id: user.userId });
+  });
+
+  it('personalizes the conversation for the contact', async () => {
+    const { status, body } = await ctx.twilioWebhook('personalization');
+
+    assert.equal(status, 200);
+    assert.equal(body.dynamic_variables.contact_status, 'approved');
+    assert.equal(body.dynamic_variables.contact_name, 'Ada');
+    assert.equal(body.dynamic_variables.contact_id, contactId);
+    assert.equal(body.dynamic_variables.call_direction, 'inbound');
+    assert.match(body.conversation_config_override.agent.first_message, /Ada/);
+  });
+
+  it('stores the intake delivered by the agent and queues parsing', async () => {
+    const { status, body } = await ctx.elevenLabsWebhook(loadFixture('elevenlabs/intake').body);
+
+    assert.equal(status, 200);
+    assert.equal(body.status, 'success');
+    assert.ok(body.job_id);
+
+    const intake = await ctx.pool.query('SELECT * FROM intake_responses WHERE id = $1', [body.intake_id]);
+    assert.equal(intake.rows[0].contact_id, contactId);
+    assert.equal(intake.rows[0].user_id, user.userId);
+    assert.equal(intake.rows[0].phone_number, CALLER);
+    assert.match(intake.rows[0].raw_transcript, /consulting practice/);
+
+    const call = await ctx.pool.query('SELECT status, status_reason FROM call_log WHERE call_sid = $1', [CALL_SID]);
+    assert.deepEqual(call.rows[0], { status: 'completed', status_reason: 'intake_received' });
+  });
+
+  it('parses the transcript into answers', async () => {
+    await ctx.runJobs();
+
+    const job = await ctx.pool.query("SELECT status FROM jobs WHERE type = 'parse_transcript'");
+    assert.equal(job.rows[0].status, 'completed');
+
+    const { status, body } = await ctx.api('GET', `/contacts/${contactId}/intake`, null, user.token);
+    assert.equal(status, 200);
+    const answers = Object.fromEntries(body.fields.map(field => [field.key, field.answers[0]]));
+    assert.equal(answers.communication_style.answer, 'Short emails during the week, and a phone call for anything urgent.');
+    assert.equal(answers.values.answer, 'Honesty and doing what I said I would do.');
+    assert.equal(answers.professional_goals.answer, 'I want to grow my consulting practice into a small team.');
+    assert.equal(answers.partnership_expectations.answer, 'Regular check-ins and introductions to potential clients.');
+    assert.equal(answers.communication_style.confidence, 0.6);
+  });
+
+  it("keeps other users' contacts private", async () => {
+    const other = await ctx.createUser();
+    const { status } = await ctx.api('GET', `/contacts/${contactId}/intake`, null, other.token);
+    assert.equal(status, 403);
+  });
+
+  it("doesn't let other users reparse an intake", async () => {
+    const intake = await ctx.pool.query('SELECT id FROM intake_responses WHERE contact_id = $1', [contactId]);
+    const intakeId = intake.rows[0].id;
+    const countJobs = async () => (await ctx.pool.query("SELECT COUNT(*)::INTEGER AS count FROM jobs WHERE type = 'parse_transcript'")).rows[0].count;
+    const jobs = await countJobs();
+
+    const other = await ctx.createUser();
+    const denied = await ctx.api('POST', `/parse-transcript/${intakeId}`, null, other.token);
+    assert.equal(denied.status, 404);
+    assert.equal(await countJobs(), jobs);
+
+    const queued = await ctx.api('POST', `/parse-transcript/${intakeId}`, null, user.token);
+    assert.equal(queued.status, 202);
+    assert.equal(await countJobs(), jobs + 1);
+  });
+});
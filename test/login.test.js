@@ -0,0 +1,58 @@
+// Logging in: unknown emails are verified against a dummy hash, so they get the same
+// answer as a wrong password, after the same work.
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { skipReason, startTestApp } = require('./helpers');
+const passwordService = require('../services/passwordService');
+
+describe('login', { skip: skipReason }, () => {
+  let ctx;
+  let user;
+
+  before(async () => {
+    ctx = await startTestApp();
+    user = await ctx.createUser();
+  });
+
+  after(async () => {
+    await ctx.close();
+  });
+
+  /**
+   * Logs in, recording the hashes the password was verified against
+   * @param {Object} credentials - { email, password }
+   * @returns {Promise<Object>} - { status, body, verifiedAgainst }
+   */
+  async function login(credentials) {
+    const verifiedAgainst = [];
+    const verifyPassword = passwordService.verifyPassword;
+    passwordService.verifyPassword = (password, stored) => {
+      verifiedAgainst.push(stored);
+      return verifyPassword(password, stored);
+    };
+    try {
+      const { status, body } = await ctx.api('POST', '/login', credentials);
+      return { status, body, verifiedAgainst };
+    } finally {
+      passwordService.verifyPassword = verifyPassword;
+    }
+  }
+
+  it('verifies unknown emails against the dummy hash', async () => {
+    const unknown = await login({ email: 'nobody@example.test', password: 'Correct-Horse-42' });
+    const wrongPassword = await login({ email: user.email, password: 'Wrong-Horse-42' });
+
+    assert.equal(unknown.status, 401);
+    assert.deepEqual(unknown.body, wrongPassword.body);
+    assert.deepEqual(unknown.verifiedAgainst, [passwordService.DUMMY_HASH]);
+    assert.equal(wrongPassword.verifiedAgainst.length, 1);
+  });
+
+  it('logs registered users in', async () => {
+    const { status, body, verifiedAgainst } = await login({ email: user.email, password: 'Correct-Horse-42' });
+    assert.equal(status, 200);
+    assert.equal(body.userId, user.userId);
+    assert.notEqual(verifiedAgainst[0], passwordService.DUMMY_HASH);
+  });
+});
@@ -0,0 +1,124 @@
+// Phone number normalization: E.164 for everything stored, numbers without a country
+// code read in the user's country, national format for display, number types, and
+// webhooks that send numbers without the + still matching the contact.
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { skipReason, newCallSid, startTestApp } = require('./helpers');
+const phoneNumberService = require('../services/phoneNumberService');
+
+const SHARED_NUMBER = process.env.TWILIO_PHONE_NUMBER;
+
+describe('phone number normalization', () => {
+  it('brings phone numbers to E.164', () => {
+    assert.equal(phoneNumberService.normalizePhoneNumber('(212) 555-1234', 'US'), '+12125551234');
+    assert.equal(phoneNumberService.normalizePhoneNumber('1-212-555-1234', 'US'), '+12125551234');
+    assert.equal(phoneNumberService.normalizePhoneNumber('+44 20 7946 0958', 'US'), '+442079460958');
+    assert.equal(phoneNumberService.normalizePhoneNumber('0044 20 7946 0958', 'US'), '+442079460958');
+    assert.equal(phoneNumberService.normalizePhoneNumber('020 7946 0958', 'GB'), '+442079460958');
+    assert.equal(phoneNumberService.normalizePhoneNumber('555-1234', 'US'), null);
+    assert.equal(phoneNumberService.normalizePhoneNumber('call me', 'US'), null);
+  });
+
+  it('keeps webhook caller IDs that are not numbers', () => {
+    assert.equal(phoneNumberService.normalizeWebhookNumber('12125550101'), '+12125550101');
+    assert.equal(phoneNumberService.normalizeWebhookNumber(' +442079460958 '), '+442079460958');
+    assert.equal(phoneNumberService.normalizeWebhookNumber('anonymous'), 'anonymous');
+    assert.equal(phoneNumberService.normalizeWebhookNumber(''), null);
+  });
+
+  it("shows numbers in national format in the user's country", () => {
+    const london = phoneNumberService.describePhoneNumber('+442079460958', 'GB');
+    assert.equal(london.display, '020 7946 0958');
+    assert.equal(london.type, 'fixed_line');
+    assert.equal(phoneNumberService.formatPhoneNumber('+442079460958', 'US'), '+44 20 7946 0958');
+    assert.equal(phoneNumberService.formatPhoneNumber('+12125550101', 'US'), '(212) 555-0101');
+    assert.equal(phoneNumberService.describePhoneNumber('+447911123456', 'GB').type, 'mobile');
+  });
+});
+
+describe('phone numbers in contacts and webhooks', { skip: skipReason }, () => {
+  let ctx;
+  let user;
+  let contactId;
+
+  before(async () => {
+    ctx = await startTestApp();
+    user = await ctx.createUser();
+  });
+
+  after(async () => {
+    await ctx.close();
+  });
+
+  it('stores contacts in E.164 and lists them in national format', async () => {
+    const created = await ctx.api('POST', '/contacts', { first_name: 'Ada', last_name: 'Lovelace', phone_number: '(212) 555-0101' }, user.token);
+    assert.equal(created.status, 201);
+    assert.equal(created.body.phone_number, '+12125550101');
+    contactId = created.body.contact_id;
+
+    const { body } = await ctx.api('GET', '/contacts', null, user.token);
+    assert.equal(body.contacts[0].phone_number, '+12125550101');
+    assert.equal(body.contacts[0].phone_number_display, '(212) 555-0101');
+    assert.equal(body.contacts[0].phone_number_type, 'fixed_line_or_mobile');
+
+    const duplicate = await ctx.api('POST', '/contacts', { first_name: 'Ada', last_name: 'Again', phone_number: '1 212 555 0101' }, user.token);
+    assert.equal(duplicate.status, 400);
+    const invalid = await ctx.api('POST', '/contacts', { first_name: 'Bob', last_name: 'Short', phone_number: '555-1234' }, user.token);
+    assert.equal(invalid.status, 400);
+  });
+
+  it('checks phone numbers on update', async () => {
+    const invalid = await ctx.api('PUT', `/contacts/${contactId}`, { first_name: 'Ada', last_name: 'Lovelace', phone_number: '12345x' }, user.token);
+    assert.equal(invalid.status, 400);
+
+    const updated = await ctx.api('PUT', `/contacts/${contactId}`, { first_name: 'Ada', last_name: 'Lovelace', phone_number: '212.555.0102' }, user.token);
+    assert.equal(updated.status, 200);
+    const stored = await ctx.pool.query('SELECT phone_number FROM contacts WHERE id = $1', [contactId]);
+    assert.equal(stored.rows[0].phone_number, '+12125550102');
+  });
+
+  it('rejects updates to a number the user already has', async () => {
+    await ctx.api('POST', '/contacts', { first_name: 'Bob', last_name: 'Taken', phone_number: '+12125550103' }, user.token);
+
+    for (let attempt = 0; attempt < 3; attempt++) {
+      const duplicate = await ctx.api('PUT', `/contacts/${contactId}`, { first_name: 'Ada', last_name: 'Lovelace', phone_number: '+12125550103' }, user.token);
+      assert.equal(duplicate.status, 400);
+    }
+    // No connection is left checked out
+    assert.equal(ctx.pool.idleCount, ctx.pool.totalCount);
+  });
+
+  it("reads numbers in the user's default country", async () => {
+    const rejected = await ctx.api('PUT', '/profile', { default_country: 'XX' }, user.token);
+    assert.equal(rejected.status, 400);
+    const profile = await ctx.api('PUT', '/profile', { default_country: 'gb' }, user.token);
+    assert.equal(profile.body.profile.default_country, 'GB');
+
+    const mobile = await ctx.api('POST', '/contacts', { first_name: 'Alan', last_name: 'Turing', phone_number: '07911 123456' }, user.token);
+    assert.equal(mobile.body.phone_number, '+447911123456');
+    assert.equal(mobile.body.phone_number_type, 'mobile');
+    assert.equal(mobile.body.warning, null);
+
+    const landline = await ctx.api('POST', '/contacts', { first_name: 'Joan', last_name: 'Clarke', phone_number: '020 7946 0958' }, user.token);
+    assert.equal(landline.body.phone_number_type, 'fixed_line');
+    assert.match(landline.body.warning, /landline/);
+
+    const { body } = await ctx.api('GET', '/contacts', null, user.token);
+    const ada = body.contacts.find(contact => contact.id === contactId);
+    assert.equal(ada.phone_number_display, '+1 212 555 0102');
+    assert.equal(body.contacts.find(contact => contact.first_name === 'Joan').phone_number_display, '020 7946 0958');
+  });
+
+  it('matches webhook numbers sent without the +', async () => {
+    const callSid = newCallSid();
+    await ctx.twilioWebhook('voice', { CallSid: callSid, From: '12125550102', To: SHARED_NUMBER.slice(1) });
+    const call = await ctx.pool.query('SELECT phone_number, contact_id FROM call_log WHERE call_sid = $1', [callSid]);
+    assert.equal(call.rows[0].phone_number, '+12125550102');
+    assert.equal(call.rows[0].contact_id, contactId);
+
+    const { body } = await ctx.twilioWebhook('personalization', { caller_id: '12125550102', call_sid: callSid });
+    assert.equal(body.dynamic_variables.caller_id, '+12125550102');
+    assert.equal(body.dynamic_variables.contact_id, contactId);
+  });
+});
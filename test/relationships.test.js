@@ -0,0 +1,59 @@
+// The daily check-in job: each run queues the next one first, so the chain survives a
+// run that fails.
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { skipReason, startTestApp } = require('./helpers');
+const relationshipService = require('../services/relationshipService');
+
+describe('daily check-in job', { skip: skipReason }, () => {
+  let ctx;
+
+  before(async () => {
+    ctx = await startTestApp();
+  });
+
+  after(async () => {
+    await ctx.close();
+  });
+
+  /**
+   * Lists the check-in jobs
+   * @returns {Promise<Array>} - { status, tomorrow } rows, oldest first
+   */
+  async function checkInJobs() {
+    const result = await ctx.pool.query(`
+      SELECT status, run_at > NOW() + INTERVAL '23 hours' AS tomorrow FROM jobs WHERE type = $1 ORDER BY id
+    `, [relationshipService.JOB_TYPE]);
+    return result.rows;
+  }
+
+  it("queues tomorrow's run even when a run fails", async () => {
+    await relationshipService.ensureCheckInJob(ctx.pool);
+    await ctx.pool.query('UPDATE jobs SET max_attempts = 1 WHERE type = $1', [relationshipService.JOB_TYPE]);
+
+    // A run that can't reach its data
+    await ctx.pool.query('ALTER TABLE relationships RENAME TO relationships_unavailable');
+    try {
+      await ctx.runJobs();
+    } finally {
+      await ctx.pool.query('ALTER TABLE relationships_unavailable RENAME TO relationships');
+    }
+
+    assert.deepEqual(await checkInJobs(), [
+      { status: 'dead', tomorrow: false },
+      { status: 'pending', tomorrow: true }
+    ]);
+  });
+
+  it('queues one next run per day', async () => {
+    await ctx.pool.query("UPDATE jobs SET run_at = NOW() WHERE type = $1 AND status = 'pending'", [relationshipService.JOB_TYPE]);
+    await ctx.runJobs();
+
+    assert.deepEqual(await checkInJobs(), [
+      { status: 'dead', tomorrow: false },
+      { status: 'completed', tomorrow: false },
+      { status: 'pending', tomorrow: true }
+    ]);
+  });
+});
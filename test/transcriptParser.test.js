@@ -0,0 +1,98 @@
+// Transcript parsing against a stub provider: malformed output is retried up to
+// MAX_PARSE_ATTEMPTS times, and output with missing or ill-typed fields or a
+// confidence outside 0..1 is rejected.
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const intakeAgentService = require('../services/intakeAgentService');
+
+const FIELDS = [
+  { key: 'goals', label: 'Professional goals' },
+  { key: 'values', label: 'Values' }
+];
+const TRANSCRIPT = 'Agent: What are your goals?\nUser: Growing my consulting practice.';
+
+/**
+ * Builds a provider that answers with the given outputs in turn (the last one repeats)
+ * @param {Array} outputs - Raw outputs, as an LLM would return them
+ * @returns {Object} - Provider, with the requests it got in requests
+ */
+function stubProvider(outputs) {
+  const requests = [];
+  return {
+    name: 'stub',
+    requests,
+    async extract(request) {
+      requests.push(request);
+      return outputs[Math.min(requests.length, outputs.length) - 1];
+    }
+  };
+}
+
+/**
+ * Builds valid provider output
+ * @param {Object} [overrides] - Entries replacing the default ones, by field key
+ * @returns {Object} - { fields }
+ */
+function validOutput(overrides = {}) {
+  return {
+    fields: {
+      goals: { answer: 'Growing a consulting practice', confidence: 0.9, excerpt: 'Growing my consulting practice.' },
+      values: { answer: null, confidence: 0, excerpt: null },
+      ...overrides
+    }
+  };
+}
+
+describe('transcript parsing', () => {
+  it('retries malformed output, telling the provider what was wrong', async () => {
+    const provider = stubProvider(['Sure! Here is the JSON:', { answers: [] }, JSON.stringify(validOutput())]);
+    const result = await intakeAgentService.parseTranscript(TRANSCRIPT, { fields: FIELDS, provider });
+
+    assert.equal(result.attempts, 3);
+    assert.equal(result.provider, 'stub');
+    assert.deepEqual(result.fields.goals, { answer: 'Growing a consulting practice', confidence: 0.9, excerpt: 'Growing my consulting practice.' });
+    assert.deepEqual(provider.requests.map(request => request.attempt), [1, 2, 3]);
+    assert.equal(provider.requests[0].previousError, null);
+    assert.match(provider.requests[1].previousError, /not valid JSON/);
+    assert.match(provider.requests[2].previousError, /"fields" object/);
+  });
+
+  it(`gives up after ${intakeAgentService.MAX_PARSE_ATTEMPTS} attempts`, async () => {
+    const provider = stubProvider([{ fields: { goals: { answer: 'Growth', confidence: 0.5 } } }]);
+
+    await assert.rejects(
+      intakeAgentService.parseTranscript(TRANSCRIPT, { fields: FIELDS, provider }),
+      new RegExp(`failed after ${intakeAgentService.MAX_PARSE_ATTEMPTS} attempts: Missing field "values"`)
+    );
+    assert.equal(provider.requests.length, intakeAgentService.MAX_PARSE_ATTEMPTS);
+  });
+
+  it('rejects missing and ill-typed fields', () => {
+    const cases = [
+      [null, /"fields" object/],
+      [{ fields: 'goals' }, /"fields" object/],
+      [validOutput({ values: undefined }), /Missing field "values"/],
+      [validOutput({ values: 'none' }), /Missing field "values"/],
+      [validOutput({ goals: { answer: 42, confidence: 0.5, excerpt: null } }), /"goals" answer must be a string or null/]
+    ];
+    for (const [output, error] of cases) {
+      assert.throws(() => intakeAgentService.validateParsedOutput(output, FIELDS), error);
+    }
+  });
+
+  it('only accepts confidences from 0 to 1', () => {
+    for (const confidence of [-0.01, 1.01, Number.NaN, '0.5', null]) {
+      const output = validOutput({ goals: { answer: 'Growth', confidence, excerpt: null } });
+      assert.throws(() => intakeAgentService.validateParsedOutput(output, FIELDS), /"goals" confidence must be a number between 0 and 1/);
+    }
+    for (const confidence of [0, 1]) {
+      const output = validOutput({ goals: { answer: 'Growth', confidence, excerpt: null } });
+      assert.equal(intakeAgentService.validateParsedOutput(output, FIELDS).goals.confidence, confidence);
+    }
+
+    // Unanswered fields have no confidence, whatever the provider claims
+    const unanswered = validOutput({ values: { answer: '  ', confidence: 0.8, excerpt: '' } });
+    assert.deepEqual(intakeAgentService.validateParsedOutput(unanswered, FIELDS).values, { answer: null, confidence: 0, excerpt: null });
+  });
+});
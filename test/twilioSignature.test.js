@@ -0,0 +1,67 @@
+// Twilio webhook signatures: test signing (TWILIO_SIGNATURE_MODE=test, the telephony
+// simulator) is never accepted in production.
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { validateTwilioSignature, getSigningConfigError, signRequest } = require('../middleware/twilioSignature');
+
+const ENV_KEYS = ['NODE_ENV', 'TWILIO_SIGNATURE_MODE', 'TELEPHONY_PROVIDER', 'TWILIO_AUTH_TOKEN', 'TWILIO_TEST_AUTH_TOKEN'];
+const savedEnv = Object.fromEntries(ENV_KEYS.map(key => [key, process.env[key]]));
+
+/**
+ * Sets the environment for one test; afterEach restores it
+ * @param {Object} env - Variables to set, undefined to unset
+ */
+function setEnv(env) {
+  for (const key of ENV_KEYS) {
+    if (env[key] === undefined) delete process.env[key];
+    else process.env[key] = env[key];
+  }
+}
+
+/**
+ * Runs the middleware on a webhook signed with the default test key
+ * @returns {number|null} - Status it responded with, null when it let the request through
+ */
+function runSignedWithTestKey() {
+  const url = 'https://app.example.test/voice';
+  const params = { CallSid: 'CA1', From: '+12125550101' };
+  const req = {
+    headers: { host: 'app.example.test', 'x-twilio-signature': signRequest(url, params, 'test-auth-token') },
+    protocol: 'https',
+    originalUrl: '/voice',
+    body: params,
+    get: name => req.headers[name.toLowerCase()],
+    is: () => false
+  };
+  let status = null;
+  const res = { status: code => { status = code; return { json: () => {} }; } };
+  validateTwilioSignature(req, res, () => {});
+  return status;
+}
+
+describe('Twilio signature configuration', () => {
+  afterEach(() => setEnv(savedEnv));
+
+  it('refuses test signing in production', () => {
+    setEnv({ NODE_ENV: 'production', TWILIO_SIGNATURE_MODE: 'test', TWILIO_AUTH_TOKEN: 'real-token' });
+    assert.match(getSigningConfigError(), /not allowed in production/);
+    assert.equal(runSignedWithTestKey(), 403);
+
+    setEnv({ NODE_ENV: 'production', TELEPHONY_PROVIDER: 'simulator' });
+    assert.match(getSigningConfigError(), /not allowed in production/);
+    assert.equal(runSignedWithTestKey(), 403);
+  });
+
+  it('allows test signing outside production', () => {
+    setEnv({ NODE_ENV: 'development', TWILIO_SIGNATURE_MODE: 'test' });
+    assert.equal(getSigningConfigError(), null);
+    assert.equal(runSignedWithTestKey(), null);
+  });
+
+  it('validates production webhooks with TWILIO_AUTH_TOKEN', () => {
+    setEnv({ NODE_ENV: 'production', TWILIO_AUTH_TOKEN: 'real-token' });
+    assert.equal(getSigningConfigError(), null);
+    assert.equal(runSignedWithTestKey(), 403);
+  });
+});